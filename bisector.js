@@ -4,626 +4,858 @@
 // dd repo: Datadog frontend monorepo
 // ts repo: Typescript official repo
 
-// Time TS
-// Once a commit of TS is built:
-// 1. Build TypeScript using npx hereby commands and npm pack
-// 2. Install the resulting .tgz file in dd repo
-// 3. Run yarn typecheck:packages
-// 4. Run yarn tsc -b tsconfig.turbo.json --extendedDiagnostics
-// 5. Get the hash of the commit
-// 6. Record the timing in individual files
-
-// Bisect TS using git bisect
-// git bisect start
-// git bisect good v5.5.4
-// git bisect bad v5.8.2
+// Time TS: see lib/measure.js
+// The ts repo is never checked out: each commit is built in a disposable git
+// worktree (see lib/worktree.js), and git bisect runs with --no-checkout
+
+// Bisect TS with git bisect (see lib/bisect-engine.js), deciding whether
+// each commit is working or broken with a predicate (see lib/predicates.js),
+// and finding the first broken commit, or the first fixed one with
+// --find first-fixed:
+// bisect [metric] bisects on the Build time or any other metric computed
+// from the diagnostics (see lib/metrics.js)
+// Calibrate: time v5.5.4 and v5.8.2 several times each (cf above), and refuse
+// to start if their metrics are not significantly different
+// git bisect start --term-old=fast --term-new=slow
+// git bisect fast v5.5.4
+// git bisect slow v5.8.2
 // Time TS (cf above)
-// if the timing is closer to 5.5.4 then mark the commit as good
-// if the timing is closer to 5.8.2 then mark the commit as bad
+// Time the commit several times, then test the mean metric against the
+// midpoint between the calibrated 5.5.4 and 5.8.2 metrics:
+// if the metric is significantly closer to 5.5.4 then mark the commit as fast
+// if the metric is significantly closer to 5.8.2 then mark the commit as slow
+// if it is still not significant after MAX_SAMPLES runs, skip the commit
 // repeat until the bisector finds the commit
+// bisect install, bisect tsc-errors and bisect script look for the commit
+// where the install starts failing (or succeeding, the default of the
+// install section), where tsc starts reporting errors, or where a custom
+// script starts failing
 
-const { execSync } = require('node:child_process');
 const fs = require('node:fs');
+const os = require('node:os');
 const path = require('node:path');
-
-// Configuration
-const TS_REPO_PATH = process.env.TS_REPO_PATH;
-const DD_REPO_PATH = process.env.DD_REPO_PATH;
-const TIMINGS_DIR = path.join(DD_REPO_PATH, 'ts-bisector/tsc-timings');
-const SUMMARY_FILE = path.join(TIMINGS_DIR, 'summary.txt');
-
-const BISECT_REPLAY_PATH = path.join(TIMINGS_DIR, 'bisect-replay.log');
-
-// Reference timings for good and bad versions (hardcoded)
-// These values should be replaced with actual measurements for your specific setup
-const GOOD_VERSION_TIMING = 300; // for good version (5.5.4)
-const BAD_VERSION_TIMING = 600; // for bad version (5.8.2)
-
-/**
- * Returns a formatted timestamp for logging
- * @returns {string} Formatted timestamp [YYYY-MM-DD, HH:MM:SS]
- */
-function getTimestamp() {
-    const now = new Date();
-    return `[${now.toLocaleString()}]`;
-}
-
-/**
- * Logs a message with timestamp
- * @param {string} message - Message to log
- */
-function logWithTime(message) {
-    console.log(`${getTimestamp()} ${message}`);
-}
+const { CONFIG_USAGE, loadConfig } = require('./lib/config');
+const {
+    countCommitsBetween,
+    getCommitsToTime,
+    sortCommits,
+} = require('./lib/commit-list');
+const { findSteps, pickSplitCommit } = require('./lib/adaptive-sampling');
+const { BISECT_STATE_FILE_NAME, runBisect } = require('./lib/bisect-engine');
+const { detectChangePoints } = require('./lib/change-points');
+const { getTimestamp, logWithTime, runCommand } = require('./lib/command');
+const {
+    checkRunEnvironment,
+    describeMachine,
+    getEnvironment,
+    getMachineKey,
+} = require('./lib/environment');
+const { explainCommit } = require('./lib/explain');
+const { setExecutor } = require('./lib/executor');
+const { getSkippedFailure } = require('./lib/failures');
+const { recoverInterruptedRuns } = require('./lib/install');
+const { MIN_SAMPLES, measureTSBuildTime } = require('./lib/measure');
+const { DEFAULT_METRIC, evaluateMetric } = require('./lib/metrics');
+const { PREDICATE_NAMES, createPredicate } = require('./lib/predicates');
+const { parseReport, readResult, writeResult } = require('./lib/results');
+const { createSimulationExecutor } = require('./lib/simulation');
+const {
+    getRecordedMeasurement,
+    loadRunState,
+    recordMeasurement,
+    saveRunState,
+} = require('./lib/run-state');
+const { listCache, pruneCache, verifyCache } = require('./lib/tarball-cache');
+const { SIGNIFICANCE_LEVEL } = require('./lib/stats');
+
+// Default configuration, see lib/config.js for how to override it
+const DEFAULT_CONFIG = {
+    good: 'v5.5.4',
+    bad: 'v5.8.2',
+    workload: {
+        // Run once before timing, null to skip it
+        prepare: 'yarn typecheck:packages',
+        // Timed command, run with a clean build every time. Commands starting
+        // with tsc run the tsc of the workspace through the package manager
+        command: 'tsc -b tsconfig.turbo.json --extendedDiagnostics',
+        // Files deleted before each timed command, relative to the dd repo
+        cleanFiles: ['tsconfig.turbo.tsbuildinfo'],
+    },
+    metric: DEFAULT_METRIC,
+    // Direction of bisect, see lib/bisect-engine.js: first-broken finds the
+    // first broken (e.g. slow) commit after a working good ref, first-fixed
+    // the first working commit after a broken one
+    find: 'first-broken',
+    // How TypeScript is installed in the dd repo, see lib/package-managers.js
+    packageManager: 'yarn-pnp',
+    out: 'ts-bisector/tsc-timings',
+    commitsFile: 'ts-bisector/commits-to-time.json',
+    cacheDir: 'ts-bisector/tarball-cache',
+    // Disposable checkouts of the commits to build, see lib/worktree.js
+    worktreesDir: path.join(os.tmpdir(), 'ts-bisector-worktrees'),
+    // Originals of the files edited during a build or an install, see lib/patch-set.js
+    journalDir: 'ts-bisector/patch-journal',
+    // Prebuilding of the next bisect candidates, see lib/prebuild.js
+    prebuild: 'nice',
+    // What to do on each class of failure: retry, fallback, skip or abort,
+    // see lib/failures.js
+    failurePolicy: {
+        'ts-build': 'skip',
+        'hunk-conflict': 'fallback',
+        'pnp-resolution': 'skip',
+        'missing-tsconfig': 'skip',
+        'out-of-memory': 'abort',
+        'type-errors': 'abort',
+        timeout: 'retry',
+        unknown: 'abort',
+    },
+    // Times a step is retried before skipping the commit
+    failureRetries: 1,
+    // Minutes after which the process tree of a step is killed, null for no
+    // timeout, see lib/watchdog.js
+    stepTimeouts: {
+        build: 30,
+        install: 15,
+        version: 1,
+        prepare: 60,
+        workload: 60,
+    },
+    // Resident memory of the process tree of a step over which it is killed,
+    // before it takes the machine down, null for no limit
+    memoryLimitMb: Math.floor((os.totalmem() / 1024 / 1024) * 0.9),
+    // Quieting of the machine before the timed runs of each commit, see
+    // lib/environment.js
+    stabilize: {
+        // Run the workload once untimed before the timed runs
+        warmup: false,
+        // 1 minute load average to wait for before timing, null to not wait
+        maxLoadAverage: null,
+        // Minutes to wait for the load before timing anyway
+        loadWaitMinutes: 10,
+        // CPUs the prepare and workload commands are pinned to with taskset,
+        // e.g. "2-5", null to not pin them
+        cpus: null,
+        // NODE_OPTIONS of the prepare and workload commands, e.g.
+        // "--max-old-space-size=8192", null to keep the one of the shell
+        nodeOptions: null,
+    },
+    // Time the culprit of a metric bisect against its parent and revert it on
+    // the bad endpoint before declaring it, see lib/confirmation.js
+    confirmCulprit: true,
+    // Trace and profile the culprit of a metric bisect against its parent,
+    // see lib/explain.js
+    explainCulprit: true,
+    // Replay of recorded reports instead of running git, the builds and tsc,
+    // to dry-run a bisect or a time run, see lib/simulation.js
+    simulation: {
+        // Directory of the reports, relative to the current directory, null
+        // to run the real commands
+        dataset: null,
+        // Standard deviation of the replayed times, relative to them
+        noise: 0,
+        // Seed of the noise, so a simulation can be replayed
+        seed: 1,
+    },
+    // Smallest step of a metric refined by time --adaptive and reported by
+    // analyze, relative to the metric before it
+    minStep: 0.05,
+    time: {
+        workload: { prepare: null },
+        versionOverride: '5.5.0',
+        // Commits of the range (or of commitsFile) to time, see lib/commit-list.js
+        range: null,
+        stride: 1,
+        // Refine the steps of the metric after the first pass, see lib/adaptive-sampling.js
+        adaptive: false,
+        // Minutes after which no commit is started, null for no limit
+        budgetMinutes: null,
+    },
+    // Sections of the bisect predicates other than metric, see lib/predicates.js
+    install: {
+        good: '15f67e0b482faf9f6a3ab9965f3c11196bf3e99b',
+        bad: 'v5.6.2',
+        // The install fails on the good ref and is fixed since then
+        find: 'first-fixed',
+        out: 'ts-bisector/install-logs',
+    },
+    'tsc-errors': {
+        out: 'ts-bisector/tsc-errors-logs',
+    },
+    script: {
+        // Command run in the dd repo on each commit, as with git bisect run
+        script: null,
+        out: 'ts-bisector/script-logs',
+    },
+    analyze: {
+        // Metrics searched for changes, see lib/change-points.js
+        metrics: [
+            'Build time',
+            'Check time',
+            'transformTime time',
+            'Build time - transformTime time',
+        ],
+    },
+    cache: {
+        maxAgeDays: 30,
+    },
+};
+
+// Output files, in the out directory
+const TIME_STATE_FILE_NAME = 'time-state.json';
+const RANGE_SUMMARY_FILE_NAME = 'summary-commits-to-time.txt';
+const ANALYSIS_FILE_NAME = 'analysis.json';
 
 /**
- * Executes a command and returns its output
- * @param {string} command - Command to execute
- * @param {string} cwd - Working directory
- * @returns {string} Command output
+ * Times the commits of the configured range, or of the commits file, see
+ * lib/commit-list.js. With config.adaptive, the largest steps of the metric
+ * are then refined until they are pinned to adjacent commits, see
+ * lib/adaptive-sampling.js. No commit is started after config.budgetMinutes.
+ * The run is saved in the time state file after every commit, and resumed
+ * from it unless config.restart is set: commits with a valid result are not
+ * measured again. Measurements of a completed run with the same settings are
+ * kept too, so the range can be extended.
+ * @param {object} config - Bisector config
  */
-function runCommand(command, cwd) {
-    try {
-        logWithTime(`Running: ${command} (in ${cwd})`);
-        const startTime = Date.now();
-        const result = execSync(command, {
-            cwd,
-            stdio: ['pipe', 'pipe', 'pipe'],
-            encoding: 'utf-8',
-        })
-            .toString()
-            .trim();
-        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-        logWithTime(`Command completed in ${duration}s`);
-        return result;
-    } catch (error) {
-        console.error(`${getTimestamp()} Error executing command: ${command}`);
-        console.error(error.message);
-        return error.message;
+async function timeTSCommitRange(config) {
+    const rangeSummaryFile = path.join(config.out, RANGE_SUMMARY_FILE_NAME);
+    const statePath = path.join(config.out, TIME_STATE_FILE_NAME);
+    if (!fs.existsSync(config.out)) {
+        fs.mkdirSync(config.out, { recursive: true });
     }
-}
-
-/**
- * Build TypeScript and create a tarball
- * @returns {string} Path to the created TypeScript tarball
- */
-function buildTypeScriptTarball(version = undefined) {
-    logWithTime('Building TypeScript tarball...');
-
-    const tsPackageJson = JSON.parse(
-        fs.readFileSync(path.join(TS_REPO_PATH, 'package.json')),
+    recoverInterruptedRuns(config);
+    const {
+        commits: commitsToTime,
+        candidates,
+        source,
+    } = getCommitsToTime(config);
+    logWithTime(`Timing ${commitsToTime.length} commits of ${source}`);
+
+    const { state, resumed } = loadRunState(
+        statePath,
+        'time',
+        {
+            metric: config.metric,
+            workload: config.workload,
+            packageManager: config.packageManager,
+            versionOverride: config.versionOverride || null,
+        },
+        { restart: Boolean(config.restart), keepMeasurements: true },
     );
-
-    let previousVersion;
-    if (version) {
+    checkRunEnvironment(state, getEnvironment(config));
+    // Steps are only significant with a spread on both sides
+    const minSamples = config.adaptive ? MIN_SAMPLES : 1;
+    state.pending = commitsToTime.filter(
+        (commit) =>
+            !getRecordedMeasurement(state, commit, config.metric, minSamples),
+    );
+    saveRunState(statePath, state);
+    const measuredCount = commitsToTime.length - state.pending.length;
+    if (resumed) {
         logWithTime(
-            `-1. Downgrade typescript version from ${tsPackageJson.version} to ${version}`,
-        );
-        previousVersion = tsPackageJson.version;
-        tsPackageJson.version = version;
-        fs.writeFileSync(
-            path.join(TS_REPO_PATH, 'package.json'),
-            JSON.stringify(tsPackageJson, null, 4),
+            `Resuming time run ${state.runId} from ${statePath}: ${measuredCount}/${commitsToTime.length} commits already measured`,
         );
-
-        const splitVersion = version.split('.');
-
-        const corePublicFile = path.join(
-            TS_REPO_PATH,
-            'src/compiler/corePublic.ts',
-        );
-        const corePublicFileContent = fs.readFileSync(corePublicFile, 'utf8');
-        fs.writeFileSync(
-            corePublicFile,
-            corePublicFileContent.replace(
-                /export const versionMajorMinor = ".*";/,
-                `export const versionMajorMinor = "${splitVersion[0]}.${splitVersion[1]}";`,
-            ),
-        );
-
-        const testApiDeclarationFile = path.join(
-            TS_REPO_PATH,
-            'tests/baselines/reference/api/typescript.d.ts',
-        );
-        const testApiDeclarationFileContent = fs.readFileSync(
-            testApiDeclarationFile,
-            'utf8',
-        );
-        fs.writeFileSync(
-            testApiDeclarationFile,
-            testApiDeclarationFileContent.replace(
-                /const versionMajorMinor = ".*";/,
-                `const versionMajorMinor = "${splitVersion[0]}.${splitVersion[1]}";`,
-            ),
+    } else if (measuredCount > 0) {
+        logWithTime(
+            `${measuredCount}/${commitsToTime.length} commits already measured by previous runs, see ${statePath}`,
         );
     }
 
-    // Step 1: Build TypeScript
-    logWithTime('0. Running npm ci...');
-    runCommand('npm ci', TS_REPO_PATH);
-
-    logWithTime('1. Running npx hereby LKG...');
-    runCommand('npx hereby LKG', TS_REPO_PATH);
+    const deadline = config.budgetMinutes
+        ? Date.now() + config.budgetMinutes * 60 * 1000
+        : Infinity;
+    const isOverBudget = () => {
+        if (Date.now() < deadline) {
+            return false;
+        }
+        logWithTime(
+            `Time budget of ${config.budgetMinutes} minutes exhausted, run the same command again to continue`,
+        );
+        return true;
+    };
 
-    logWithTime('2. Running npx hereby clean...');
-    runCommand('npx hereby clean', TS_REPO_PATH);
+    // Measures a commit and records it in the state and the range summary
+    const timeCommit = (commit) => {
+        state.pending = [
+            commit,
+            ...state.pending.filter((pending) => pending !== commit),
+        ];
+        saveRunState(statePath, state);
+        let result = null;
+        try {
+            result = measureTSBuildTime(config, {
+                commit,
+                versionOverride: config.versionOverride,
+                minSamples,
+            });
+            recordMeasurement(state, commit, result.resultPath);
+        } catch (error) {
+            const failure = getSkippedFailure(error);
+            if (!failure) {
+                throw error;
+            }
+            logWithTime(`Skipping ${commit}: ${failure.class}`);
+            recordMeasurement(state, commit, null, undefined, failure);
+        }
+        saveRunState(statePath, state);
 
-    logWithTime('3. Adding Git head to package.json...');
-    runCommand(
-        'node ./scripts/addPackageJsonGitHead.mjs package.json',
-        TS_REPO_PATH,
-    );
+        if (result !== null) {
+            const buildTime = result.buildTime.mean.toFixed(2);
+            const metricValue = result.metric.mean.toFixed(2);
+            logWithTime(`Build time for ${commit}: ${buildTime}s`);
 
-    logWithTime('4. Creating npm package...');
-    runCommand('npm pack', TS_REPO_PATH);
-
-    // Step 5: Find the created tarball using fs.readdirSync instead of glob
-    const files = fs
-        .readdirSync(TS_REPO_PATH)
-        .filter(
-            (file) => file.startsWith('typescript-') && file.endsWith('.tgz'),
-        )
-        // Sort by creation time, newest first
-        .map((file) => {
-            const filePath = path.join(TS_REPO_PATH, file);
-            return {
-                name: file,
-                path: filePath,
-                ctime: fs.statSync(filePath).ctime,
-            };
-        })
-        .sort((a, b) => b.ctime - a.ctime)
-        .map((file) => file.name);
+            if (!fs.existsSync(rangeSummaryFile)) {
+                fs.writeFileSync(
+                    rangeSummaryFile,
+                    'commit,build_time_s,metric,metric_value,package_manager,linker\n',
+                );
+            }
+            fs.appendFileSync(
+                rangeSummaryFile,
+                `${commit},${buildTime},${config.metric},${metricValue},${result.packageManager},${result.linker}\n`,
+            );
+            logWithTime(`Saved to ${rangeSummaryFile}`);
+        }
+    };
 
-    if (files.length === 0) {
-        console.error('Could not find TypeScript tarball after npm pack');
-        process.exit(1);
+    for (const [index, commit] of commitsToTime.entries()) {
+        if (!state.pending.includes(commit)) {
+            logWithTime(
+                `Skipping ${commit} (${index + 1}/${commitsToTime.length}), already measured`,
+            );
+            continue;
+        }
+        if (isOverBudget()) {
+            return;
+        }
+        logWithTime(
+            `Timing commit ${commit} (${index + 1}/${commitsToTime.length})`,
+        );
+        timeCommit(commit);
     }
 
-    // Get the path to the most recently created tarball
-    const originalTarballPath = path.join(TS_REPO_PATH, files[0]);
-
-    // Rename it to a consistent name
-    const renamedTarballPath = path.join(TS_REPO_PATH, 'typescript.tgz');
-
-    // Remove any existing typescript.tgz first
-    try {
-        if (fs.existsSync(renamedTarballPath)) {
-            fs.unlinkSync(renamedTarballPath);
+    if (config.adaptive) {
+        logWithTime('\n=== Refining the largest steps ===');
+        let split;
+        while (
+            (split = pickSplitCommit(findRangeSteps(config, state, candidates)))
+        ) {
+            if (isOverBudget()) {
+                return;
+            }
+            const { step, commit } = split;
+            logWithTime(
+                `Timing ${commit} between ${step.before.substring(0, 8)} and ${step.after.substring(0, 8)} (${formatStep(step.beforeSummary, step.afterSummary, step.pValue)}, ${step.between.length} commits between)`,
+            );
+            timeCommit(commit);
         }
 
-        // Rename the file
-        fs.renameSync(originalTarballPath, renamedTarballPath);
-        logWithTime(`Renamed tarball to: ${renamedTarballPath}`);
-    } catch (error) {
-        console.error(
-            `${getTimestamp()} Error renaming tarball: ${error.message}`,
+        state.steps = findRangeSteps(config, state, candidates).map(
+            ({ between, ...step }) => step,
         );
-        process.exit(1);
+        logWithTime(
+            `${state.steps.length} steps pinned to adjacent commits of ${source}:`,
+        );
+        for (const step of state.steps) {
+            logWithTime(
+                `  ${step.before}..${step.after}: ${formatStep(step.beforeSummary, step.afterSummary, step.pValue)}`,
+            );
+        }
     }
 
-    return {
-        renamedTarballPath,
-        previousVersion,
-    };
+    state.pending = [];
+    state.status = 'done';
+    saveRunState(statePath, state);
 }
 
 /**
- * Measures TypeScript build timing for the current commit
- * @returns {number} Build time in seconds
+ * Finds the significant steps between the measured commits of a time run
+ * @param {object} config - Bisector config
+ * @param {import('./lib/run-state').RunState} state - State of the run
+ * @param {string[]} candidates - Commits that can be timed, oldest first
+ * @returns {import('./lib/adaptive-sampling').Step[]} Steps, largest first
  */
-function measureTSBuildTime({
-    runTypecheckPackages = true,
-    versionOverride = undefined,
-}) {
-    logWithTime('Measuring build time for current TypeScript commit...');
-
-    // Step 1: Build TypeScript and rename tarball to typescript.tgz
-    buildTypeScriptTarball(versionOverride);
-
-    // Step 2: Install in dd repo
-    logWithTime('5. Installing TypeScript in dd repo...');
-    const installResult = runCommand('yarn install', DD_REPO_PATH);
-
-    let selectedVersionOverride;
-    let previousVersion;
-    if (installResult.includes('Command failed') && !versionOverride) {
-        logWithTime('Unable to compile TypeScript, trying to downgrade...');
-        const versionsToTry = ['5.5.0', '5.5.2', '5.6.2'];
-        for (const version of versionsToTry) {
-            runCommand('git restore .', TS_REPO_PATH);
-            logWithTime(`Trying to downgrade to ${version}...`);
-            const { previousVersion: previousVersionOverride } =
-                buildTypeScriptTarball(version);
-            previousVersion = previousVersionOverride;
-
-            const versionInstallResult = runCommand(
-                'yarn install',
-                DD_REPO_PATH,
+function findRangeSteps(config, state, candidates) {
+    const samplesByCommit = new Map();
+    for (const commit of candidates) {
+        const recorded = getRecordedMeasurement(
+            state,
+            commit,
+            config.metric,
+            MIN_SAMPLES,
+        );
+        if (recorded) {
+            samplesByCommit.set(
+                commit,
+                recorded.result && recorded.result.metric.samples,
             );
-            if (!versionInstallResult.includes('Command failed')) {
-                logWithTime(`Successfully downgraded to ${version}`);
-                selectedVersionOverride = version;
-                break;
-            } else {
-                logWithTime(`Failed to downgrade to ${version}`);
-            }
         }
     }
+    return findSteps(candidates, samplesByCommit, {
+        significanceLevel: SIGNIFICANCE_LEVEL,
+        minStep: config.minStep,
+    });
+}
 
-    // Get the TypeScript version
-    logWithTime('Getting TypeScript version...');
-    let tsVersion;
-    if (versionOverride) {
-        tsVersion = `${versionOverride}-override`;
-    } else {
-        const tsVersionOutput = runCommand('yarn tsc -v', DD_REPO_PATH);
-        tsVersion = `${tsVersionOutput
-            .split('\n')
-            .pop()
-            .replace('Version ', '')}${
-            selectedVersionOverride ? `<-${previousVersion}` : ''
-        }`;
-    }
-    logWithTime(`TypeScript version: ${tsVersion}`);
+/**
+ * Formats the metric change of a step
+ * @param {{mean: number}} before - Metric before the step
+ * @param {{mean: number}} after - Metric after the step
+ * @param {number} pValue - p-value of the step
+ * @returns {string} e.g. 340.12 -> 898.79 (+164.3%, p=1.2e-5)
+ */
+function formatStep(before, after, pValue) {
+    const relativeDelta = (after.mean - before.mean) / before.mean;
+    const sign = relativeDelta >= 0 ? '+' : '';
+    return `${before.mean.toFixed(2)} -> ${after.mean.toFixed(2)} (${sign}${(relativeDelta * 100).toFixed(1)}%, p=${pValue.toPrecision(2)})`;
+}
 
-    let typecheckTime = 'skipped';
-    if (runTypecheckPackages) {
-        // Step 3: Run typecheck:packages with timing
-        logWithTime('6. Running typecheck:packages with timing...');
-        const typecheckStartTime = Date.now();
+/**
+ * Reads the JSON results of files and directories, merging the runs of the
+ * results of a same commit and package manager
+ * @param {string[]} resultPaths - JSON result files, or directories containing them
+ * @returns {Map<string, {packageManager: string|null, linker: string|null, runs: object[]}[]>} Results by commit
+ */
+function readResultsByCommit(resultPaths) {
+    const files = resultPaths.flatMap((resultPath) =>
+        fs.statSync(resultPath).isDirectory()
+            ? fs
+                  .readdirSync(resultPath)
+                  .filter((name) => name.endsWith('.json'))
+                  .map((name) => path.join(resultPath, name))
+            : [resultPath],
+    );
 
-        // Run typecheck:packages using direct execSync with a single command
+    const resultsByCommit = new Map();
+    for (const file of files) {
+        let result;
         try {
-            logWithTime('Running: yarn typecheck:packages');
-            const cmdStartTime = Date.now();
-
-            execSync('yarn typecheck:packages', {
-                cwd: DD_REPO_PATH,
-                stdio: ['ignore', 'ignore', 'pipe'],
-                encoding: 'utf-8',
+            result = readResult(file);
+        } catch {
+            continue;
+        }
+        // State files and analyses live next to the results
+        if (typeof result.commit !== 'string' || !Array.isArray(result.runs)) {
+            continue;
+        }
+        const results = resultsByCommit.get(result.commit) || [];
+        const sameSetup = results.find(
+            (other) =>
+                other.packageManager === result.packageManager &&
+                other.linker === result.linker,
+        );
+        if (sameSetup) {
+            sameSetup.runs.push(...result.runs);
+            sameSetup.environments.push(result.environment || null);
+        } else {
+            results.push({
+                packageManager: result.packageManager,
+                linker: result.linker,
+                runs: [...result.runs],
+                environments: [result.environment || null],
             });
-
-            const cmdDuration = ((Date.now() - cmdStartTime) / 1000).toFixed(2);
-            logWithTime(`Command completed in ${cmdDuration}s`);
-        } catch (error) {
-            console.error(
-                `${getTimestamp()} Error executing typecheck:packages`,
-            );
-            console.error(error.message);
-
-            if (
-                error.message.includes(
-                    "File 'dd/tsconfig.focus.json' not found",
-                )
-            ) {
-                logWithTime(
-                    'Skipping this commit as tsconfig.focus.json is missing',
-                );
-                return null;
-            }
-
-            process.exit(1);
         }
-
-        const typecheckEndTime = Date.now();
-        typecheckTime = (
-            (typecheckEndTime - typecheckStartTime) /
-            1000
-        ).toFixed(2);
-        logWithTime(`typecheck:packages time: ${typecheckTime}s`);
+        resultsByCommit.set(result.commit, results);
     }
+    return resultsByCommit;
+}
 
-    // Step 4: Run tsc with extended diagnostics and capture timing
-    logWithTime('7. Running tsc with extended diagnostics...');
-
-    // Delete tsbuildinfo to ensure a clean build
-    const tsBuildInfoPath = path.join(
-        DD_REPO_PATH,
-        'tsconfig.turbo.tsbuildinfo',
+/**
+ * Finds every significant change of the analyzed metrics over the collected
+ * results, see lib/change-points.js. Commits are ordered with the ts repo,
+ * and results of different package managers or linkers are analyzed as
+ * separate series, since switching them changes the timings too. A series
+ * measured on several machines is analyzed with a warning, see
+ * lib/environment.js. Each change is written to the analysis file with the
+ * bisect command narrowing it.
+ * @param {object} config - Bisector config
+ */
+function analyzeResults(config) {
+    const resultPaths = config.results || [config.out];
+    const resultsByCommit = readResultsByCommit(resultPaths);
+    const commits = sortCommits(config.tsRepoPath, [...resultsByCommit.keys()]);
+    logWithTime(
+        `Analyzing ${commits.length} commits of ${resultPaths.join(', ')}`,
     );
-    try {
-        if (fs.existsSync(tsBuildInfoPath)) {
-            logWithTime(`Deleting ${tsBuildInfoPath} for clean build...`);
-            fs.unlinkSync(tsBuildInfoPath);
+
+    const seriesBySetup = new Map();
+    for (const commit of commits) {
+        for (const {
+            packageManager,
+            linker,
+            runs,
+            environments,
+        } of resultsByCommit.get(commit)) {
+            const setup = `${packageManager || 'unknown'} (${linker || 'unknown'})`;
+            const series = seriesBySetup.get(setup) || [];
+            series.push({ commit, runs, environments });
+            seriesBySetup.set(setup, series);
         }
-    } catch (error) {
-        logWithTime(
-            `Warning: Could not delete ${tsBuildInfoPath}: ${error.message}`,
-        );
     }
 
-    const tscOutput = runCommand(
-        'yarn tsc -b tsconfig.turbo.json --extendedDiagnostics',
-        DD_REPO_PATH,
-    );
-
-    // Step 5: Get the current TS commit hash
-    const commitHash = runCommand('git rev-parse HEAD', TS_REPO_PATH);
+    const analysis = { metrics: config.metrics, series: [] };
+    for (const [setup, series] of seriesBySetup) {
+        logWithTime(`\n=== ${setup}: ${series.length} commits ===`);
+        const machines = new Map();
+        for (const { commit, environments } of series) {
+            for (const environment of environments.filter(Boolean)) {
+                const key = getMachineKey(environment);
+                const machine = machines.get(key) || {
+                    description: describeMachine(environment),
+                    commits: new Set(),
+                };
+                machine.commits.add(commit);
+                machines.set(key, machine);
+            }
+        }
+        if (machines.size > 1) {
+            logWithTime(
+                `Warning: the results were measured on ${machines.size} different machines, their timings may not be comparable:`,
+            );
+            for (const {
+                description,
+                commits: machineCommits,
+            } of machines.values()) {
+                logWithTime(`  ${description}: ${machineCommits.size} commits`);
+            }
+        }
+        const changesByPair = new Map();
+        for (const metric of config.metrics) {
+            const points = series
+                .map(({ commit, runs }) => ({
+                    commit,
+                    samples: runs
+                        .map((run) => evaluateMetric(metric, run))
+                        .filter((value) => value !== null),
+                }))
+                .filter(({ samples }) => samples.length > 0);
+            const changePoints = detectChangePoints(
+                points.map(({ samples }) => samples),
+                {
+                    significanceLevel: SIGNIFICANCE_LEVEL,
+                    minStep: config.minStep,
+                },
+            );
+            for (const changePoint of changePoints) {
+                const before = points[changePoint.index - 1].commit;
+                const after = points[changePoint.index].commit;
+                const key = `${before}..${after}`;
+                const change = changesByPair.get(key) || {
+                    before,
+                    after,
+                    commitsBetween: countCommitsBetween(
+                        config.tsRepoPath,
+                        before,
+                        after,
+                    ),
+                    metrics: [],
+                };
+                change.metrics.push({
+                    metric,
+                    before: changePoint.before,
+                    after: changePoint.after,
+                    delta: changePoint.delta,
+                    relativeDelta: changePoint.relativeDelta,
+                    pValue: changePoint.pValue,
+                });
+                changesByPair.set(key, change);
+            }
+        }
 
-    // Parse the timing from the output (looking for line like "Build time:                            601.60s")
-    const timeMatch = tscOutput.match(/Build time:\s+(\d+\.\d+)s/);
-    const buildTime = timeMatch ? parseFloat(timeMatch[1]) : null;
+        const changes = [...changesByPair.values()].sort(
+            (a, b) =>
+                commits.indexOf(a.before) - commits.indexOf(b.before) ||
+                commits.indexOf(a.after) - commits.indexOf(b.after),
+        );
+        if (changes.length === 0) {
+            logWithTime('No significant change');
+        }
+        for (const [index, change] of changes.entries()) {
+            logWithTime(
+                `Change ${index + 1}: ${change.before}..${change.after} (${change.commitsBetween} commits between)`,
+            );
+            for (const { metric, before, after, pValue } of change.metrics) {
+                logWithTime(
+                    `  ${metric}: ${formatStep(before, after, pValue)}`,
+                );
+            }
 
-    if (!buildTime) {
-        console.error('Could not determine build time from tsc output');
-        console.error('tsc output snippet:');
-        // Print the last few lines of output to help debug
-        const outputLines = tscOutput.split('\n');
-        const lastLines = outputLines.slice(-20); // Last 20 lines
-        console.error(lastLines.join('\n'));
-        process.exit(1);
+            // Bisect on the metric with the largest regression of the
+            // change, or the largest improvement with --find first-fixed
+            const byMagnitude = [...change.metrics].sort(
+                (a, b) => Math.abs(b.relativeDelta) - Math.abs(a.relativeDelta),
+            );
+            const bisected =
+                byMagnitude.find(({ delta }) => delta > 0) || byMagnitude[0];
+            if (change.commitsBetween === 0) {
+                logWithTime('  Pinned to adjacent commits, nothing to bisect');
+            } else if (bisected) {
+                change.bisect = `node bisector.js bisect --good ${change.before} --bad ${change.after} --metric "${bisected.metric}"${bisected.delta > 0 ? '' : ' --find first-fixed'}`;
+                logWithTime(`  Bisect it with: ${change.bisect}`);
+            }
+        }
+        analysis.series.push({
+            setup,
+            commits: series.length,
+            machines: [...machines.values()].map(
+                ({ description, commits: machineCommits }) => ({
+                    description,
+                    commits: machineCommits.size,
+                }),
+            ),
+            changes,
+        });
     }
 
-    // Step 6: Create a unique filename with tsVersion
-    const shortHash = commitHash.substring(0, 8);
-    const fileName = `${tsVersion}-${shortHash}.txt`;
-    const filePath = path.join(TIMINGS_DIR, fileName);
-
-    // Ensure timings directory exists
-    if (!fs.existsSync(TIMINGS_DIR)) {
-        fs.mkdirSync(TIMINGS_DIR, { recursive: true });
+    if (!fs.existsSync(config.out)) {
+        fs.mkdirSync(config.out, { recursive: true });
     }
-
-    // Write timing details to a new file (including the full tsc output for reference)
-    const fullDetails = `Commit: ${commitHash}\nTypeScript Version: ${tsVersion}\nBuild Time: ${buildTime}s\ntypecheck:packages Time: ${typecheckTime}s\n\n--- TSC Output ---\n${tscOutput}`;
-    fs.writeFileSync(filePath, fullDetails);
-
-    // Also append a summary entry to the summary file
-    const summaryEntry = `${getTimestamp()},${commitHash},${tsVersion},${typecheckTime},${buildTime}`;
-    fs.appendFileSync(SUMMARY_FILE, `${summaryEntry}\n`);
-
-    logWithTime(`Build time: ${buildTime}s for commit ${commitHash}`);
-    logWithTime(`typecheck:packages time: ${typecheckTime}s`);
-    logWithTime(`TypeScript version: ${tsVersion}`);
-    logWithTime(`Details saved to: ${filePath}`);
-
-    return buildTime;
+    const analysisPath = path.join(config.out, ANALYSIS_FILE_NAME);
+    fs.writeFileSync(analysisPath, JSON.stringify(analysis, null, 4));
+    logWithTime(`\nAnalysis saved to: ${analysisPath}`);
 }
 
 /**
- * Decides if the current version is good or bad based on timing comparison
- * @param {number} currentTiming - Current build timing in seconds
- * @returns {string} 'good' or 'bad'
+ * Writes the JSON result of text reports, for reports written before JSON
+ * results existed or cleaned by hand
+ * @param {string[]} reportPaths - Text report paths
  */
-function determineIfGoodOrBad(currentTiming) {
-    if (currentTiming === null) {
-        // Skip this commit as dd/tsconfig.focus.json is not resolvable
-        return 'skip';
-    }
-
-    // Calculate midpoint timing and distance from current timing to good/bad
-    const midpointTiming = (GOOD_VERSION_TIMING + BAD_VERSION_TIMING) / 2;
-
-    if (currentTiming <= midpointTiming) {
-        logWithTime(
-            `Current timing (${currentTiming}s) is closer to good version timing (${GOOD_VERSION_TIMING}s)`,
-        );
-        return 'good';
-    } else {
+function parseReports(reportPaths) {
+    for (const reportPath of reportPaths) {
+        const result = parseReport(fs.readFileSync(reportPath, 'utf8'));
+        const resultPath = writeResult(reportPath, result);
+        // Read it back so the parse command checks what downstream tooling sees
+        const { commit, buildTime } = readResult(resultPath);
         logWithTime(
-            `Current timing (${currentTiming}s) is closer to bad version timing (${BAD_VERSION_TIMING}s)`,
+            `${reportPath}: commit ${commit}, build time ${buildTime.mean.toFixed(2)}s -> ${resultPath}`,
         );
-        return 'bad';
     }
 }
 
 /**
- * Runs the TypeScript bisection process
+ * Lists, verifies or prunes the tarball cache
+ * @param {object} config - Bisector config
+ * @param {string} action - list, verify or prune
  */
-async function bisectTypeScript() {
-    // Prepare timings directory and summary file
-    if (!fs.existsSync(TIMINGS_DIR)) {
-        fs.mkdirSync(TIMINGS_DIR, { recursive: true });
+function manageTarballCache(config, action) {
+    if (!config.cacheDir) {
+        throw new Error('cacheDir is not set');
     }
 
-    // Ensure we're in the TypeScript repo for bisection
-    process.chdir(TS_REPO_PATH);
-
-    // Check if a bisect is already in progress
-    logWithTime('Checking if a bisection is in progress...');
-    let bisectInProgress = false;
-
-    try {
-        const logOutput = runCommand('git bisect log', TS_REPO_PATH);
-
-        // If we get output and it has a bisect start, a bisection has been initiated
-        if (logOutput) {
-            bisectInProgress = true;
-
-            // Display the log to show the current state
-            logWithTime('Current bisection state:');
-            logWithTime(logOutput);
-        } else {
-            logWithTime('No bisection in progress.');
+    if (action === 'list') {
+        const entries = listCache(config.cacheDir);
+        for (const entry of entries) {
+            logWithTime(
+                `${entry.key}  ${(entry.size / 1024 / 1024).toFixed(1)} MB  ${entry.createdAt}`,
+            );
         }
-    } catch (error) {
-        // If log command fails, no bisect is in progress
-        logWithTime('No bisection in progress.');
-    }
-
-    // Handle summary file
-    const summaryFileExists = fs.existsSync(SUMMARY_FILE);
-
-    // Create summary file if it doesn't exist
-    if (!summaryFileExists) {
-        fs.writeFileSync(
-            SUMMARY_FILE,
-            'timestamp,commit,ts_version,typecheck_packages_time_s,build_time_s\n',
+        logWithTime(`${entries.length} entries in ${config.cacheDir}`);
+    } else if (action === 'verify') {
+        const results = verifyCache(config.cacheDir);
+        const corrupt = results.filter(({ problem }) => problem !== null);
+        for (const { entry, problem } of corrupt) {
+            logWithTime(`${entry.key}: ${problem}`);
+        }
+        logWithTime(
+            `${results.length - corrupt.length}/${results.length} entries are valid`,
         );
-        logWithTime(`Created new summary file at ${SUMMARY_FILE}`);
-    } else if (bisectInProgress) {
-        logWithTime(`Continuing with existing summary file at ${SUMMARY_FILE}`);
-    } else {
-        // Reset summary file when starting a new bisection
-        fs.writeFileSync(
-            SUMMARY_FILE,
-            'timestamp,commit,ts_version,typecheck_packages_time_s,build_time_s\n',
+        if (corrupt.length > 0) {
+            logWithTime('Run cache prune to remove the corrupt entries');
+            process.exitCode = 1;
+        }
+    } else if (action === 'prune') {
+        const removed = pruneCache(config.cacheDir, config.maxAgeDays);
+        for (const name of removed) {
+            logWithTime(`Removed ${name}`);
+        }
+        logWithTime(
+            `Removed ${removed.length} corrupt entries or entries older than ${config.maxAgeDays} days`,
         );
-        logWithTime(`Reset summary file at ${SUMMARY_FILE}`);
+    } else {
+        throw new Error(`Unknown cache action: ${action}`);
     }
+}
 
-    // Start bisection if not already in progress
-    if (!bisectInProgress) {
-        logWithTime('\n=== Starting new TypeScript bisection with git ===');
-        runCommand('git bisect start', TS_REPO_PATH);
-        runCommand('git bisect good v5.5.4', TS_REPO_PATH);
-        runCommand('git bisect bad v5.8.2', TS_REPO_PATH);
+/**
+ * Returns the culprit of the last bisect of the output directory
+ * @param {object} config - Bisector config
+ * @returns {string} Culprit commit
+ * @throws {Error} When no bisect of the output directory named a culprit
+ */
+function getLastCulprit(config) {
+    const statePath = path.join(config.out, BISECT_STATE_FILE_NAME);
+    if (!fs.existsSync(statePath)) {
+        throw new Error(
+            `No bisect state in ${config.out}, pass the commit to explain`,
+        );
     }
-
-    let bisectComplete = false;
-
-    // Continue bisection until complete
-    while (!bisectComplete) {
-        // Measure current commit
-        const currentTiming = measureTSBuildTime({
-            runTypecheckPackages: true,
-        });
-
-        // Determine if current commit is good or bad
-        const verdict = determineIfGoodOrBad(currentTiming);
-
-        // Reset changes in ts repo before marking the commit as good or bad
-        runCommand('git restore .', TS_REPO_PATH);
-
-        // Mark the commit as good or bad
-        logWithTime(`\nMarking current commit as ${verdict}...`);
-        const result = runCommand(`git bisect ${verdict}`, TS_REPO_PATH);
-        logWithTime(result);
-
-        // Check if bisection is complete
-        if (result.includes('is the first bad commit')) {
-            logWithTime('\n=== Bisection Complete ===');
-            bisectComplete = true;
-
-            // Extract culprit commit hash
-            const commitHashMatch = result.match(
-                /^([a-f0-9]{40}) is the first bad commit/,
-            );
-            const culpritCommit = commitHashMatch
-                ? commitHashMatch[1]
-                : 'unknown';
-
-            // Capture the full bisect log before resetting
-            logWithTime('Saving bisect log for future replay...');
-            try {
-                const bisectLog = runCommand('git bisect log', TS_REPO_PATH);
-
-                // Ensure the directory exists
-                const replayDir = path.dirname(BISECT_REPLAY_PATH);
-                if (!fs.existsSync(replayDir)) {
-                    fs.mkdirSync(replayDir, { recursive: true });
-                }
-
-                // Write the bisect log
-                fs.writeFileSync(BISECT_REPLAY_PATH, bisectLog);
-                logWithTime(`Bisect log saved to: ${BISECT_REPLAY_PATH}`);
-            } catch (error) {
-                logWithTime(
-                    `Warning: Could not save bisect log: ${error.message}`,
-                );
-            }
-
-            // Add final entry to summary file
-            fs.appendFileSync(
-                SUMMARY_FILE,
-                `\nCulprit commit: ${culpritCommit}\n`,
-            );
-
-            logWithTime(
-                '\nThe bisection process has identified the culprit commit.',
-            );
-            logWithTime(`See ${SUMMARY_FILE} for all timing data.`);
-
-            // Reset bisect when done
-            runCommand('git bisect reset', TS_REPO_PATH);
-        }
-        // Check if we've hit a merge base or any other special case
-        else if (result.includes('a merge base must be tested')) {
-            logWithTime('\n=== Bisection Needs More Information ===');
-            logWithTime('Skipping problematic commit...');
-            const skipResult = runCommand('git bisect skip', TS_REPO_PATH);
-            logWithTime(skipResult);
-        }
+    const { culprit } = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    if (!culprit || culprit === 'unknown') {
+        throw new Error(
+            `The bisect of ${statePath} named no culprit, pass the commit to explain`,
+        );
     }
+    return culprit;
 }
 
-const COMMITS_JSON_PATH = path.join(
-    DD_REPO_PATH,
-    'ts-bisector/commits-to-time.json',
-);
-const SUMMARY_FILE_PATH = path.join(TIMINGS_DIR, 'summary-commits-to-time.txt');
-const COMMIT_SKIP_SIZE = 1;
-
-async function timeTSCommitRange() {
-    const commits = JSON.parse(
-        fs.readFileSync(COMMITS_JSON_PATH, 'utf8'),
-    ).reverse();
-    let i = 0;
-    while (i < commits.length) {
-        const commitHash = commits[i];
-        logWithTime(`Timing commit ${commitHash} (${i + 1}/${commits.length})`);
-        runCommand('git restore .', TS_REPO_PATH);
-        runCommand(`git checkout ${commitHash}`, TS_REPO_PATH);
-        const buildTime = measureTSBuildTime({
-            runTypecheckPackages: false,
-            versionOverride: '5.5.0',
-        });
-
-        if (buildTime !== null) {
-            logWithTime(`Build time for ${commitHash}: ${buildTime}s`);
-
-            if (!fs.existsSync(SUMMARY_FILE_PATH)) {
-                fs.writeFileSync(SUMMARY_FILE_PATH, 'commit,build_time_s\n');
-            }
-            fs.appendFileSync(
-                SUMMARY_FILE_PATH,
-                `${commitHash},${buildTime}\n`,
-            );
-            logWithTime(`Saved to ${SUMMARY_FILE_PATH}`);
-        }
-
-        if (i !== commits.length - 1) {
-            i = Math.min(i + COMMIT_SKIP_SIZE, commits.length - 1);
-        } else {
-            i = commits.length;
-        }
+/**
+ * Explains the culprit of a bisect. A failed explanation is only logged, the
+ * bisect result stands without it.
+ * @param {object} config - Bisector config
+ * @param {string} culprit - Culprit commit
+ */
+function explainCulprit(config, culprit) {
+    try {
+        explainCommit(config, culprit);
+    } catch (err) {
+        console.error(
+            `${getTimestamp()} Error explaining ${culprit}, run explain again once fixed:`,
+            err,
+        );
     }
 }
 
 // Parse command line arguments to determine which function to run
 function showUsage() {
     console.log(`
-Usage: node bisector.js <command>
+Usage: node bisector.js <command> [options]
 
 Commands:
-  bisect      Run TypeScript bisection to find regression
-  time        Time a range of TypeScript commits
+  bisect      Find the first broken (or fixed) TypeScript commit: bisect [metric|install|tsc-errors|script]
+  time        Time a range of TypeScript commits: time [<from>..<to>]
+  analyze     List every significant change of the results: analyze [<result.json|dir>...]
+  explain     Trace a commit against its parent, the culprit of the last bisect by default: explain [<commit>]
+  parse       Write the JSON result of text reports: parse <report.txt...>
+  cache       Manage the tarball cache: cache list|verify|prune
   help        Show this help message
 
+${CONFIG_USAGE}
+
 Examples:
   TS_REPO_PATH=~/dev/typescript DD_REPO_PATH=~/dev/dd node bisector.js bisect
   TS_REPO_PATH=~/dev/typescript DD_REPO_PATH=~/dev/dd node bisector.js time
+  node bisector.js bisect --good v5.5.4 --bad v5.6.2 --out ./timings
+  node bisector.js bisect install --good 15f67e0b --bad v5.6.2
+  node bisector.js bisect --good v5.6.2 --bad v5.7.2 --find first-fixed
+  node bisector.js bisect script --script "./check.sh" --good v5.5.4 --bad v5.6.2
+  node bisector.js time v5.5.4..v5.6.2 --first-parent --path src/compiler --stride 5
+  node bisector.js time v5.5.4..v5.6.2 --stride 50 --adaptive --budget 600
+  node bisector.js explain 1f3830018b1631e0ad8fad02bae1605232ca97a9
+  node bisector.js bisect --simulate cleaned-timings --good 5a413447 --bad 52eaa7b0
 `);
 }
 
 // Get the command from arguments
 const command = process.argv[2];
 
+/**
+ * Loads the config for the command, exiting with the usage on invalid config
+ * @param {string[]} [args] - CLI arguments to parse
+ * @param {string} [section] - Config section to apply, the command by default
+ * @returns {object} Bisector config
+ */
+function loadCommandConfig(args = process.argv.slice(3), section = command) {
+    try {
+        const config = loadConfig(section, DEFAULT_CONFIG, args);
+        if (config.simulation.dataset) {
+            const executor = createSimulationExecutor(config);
+            setExecutor(executor);
+            logWithTime(
+                `Running the ${executor.name}, with scratch repos in ${path.dirname(config.tsRepoPath)}`,
+            );
+        }
+        return config;
+    } catch (error) {
+        showUsage();
+        console.error(`Invalid configuration: ${error.message}`);
+        process.exit(1);
+    }
+}
+
 // Run the appropriate function based on the command
 if (command === 'bisect') {
-    bisectTypeScript().catch((err) => {
-        console.error(`${getTimestamp()} Error during bisection:`, err);
-        // Make sure to reset bisect even if there's an error
-        try {
-            runCommand('git bisect reset', TS_REPO_PATH);
-        } catch (resetErr) {
-            console.error(`${getTimestamp()} Error resetting bisect:`, resetErr);
+    // The predicate is optional, metric by default
+    const hasPredicate =
+        process.argv[3] !== undefined && !process.argv[3].startsWith('-');
+    const predicateName = hasPredicate ? process.argv[3] : 'metric';
+    if (!PREDICATE_NAMES.includes(predicateName)) {
+        showUsage();
+        console.error(`Unknown bisect predicate: ${predicateName}`);
+        process.exit(1);
+    }
+    // The metric bisect reads the bisect section, the others their own section
+    const config = loadCommandConfig(
+        process.argv.slice(hasPredicate ? 4 : 3),
+        predicateName === 'metric' ? 'bisect' : predicateName,
+    );
+    let predicate;
+    try {
+        if (predicateName === 'script' && config.simulation.dataset) {
+            throw new Error(
+                'the script of bisect script can not be replayed by a simulation',
+            );
         }
+        predicate = createPredicate(predicateName, config);
+    } catch (error) {
+        showUsage();
+        console.error(`Invalid configuration: ${error.message}`);
         process.exit(1);
-    });
+    }
+    runBisect(config, predicate)
+        .then((state) => {
+            if (
+                predicateName === 'metric' &&
+                config.explainCulprit &&
+                state.culprit &&
+                state.culprit !== 'unknown'
+            ) {
+                explainCulprit(config, state.culprit);
+            }
+        })
+        .catch((err) => {
+            console.error(`${getTimestamp()} Error during bisection:`, err);
+            // Make sure to reset bisect even if there's an error
+            try {
+                runCommand('git bisect reset', config.tsRepoPath);
+            } catch (resetErr) {
+                console.error(
+                    `${getTimestamp()} Error resetting bisect:`,
+                    resetErr,
+                );
+            }
+            process.exit(1);
+        });
+} else if (command === 'cache') {
+    const config = loadCommandConfig(process.argv.slice(4));
+    try {
+        manageTarballCache(config, process.argv[3]);
+    } catch (err) {
+        console.error(`${getTimestamp()} Error managing cache:`, err.message);
+        process.exit(1);
+    }
+} else if (command === 'analyze') {
+    const config = loadCommandConfig();
+    try {
+        analyzeResults(config);
+    } catch (err) {
+        console.error(
+            `${getTimestamp()} Error analyzing results:`,
+            err.message,
+        );
+        process.exit(1);
+    }
+} else if (command === 'explain') {
+    const config = loadCommandConfig();
+    try {
+        explainCommit(config, config.explainRef || getLastCulprit(config));
+    } catch (err) {
+        console.error(`${getTimestamp()} Error explaining commit:`, err);
+        process.exit(1);
+    }
+} else if (command === 'parse') {
+    parseReports(process.argv.slice(3));
 } else if (command === 'time') {
-    timeTSCommitRange().catch((err) => {
+    const config = loadCommandConfig();
+    timeTSCommitRange(config).catch((err) => {
         console.error(`${getTimestamp()} Error during commit timing:`, err);
         process.exit(1);
     });
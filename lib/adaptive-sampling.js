@@ -0,0 +1,101 @@
+// Adaptive sampling of the time command: after a coarse pass over a commit
+// list, the commits between the two adjacent measured commits with the
+// largest step of the metric are timed, one split at a time, until every step
+// is pinned to adjacent commits.
+//
+// A step is the difference between two consecutive measured commits of the
+// candidates, kept if Welch's t-test finds it significant and it is at least
+// minStep of the metric before it, so noise on a plateau is not chased. A
+// commit with a single sample has no spread to test against, so no step is
+// kept next to it.
+// Commits that could not be measured are never picked again, so a step can
+// also end up pinned to commits surrounding unmeasurable ones.
+
+const { summarize, welchTTest } = require('./stats');
+
+/**
+ * @typedef {object} Step
+ * @property {string} before - Last measured commit before the step
+ * @property {string} after - First measured commit after the step
+ * @property {{n: number, mean: number, stddev: number}} beforeSummary - Metric of the commit before
+ * @property {{n: number, mean: number, stddev: number}} afterSummary - Metric of the commit after
+ * @property {number} delta - Metric mean after minus before
+ * @property {number} relativeDelta - delta relative to the metric before
+ * @property {number} pValue - Two-sided p-value of Welch's t-test
+ * @property {string[]} between - Candidates between before and after that were not timed yet
+ */
+
+/**
+ * Finds the significant steps between consecutive measured commits
+ * @param {string[]} candidates - Commits that can be timed, oldest first
+ * @param {Map<string, number[]|null>} samplesByCommit - Metric samples of the measured commits, null if they could not be measured
+ * @param {object} options - Step options
+ * @param {number} options.significanceLevel - Maximum p-value of a step
+ * @param {number} options.minStep - Minimum delta of a step, relative to the metric before it
+ * @returns {Step[]} Steps, largest first
+ */
+function findSteps(
+    candidates,
+    samplesByCommit,
+    { significanceLevel, minStep },
+) {
+    const steps = [];
+    let previous = null;
+    let between = [];
+    for (const commit of candidates) {
+        if (!samplesByCommit.has(commit)) {
+            between.push(commit);
+            continue;
+        }
+        const samples = samplesByCommit.get(commit);
+        if (samples === null) {
+            continue;
+        }
+        const current = { commit, summary: summarize(samples) };
+        if (previous && previous.summary.n >= 2 && current.summary.n >= 2) {
+            const delta = current.summary.mean - previous.summary.mean;
+            const relativeDelta = delta / previous.summary.mean;
+            const { pTwoSided } = welchTTest(current.summary, previous.summary);
+            if (
+                pTwoSided < significanceLevel &&
+                Math.abs(relativeDelta) >= minStep
+            ) {
+                steps.push({
+                    before: previous.commit,
+                    after: commit,
+                    beforeSummary: previous.summary,
+                    afterSummary: current.summary,
+                    delta,
+                    relativeDelta,
+                    pValue: pTwoSided,
+                    between,
+                });
+            }
+        }
+        previous = current;
+        between = [];
+    }
+    return steps.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+}
+
+/**
+ * Picks the next commit to time: the middle of the largest step that is not
+ * pinned yet
+ * @param {Step[]} steps - Steps, largest first
+ * @returns {{step: Step, commit: string}|null} Step to split and commit to time, null once every step is pinned
+ */
+function pickSplitCommit(steps) {
+    const step = steps.find((candidate) => candidate.between.length > 0);
+    if (!step) {
+        return null;
+    }
+    return {
+        step,
+        commit: step.between[Math.floor((step.between.length - 1) / 2)],
+    };
+}
+
+module.exports = {
+    findSteps,
+    pickSplitCommit,
+};
@@ -0,0 +1,449 @@
+// Bisect loop shared by every kind of bisect: git bisect runs with
+// --no-checkout on the ts repo, and each commit it asks for is handed to a
+// predicate (see lib/predicates.js) that builds, installs and tests it, and
+// returns its state: broken, working, or skip when it can not tell.
+//
+// git bisect runs with the terms of the predicate (--term-old, --term-new),
+// such as fast and slow, so its log and the reports read naturally. The find
+// mode chooses the direction: first-broken looks for the first broken commit
+// after a working old endpoint, first-fixed for the first working commit
+// after a broken one. The endpoints are tested before starting, so a wrong
+// direction stops the run instead of naming a meaningless culprit.
+//
+// While a commit is tested, the two commits git bisect may ask for next are
+// prebuilt in the background (see lib/prebuild.js). The run is saved in the
+// bisect state file after every step (see lib/run-state.js), so running the
+// same command again replays the verdicts and reuses the verdict of a commit
+// tested before the interruption. Once git bisect names the first new commit,
+// its log is saved for replay and the culprit is appended to the summary
+// file of the predicate. Predicates that can confirm a culprit (see
+// lib/confirmation.js) then test it again, unless config.confirmCulprit is
+// false, and the verdict of the confirmation is appended too. A run
+// interrupted during the confirmation resumes with it.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { logWithTime, runCommand, tryCommand } = require('./command');
+const { checkRunEnvironment, getEnvironment } = require('./environment');
+const { recoverInterruptedRuns } = require('./install');
+const { createPrebuilder } = require('./prebuild');
+const {
+    loadRunState,
+    recordMeasurement,
+    saveRunState,
+} = require('./run-state');
+const {
+    getBisectCommit,
+    getBisectTerms,
+    getNextBisectCommits,
+    isBisectInProgress,
+    resolveCommit,
+} = require('./worktree');
+
+// Output files, in the out directory
+const BISECT_REPLAY_FILE_NAME = 'bisect-replay.log';
+const BISECT_STATE_FILE_NAME = 'bisect-state.json';
+const PREBUILD_LOG_FILE_NAME = 'prebuild.log';
+
+// States of the old and new endpoints in each find mode
+const FIND_MODES = {
+    'first-broken': { old: 'working', new: 'broken' },
+    'first-fixed': { old: 'broken', new: 'working' },
+};
+
+// Printed by git bisect when the culprit can not be told from skipped commits
+const ONLY_SKIPPED_MESSAGE = "There are only 'skip'ped commits left to test";
+
+/**
+ * @typedef {object} BisectRun
+ * @property {import('./run-state').RunState} state - State of the run
+ * @property {string} statePath - State file path
+ * @property {() => void} saveState - Writes the state
+ * @property {object} prebuilder - Prebuilder of the run, see lib/prebuild.js
+ * @property {boolean} bisectInProgress - True when a bisection is continued
+ * @property {object|null} legacyCalibration - Calibration of a state file of the previous format
+ * @property {{old: string, new: string}} terms - git bisect terms of the old and new endpoints
+ */
+
+/**
+ * @typedef {object} Predicate
+ * @property {string} name - Name of the predicate, also the bisect subcommand
+ * @property {{broken: string, working: string}} terms - git bisect terms of each state, e.g. slow and fast
+ * @property {string} description - What each state means, for logs
+ * @property {string} summaryFile - Summary of the tested commits, in the out directory
+ * @property {string} summaryHeader - First line of the summary file
+ * @property {object} settings - Config values the verdicts depend on, besides the endpoints and find mode
+ * @property {boolean} [checksEndpoints] - True when prepare checks the states of the endpoints itself
+ * @property {(run: BisectRun) => Promise<void>} [prepare] - Runs before the first step, e.g. to calibrate
+ * @property {(commit: string, run: BisectRun) => {state: string, resultPath: string|null, failure?: object}} test - Tests a commit: state is 'broken', 'working' or 'skip', resultPath its report, failure what made it skipped (see lib/failures.js)
+ * @property {(culprit: string, run: BisectRun) => Promise<{confirmation: {verdict: string}, lines: string[]}>} [confirm] - Tests the culprit again before it is declared, lines describing the verdict in the summary file
+ */
+
+/**
+ * Returns the git bisect terms of the old and new endpoints
+ * @param {object} config - Bisector config, find is a key of FIND_MODES
+ * @param {Predicate} predicate - Predicate of the run
+ * @returns {{old: string, new: string}} Terms
+ */
+function getTerms(config, predicate) {
+    const states = FIND_MODES[config.find];
+    return {
+        old: predicate.terms[states.old],
+        new: predicate.terms[states.new],
+    };
+}
+
+/**
+ * Tests a commit, reusing the verdict recorded by the run if there is one
+ * @param {Predicate} predicate - Predicate of the run
+ * @param {string} commit - Commit to test
+ * @param {BisectRun} run - Run
+ * @returns {string} Verdict: a term of the predicate, or skip
+ */
+function testCommit(predicate, commit, run) {
+    const { state } = run;
+    const measurement = state.measured[commit];
+    if (measurement && measurement.verdict) {
+        logWithTime(
+            `Reusing the verdict of ${commit} recorded by run ${state.runId}`,
+        );
+        return measurement.verdict;
+    }
+    const result = predicate.test(commit, run);
+    const verdict =
+        result.state === 'skip' ? 'skip' : predicate.terms[result.state];
+    recordMeasurement(
+        state,
+        commit,
+        result.resultPath,
+        verdict,
+        result.failure,
+    );
+    run.saveState();
+    return verdict;
+}
+
+/**
+ * Tests the endpoints, and throws unless the old one has the old term and
+ * the new one the new term. The new endpoint is prebuilt while the old one
+ * is tested.
+ * @param {object} config - Bisector config
+ * @param {Predicate} predicate - Predicate of the run
+ * @param {BisectRun} run - Run
+ * @returns {Promise<void>}
+ */
+async function checkEndpoints(config, predicate, run) {
+    const { state, prebuilder, terms } = run;
+    logWithTime(
+        `\n=== Checking ${config.good} is ${terms.old} and ${config.bad} is ${terms.new} ===`,
+    );
+    prebuilder.start([state.settings.bad]);
+    const endpoints = [
+        { ref: config.good, commit: state.settings.good, term: terms.old },
+        { ref: config.bad, commit: state.settings.bad, term: terms.new },
+    ];
+    for (const { ref, commit, term } of endpoints) {
+        await prebuilder.claim(commit);
+        const verdict = testCommit(predicate, commit, run);
+        logWithTime(`${ref} is ${verdict}`);
+        if (verdict !== term) {
+            throw new Error(
+                `${ref} is ${verdict === 'skip' ? 'skipped' : verdict} instead of ${term}, so the first ${terms.new} commit can not be searched between ${config.good} and ${config.bad}: check the endpoints or --find`,
+            );
+        }
+    }
+}
+
+/**
+ * Starts git bisect on the endpoints of the run, then replays its verdicts
+ * @param {object} config - Bisector config
+ * @param {import('./run-state').RunState} state - State of the run
+ * @param {{old: string, new: string}} terms - Terms of the run
+ */
+function replayBisect(config, state, terms) {
+    if (isBisectInProgress(config.tsRepoPath)) {
+        runCommand('git bisect reset', config.tsRepoPath);
+    }
+    // --no-checkout only moves BISECT_HEAD, commits are built in worktrees
+    runCommand(
+        `git bisect start --no-checkout --term-old=${terms.old} --term-new=${terms.new}`,
+        config.tsRepoPath,
+    );
+    runCommand(
+        `git bisect ${terms.old} ${state.settings.good}`,
+        config.tsRepoPath,
+    );
+    runCommand(
+        `git bisect ${terms.new} ${state.settings.bad}`,
+        config.tsRepoPath,
+    );
+    for (const { commit, verdict } of state.verdicts) {
+        runCommand(`git bisect ${verdict} ${commit}`, config.tsRepoPath);
+    }
+}
+
+/**
+ * Gives a verdict to git bisect
+ * @param {object} config - Bisector config
+ * @param {string} verdict - Term of the run, or skip
+ * @returns {string} Output of git bisect
+ */
+function markCommit(config, verdict) {
+    const { exitCode, output } = tryCommand(
+        `git bisect ${verdict}`,
+        config.tsRepoPath,
+    );
+    logWithTime(output);
+    // git bisect fails once only skipped commits are left
+    if (exitCode !== 0 && !output.includes(ONLY_SKIPPED_MESSAGE)) {
+        throw new Error(`git bisect ${verdict} failed: ${output}`);
+    }
+    return output;
+}
+
+/**
+ * Saves the log of the completed bisection, so it can be replayed with
+ * git bisect replay
+ * @param {object} config - Bisector config
+ */
+function saveBisectLog(config) {
+    const bisectReplayPath = path.join(config.out, BISECT_REPLAY_FILE_NAME);
+    logWithTime('Saving bisect log for future replay...');
+    try {
+        fs.writeFileSync(
+            bisectReplayPath,
+            runCommand('git bisect log', config.tsRepoPath),
+        );
+        logWithTime(`Bisect log saved to: ${bisectReplayPath}`);
+    } catch (error) {
+        logWithTime(`Warning: Could not save bisect log: ${error.message}`);
+    }
+}
+
+/**
+ * Bisects the ts repo between config.good (old) and config.bad (new) with a
+ * predicate, in the direction of config.find. The run is saved in the bisect
+ * state file after every step, and resumed from it unless config.restart is set.
+ * @param {object} config - Bisector config
+ * @param {Predicate} predicate - Predicate testing each commit
+ * @returns {Promise<import('./run-state').RunState>} State of the completed run, culprit holding the first new commit, or culpritCandidates when only skipped commits are left
+ */
+async function runBisect(config, predicate) {
+    const summaryFile = path.join(config.out, predicate.summaryFile);
+    const statePath = path.join(config.out, BISECT_STATE_FILE_NAME);
+
+    // Prepare output directory and summary file
+    if (!fs.existsSync(config.out)) {
+        fs.mkdirSync(config.out, { recursive: true });
+    }
+
+    // Ensure we're in the TypeScript repo for bisection
+    process.chdir(config.tsRepoPath);
+    recoverInterruptedRuns(config);
+    const prebuilder = createPrebuilder(config, {
+        logFile: path.join(config.out, PREBUILD_LOG_FILE_NAME),
+        log: logWithTime,
+    });
+
+    const { state, resumed, legacyCalibration } = loadRunState(
+        statePath,
+        'bisect',
+        {
+            good: resolveCommit(config.tsRepoPath, config.good),
+            bad: resolveCommit(config.tsRepoPath, config.bad),
+            find: config.find,
+            ...predicate.settings,
+        },
+        { restart: Boolean(config.restart) },
+    );
+    const saveState = () => saveRunState(statePath, state);
+    const terms = getTerms(config, predicate);
+    checkRunEnvironment(state, getEnvironment(config));
+
+    // Check if a bisect is already in progress
+    logWithTime('Checking if a bisection is in progress...');
+    let bisectInProgress = isBisectInProgress(config.tsRepoPath);
+    let bisectComplete = Boolean(state.culprit || state.culpritCandidates);
+    if (resumed && bisectComplete) {
+        logWithTime(
+            `Resuming bisect run ${state.runId} from ${statePath}: bisection complete`,
+        );
+        bisectInProgress = true;
+    } else if (resumed) {
+        logWithTime(
+            `Resuming bisect run ${state.runId} from ${statePath}: ${state.verdicts.length} verdicts, ${Object.keys(state.measured).length} commits measured`,
+        );
+        replayBisect(config, state, terms);
+        bisectInProgress = true;
+    } else if (bisectInProgress && config.restart) {
+        logWithTime('Restarting: resetting the bisection in progress');
+        runCommand('git bisect reset', config.tsRepoPath);
+        bisectInProgress = false;
+    } else if (bisectInProgress) {
+        // Started by hand or by a run without state file
+        const inProgressTerms = getBisectTerms(config.tsRepoPath);
+        if (
+            inProgressTerms.old !== terms.old ||
+            inProgressTerms.new !== terms.new
+        ) {
+            throw new Error(
+                `The bisection in progress uses the terms ${inProgressTerms.old} and ${inProgressTerms.new} instead of ${terms.old} and ${terms.new}, it can not be continued`,
+            );
+        }
+        logWithTime('Current bisection state:');
+        logWithTime(runCommand('git bisect log', config.tsRepoPath));
+    } else {
+        logWithTime('No bisection in progress.');
+    }
+
+    // Handle summary file
+    if (!fs.existsSync(summaryFile)) {
+        fs.writeFileSync(summaryFile, predicate.summaryHeader);
+        logWithTime(`Created new summary file at ${summaryFile}`);
+    } else if (bisectInProgress) {
+        logWithTime(`Continuing with existing summary file at ${summaryFile}`);
+    } else {
+        // Reset summary file when starting a new bisection
+        fs.writeFileSync(summaryFile, predicate.summaryHeader);
+        logWithTime(`Reset summary file at ${summaryFile}`);
+    }
+
+    const run = {
+        state,
+        statePath,
+        saveState,
+        prebuilder,
+        bisectInProgress,
+        legacyCalibration,
+        terms,
+    };
+    if (predicate.prepare) {
+        await predicate.prepare(run);
+    }
+    if (!predicate.checksEndpoints && !state.endpointsChecked) {
+        await checkEndpoints(config, predicate, run);
+        state.endpointsChecked = true;
+        saveState();
+    }
+
+    // Start bisection if not already in progress
+    if (!bisectInProgress) {
+        logWithTime(
+            `\n=== Starting new TypeScript bisection for the first ${terms.new} commit (${predicate.description}) ===`,
+        );
+        replayBisect(config, state, terms);
+    }
+
+    // Continue bisection until complete
+    while (!bisectComplete) {
+        const commit = getBisectCommit(config.tsRepoPath);
+        state.pending = [commit];
+        saveState();
+
+        // Build the next candidates of both verdicts while this one is tested
+        await prebuilder.claim(commit);
+        if (prebuilder.enabled && !state.measured[commit]) {
+            const { ifOld, ifNew } = getNextBisectCommits(
+                config.tsRepoPath,
+                commit,
+            );
+            prebuilder.start([ifOld, ifNew]);
+        }
+        const verdict = testCommit(predicate, commit, run);
+
+        // Mark the commit with the term of its state
+        logWithTime(`\nMarking current commit as ${verdict}...`);
+        let result = markCommit(config, verdict);
+        state.verdicts.push({ commit, verdict });
+        saveState();
+
+        // Check if we've hit a merge base or any other special case
+        if (result.includes('a merge base must be tested')) {
+            logWithTime('\n=== Bisection Needs More Information ===');
+            logWithTime('Skipping problematic commit...');
+            const mergeBase = getBisectCommit(config.tsRepoPath);
+            result = markCommit(config, 'skip');
+            state.verdicts.push({ commit: mergeBase, verdict: 'skip' });
+            saveState();
+        }
+
+        // Check if bisection is complete
+        if (result.includes(`is the first ${terms.new} commit`)) {
+            logWithTime('\n=== Bisection Complete ===');
+            bisectComplete = true;
+
+            // Extract culprit commit hash
+            const commitHashMatch = result.match(
+                /^([a-f0-9]{40}) is the first/,
+            );
+            state.culprit = commitHashMatch ? commitHashMatch[1] : 'unknown';
+
+            // Add final entry to summary file
+            fs.appendFileSync(
+                summaryFile,
+                `\nFirst ${terms.new} commit: ${state.culprit}\n`,
+            );
+
+            logWithTime(
+                '\nThe bisection process has identified the culprit commit.',
+            );
+        } else if (result.includes(ONLY_SKIPPED_MESSAGE)) {
+            logWithTime('\n=== Bisection Stopped ===');
+            bisectComplete = true;
+
+            // git bisect lists every commit the culprit can be
+            state.culpritCandidates = result.match(/^[a-f0-9]{40}$/gm) || [];
+            fs.appendFileSync(
+                summaryFile,
+                `\nFirst ${terms.new} commit could be any of: ${state.culpritCandidates.join(' ')}\n`,
+            );
+
+            logWithTime(
+                `\nOnly skipped commits are left, the culprit is one of ${state.culpritCandidates.length} commits.`,
+            );
+        }
+
+        if (bisectComplete) {
+            logWithTime(`See ${summaryFile} for all results.`);
+
+            // Capture the full bisect log before resetting
+            saveBisectLog(config);
+
+            // Reset bisect when done
+            runCommand('git bisect reset', config.tsRepoPath);
+            state.pending = [];
+            saveState();
+        }
+    }
+
+    if (
+        state.culprit &&
+        state.culprit !== 'unknown' &&
+        predicate.confirm &&
+        config.confirmCulprit !== false &&
+        !state.confirmation
+    ) {
+        const { confirmation, lines } = await predicate.confirm(
+            state.culprit,
+            run,
+        );
+        state.confirmation = confirmation;
+        fs.appendFileSync(summaryFile, `${lines.join('\n')}\n`);
+        if (confirmation.verdict !== 'confirmed') {
+            logWithTime(
+                `\nWarning: ${state.culprit} is ${confirmation.verdict}, check the measurements in ${summaryFile} before trusting it.`,
+            );
+        }
+    }
+    state.status = 'done';
+    saveState();
+
+    await prebuilder.stop();
+    return state;
+}
+
+module.exports = {
+    BISECT_STATE_FILE_NAME,
+    FIND_MODES,
+    runBisect,
+};
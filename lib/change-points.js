@@ -0,0 +1,140 @@
+// Change-point detection over the per-commit samples of a metric, to find
+// every step of a range where git bisect assumes a single good -> bad one.
+//
+// Binary segmentation: the split of a segment of commits maximizing Welch's t
+// statistic between the samples before and after it is kept if its p-value,
+// Bonferroni-corrected for the number of splits tried, is below the
+// significance level and the means differ by at least minStep. Both halves
+// are then segmented again. Each change is finally reported against its
+// neighbouring segments, not the whole range.
+// Only splits leaving at least 2 samples on each side are tried: a single
+// sample has no spread, and the t-test would find any difference certain.
+
+const { welchTTest } = require('./stats');
+
+// Samples on each side of a split, for a spread to test it against
+const MIN_SEGMENT_SAMPLES = 2;
+
+/**
+ * @typedef {object} ChangePoint
+ * @property {number} index - Index of the first point after the change
+ * @property {{n: number, mean: number, stddev: number}} before - Samples of the segment before the change
+ * @property {{n: number, mean: number, stddev: number}} after - Samples of the segment after the change
+ * @property {number} delta - Mean after minus mean before
+ * @property {number} relativeDelta - delta relative to the mean before
+ * @property {number} pValue - Two-sided p-value of Welch's t-test between the segments
+ */
+
+/**
+ * Builds cumulative sums of the samples of each point, so the summary of any
+ * segment is computed in constant time
+ * @param {number[][]} points - Samples of each point, in order
+ * @returns {(start: number, end: number) => {n: number, mean: number, stddev: number}} Summary of the points in [start, end)
+ */
+function createSegmentSummarizer(points) {
+    const counts = [0];
+    const sums = [0];
+    const squares = [0];
+    for (const samples of points) {
+        counts.push(counts.at(-1) + samples.length);
+        sums.push(sums.at(-1) + samples.reduce((sum, x) => sum + x, 0));
+        squares.push(
+            squares.at(-1) + samples.reduce((sum, x) => sum + x * x, 0),
+        );
+    }
+    return (start, end) => {
+        const n = counts[end] - counts[start];
+        const sum = sums[end] - sums[start];
+        const mean = sum / n;
+        const variance =
+            n > 1
+                ? Math.max(
+                      0,
+                      (squares[end] - squares[start] - sum * mean) / (n - 1),
+                  )
+                : 0;
+        return { n, mean, stddev: Math.sqrt(variance) };
+    };
+}
+
+/**
+ * Compares the segments on each side of a split
+ * @param {(start: number, end: number) => object} summarizeSegment - Segment summarizer
+ * @param {number} start - First point of the segment before
+ * @param {number} index - First point of the segment after
+ * @param {number} end - End of the segment after, excluded
+ * @returns {ChangePoint & {t: number}} Change at the split, with the absolute t statistic
+ */
+function compareSegments(summarizeSegment, start, index, end) {
+    const before = summarizeSegment(start, index);
+    const after = summarizeSegment(index, end);
+    const delta = after.mean - before.mean;
+    const test = welchTTest(after, before);
+    return {
+        index,
+        before,
+        after,
+        delta,
+        relativeDelta: delta / before.mean,
+        pValue: test.pTwoSided,
+        t: Math.abs(test.t),
+    };
+}
+
+/**
+ * Finds the change points of a series
+ * @param {number[][]} points - Samples of each point (commit), in order
+ * @param {object} options - Detection options
+ * @param {number} options.significanceLevel - Maximum p-value of a change, before correction
+ * @param {number} options.minStep - Minimum change, relative to the mean before it
+ * @returns {ChangePoint[]} Changes, in order
+ */
+function detectChangePoints(points, { significanceLevel, minStep }) {
+    const summarizeSegment = createSegmentSummarizer(points);
+    const indexes = [];
+
+    const segment = (start, end) => {
+        if (end - start < 2) {
+            return;
+        }
+        let best = null;
+        for (let index = start + 1; index < end; index++) {
+            const change = compareSegments(summarizeSegment, start, index, end);
+            if (change.before.n < MIN_SEGMENT_SAMPLES) {
+                continue;
+            }
+            if (change.after.n < MIN_SEGMENT_SAMPLES) {
+                break;
+            }
+            if (!best || change.t > best.t) {
+                best = change;
+            }
+        }
+        const splits = end - start - 1;
+        if (
+            best &&
+            best.pValue * splits < significanceLevel &&
+            Math.abs(best.relativeDelta) >= minStep
+        ) {
+            indexes.push(best.index);
+            segment(start, best.index);
+            segment(best.index, end);
+        }
+    };
+    segment(0, points.length);
+
+    const sorted = indexes.sort((a, b) => a - b);
+    return sorted.map((index, i) => {
+        const { t, ...change } = compareSegments(
+            summarizeSegment,
+            i === 0 ? 0 : sorted[i - 1],
+            index,
+            i === sorted.length - 1 ? points.length : sorted[i + 1],
+        );
+        return change;
+    });
+}
+
+module.exports = {
+    detectChangePoints,
+};
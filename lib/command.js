@@ -0,0 +1,146 @@
+// Commands run in the ts and dd repos, logged with their duration.
+//
+// A command that fails throws an Error holding its exitCode and its output
+// (stdout then stderr), so a failure is never mistaken for the output of a
+// successful command. Steps expecting failures, such as an install under test
+// or tsc reporting errors, use tryCommand to read the exit code and output.
+// A command killed by Ctrl-C or SIGTERM exits the process instead.
+// Steps of a commit run with limits, under the watchdog of lib/watchdog.js:
+// their process tree is killed after its timeout or over its memory limit,
+// and tryCommand returns their peak memory and CPU time.
+// Commands go through the executor of lib/executor.js, which replays a
+// recorded dataset instead of running them in simulation mode.
+
+/* eslint-disable no-console */
+
+const os = require('node:os');
+const { getExecutor } = require('./executor');
+
+// Output kept in memory for each command, yarn and tsc -b can be verbose
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Returns a formatted timestamp for logging
+ * @returns {string} Formatted timestamp [YYYY-MM-DD, HH:MM:SS]
+ */
+function getTimestamp() {
+    const now = new Date();
+    return `[${now.toLocaleString()}]`;
+}
+
+/**
+ * Logs a message with timestamp
+ * @param {string} message - Message to log
+ */
+function logWithTime(message) {
+    console.log(`${getTimestamp()} ${message}`);
+}
+
+/**
+ * Exits when a command was killed by Ctrl-C or SIGTERM. Signal handlers only
+ * run once the synchronous commands return, so without this the run would
+ * go on; the exit handlers of lib/patch-set.js restore the edited files.
+ * @param {Error & {signal?: string}} error - Error thrown by execSync
+ */
+function exitIfInterrupted(error) {
+    if (error.signal === 'SIGINT' || error.signal === 'SIGTERM') {
+        logWithTime(`Interrupted by ${error.signal}`);
+        process.exit(128 + os.constants.signals[error.signal]);
+    }
+}
+
+/**
+ * Executes a command, under the watchdog when it has limits
+ * @param {string} command - Command to execute
+ * @param {string} cwd - Working directory
+ * @param {object} options - Options of runCommand
+ * @returns {{output: string, usage: import('./watchdog').ResourceUsage|null}} Trimmed output and usage, null without limits
+ */
+function execCommand(command, cwd, { env = undefined, limits = undefined }) {
+    logWithTime(`Running: ${command} (in ${cwd})`);
+    const startTime = Date.now();
+    const execOptions = {
+        cwd,
+        env: env && { ...process.env, ...env },
+        stdio: ['pipe', 'pipe', 'pipe'],
+        encoding: 'utf-8',
+        maxBuffer: MAX_OUTPUT_BYTES,
+    };
+    try {
+        const { stdout, usage } = getExecutor().exec(command, {
+            ...execOptions,
+            limits,
+        });
+        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+        logWithTime(`Command completed in ${duration}s`);
+        return { output: stdout.toString().trim(), usage };
+    } catch (error) {
+        exitIfInterrupted(error);
+        console.error(`${getTimestamp()} Error executing command: ${command}`);
+        console.error(error.message);
+        const failure = new Error(
+            `Command failed with exit code ${error.status}: ${command}`,
+        );
+        const killedBy = error.usage ? error.usage.killedBy : null;
+        failure.exitCode = error.status;
+        failure.timedOut = killedBy === 'timeout';
+        failure.memoryExceeded = killedBy === 'memory';
+        failure.usage = error.usage || null;
+        failure.output = [error.stdout, error.stderr]
+            .filter(Boolean)
+            .join('\n')
+            .trim();
+        throw failure;
+    }
+}
+
+/**
+ * Executes a command and returns its output
+ * @param {string} command - Command to execute
+ * @param {string} cwd - Working directory
+ * @param {object} [options] - Command options
+ * @param {object} [options.env] - Variables added to the environment of the command
+ * @param {import('./watchdog').StepLimits} [options.limits] - Limits of the step, runs the command under the watchdog
+ * @returns {string} Trimmed command output
+ * @throws {Error & {exitCode: number|null, output: string, timedOut: boolean, memoryExceeded: boolean, usage: import('./watchdog').ResourceUsage|null}} When the command fails
+ */
+function runCommand(command, cwd, options = {}) {
+    return execCommand(command, cwd, options).output;
+}
+
+/**
+ * Executes a command that is allowed to fail
+ * @param {string} command - Command to execute
+ * @param {string} cwd - Working directory
+ * @param {object} [options] - Options of runCommand
+ * @returns {{exitCode: number|null, output: string, timedOut: boolean, memoryExceeded: boolean, usage: import('./watchdog').ResourceUsage|null}} Exit code, 0 on success, trimmed output, whether a limit killed it and its usage, null without limits
+ */
+function tryCommand(command, cwd, options = {}) {
+    try {
+        return {
+            exitCode: 0,
+            timedOut: false,
+            memoryExceeded: false,
+            ...execCommand(command, cwd, options),
+        };
+    } catch (error) {
+        if (error.output === undefined) {
+            throw error;
+        }
+        return {
+            exitCode: error.exitCode,
+            output: error.output,
+            timedOut: error.timedOut,
+            memoryExceeded: error.memoryExceeded,
+            usage: error.usage,
+        };
+    }
+}
+
+module.exports = {
+    exitIfInterrupted,
+    getTimestamp,
+    logWithTime,
+    runCommand,
+    tryCommand,
+};
@@ -0,0 +1,176 @@
+// Commits timed by the time command, oldest first.
+//
+// The list comes from a git range of the ts repo (range "A..B", resolved
+// with git rev-list, optionally --first-parent and limited to paths such as
+// src/compiler) or, without range, from the JSON commits file (newest first).
+// One commit out of stride is kept, counting from the oldest one so moving
+// the end of the range later keeps the same commits, and the newest commit is
+// always kept. Then the include commits are added and the exclude commits
+// removed. The candidates, every commit of the list but the excluded ones, are
+// the commits adaptive sampling can time between two measured ones.
+
+const fs = require('node:fs');
+const { git, resolveCommit } = require('./worktree');
+
+/**
+ * Splits a range of the time command
+ * @param {string} range - Range, e.g. v5.5.4..v5.6.2
+ * @returns {{from: string, to: string}} Refs of the range
+ */
+function parseRange(range) {
+    const refs = range.split('..');
+    if (
+        refs.length !== 2 ||
+        refs.some((ref) => ref === '' || ref.startsWith('.'))
+    ) {
+        throw new Error(`range must look like <from>..<to>, got ${range}`);
+    }
+    return { from: refs[0], to: refs[1] };
+}
+
+/**
+ * Lists the commits of a range, oldest first
+ * @param {string} tsRepoPath - TypeScript repo path
+ * @param {string} range - Range, e.g. v5.5.4..v5.6.2
+ * @param {object} [options] - rev-list options
+ * @param {boolean} [options.firstParent] - Only follow the first parent of merges
+ * @param {string[]} [options.paths] - Only list the commits changing these paths
+ * @returns {string[]} Full commit hashes
+ */
+function listRangeCommits(
+    tsRepoPath,
+    range,
+    { firstParent = false, paths = [] } = {},
+) {
+    const { from, to } = parseRange(range);
+    const args = ['rev-list', '--reverse'];
+    if (firstParent) {
+        args.push('--first-parent');
+    }
+    args.push(
+        `${resolveCommit(tsRepoPath, from)}..${resolveCommit(tsRepoPath, to)}`,
+        '--',
+        ...paths,
+    );
+    return git(tsRepoPath, args).split('\n').filter(Boolean);
+}
+
+/**
+ * Reads the JSON commits file, oldest first
+ * @param {string} tsRepoPath - TypeScript repo path
+ * @param {string} commitsFile - JSON array of commits, newest first
+ * @returns {string[]} Full commit hashes
+ */
+function readCommitsFile(tsRepoPath, commitsFile) {
+    if (!fs.existsSync(commitsFile)) {
+        throw new Error(`Commits file not found: ${commitsFile}`);
+    }
+    return JSON.parse(fs.readFileSync(commitsFile, 'utf8'))
+        .reverse()
+        .map((commit) => resolveCommit(tsRepoPath, commit));
+}
+
+/**
+ * Keeps one commit out of stride, and the newest one
+ * @param {string[]} commits - Commits, oldest first
+ * @param {number} stride - Distance between two kept commits
+ * @returns {string[]} Kept commits, oldest first
+ */
+function applyStride(commits, stride) {
+    return commits.filter(
+        (commit, index) => index % stride === 0 || index === commits.length - 1,
+    );
+}
+
+/**
+ * Lists the commits to time, from the range of the config or from its
+ * commits file
+ * @param {object} config - Bisector config
+ * @returns {{commits: string[], candidates: string[], source: string}} Full commit hashes to time and candidates, oldest first, and where they come from
+ */
+function getCommitsToTime(config) {
+    const { tsRepoPath } = config;
+    const listed = config.range
+        ? listRangeCommits(tsRepoPath, config.range, {
+              firstParent: config.firstParent,
+              paths: config.paths,
+          })
+        : readCommitsFile(tsRepoPath, config.commitsFile);
+
+    const strided = new Set(applyStride(listed, config.stride || 1));
+    const included = (config.include || []).map((ref) =>
+        resolveCommit(tsRepoPath, ref),
+    );
+    const listedSet = new Set(listed);
+    // Included commits outside of the list are timed first, as baselines
+    const baselines = included.filter((commit) => !listedSet.has(commit));
+    const excluded = new Set(
+        (config.exclude || []).map((ref) => resolveCommit(tsRepoPath, ref)),
+    );
+    const candidates = [...new Set([...baselines, ...listed])].filter(
+        (commit) => !excluded.has(commit),
+    );
+
+    const filters = [
+        config.firstParent && 'first parent',
+        config.paths && config.paths.length > 0 && config.paths.join(' '),
+    ].filter(Boolean);
+    return {
+        commits: candidates.filter(
+            (commit) => strided.has(commit) || included.includes(commit),
+        ),
+        candidates,
+        source: config.range
+            ? `${config.range}${filters.length > 0 ? ` (${filters.join(', ')})` : ''}`
+            : config.commitsFile,
+    };
+}
+
+/**
+ * Sorts commits of the ts repo in topological order, oldest first. Only the
+ * commits since the merge base of the wanted ones are listed, not the whole
+ * history of the repo.
+ * @param {string} tsRepoPath - TypeScript repo path
+ * @param {string[]} commits - Full commit hashes
+ * @returns {string[]} Sorted commits, without duplicates
+ */
+function sortCommits(tsRepoPath, commits) {
+    const wanted = new Set(commits);
+    if (wanted.size === 0) {
+        return [];
+    }
+    // An ancestor of every wanted commit, so the first one when it is wanted
+    const mergeBase = git(tsRepoPath, ['merge-base', '--octopus', ...wanted]);
+    return [
+        mergeBase,
+        ...git(tsRepoPath, [
+            'rev-list',
+            '--topo-order',
+            '--reverse',
+            ...wanted,
+            `^${mergeBase}`,
+        ]).split('\n'),
+    ].filter((commit) => wanted.has(commit));
+}
+
+/**
+ * Counts the commits between two commits of the ts repo
+ * @param {string} tsRepoPath - TypeScript repo path
+ * @param {string} before - Older commit, excluded
+ * @param {string} after - Newer commit, excluded
+ * @returns {number} Commits reachable from after but not from before, after excluded
+ */
+function countCommitsBetween(tsRepoPath, before, after) {
+    return (
+        Number(
+            git(tsRepoPath, ['rev-list', '--count', `${before}..${after}`]),
+        ) - 1
+    );
+}
+
+module.exports = {
+    countCommitsBetween,
+    getCommitsToTime,
+    parseRange,
+    sortCommits,
+};
@@ -0,0 +1,498 @@
+// Chooses the version to write in the TypeScript package so that yarn can
+// apply its builtin compat patch (plugin-compat) to the built tarball.
+//
+// yarn picks the sections of its TypeScript patch whose "semver exclusivity"
+// range matches the version in package.json. Builds of TypeScript main often
+// carry a version whose patch no longer applies, and yarn fails with
+// "Cannot apply hunk #N". The patch is read from the yarn release of the dd
+// repo (yarnPath of .yarnrc.yml), and dry-applied to the lib/ of the built
+// tarball to find a range that applies, before any install. When the release
+// can not be read, only the ranges of COMPAT_PATCH_RANGES are known, and they
+// are tried by installing.
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { getExecutor } = require('./executor');
+
+// Ranges of the TypeScript patch of yarn 4 around 5.6.0-dev (see
+// gen-typescript-patch.js in yarnpkg/berry), with the version written to
+// select each of them
+const COMPAT_PATCH_RANGES = [
+    { range: '>=5.5.0-beta <5.5.2', version: '5.5.0' },
+    { range: '>=5.5.2 <5.6.0-beta', version: '5.5.2' },
+    { range: '>=5.6.0-beta <5.6.1-rc', version: '5.6.0-beta' },
+    { range: '>=5.6.1-rc <5.7.0-beta', version: '5.6.2' },
+];
+const CANNOT_APPLY_HUNK_REGEX = /Cannot apply hunk #(\d+)/;
+// Compressed patches are embedded in the yarn release as base64 literals
+const EMBEDDED_PATCH_REGEX =
+    /brotliDecompressSync\(Buffer\.from\(["']([A-Za-z0-9+/=]+)["'],\s*["']base64["']\)\)/g;
+
+/**
+ * @typedef {object} PatchHunk
+ * @property {number} start - First line of the hunk in the original file, 0-based
+ * @property {string[]} before - Context and removed lines
+ * @property {string[]} after - Context and added lines
+ */
+
+/**
+ * @typedef {object} PatchSection
+ * @property {string} file - Patched file, relative to the package
+ * @property {string|null} range - semver exclusivity of the section, null if it always applies
+ * @property {PatchHunk[]} hunks - Hunks of the section
+ */
+
+/**
+ * @typedef {object} CompatPatch
+ * @property {string} source - Where the patch was read from
+ * @property {PatchSection[]|null} sections - Parsed patch, null if only the ranges are known
+ * @property {{range: string, version: string}[]} ranges - Ranges of the patch, with the version selecting each one
+ */
+
+/**
+ * @typedef {object} CompatPatchResolution
+ * @property {string} source - Where the patch was read from
+ * @property {string} builtVersion - Version of the built package, before any override
+ * @property {string|null} range - Range of the patch yarn applies, null if none
+ * @property {string|null} versionOverride - Version to build with, null to keep the built one
+ * @property {string} reason - Why the range was chosen
+ * @property {{range: string, version: string}[]} candidates - Ranges to try next if yarn still fails
+ */
+
+/**
+ * Parses a semver version, missing minor and patch numbers being 0
+ * @param {string} version - Version, e.g. 5.6.1-rc
+ * @returns {{numbers: number[], prerelease: string[]}} Parsed version
+ */
+function parseVersion(version) {
+    const [main, ...prerelease] = version.split('-');
+    const numbers = main.split('.').map(Number);
+    while (numbers.length < 3) {
+        numbers.push(0);
+    }
+    return {
+        numbers,
+        prerelease: prerelease.length ? prerelease.join('-').split('.') : [],
+    };
+}
+
+/**
+ * Compares two versions, prereleases included, like semver
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareVersions(a, b) {
+    const left = parseVersion(a);
+    const right = parseVersion(b);
+    for (let i = 0; i < 3; i++) {
+        if (left.numbers[i] !== right.numbers[i]) {
+            return left.numbers[i] - right.numbers[i];
+        }
+    }
+    // A release is greater than its prereleases
+    if (!left.prerelease.length || !right.prerelease.length) {
+        return right.prerelease.length - left.prerelease.length;
+    }
+    for (let i = 0; i < left.prerelease.length; i++) {
+        if (i >= right.prerelease.length) {
+            return 1;
+        }
+        const [leftId, rightId] = [left.prerelease[i], right.prerelease[i]];
+        if (leftId === rightId) {
+            continue;
+        }
+        const bothNumeric = /^\d+$/.test(leftId) && /^\d+$/.test(rightId);
+        return bothNumeric
+            ? Number(leftId) - Number(rightId)
+            : leftId < rightId
+              ? -1
+              : 1;
+    }
+    return left.prerelease.length - right.prerelease.length;
+}
+
+/**
+ * Checks if a version is in a range made of comparators (>=5.5.2 <5.6.0-beta),
+ * with prereleases included like yarn does
+ * @param {string} version - Version to check
+ * @param {string} range - Comparators separated by spaces, alternatives by ||
+ * @returns {boolean} True if the version is in the range
+ */
+function satisfies(version, range) {
+    return range.split('||').some((alternative) =>
+        alternative
+            .trim()
+            .split(/\s+/)
+            .filter(Boolean)
+            .every((comparator) => {
+                const [, operator, bound] =
+                    comparator.match(/^([<>]=?|=)?(.+)$/);
+                const comparison = compareVersions(version, bound);
+                switch (operator) {
+                    case '>=':
+                        return comparison >= 0;
+                    case '>':
+                        return comparison > 0;
+                    case '<=':
+                        return comparison <= 0;
+                    case '<':
+                        return comparison < 0;
+                    default:
+                        return comparison === 0;
+                }
+            }),
+    );
+}
+
+/**
+ * Returns the version written to select a range: its lower bound, as a
+ * release when the release is still in the range
+ * @param {string} range - Range of the patch
+ * @returns {string|null} Version, null if the range has no lower bound
+ */
+function getRangeVersion(range) {
+    const lowerBound = range.match(/>=?\s*(\S+)/);
+    if (!lowerBound) {
+        return null;
+    }
+    const release = lowerBound[1].split('-')[0];
+    return satisfies(release, range) ? release : lowerBound[1];
+}
+
+/**
+ * Parses a patch of plugin-compat
+ * @param {string} text - Patch content
+ * @returns {PatchSection[]} Sections, in patch order
+ */
+function parsePatch(text) {
+    const sections = [];
+    let section = null;
+    let hunk = null;
+    for (const line of text.split('\n')) {
+        const diffHeader = line.match(/^diff --git a\/(\S+) b\//);
+        if (diffHeader) {
+            section = { file: diffHeader[1], range: null, hunks: [] };
+            sections.push(section);
+            hunk = null;
+            continue;
+        }
+        if (!section) {
+            continue;
+        }
+        const exclusivity = line.match(/^semver exclusivity (.+)$/);
+        const hunkHeader = line.match(/^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/);
+        if (exclusivity) {
+            section.range = exclusivity[1].trim();
+        } else if (hunkHeader) {
+            hunk = {
+                start: Math.max(Number(hunkHeader[1]) - 1, 0),
+                before: [],
+                after: [],
+            };
+            section.hunks.push(hunk);
+        } else if (hunk && line.startsWith(' ')) {
+            hunk.before.push(line.slice(1));
+            hunk.after.push(line.slice(1));
+        } else if (hunk && line.startsWith('-')) {
+            hunk.before.push(line.slice(1));
+        } else if (hunk && line.startsWith('+')) {
+            hunk.after.push(line.slice(1));
+        }
+    }
+    return sections;
+}
+
+/**
+ * Reads the TypeScript patch embedded in the yarn release of the dd repo
+ * @param {string} ddRepoPath - dd repo path
+ * @returns {{source: string, text: string}|null} Patch, null if the release has none or is not vendored
+ */
+function readYarnReleasePatch(ddRepoPath) {
+    const yarnrcPath = path.join(ddRepoPath, '.yarnrc.yml');
+    const yarnPath =
+        fs.existsSync(yarnrcPath) &&
+        fs
+            .readFileSync(yarnrcPath, 'utf8')
+            .match(/^yarnPath:\s*["']?(.+?)["']?\s*$/m);
+    if (!yarnPath) {
+        return null;
+    }
+    const releasePath = path.resolve(ddRepoPath, yarnPath[1]);
+    if (!fs.existsSync(releasePath)) {
+        return null;
+    }
+
+    const release = fs.readFileSync(releasePath, 'utf8');
+    for (const [, base64] of release.matchAll(EMBEDDED_PATCH_REGEX)) {
+        let text;
+        try {
+            text = zlib
+                .brotliDecompressSync(Buffer.from(base64, 'base64'))
+                .toString();
+        } catch {
+            continue;
+        }
+        if (
+            text.includes('semver exclusivity') &&
+            /lib\/_?tsc\.js/.test(text)
+        ) {
+            return { source: path.relative(ddRepoPath, releasePath), text };
+        }
+    }
+    return null;
+}
+
+/**
+ * Loads the TypeScript compat patch of yarn, from the release of the dd repo
+ * or from the ranges of COMPAT_PATCH_RANGES
+ * @param {string} ddRepoPath - dd repo path
+ * @returns {CompatPatch} Patch
+ */
+function loadCompatPatch(ddRepoPath) {
+    const releasePatch = readYarnReleasePatch(ddRepoPath);
+    if (!releasePatch) {
+        return {
+            source: 'COMPAT_PATCH_RANGES of lib/compat-patch.js',
+            sections: null,
+            ranges: COMPAT_PATCH_RANGES,
+        };
+    }
+
+    const sections = parsePatch(releasePatch.text);
+    const ranges = [
+        ...new Set(sections.map((section) => section.range).filter(Boolean)),
+    ]
+        .map((range) => ({ range, version: getRangeVersion(range) }))
+        .filter((range) => range.version);
+    return { source: releasePatch.source, sections, ranges };
+}
+
+/**
+ * Reads the version of the package in a TypeScript tarball
+ * @param {string} tarballPath - TypeScript tarball
+ * @returns {string} Version of package.json
+ */
+function readTarballVersion(tarballPath) {
+    const packageJson = getExecutor().execFile(
+        'tar',
+        ['-xzOf', tarballPath, 'package/package.json'],
+        { encoding: 'utf-8', maxBuffer: 16 * 1024 * 1024 },
+    );
+    return JSON.parse(packageJson).version;
+}
+
+/**
+ * Finds the lines of a hunk in a file, as close as possible to its position
+ * @param {string[]} lines - File lines
+ * @param {PatchHunk} hunk - Hunk to find
+ * @param {number} expected - Expected position
+ * @returns {number} Position of the hunk, -1 if it is not in the file
+ */
+function findHunk(lines, hunk, expected) {
+    const matchesAt = (position) =>
+        hunk.before.every(
+            (line, index) =>
+                lines[position + index] !== undefined &&
+                lines[position + index].trimEnd() === line.trimEnd(),
+        );
+    const last = lines.length - hunk.before.length;
+    for (
+        let offset = 0;
+        offset <= Math.max(expected, last - expected);
+        offset++
+    ) {
+        for (const position of [expected - offset, expected + offset]) {
+            if (position >= 0 && position <= last && matchesAt(position)) {
+                return position;
+            }
+        }
+    }
+    return -1;
+}
+
+/**
+ * Applies the sections of the patch matching a version to an extracted
+ * package, in memory, like yarn would
+ * @param {PatchSection[]} sections - Parsed patch
+ * @param {string} version - Version written in the package
+ * @param {string} packageDir - Extracted package
+ * @returns {{applies: boolean, range: string|null, failure: string|null}} Outcome, range of the applied sections
+ */
+function dryApplyPatch(sections, version, packageDir) {
+    const matching = sections.filter(
+        (section) => !section.range || satisfies(version, section.range),
+    );
+    const range =
+        matching.map((section) => section.range).find(Boolean) || null;
+
+    // Hunks are numbered over the whole patch, like in the errors of yarn
+    let hunkNumber = 0;
+    const files = new Map();
+    for (const section of matching) {
+        const filePath = path.join(packageDir, section.file);
+        if (!files.has(filePath)) {
+            if (!fs.existsSync(filePath)) {
+                return {
+                    applies: false,
+                    range,
+                    failure: `${section.file} is not in the package`,
+                };
+            }
+            files.set(filePath, {
+                lines: fs.readFileSync(filePath, 'utf8').split('\n'),
+                shift: 0,
+            });
+        }
+        const file = files.get(filePath);
+        for (const hunk of section.hunks) {
+            hunkNumber++;
+            const position = findHunk(
+                file.lines,
+                hunk,
+                hunk.start + file.shift,
+            );
+            if (position === -1) {
+                return {
+                    applies: false,
+                    range,
+                    failure: `Cannot apply hunk #${hunkNumber} (${section.file})`,
+                };
+            }
+            file.lines.splice(position, hunk.before.length, ...hunk.after);
+            file.shift =
+                position - hunk.start + hunk.after.length - hunk.before.length;
+        }
+    }
+    return { applies: true, range, failure: null };
+}
+
+/**
+ * Orders the ranges to try for a built version: the closest older ranges
+ * first, then the newer ones
+ * @param {{range: string, version: string}[]} ranges - Ranges of the patch
+ * @param {string} builtVersion - Version of the built package
+ * @returns {{range: string, version: string}[]} Ordered ranges
+ */
+function orderCandidates(ranges, builtVersion) {
+    const older = ranges
+        .filter(({ version }) => compareVersions(version, builtVersion) <= 0)
+        .sort((a, b) => compareVersions(b.version, a.version));
+    const newer = ranges
+        .filter(({ version }) => compareVersions(version, builtVersion) > 0)
+        .sort((a, b) => compareVersions(a.version, b.version));
+    return [...older, ...newer];
+}
+
+/**
+ * Chooses the version to build a tarball with so that yarn applies its
+ * compat patch. With the patch of the yarn release, each range is dry-applied
+ * to the lib/ of the tarball; otherwise the range of the built version is
+ * kept and the others are returned as candidates to install.
+ * An override only changes version strings in lib/, so the candidates can be
+ * dry-applied to a tarball built with one, given the version it replaced.
+ * @param {CompatPatch} patch - Compat patch of the dd repo
+ * @param {string} tarballPath - TypeScript tarball
+ * @param {string} [builtVersion] - Version of the package before the override the tarball was built with, read from the tarball by default
+ * @returns {CompatPatchResolution} Resolution
+ */
+function resolveCompatPatch(
+    patch,
+    tarballPath,
+    builtVersion = readTarballVersion(tarballPath),
+) {
+    const builtRange =
+        patch.ranges.find(({ range }) => satisfies(builtVersion, range)) ||
+        null;
+    const others = orderCandidates(
+        patch.ranges.filter((candidate) => candidate !== builtRange),
+        builtVersion,
+    );
+
+    if (!patch.sections) {
+        return {
+            source: patch.source,
+            builtVersion,
+            range: builtRange && builtRange.range,
+            versionOverride: null,
+            reason: `${builtVersion} is built as is, the patch can not be dry-applied without the yarn release`,
+            candidates: others,
+        };
+    }
+
+    const packageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-compat-'));
+    try {
+        getExecutor().execFile('tar', ['-xzf', tarballPath, '-C', packageDir], {
+            stdio: 'ignore',
+        });
+        const extracted = path.join(packageDir, 'package');
+
+        const built = dryApplyPatch(patch.sections, builtVersion, extracted);
+        if (built.applies) {
+            return {
+                source: patch.source,
+                builtVersion,
+                range: built.range,
+                versionOverride: null,
+                reason: built.range
+                    ? `the patch for ${built.range} applies to ${builtVersion}`
+                    : `no section of the patch targets ${builtVersion}`,
+                candidates: others,
+            };
+        }
+
+        const failures = [`${builtVersion}: ${built.failure}`];
+        for (const [index, candidate] of others.entries()) {
+            const outcome = dryApplyPatch(
+                patch.sections,
+                candidate.version,
+                extracted,
+            );
+            if (outcome.applies) {
+                return {
+                    source: patch.source,
+                    builtVersion,
+                    range: candidate.range,
+                    versionOverride: candidate.version,
+                    reason: `closest range whose patch applies to the built lib/ (${failures.join('; ')})`,
+                    candidates: others.slice(index + 1),
+                };
+            }
+            failures.push(`${candidate.version}: ${outcome.failure}`);
+        }
+        return {
+            source: patch.source,
+            builtVersion,
+            range: built.range,
+            versionOverride: null,
+            reason: `no range of the patch applies to the built lib/ (${failures.join('; ')})`,
+            candidates: [],
+        };
+    } finally {
+        fs.rmSync(packageDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Returns the hunk yarn could not apply, from the output of an install
+ * @param {string} output - Install output
+ * @returns {number|null} Hunk number, null if the patch was applied
+ */
+function findFailedHunk(output) {
+    const match = output.match(CANNOT_APPLY_HUNK_REGEX);
+    return match ? Number(match[1]) : null;
+}
+
+module.exports = {
+    COMPAT_PATCH_RANGES,
+    compareVersions,
+    dryApplyPatch,
+    findFailedHunk,
+    findHunk,
+    loadCompatPatch,
+    parsePatch,
+    resolveCompatPatch,
+    satisfies,
+};
@@ -0,0 +1,681 @@
+// Configuration of the bisector commands.
+// Values are merged in this order, later ones winning:
+// 1. defaults of bisector.js
+// 2. environment variables TS_REPO_PATH and DD_REPO_PATH
+// 3. bisector.config.js or bisector.config.json (top level, then the section named after the command)
+// 4. CLI flags
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const { FIND_MODES } = require('./bisect-engine');
+const {
+    FAILURE_ACTIONS,
+    FAILURE_CLASSES,
+    FALLBACK_CLASSES,
+} = require('./failures');
+const { parseRange } = require('./commit-list');
+const { STABILIZE_KEYS } = require('./environment');
+const { parseMetric } = require('./metrics');
+const { PACKAGE_MANAGER_NAMES } = require('./package-managers');
+const { PREBUILD_MODES } = require('./prebuild');
+const {
+    SIMULATION_KEYS,
+    getSimulationSettings,
+    prepareSimulation,
+} = require('./simulation');
+const { STEPS } = require('./watchdog');
+
+const CONFIG_FILE_NAMES = ['bisector.config.js', 'bisector.config.json'];
+
+// Config sections only applied to the command of the same name. bisect
+// reads the bisect section with the metric predicate, and the section named
+// after the predicate with the others
+const COMMAND_SECTIONS = [
+    'bisect',
+    'time',
+    'analyze',
+    'explain',
+    'install',
+    'tsc-errors',
+    'script',
+    'cache',
+];
+
+// Positional arguments accepted by each command: the range of time, the
+// result paths of analyze, the commit of explain
+const MAX_POSITIONALS = { time: 1, analyze: Infinity, explain: 1 };
+
+const CLI_OPTIONS = {
+    config: { type: 'string' },
+    'ts-repo': { type: 'string' },
+    'dd-repo': { type: 'string' },
+    good: { type: 'string' },
+    bad: { type: 'string' },
+    workload: { type: 'string' },
+    metric: { type: 'string' },
+    'package-manager': { type: 'string' },
+    out: { type: 'string' },
+    commits: { type: 'string' },
+    'cache-dir': { type: 'string' },
+    'older-than': { type: 'string' },
+    prebuild: { type: 'string' },
+    restart: { type: 'boolean' },
+    'no-confirm': { type: 'boolean' },
+    'no-explain': { type: 'boolean' },
+    'first-parent': { type: 'boolean' },
+    path: { type: 'string', multiple: true },
+    stride: { type: 'string' },
+    include: { type: 'string', multiple: true },
+    exclude: { type: 'string', multiple: true },
+    adaptive: { type: 'boolean' },
+    'min-step': { type: 'string' },
+    budget: { type: 'string' },
+    script: { type: 'string' },
+    find: { type: 'string' },
+    'on-failure': { type: 'string', multiple: true },
+    timeout: { type: 'string', multiple: true },
+    'memory-limit': { type: 'string' },
+    warmup: { type: 'boolean' },
+    'max-load': { type: 'string' },
+    cpus: { type: 'string' },
+    'node-options': { type: 'string' },
+    simulate: { type: 'string' },
+    'simulate-noise': { type: 'string' },
+};
+
+/**
+ * Usage lines for the flags handled by loadConfig
+ */
+const CONFIG_USAGE = `Options:
+  --config <file>     Config file (default: ./bisector.config.js or ./bisector.config.json)
+  --ts-repo <path>    TypeScript repo path (default: $TS_REPO_PATH)
+  --dd-repo <path>    dd repo path (default: $DD_REPO_PATH)
+  --good <ref>        Old TypeScript ref, working unless --find first-fixed
+  --bad <ref>         New TypeScript ref, broken unless --find first-fixed
+  --find <mode>       What bisect looks for: first-broken (default) or first-fixed commit
+  --workload <cmd>    Command timed in the dd repo
+  --metric <expr>     Diagnostic to bisect on, e.g. "Check time" or "Build time - transformTime time"
+  --package-manager <name>
+                      How TypeScript is installed in the dd repo: yarn-pnp, yarn-node-modules, npm or pnpm
+  --out <dir>         Output directory for reports and summaries
+  --commits <file>    JSON list of commits for the time command, when no range is given
+  --first-parent      Only time the first parent commits of the time range
+  --path <path>       Only time the commits of the time range changing this path (repeatable)
+  --stride <n>        Time one commit out of n (default: 1)
+  --include <ref>     Also time this commit (repeatable)
+  --exclude <ref>     Never time this commit (repeatable)
+  --adaptive          Time the commits between the largest steps of the metric until they are adjacent
+  --min-step <ratio>  Smallest step refined by --adaptive or reported by analyze, relative to the metric (default: 0.05)
+  --budget <minutes>  Stop starting commits of the time command after this many minutes
+  --script <cmd>      Command run in the dd repo by bisect script: exit code 0 is working, 125 skips, up to 127 is broken
+  --cache-dir <dir>   Cache of built TypeScript tarballs
+  --older-than <days> Age of the cache entries removed by cache prune
+  --on-failure <class>=<action>
+                      What to do on a class of failure (repeatable): retry, fallback, skip or abort
+  --timeout <step>=<minutes>
+                      Kill a step after this many minutes (repeatable): build, install, version, prepare or workload
+  --memory-limit <MB> Kill a step whose processes use more resident memory (default: 90% of the RAM)
+  --warmup            Run the workload once untimed before timing each commit
+  --max-load <load>   Wait for the 1 minute load average to drop below this before timing
+  --cpus <list>       Pin the prepare and workload commands to these CPUs with taskset, e.g. 2-5
+  --node-options=<options>
+                      NODE_OPTIONS of the prepare and workload commands, e.g. --node-options=--max-old-space-size=8192
+  --simulate <dir>    Replay the reports of this directory instead of running git, the builds and tsc
+  --simulate-noise <ratio>
+                      Standard deviation of the replayed times, relative to them, e.g. 0.02 (default: 0)
+  --prebuild <mode>   Prebuilding of the next bisect candidates: nice, pause or off
+  --restart           Start a new run instead of resuming the one saved in the out directory
+  --no-confirm        Do not time the culprit of a metric bisect again and revert it before declaring it
+  --no-explain        Do not trace the culprit of a metric bisect against its parent`;
+
+/**
+ * Parses the --on-failure flags
+ * @param {string[]|undefined} flags - class=action values
+ * @returns {object|undefined} Actions by failure class, undefined without flags
+ */
+function parseFailurePolicy(flags) {
+    if (!flags) {
+        return undefined;
+    }
+    const policy = {};
+    for (const flag of flags) {
+        const [failureClass, action] = flag.split('=');
+        if (!action) {
+            throw new Error(
+                `--on-failure must be <class>=<action>, got ${flag}`,
+            );
+        }
+        policy[failureClass] = action;
+    }
+    return policy;
+}
+
+/**
+ * Parses the --timeout flags
+ * @param {string[]|undefined} flags - step=minutes values
+ * @returns {object|undefined} Minutes by step, undefined without flags
+ */
+function parseStepTimeouts(flags) {
+    if (!flags) {
+        return undefined;
+    }
+    const timeouts = {};
+    for (const flag of flags) {
+        const [step, minutes] = flag.split('=');
+        if (!minutes) {
+            throw new Error(`--timeout must be <step>=<minutes>, got ${flag}`);
+        }
+        timeouts[step] = Number(minutes);
+    }
+    return timeouts;
+}
+
+/**
+ * Finds and loads the config file
+ * @param {string|undefined} configPath - Explicit config file path
+ * @returns {{filePath: string|null, values: object}} Config file path and its content
+ */
+function readConfigFile(configPath) {
+    let filePath = null;
+    if (configPath) {
+        filePath = path.resolve(configPath);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Config file not found: ${filePath}`);
+        }
+    } else {
+        filePath =
+            CONFIG_FILE_NAMES.map((name) => path.resolve(name)).find((file) =>
+                fs.existsSync(file),
+            ) || null;
+    }
+
+    if (!filePath) {
+        return { filePath: null, values: {} };
+    }
+
+    try {
+        const values = filePath.endsWith('.js')
+            ? require(filePath)
+            : JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return { filePath, values };
+    } catch (error) {
+        throw new Error(
+            `Could not read config file ${filePath}: ${error.message}`,
+        );
+    }
+}
+
+/**
+ * Merges config layers, merging the workload, failurePolicy, stepTimeouts,
+ * stabilize and simulation objects instead of replacing them
+ * @param {object[]} layers - Config layers, later ones winning
+ * @returns {object} Merged config
+ */
+function mergeConfig(layers) {
+    const merged = {};
+    for (const layer of layers) {
+        for (const [key, value] of Object.entries(layer)) {
+            if (value === undefined) {
+                continue;
+            }
+            if (
+                [
+                    'workload',
+                    'failurePolicy',
+                    'stepTimeouts',
+                    'stabilize',
+                    'simulation',
+                ].includes(key) &&
+                typeof value === 'object'
+            ) {
+                merged[key] = { ...merged[key], ...value };
+            } else {
+                merged[key] = value;
+            }
+        }
+    }
+    return merged;
+}
+
+/**
+ * Splits config values into the shared values and the section of a command
+ * @param {object} values - Config values, with optional per-command sections
+ * @param {string} command - Command name
+ * @returns {object[]} Shared values and command section, as config layers
+ */
+function splitSections(values, command) {
+    const shared = { ...values };
+    for (const sectionName of COMMAND_SECTIONS) {
+        delete shared[sectionName];
+    }
+    return [shared, values[command] || {}];
+}
+
+/**
+ * Checks a directory option is set and exists
+ * @param {object} config - Merged config
+ * @param {string} key - Config key
+ * @param {string} source - How the user can set it, for error messages
+ */
+function validateDirectory(config, key, source) {
+    if (!config[key]) {
+        throw new Error(`${key} is not set: ${source}`);
+    }
+    if (
+        !fs.existsSync(config[key]) ||
+        !fs.statSync(config[key]).isDirectory()
+    ) {
+        throw new Error(`${key} is not a directory: ${config[key]}`);
+    }
+}
+
+/**
+ * Validates the simulation section of the config
+ * @param {object} simulation - simulation section, with a dataset
+ */
+function validateSimulation(simulation) {
+    for (const key of Object.keys(simulation)) {
+        if (!SIMULATION_KEYS.includes(key)) {
+            throw new Error(
+                `Unknown key ${key} in simulation, expected one of ${SIMULATION_KEYS.join(', ')}`,
+            );
+        }
+    }
+    const { dataset, noise, seed } = getSimulationSettings(simulation);
+    if (typeof dataset !== 'string') {
+        throw new Error('simulation.dataset must be a directory path');
+    }
+    if (!fs.existsSync(dataset) || !fs.statSync(dataset).isDirectory()) {
+        throw new Error(`simulation.dataset is not a directory: ${dataset}`);
+    }
+    if (!(Number.isFinite(noise) && noise >= 0)) {
+        throw new Error(
+            `simulation.noise must be a positive ratio, e.g. 0.02, got ${noise}`,
+        );
+    }
+    if (!Number.isInteger(seed)) {
+        throw new Error(`simulation.seed must be an integer, got ${seed}`);
+    }
+}
+
+/**
+ * Validates the merged config
+ * @param {object} config - Merged config
+ */
+function validateConfig(config) {
+    validateDirectory(
+        config,
+        'tsRepoPath',
+        'set TS_REPO_PATH, pass --ts-repo or set tsRepoPath in the config file',
+    );
+    validateDirectory(
+        config,
+        'ddRepoPath',
+        'set DD_REPO_PATH, pass --dd-repo or set ddRepoPath in the config file',
+    );
+
+    for (const key of ['good', 'bad', 'out']) {
+        if (typeof config[key] !== 'string' || config[key] === '') {
+            throw new Error(`${key} must be a non-empty string`);
+        }
+    }
+    if (config.good === config.bad) {
+        throw new Error(`good and bad refs are the same: ${config.good}`);
+    }
+
+    if (
+        config.maxAgeDays !== undefined &&
+        !(Number.isFinite(config.maxAgeDays) && config.maxAgeDays >= 0)
+    ) {
+        throw new Error('maxAgeDays must be a positive number of days');
+    }
+
+    if (
+        config.packageManager !== undefined &&
+        !PACKAGE_MANAGER_NAMES.includes(config.packageManager)
+    ) {
+        throw new Error(
+            `packageManager must be one of ${PACKAGE_MANAGER_NAMES.join(', ')}, got ${config.packageManager}`,
+        );
+    }
+
+    if (
+        config.prebuild !== undefined &&
+        !PREBUILD_MODES.includes(config.prebuild)
+    ) {
+        throw new Error(
+            `prebuild must be one of ${PREBUILD_MODES.join(', ')}, got ${config.prebuild}`,
+        );
+    }
+
+    for (const [failureClass, action] of Object.entries(
+        config.failurePolicy || {},
+    )) {
+        if (!(failureClass in FAILURE_CLASSES)) {
+            throw new Error(
+                `Unknown failure class ${failureClass} in failurePolicy, expected one of ${Object.keys(FAILURE_CLASSES).join(', ')}`,
+            );
+        }
+        if (!FAILURE_ACTIONS.includes(action)) {
+            throw new Error(
+                `failurePolicy of ${failureClass} must be one of ${FAILURE_ACTIONS.join(', ')}, got ${action}`,
+            );
+        }
+        if (action === 'fallback' && !FALLBACK_CLASSES.includes(failureClass)) {
+            throw new Error(
+                `${failureClass} has no fallback, only ${FALLBACK_CLASSES.join(', ')} can use it`,
+            );
+        }
+    }
+
+    if (
+        config.failureRetries !== undefined &&
+        !(Number.isInteger(config.failureRetries) && config.failureRetries >= 0)
+    ) {
+        throw new Error('failureRetries must be a positive integer');
+    }
+
+    for (const [step, minutes] of Object.entries(config.stepTimeouts || {})) {
+        if (!STEPS.includes(step)) {
+            throw new Error(
+                `Unknown step ${step} in stepTimeouts, expected one of ${STEPS.join(', ')}`,
+            );
+        }
+        // null disables the timeout of the step
+        if (minutes !== null && !(Number.isFinite(minutes) && minutes > 0)) {
+            throw new Error(
+                `stepTimeouts of ${step} must be a positive number of minutes or null, got ${minutes}`,
+            );
+        }
+    }
+
+    if (
+        config.memoryLimitMb !== undefined &&
+        config.memoryLimitMb !== null &&
+        !(Number.isFinite(config.memoryLimitMb) && config.memoryLimitMb > 0)
+    ) {
+        throw new Error(
+            `memoryLimitMb must be a positive number of megabytes or null, got ${config.memoryLimitMb}`,
+        );
+    }
+
+    const stabilize = config.stabilize || {};
+    for (const key of Object.keys(stabilize)) {
+        if (!STABILIZE_KEYS.includes(key)) {
+            throw new Error(
+                `Unknown key ${key} in stabilize, expected one of ${STABILIZE_KEYS.join(', ')}`,
+            );
+        }
+    }
+    if (
+        stabilize.warmup !== undefined &&
+        typeof stabilize.warmup !== 'boolean'
+    ) {
+        throw new Error('stabilize.warmup must be a boolean');
+    }
+    if (
+        stabilize.maxLoadAverage !== undefined &&
+        stabilize.maxLoadAverage !== null &&
+        !(
+            Number.isFinite(stabilize.maxLoadAverage) &&
+            stabilize.maxLoadAverage > 0
+        )
+    ) {
+        throw new Error(
+            `stabilize.maxLoadAverage must be a positive number or null, got ${stabilize.maxLoadAverage}`,
+        );
+    }
+    if (
+        stabilize.loadWaitMinutes !== undefined &&
+        !(
+            Number.isFinite(stabilize.loadWaitMinutes) &&
+            stabilize.loadWaitMinutes >= 0
+        )
+    ) {
+        throw new Error(
+            'stabilize.loadWaitMinutes must be a positive number of minutes',
+        );
+    }
+    if (
+        stabilize.cpus !== undefined &&
+        stabilize.cpus !== null &&
+        !/^\d+(-\d+)?(,\d+(-\d+)?)*$/.test(stabilize.cpus)
+    ) {
+        throw new Error(
+            `stabilize.cpus must be a taskset CPU list such as 2-5 or 0,2,4, got ${stabilize.cpus}`,
+        );
+    }
+    if (
+        stabilize.nodeOptions !== undefined &&
+        stabilize.nodeOptions !== null &&
+        typeof stabilize.nodeOptions !== 'string'
+    ) {
+        throw new Error('stabilize.nodeOptions must be a string or null');
+    }
+
+    if (
+        config.find !== undefined &&
+        !Object.keys(FIND_MODES).includes(config.find)
+    ) {
+        throw new Error(
+            `find must be one of ${Object.keys(FIND_MODES).join(', ')}, got ${config.find}`,
+        );
+    }
+
+    if (
+        config.script !== undefined &&
+        config.script !== null &&
+        typeof config.script !== 'string'
+    ) {
+        throw new Error('script must be a command string');
+    }
+
+    if (config.metric !== undefined) {
+        parseMetric(config.metric);
+    }
+
+    if (config.range !== undefined && config.range !== null) {
+        parseRange(config.range);
+    }
+    if (
+        config.stride !== undefined &&
+        !(Number.isInteger(config.stride) && config.stride >= 1)
+    ) {
+        throw new Error('stride must be a positive integer');
+    }
+    if (
+        config.minStep !== undefined &&
+        !(Number.isFinite(config.minStep) && config.minStep >= 0)
+    ) {
+        throw new Error('minStep must be a positive ratio, e.g. 0.05');
+    }
+    if (
+        config.budgetMinutes !== undefined &&
+        config.budgetMinutes !== null &&
+        !(Number.isFinite(config.budgetMinutes) && config.budgetMinutes > 0)
+    ) {
+        throw new Error('budgetMinutes must be a positive number of minutes');
+    }
+    for (const key of ['paths', 'include', 'exclude', 'metrics', 'results']) {
+        if (
+            config[key] !== undefined &&
+            !(
+                Array.isArray(config[key]) &&
+                config[key].every((value) => typeof value === 'string')
+            )
+        ) {
+            throw new Error(`${key} must be an array of strings`);
+        }
+    }
+    for (const metric of config.metrics || []) {
+        parseMetric(metric);
+    }
+
+    if (config.workload) {
+        for (const [key, value] of Object.entries(config.workload)) {
+            if (
+                value !== null &&
+                typeof value !== 'string' &&
+                !Array.isArray(value)
+            ) {
+                throw new Error(
+                    `workload.${key} must be a string, an array or null`,
+                );
+            }
+        }
+    }
+}
+
+/**
+ * Loads the config for a command
+ * @param {string} command - Command name, or name of the bisect predicate, also the config file section to apply
+ * @param {object} defaults - Defaults of the script. Relative paths in out, commitsFile, results, cacheDir, worktreesDir, journalDir and tarballPath are resolved against the dd repo
+ * @param {string[]} argv - CLI arguments after the command
+ * @returns {object} Validated config, with absolute paths
+ */
+function loadConfig(command, defaults, argv) {
+    const { values: args, positionals } = parseArgs({
+        args: argv,
+        options: CLI_OPTIONS,
+        allowPositionals: true,
+    });
+    if (positionals.length > (MAX_POSITIONALS[command] || 0)) {
+        throw new Error(`Unexpected argument: ${positionals.at(-1)}`);
+    }
+
+    const { filePath, values } = readConfigFile(args.config);
+
+    const config = mergeConfig([
+        ...splitSections(defaults, command),
+        {
+            tsRepoPath: process.env.TS_REPO_PATH,
+            ddRepoPath: process.env.DD_REPO_PATH,
+        },
+        ...splitSections(values, command),
+        {
+            tsRepoPath: args['ts-repo'],
+            ddRepoPath: args['dd-repo'],
+            good: args.good,
+            bad: args.bad,
+            workload: args.workload ? { command: args.workload } : undefined,
+            metric: args.metric,
+            packageManager: args['package-manager'],
+            out: args.out,
+            commitsFile: args.commits,
+            cacheDir: args['cache-dir'],
+            maxAgeDays:
+                args['older-than'] !== undefined
+                    ? Number(args['older-than'])
+                    : undefined,
+            prebuild: args.prebuild,
+            restart: args.restart,
+            confirmCulprit: args['no-confirm'] ? false : undefined,
+            explainCulprit: args['no-explain'] ? false : undefined,
+            explainRef: command === 'explain' ? positionals[0] : undefined,
+            // --commits times the commits file even if a range is configured
+            range:
+                command === 'time'
+                    ? positionals[0] || (args.commits ? null : undefined)
+                    : undefined,
+            results:
+                command === 'analyze' && positionals.length > 0
+                    ? positionals
+                    : undefined,
+            firstParent: args['first-parent'],
+            paths: args.path,
+            stride: args.stride !== undefined ? Number(args.stride) : undefined,
+            include: args.include,
+            exclude: args.exclude,
+            adaptive: args.adaptive,
+            minStep:
+                args['min-step'] !== undefined
+                    ? Number(args['min-step'])
+                    : undefined,
+            budgetMinutes:
+                args.budget !== undefined ? Number(args.budget) : undefined,
+            script: args.script,
+            find: args.find,
+            failurePolicy: parseFailurePolicy(args['on-failure']),
+            stepTimeouts: parseStepTimeouts(args.timeout),
+            memoryLimitMb:
+                args['memory-limit'] !== undefined
+                    ? Number(args['memory-limit'])
+                    : undefined,
+            // Unset flags must not replace the values of the other layers
+            stabilize: Object.fromEntries(
+                Object.entries({
+                    warmup: args.warmup,
+                    maxLoadAverage:
+                        args['max-load'] !== undefined
+                            ? Number(args['max-load'])
+                            : undefined,
+                    cpus: args.cpus,
+                    nodeOptions: args['node-options'],
+                }).filter(([, value]) => value !== undefined),
+            ),
+            simulation: Object.fromEntries(
+                Object.entries({
+                    dataset: args.simulate,
+                    noise:
+                        args['simulate-noise'] !== undefined
+                            ? Number(args['simulate-noise'])
+                            : undefined,
+                }).filter(([, value]) => value !== undefined),
+            ),
+        },
+    ]);
+    config.configFile = filePath;
+
+    // The repos of a simulation are scratch ones, see lib/simulation.js
+    if (config.simulation && config.simulation.dataset) {
+        validateSimulation(config.simulation);
+        Object.assign(config, prepareSimulation(config.simulation));
+    }
+    validateConfig(config);
+
+    config.tsRepoPath = path.resolve(config.tsRepoPath);
+    config.ddRepoPath = path.resolve(config.ddRepoPath);
+    // Paths from the CLI are relative to the cwd, others to the dd repo
+    config.out = path.resolve(args.out ? '.' : config.ddRepoPath, config.out);
+    if (config.commitsFile) {
+        config.commitsFile = path.resolve(
+            args.commits ? '.' : config.ddRepoPath,
+            config.commitsFile,
+        );
+    }
+    if (config.cacheDir) {
+        config.cacheDir = path.resolve(
+            args['cache-dir'] ? '.' : config.ddRepoPath,
+            config.cacheDir,
+        );
+    }
+    if (config.worktreesDir) {
+        config.worktreesDir = path.resolve(
+            config.ddRepoPath,
+            config.worktreesDir,
+        );
+    }
+    if (config.results) {
+        config.results = config.results.map((resultPath) =>
+            path.resolve(
+                positionals.length > 0 ? '.' : config.ddRepoPath,
+                resultPath,
+            ),
+        );
+    }
+    if (config.journalDir) {
+        config.journalDir = path.resolve(config.ddRepoPath, config.journalDir);
+    }
+    // Kept with the outputs of the run, so the TS clone is never written to
+    config.tarballPath = config.tarballPath
+        ? path.resolve(config.ddRepoPath, config.tarballPath)
+        : path.join(config.out, 'typescript.tgz');
+
+    return config;
+}
+
+module.exports = {
+    CONFIG_USAGE,
+    loadConfig,
+};
@@ -0,0 +1,213 @@
+// Confirmation of the culprit of a metric bisect, before it is declared: a
+// single noisy verdict earlier in the run can send git bisect to the wrong
+// commit.
+//
+// 1. The parent and the culprit are timed CONFIRMATION_SAMPLES times each,
+//    and their metrics must differ significantly in the direction of the find
+//    mode: the culprit slower than its parent for first-broken, faster for
+//    first-fixed.
+// 2. When git revert applies cleanly, the culprit is reverted on the bad
+//    endpoint in a disposable worktree, and the revert is timed too: the
+//    change must disappear, the revert differing significantly from the
+//    calibrated bad endpoint towards the good one.
+//
+// The verdict is confirmed when the step is significant and the revert
+// removes the change (or can not be tested), partial when the step is
+// significant but the revert keeps most of the change, e.g. when other
+// commits of the range contribute to it, and unconfirmed without significant
+// step. The measurements go to the confirm directory of the out directory,
+// so the reports of the bisect steps are kept.
+
+const path = require('node:path');
+const { logWithTime } = require('./command');
+const { getSkippedFailure } = require('./failures');
+const { measureTSBuildTime } = require('./measure');
+const { SIGNIFICANCE_LEVEL, summarize, welchTTest } = require('./stats');
+const { createRevertCommit, resolveCommit } = require('./worktree');
+
+// Samples of each commit timed by the confirmation
+const CONFIRMATION_SAMPLES = 5;
+// Directory of the confirmation reports, in the out directory
+const CONFIRMATION_DIR_NAME = 'confirm';
+// Part of the change between the endpoints a revert must remove
+const MIN_REMOVED_RATIO = 0.5;
+
+/**
+ * @typedef {object} Confirmation
+ * @property {'confirmed'|'partial'|'unconfirmed'} verdict - Verdict of the confirmation
+ * @property {string} culprit - Confirmed commit
+ * @property {string} parent - First parent of the culprit
+ * @property {{n: number, mean: number, stddev: number}|null} parentSummary - Metric of the parent, null if it could not be measured
+ * @property {{n: number, mean: number, stddev: number}|null} culpritSummary - Metric of the culprit, null if it could not be measured
+ * @property {number|null} pValue - One-sided p-value of the step between the parent and the culprit
+ * @property {RevertTest} revert - Revert test
+ */
+
+/**
+ * @typedef {object} RevertTest
+ * @property {'removed'|'kept'|'conflict'|'failed'} status - removed when reverting the culprit removes the change from the bad endpoint, conflict when the revert does not apply, failed when it could not be measured
+ * @property {string|null} commit - Revert commit on the bad endpoint
+ * @property {{n: number, mean: number, stddev: number}|null} summary - Metric of the revert
+ * @property {number|null} pValue - One-sided p-value of the revert against the bad endpoint
+ * @property {number|null} removedRatio - Part of the change between the endpoints removed by the revert
+ */
+
+/**
+ * Measures the metric of a commit for the confirmation
+ * @param {object} config - Bisector config, out being the confirmation directory
+ * @param {string} commit - Commit to measure
+ * @param {object} prebuilder - Prebuilder of the run, paused during timed runs
+ * @returns {{n: number, mean: number, stddev: number}|null} Summary of the metric, null when the failure policy skipped the commit
+ */
+function measureCommit(config, commit, prebuilder) {
+    try {
+        const result = measureTSBuildTime(config, {
+            commit,
+            minSamples: CONFIRMATION_SAMPLES,
+            prebuilder,
+        });
+        return summarize(result.metric.samples);
+    } catch (error) {
+        const failure = getSkippedFailure(error);
+        if (!failure) {
+            throw error;
+        }
+        logWithTime(`Could not measure ${commit}: ${failure.class}`);
+        return null;
+    }
+}
+
+/**
+ * Formats the summary of a metric for the report
+ * @param {{n: number, mean: number, stddev: number}|null} summary - Summary
+ * @returns {string} Mean, standard deviation and number of samples
+ */
+function formatSummary(summary) {
+    return summary
+        ? `${summary.mean.toFixed(2)} ± ${summary.stddev.toFixed(2)}, n=${summary.n}`
+        : 'not measured';
+}
+
+/**
+ * Times the culprit against its parent, and the bad endpoint with the culprit
+ * reverted, see the top of this file
+ * @param {object} config - Bisector config
+ * @param {string} culprit - Culprit of the bisect
+ * @param {import('./bisect-engine').BisectRun} run - Run, holding the calibration of the endpoints
+ * @returns {Promise<Confirmation>} Confirmation
+ */
+async function confirmCulprit(config, culprit, run) {
+    const { calibration } = run.state;
+    const { prebuilder } = run;
+    const confirmConfig = {
+        ...config,
+        out: path.join(config.out, CONFIRMATION_DIR_NAME),
+    };
+    // The metric goes up at the culprit for first-broken, down for first-fixed
+    const findsSlow = config.find === 'first-broken';
+    const getPValue = (before, after) => {
+        const test = welchTTest(before, after);
+        return findsSlow ? test.pLess : test.pGreater;
+    };
+
+    logWithTime(`\n=== Confirming ${culprit} ===`);
+    const parent = resolveCommit(config.tsRepoPath, `${culprit}^`);
+    prebuilder.start([culprit]);
+    const parentSummary = measureCommit(confirmConfig, parent, prebuilder);
+    await prebuilder.claim(culprit);
+    const culpritSummary = measureCommit(confirmConfig, culprit, prebuilder);
+    const pValue =
+        parentSummary && culpritSummary
+            ? getPValue(parentSummary, culpritSummary)
+            : null;
+    const isStep = pValue !== null && pValue < SIGNIFICANCE_LEVEL;
+    logWithTime(
+        `${config.metric} of ${parent} (parent): ${formatSummary(parentSummary)}, of ${culprit}: ${formatSummary(culpritSummary)}, p=${pValue === null ? 'n/a' : pValue.toPrecision(3)}`,
+    );
+
+    /** @type {RevertTest} */
+    const revert = {
+        status: 'conflict',
+        commit: null,
+        summary: null,
+        pValue: null,
+        removedRatio: null,
+    };
+    const bad = run.state.settings.bad;
+    revert.commit = createRevertCommit(
+        config.tsRepoPath,
+        config.worktreesDir,
+        bad,
+        culprit,
+    );
+    if (!revert.commit) {
+        logWithTime(
+            `${culprit} can not be reverted cleanly on ${config.bad}, skipping the revert test`,
+        );
+    } else {
+        logWithTime(`Reverted ${culprit} on ${config.bad} as ${revert.commit}`);
+        revert.summary = measureCommit(
+            confirmConfig,
+            revert.commit,
+            prebuilder,
+        );
+        if (revert.summary) {
+            revert.pValue = getPValue(revert.summary, calibration.bad);
+            revert.removedRatio =
+                (calibration.bad.mean - revert.summary.mean) /
+                (calibration.bad.mean - calibration.good.mean);
+            // Most of the change must be gone, not only a significant part
+            revert.status =
+                revert.pValue < SIGNIFICANCE_LEVEL &&
+                revert.removedRatio > MIN_REMOVED_RATIO
+                    ? 'removed'
+                    : 'kept';
+        } else {
+            revert.status = 'failed';
+        }
+    }
+
+    let verdict = 'unconfirmed';
+    if (isStep) {
+        verdict = revert.status === 'kept' ? 'partial' : 'confirmed';
+    }
+    const confirmation = {
+        verdict,
+        culprit,
+        parent,
+        parentSummary,
+        culpritSummary,
+        pValue,
+        revert,
+    };
+    logWithTime(formatConfirmation(confirmation).join('\n'));
+    return confirmation;
+}
+
+/**
+ * Formats a confirmation for the summary file
+ * @param {Confirmation} confirmation - Confirmation
+ * @returns {string[]} Lines
+ */
+function formatConfirmation(confirmation) {
+    const { revert } = confirmation;
+    const formatPValue = (pValue) =>
+        pValue === null ? 'n/a' : pValue.toPrecision(3);
+    const revertLine = revert.summary
+        ? `${formatSummary(revert.summary)}, ${(revert.removedRatio * 100).toFixed(0)}% of the change removed (p=${formatPValue(revert.pValue)}), ${revert.status}`
+        : {
+              conflict: 'does not apply cleanly on the bad endpoint',
+              failed: 'could not be measured',
+          }[revert.status];
+    return [
+        `Confirmation: ${confirmation.verdict}`,
+        `Parent ${confirmation.parent}: ${formatSummary(confirmation.parentSummary)}`,
+        `Culprit ${confirmation.culprit}: ${formatSummary(confirmation.culpritSummary)} (p=${formatPValue(confirmation.pValue)})`,
+        `Revert${revert.commit ? ` ${revert.commit}` : ''}: ${revertLine}`,
+    ];
+}
+
+module.exports = {
+    confirmCulprit,
+    formatConfirmation,
+};
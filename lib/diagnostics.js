@@ -0,0 +1,150 @@
+// Parser for the output of tsc --extendedDiagnostics, with or without -b.
+//
+// A tsc -b output contains one section per built project, starting at its
+// "Files:" line, then the same lines prefixed by "Aggregate", then the build
+// level lines (Projects in scope, Projects built, Build time...).
+// Lines that are not diagnostics (yarn output, errors) are ignored.
+
+/**
+ * @typedef {object} DiagnosticsSection
+ * @property {number|null} files - Files
+ * @property {{library: number|null, definitions: number|null, typeScript: number|null, javaScript: number|null, json: number|null, other: number|null}} lines - Lines of each kind
+ * @property {number|null} identifiers - Identifiers
+ * @property {number|null} symbols - Symbols
+ * @property {number|null} types - Types
+ * @property {number|null} instantiations - Instantiations
+ * @property {number|null} memoryUsedKb - Memory used, in kilobytes
+ * @property {{assignability: number|null, identity: number|null, subtype: number|null, strictSubtype: number|null}} cacheSizes - Relation cache sizes
+ * @property {Object<string, number>} times - Every "* time" line in seconds, keyed by name without " time" (e.g. Check, transformTime, I/O Read)
+ * @property {Object<string, number>} values - Every line of the section, keyed by its label as printed by tsc
+ */
+
+/**
+ * @typedef {object} Diagnostics
+ * @property {DiagnosticsSection[]} projects - One section per built project
+ * @property {DiagnosticsSection|null} aggregate - Aggregate section, only printed by tsc -b
+ * @property {number|null} projectsInScope - Projects in scope, only printed by tsc -b
+ * @property {number|null} projectsBuilt - Projects built, only printed by tsc -b
+ * @property {Object<string, number>} buildTimes - Build level times in seconds (Config file parsing, Up-to-date check, Build)
+ * @property {number|null} buildTime - Build time, or the Total time of the last project without -b
+ * @property {import('./watchdog').ResourceUsage|null} [usage] - Peak memory and CPU time of the run sampled by the watchdog, set by lib/measure.js next to the Memory used of tsc
+ */
+
+// "Label:   123", "Label:   1.23s" or "Label:   123K"
+const DIAGNOSTIC_LINE_REGEX =
+    /^([A-Za-z][A-Za-z/ -]*?):\s+(\d+(?:\.\d+)?)([sK]?)\s*$/;
+const AGGREGATE_PREFIX = 'Aggregate ';
+const BUILD_LABELS = [
+    'Projects in scope',
+    'Projects built',
+    'Config file parsing time',
+    'Up-to-date check time',
+    'Build time',
+];
+
+/**
+ * Creates a section from the raw values of its lines
+ * @param {Object<string, number>} values - Values keyed by tsc label
+ * @returns {DiagnosticsSection} Section
+ */
+function createSection(values) {
+    const get = (label) => (label in values ? values[label] : null);
+    const times = {};
+    for (const [label, value] of Object.entries(values)) {
+        if (label.endsWith(' time')) {
+            times[label.slice(0, -' time'.length)] = value;
+        }
+    }
+
+    return {
+        files: get('Files'),
+        lines: {
+            library: get('Lines of Library'),
+            definitions: get('Lines of Definitions'),
+            typeScript: get('Lines of TypeScript'),
+            javaScript: get('Lines of JavaScript'),
+            json: get('Lines of JSON'),
+            other: get('Lines of Other'),
+        },
+        identifiers: get('Identifiers'),
+        symbols: get('Symbols'),
+        types: get('Types'),
+        instantiations: get('Instantiations'),
+        memoryUsedKb: get('Memory used'),
+        cacheSizes: {
+            assignability: get('Assignability cache size'),
+            identity: get('Identity cache size'),
+            subtype: get('Subtype cache size'),
+            strictSubtype: get('Strict subtype cache size'),
+        },
+        times,
+        values,
+    };
+}
+
+/**
+ * Parses the output of tsc --extendedDiagnostics
+ * @param {string} output - tsc output
+ * @returns {Diagnostics} Parsed diagnostics
+ */
+function parseDiagnostics(output) {
+    const projectValues = [];
+    let currentProject = null;
+    let aggregateValues = null;
+    const buildValues = {};
+
+    for (const line of output.split('\n')) {
+        const match = line.trim().match(DIAGNOSTIC_LINE_REGEX);
+        if (!match) {
+            continue;
+        }
+        const [, label, value] = match;
+        const number = parseFloat(value);
+
+        if (BUILD_LABELS.includes(label)) {
+            buildValues[label] = number;
+        } else if (label.startsWith(AGGREGATE_PREFIX)) {
+            aggregateValues = aggregateValues || {};
+            aggregateValues[label.slice(AGGREGATE_PREFIX.length)] = number;
+        } else if (label === 'Files') {
+            currentProject = { [label]: number };
+            projectValues.push(currentProject);
+        } else if (currentProject) {
+            currentProject[label] = number;
+        }
+    }
+
+    const projects = projectValues.map(createSection);
+    const buildTimes = {};
+    for (const [label, value] of Object.entries(buildValues)) {
+        if (label.endsWith(' time')) {
+            buildTimes[label.slice(0, -' time'.length)] = value;
+        }
+    }
+
+    let buildTime = null;
+    if ('Build' in buildTimes) {
+        buildTime = buildTimes.Build;
+    } else if (projects.length > 0 && 'Total' in projects.at(-1).times) {
+        buildTime = projects.at(-1).times.Total;
+    }
+
+    return {
+        projects,
+        aggregate: aggregateValues ? createSection(aggregateValues) : null,
+        projectsInScope:
+            'Projects in scope' in buildValues
+                ? buildValues['Projects in scope']
+                : null,
+        projectsBuilt:
+            'Projects built' in buildValues
+                ? buildValues['Projects built']
+                : null,
+        buildTimes,
+        buildTime,
+    };
+}
+
+module.exports = {
+    parseDiagnostics,
+};
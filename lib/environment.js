@@ -0,0 +1,300 @@
+// Benchmark environment of the timed runs: stabilization of the machine
+// before timing a commit, and the fingerprint recorded in every result.
+//
+// Stabilization is optional, set by the stabilize section of the config:
+// - maxLoadAverage: waits up to loadWaitMinutes for the 1 minute load average
+//   to drop below it, then times anyway with a warning. The background
+//   prebuilds count in the load, see --prebuild pause.
+// - warmup: runs the workload once untimed, so the disk cache and the JIT
+//   caches of node are warm for the first sample.
+// - cpus: pins the prepare and workload commands to these CPUs with taskset,
+//   e.g. "2-5" to keep them off the CPUs handling interrupts.
+// - nodeOptions: NODE_OPTIONS of the prepare and workload commands, e.g.
+//   "--max-old-space-size=8192", instead of the one of the shell.
+//
+// The fingerprint holds the machine (CPU model and count, RAM, kernel), the
+// versions of node and of the package manager in the dd repo, the
+// stabilization settings and the load average when the timed runs start.
+// Runs whose machines differ are compared with a warning: by analyze, and by
+// bisect and time when a run is resumed.
+
+const os = require('node:os');
+const { logWithTime } = require('./command');
+const { getExecutor } = require('./executor');
+const { getCommand, getPackageManager } = require('./package-managers');
+
+// Fields of the fingerprint that must match for timings to be comparable
+const MACHINE_KEYS = [
+    'cpuModel',
+    'cpuCount',
+    'totalMemoryMb',
+    'kernel',
+    'nodeVersion',
+    'packageManager',
+    'packageManagerVersion',
+    'cpus',
+    'nodeOptions',
+];
+
+// Settings of the stabilize section of the config, and their defaults
+const STABILIZE_DEFAULTS = {
+    warmup: false,
+    maxLoadAverage: null,
+    loadWaitMinutes: 10,
+    cpus: null,
+    nodeOptions: null,
+};
+const STABILIZE_KEYS = Object.keys(STABILIZE_DEFAULTS);
+
+// Seconds between two reads of the load average while waiting for it to drop
+const LOAD_POLL_INTERVAL_S = 15;
+
+/**
+ * @typedef {object} Environment
+ * @property {string} cpuModel - Model of the first CPU
+ * @property {number} cpuCount - Logical CPUs
+ * @property {number} totalMemoryMb - RAM in megabytes
+ * @property {string} kernel - Operating system and kernel release
+ * @property {string|null} nodeVersion - Version of the node of the dd repo, null if unknown
+ * @property {string} packageManager - Package manager adapter, see lib/package-managers.js
+ * @property {string|null} packageManagerVersion - Version of the package manager of the dd repo, null if unknown
+ * @property {number[]} loadAverage - 1, 5 and 15 minutes load averages when the timed runs start
+ * @property {string|null} cpus - CPUs the commands are pinned to, null if not pinned
+ * @property {string|null} nodeOptions - NODE_OPTIONS of the commands, null to inherit it
+ * @property {boolean} warmup - True if an untimed run preceded the timed ones
+ */
+
+/**
+ * Returns the stabilization settings, with their defaults
+ * @param {object} config - Bisector config
+ * @returns {{warmup: boolean, maxLoadAverage: number|null, loadWaitMinutes: number, cpus: string|null, nodeOptions: string|null}} Settings
+ */
+function getStabilization(config) {
+    return { ...STABILIZE_DEFAULTS, ...config.stabilize };
+}
+
+/**
+ * Runs a version command, without logging it
+ * @param {string} command - Command printing a version
+ * @param {string} cwd - Working directory
+ * @returns {string|null} Trimmed output, null if the command fails
+ */
+function readVersion(command, cwd) {
+    try {
+        return getExecutor()
+            .exec(command, {
+                cwd,
+                stdio: ['ignore', 'pipe', 'ignore'],
+                encoding: 'utf-8',
+                timeout: 60 * 1000,
+            })
+            .stdout.trim();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Takes the fingerprint of the benchmark environment
+ * @param {object} config - Bisector config
+ * @returns {Environment} Fingerprint
+ */
+function getEnvironment(config) {
+    const packageManager = getPackageManager(
+        config.packageManager,
+        config.ddRepoPath,
+    );
+    const { cpus, nodeOptions, warmup } = getStabilization(config);
+    const cpuInfo = os.cpus();
+    return {
+        cpuModel: cpuInfo.length > 0 ? cpuInfo[0].model.trim() : 'unknown',
+        cpuCount: cpuInfo.length,
+        totalMemoryMb: Math.round(os.totalmem() / 1024 / 1024),
+        kernel: `${os.type()} ${os.release()}`,
+        nodeVersion: readVersion('node --version', config.ddRepoPath),
+        packageManager: packageManager.name,
+        packageManagerVersion: readVersion(
+            getCommand(packageManager, packageManager.version),
+            config.ddRepoPath,
+        ),
+        loadAverage: os.loadavg().map((load) => Number(load.toFixed(2))),
+        cpus,
+        nodeOptions,
+        warmup,
+    };
+}
+
+/**
+ * Lists the machine fields that differ between two fingerprints
+ * @param {Environment|null} a - Fingerprint, null if unknown
+ * @param {Environment|null} b - Fingerprint, null if unknown
+ * @returns {string[]} Differing fields, none when a fingerprint is unknown
+ */
+function getEnvironmentDifferences(a, b) {
+    if (!a || !b) {
+        return [];
+    }
+    return MACHINE_KEYS.filter((key) => a[key] !== b[key]);
+}
+
+/**
+ * Returns a key identifying the machine of a fingerprint
+ * @param {Environment} environment - Fingerprint
+ * @returns {string} Key, equal for comparable fingerprints
+ */
+function getMachineKey(environment) {
+    return JSON.stringify(MACHINE_KEYS.map((key) => environment[key]));
+}
+
+/**
+ * Describes the machine of a fingerprint in one line
+ * @param {Environment} environment - Fingerprint
+ * @returns {string} Description
+ */
+function describeMachine(environment) {
+    return `${environment.cpuModel} x${environment.cpuCount}, ${environment.totalMemoryMb} MB, ${environment.kernel}, node ${environment.nodeVersion || 'unknown'}, ${environment.packageManager} ${environment.packageManagerVersion || 'unknown'}`;
+}
+
+/**
+ * Applies the CPU pinning and NODE_OPTIONS of the stabilization to a command
+ * of the dd repo
+ * @param {object} config - Bisector config
+ * @param {string} command - Command to execute
+ * @returns {{command: string, env: object|undefined}} Command and variables to add to its environment
+ */
+function getBenchmarkCommand(config, command) {
+    const { cpus, nodeOptions } = getStabilization(config);
+    return {
+        // The processes started by the shell inherit its affinity
+        command: cpus
+            ? `taskset -cp ${cpus} $$ > /dev/null && ${command}`
+            : command,
+        env: nodeOptions ? { NODE_OPTIONS: nodeOptions } : undefined,
+    };
+}
+
+/**
+ * Blocks the process
+ * @param {number} seconds - Duration
+ */
+function sleep(seconds) {
+    Atomics.wait(
+        new Int32Array(new SharedArrayBuffer(4)),
+        0,
+        0,
+        seconds * 1000,
+    );
+}
+
+/**
+ * Waits for the 1 minute load average to drop below maxLoadAverage, for at
+ * most loadWaitMinutes
+ * @param {object} config - Bisector config
+ * @returns {boolean} True if the load is below the threshold, or there is none
+ */
+function waitForLowLoad(config) {
+    const { maxLoadAverage, loadWaitMinutes } = getStabilization(config);
+    if (maxLoadAverage === null) {
+        return true;
+    }
+    const deadline = Date.now() + loadWaitMinutes * 60 * 1000;
+    let [load] = os.loadavg();
+    if (load > maxLoadAverage) {
+        logWithTime(
+            `Load average ${load.toFixed(2)} is above ${maxLoadAverage}, waiting up to ${loadWaitMinutes} minutes...`,
+        );
+    }
+    while (load > maxLoadAverage && Date.now() < deadline) {
+        sleep(LOAD_POLL_INTERVAL_S);
+        [load] = os.loadavg();
+    }
+    if (load > maxLoadAverage) {
+        logWithTime(
+            `Warning: load average still ${load.toFixed(2)} after ${loadWaitMinutes} minutes, timing anyway`,
+        );
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Warns when a run is resumed with a different environment than the one it
+ * was started with, and records the environment of new runs
+ * @param {import('./run-state').RunState} state - State of the run
+ * @param {Environment} environment - Current fingerprint
+ */
+function checkRunEnvironment(state, environment) {
+    if (!state.environment) {
+        state.environment = environment;
+        return;
+    }
+    const differences = getEnvironmentDifferences(
+        state.environment,
+        environment,
+    );
+    if (differences.length > 0) {
+        logWithTime(
+            `Warning: run ${state.runId} was started on another machine (${differences.join(', ')} differ): ${describeMachine(state.environment)}, now ${describeMachine(environment)}. Its measurements may not be comparable, use --restart to start a new run`,
+        );
+    }
+}
+
+/**
+ * Formats a fingerprint for the header of a report
+ * @param {Environment} environment - Fingerprint
+ * @returns {string[]} Lines
+ */
+function formatEnvironment(environment) {
+    return [
+        `CPU: ${environment.cpuModel}`,
+        `CPU Count: ${environment.cpuCount}`,
+        `Total Memory: ${environment.totalMemoryMb} MB`,
+        `Kernel: ${environment.kernel}`,
+        `Node Version: ${environment.nodeVersion || 'unknown'}`,
+        `Package Manager Version: ${environment.packageManagerVersion || 'unknown'}`,
+        `Load Average: ${environment.loadAverage.join(' ')}`,
+        `CPU Pinning: ${environment.cpus || 'none'}`,
+        `NODE_OPTIONS: ${environment.nodeOptions || 'none'}`,
+        `Warm-up: ${environment.warmup ? 'yes' : 'no'}`,
+    ];
+}
+
+/**
+ * Reads back the fingerprint of a report header, see formatEnvironment
+ * @param {(label: string) => string|null} header - Value of a header line
+ * @param {string|null} packageManager - Package manager of the report
+ * @returns {Environment|null} Fingerprint, null for reports written without one
+ */
+function parseEnvironment(header, packageManager) {
+    if (header('CPU') === null) {
+        return null;
+    }
+    const orNull = (value) =>
+        value === 'none' || value === 'unknown' ? null : value;
+    return {
+        cpuModel: header('CPU'),
+        cpuCount: Number(header('CPU Count')),
+        totalMemoryMb: parseInt(header('Total Memory'), 10),
+        kernel: header('Kernel'),
+        nodeVersion: orNull(header('Node Version')),
+        packageManager,
+        packageManagerVersion: orNull(header('Package Manager Version')),
+        loadAverage: (header('Load Average') || '').split(' ').map(Number),
+        cpus: orNull(header('CPU Pinning')),
+        nodeOptions: orNull(header('NODE_OPTIONS')),
+        warmup: header('Warm-up') === 'yes',
+    };
+}
+
+module.exports = {
+    STABILIZE_KEYS,
+    checkRunEnvironment,
+    describeMachine,
+    formatEnvironment,
+    getBenchmarkCommand,
+    getEnvironment,
+    getMachineKey,
+    getStabilization,
+    parseEnvironment,
+    waitForLowLoad,
+};
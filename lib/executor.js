@@ -0,0 +1,62 @@
+// Executor of the external commands of the bisector: git in the ts repo and
+// its worktrees, the TypeScript build, and the package manager and tsc in the
+// dd repo. The shell executor runs them for real. setExecutor replaces it,
+// e.g. with the simulation of lib/simulation.js that answers them from a
+// recorded dataset, so the bisect loop can be dry-run in seconds.
+//
+// An executor follows the contract of node:child_process, so callers handle
+// its failures as before:
+// - exec runs a shell command with the options of execSync, plus the limits
+//   of lib/watchdog.js that run it under the watchdog. It returns the output
+//   and the usage sampled by the watchdog, and throws an Error holding status,
+//   signal, stdout, stderr and usage when the command fails.
+// - execFile runs a program without shell, as execFileSync does.
+// The prebuild worker (lib/prebuild-worker.js) runs in its own process, so it
+// always uses the shell executor.
+
+const { execFileSync, execSync } = require('node:child_process');
+const { execWatched } = require('./watchdog');
+
+/**
+ * @typedef {object} Executor
+ * @property {string} name - Name of the executor, logged when it is set
+ * @property {(command: string, options: object) => {stdout: string, usage: import('./watchdog').ResourceUsage|null}} exec - Runs a shell command with the options of execSync and optional limits ({timeout, memoryLimitMb}), the usage being null without limits
+ * @property {(file: string, args: string[], options: object) => string} execFile - Runs a program without shell, with the options of execFileSync
+ */
+
+/** @type {Executor} */
+const shellExecutor = {
+    name: 'shell',
+    exec(command, { limits = undefined, ...options }) {
+        return limits
+            ? execWatched(command, { ...options, ...limits })
+            : { stdout: execSync(command, options), usage: null };
+    },
+    execFile(file, args, options) {
+        return execFileSync(file, args, options);
+    },
+};
+
+let currentExecutor = shellExecutor;
+
+/**
+ * Returns the executor of the commands
+ * @returns {Executor} Executor set by setExecutor, the shell executor by default
+ */
+function getExecutor() {
+    return currentExecutor;
+}
+
+/**
+ * Replaces the executor of the commands, for the rest of the process
+ * @param {Executor|null} executor - Executor, null to restore the shell executor
+ */
+function setExecutor(executor) {
+    currentExecutor = executor || shellExecutor;
+}
+
+module.exports = {
+    getExecutor,
+    setExecutor,
+    shellExecutor,
+};
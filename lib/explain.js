@@ -0,0 +1,332 @@
+// Explains where the time went between a commit and its parent, typically the
+// culprit of a metric bisect: both are installed and the workload runs once
+// on each with --generateTrace and --generateCpuProfile.
+//
+// The traces of every project (trace.*.json, Chrome trace events) are
+// aggregated by phase (the category of the events: parse, bind, check,
+// emit...), by file (the check and transform time of each source file) and by
+// event name (checkSourceFile, structuredTypeRelatedTo...), counting nested
+// events of the same kind once. The CPU profile is aggregated by function,
+// with the self time of its samples. Each aggregate of the commit is then
+// diffed against the parent and ranked in the direction of the find mode: the
+// largest growths first for first-broken, the largest drops for first-fixed.
+// The report is written as explain-<commit>.txt and .json in the out
+// directory, next to the traces and profiles.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { logWithTime } = require('./command');
+const { installCommit } = require('./install');
+const { runPrepare, runTimedBuild } = require('./measure');
+const { resolveCommit } = require('./worktree');
+
+// Directory of the traces and profiles, in the out directory
+const EXPLAIN_DIR_NAME = 'explain';
+// Entries of each ranked diff in the text report
+const TOP_COUNT = 20;
+
+/**
+ * @typedef {object} Aggregates
+ * @property {Object<string, number>} phases - Milliseconds by trace category
+ * @property {Object<string, number>} check - Check milliseconds by source file
+ * @property {Object<string, number>} transform - Transform milliseconds by source file
+ * @property {Object<string, number>} events - Milliseconds by "category/name" of trace event
+ * @property {Object<string, number>} functions - Self milliseconds by "function file:line" of the CPU profile
+ */
+
+/**
+ * @typedef {object} DiffEntry
+ * @property {string} key - Phase, file, event or function
+ * @property {number} before - Milliseconds on the parent
+ * @property {number} after - Milliseconds on the commit
+ * @property {number} delta - after minus before
+ */
+
+/**
+ * Reads a trace file, tolerating the missing end of an interrupted trace
+ * @param {string} filePath - trace.*.json path
+ * @returns {object[]} Trace events
+ */
+function readTraceEvents(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8').trim();
+    try {
+        return JSON.parse(text);
+    } catch {
+        return JSON.parse(`${text.replace(/,\s*$/, '')}]`);
+    }
+}
+
+/**
+ * Turns complete events (X) and begin/end pairs (B, E) into spans
+ * @param {object[]} events - Trace events of one file, in order
+ * @returns {{cat: string, name: string, start: number, end: number, args: object}[]} Spans in microseconds, sorted by start then outermost first
+ */
+function getSpans(events) {
+    const spans = [];
+    const open = [];
+    for (const event of events) {
+        if (event.ph === 'X') {
+            spans.push({
+                cat: event.cat,
+                name: event.name,
+                start: event.ts,
+                end: event.ts + (event.dur || 0),
+                args: event.args || {},
+            });
+        } else if (event.ph === 'B') {
+            open.push(event);
+        } else if (event.ph === 'E' && open.length > 0) {
+            const begin = open.pop();
+            spans.push({
+                cat: begin.cat,
+                name: begin.name,
+                start: begin.ts,
+                end: event.ts,
+                args: begin.args || {},
+            });
+        }
+    }
+    return spans.sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+/**
+ * Adds the duration of the spans of each key, a span nested in another span
+ * of the same scope being counted once
+ * @param {object[]} spans - Sorted spans, see getSpans
+ * @param {(span: object) => string|null} getKey - Key of a span, null to ignore it
+ * @param {Object<string, number>} totals - Milliseconds by key, updated
+ * @param {(span: object) => string} [getScope] - Spans nested in a span of the same scope are ignored, the key by default
+ */
+function addOutermostSpans(spans, getKey, totals, getScope = getKey) {
+    const coveredUntil = new Map();
+    for (const span of spans) {
+        const key = getKey(span);
+        if (key === null) {
+            continue;
+        }
+        const scope = getScope(span);
+        if (span.start < (coveredUntil.get(scope) || 0)) {
+            continue;
+        }
+        coveredUntil.set(scope, span.end);
+        totals[key] = (totals[key] || 0) + (span.end - span.start) / 1000;
+    }
+}
+
+/**
+ * Aggregates the self time of the functions of a CPU profile
+ * @param {object} profile - Content of a .cpuprofile file
+ * @returns {Object<string, number>} Self milliseconds by "function file:line"
+ */
+function aggregateProfile(profile) {
+    const keys = new Map(
+        profile.nodes.map(({ id, callFrame }) => [
+            id,
+            `${callFrame.functionName || '(anonymous)'} ${
+                callFrame.url
+                    ? `${path.basename(callFrame.url)}:${callFrame.lineNumber + 1}`
+                    : '(native)'
+            }`,
+        ]),
+    );
+    const functions = {};
+    let timestamp = profile.startTime;
+    const timestamps = profile.timeDeltas.map((delta) => (timestamp += delta));
+    profile.samples.forEach((nodeId, index) => {
+        // A sample lasts until the next one
+        const end =
+            index + 1 < timestamps.length
+                ? timestamps[index + 1]
+                : profile.endTime;
+        const key = keys.get(nodeId);
+        functions[key] =
+            (functions[key] || 0) + (end - timestamps[index]) / 1000;
+    });
+    return functions;
+}
+
+/**
+ * Aggregates the traces and the CPU profile of a traced run
+ * @param {string} traceDir - Directory given to --generateTrace
+ * @param {string} profilePath - File given to --generateCpuProfile
+ * @returns {Aggregates} Aggregates
+ */
+function aggregateRun(traceDir, profilePath) {
+    const aggregates = {
+        phases: {},
+        check: {},
+        transform: {},
+        events: {},
+        functions: {},
+    };
+    const traceFiles = fs
+        .readdirSync(traceDir)
+        .filter((file) => /^trace(\.\d+)?\.json$/.test(file));
+    if (traceFiles.length === 0) {
+        throw new Error(`tsc wrote no trace in ${traceDir}`);
+    }
+    for (const traceFile of traceFiles) {
+        const spans = getSpans(readTraceEvents(path.join(traceDir, traceFile)));
+        addOutermostSpans(spans, (span) => span.cat, aggregates.phases);
+        addOutermostSpans(
+            spans,
+            (span) => `${span.cat}/${span.name}`,
+            aggregates.events,
+        );
+        addOutermostSpans(
+            spans,
+            (span) =>
+                span.cat === 'check' && span.args.path ? span.args.path : null,
+            aggregates.check,
+            // Checking a file can check nodes of others, counted in the file
+            () => 'check',
+        );
+        addOutermostSpans(
+            spans,
+            (span) =>
+                span.name === 'transformNodes' && span.args.path
+                    ? span.args.path
+                    : null,
+            aggregates.transform,
+            () => 'transform',
+        );
+    }
+    if (fs.existsSync(profilePath)) {
+        aggregates.functions = aggregateProfile(
+            JSON.parse(fs.readFileSync(profilePath, 'utf8')),
+        );
+    } else {
+        logWithTime(`Warning: tsc wrote no CPU profile at ${profilePath}`);
+    }
+    return aggregates;
+}
+
+/**
+ * Diffs two aggregates of the same kind, ranked in a direction
+ * @param {Object<string, number>} before - Milliseconds by key on the parent
+ * @param {Object<string, number>} after - Milliseconds by key on the commit
+ * @param {number} direction - 1 to rank the largest growths first, -1 the largest drops
+ * @returns {DiffEntry[]} Every key, ranked
+ */
+function diffAggregate(before, after, direction) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys]
+        .map((key) => ({
+            key,
+            before: before[key] || 0,
+            after: after[key] || 0,
+            delta: (after[key] || 0) - (before[key] || 0),
+        }))
+        .sort((a, b) => direction * (b.delta - a.delta));
+}
+
+/**
+ * Installs a commit and runs the workload on it with tracing and profiling
+ * @param {object} config - Bisector config
+ * @param {string} commit - TypeScript commit
+ * @param {string} runDir - Directory receiving the trace and profile
+ * @returns {Aggregates} Aggregates of the run
+ * @throws {Error & {failure: import('./failures').Failure}} When the failure policy skips the commit or aborts
+ */
+function traceCommit(config, commit, runDir) {
+    logWithTime(`Tracing the workload on ${commit}...`);
+    const failures = [];
+    fs.rmSync(runDir, { recursive: true, force: true });
+    fs.mkdirSync(runDir, { recursive: true });
+    const traceDir = path.join(runDir, 'trace');
+    const profilePath = path.join(runDir, 'tsc.cpuprofile');
+
+    installCommit(config, commit, config.versionOverride, failures);
+    runPrepare(config, failures);
+    runTimedBuild(
+        config,
+        failures,
+        ` --generateTrace "${traceDir}" --generateCpuProfile "${profilePath}"`,
+    );
+    return aggregateRun(traceDir, profilePath);
+}
+
+/**
+ * Formats a ranked diff for the text report
+ * @param {string} title - Title of the section
+ * @param {DiffEntry[]} entries - Ranked entries, only the first TOP_COUNT are kept
+ * @returns {string[]} Lines
+ */
+function formatDiff(title, entries) {
+    const format = (ms) => `${ms.toFixed(1)}ms`;
+    return [
+        '',
+        `${title} (parent, commit, delta):`,
+        ...entries
+            .slice(0, TOP_COUNT)
+            .map(
+                ({ key, before, after, delta }) =>
+                    `  ${delta >= 0 ? '+' : ''}${format(delta)}  ${format(before)} -> ${format(after)}  ${key}`,
+            ),
+    ];
+}
+
+/**
+ * Traces a commit and its parent and writes the ranked diff of where the time
+ * went, see the top of this file
+ * @param {object} config - Bisector config, find chooses the ranking direction
+ * @param {string} ref - TypeScript commit to explain, e.g. the culprit of a bisect
+ * @returns {{reportPath: string, resultPath: string}} Text report and JSON result
+ */
+function explainCommit(config, ref) {
+    if (!/^tsc\b/.test(config.workload.command)) {
+        throw new Error(
+            `explain runs the workload with --generateTrace, it must be a tsc command, got ${config.workload.command}`,
+        );
+    }
+    const commit = resolveCommit(config.tsRepoPath, ref);
+    const parent = resolveCommit(config.tsRepoPath, `${commit}^`);
+    const shortHash = commit.substring(0, 8);
+    const explainDir = path.join(config.out, EXPLAIN_DIR_NAME, shortHash);
+    logWithTime(`\n=== Explaining ${commit} against its parent ${parent} ===`);
+
+    const before = traceCommit(config, parent, path.join(explainDir, 'parent'));
+    const after = traceCommit(config, commit, path.join(explainDir, 'commit'));
+
+    const direction = config.find === 'first-fixed' ? -1 : 1;
+    const diff = {};
+    for (const kind of Object.keys(before)) {
+        diff[kind] = diffAggregate(before[kind], after[kind], direction);
+    }
+
+    const grew = direction === 1 ? 'grew' : 'dropped';
+    const phaseLines = formatDiff('Phases', diff.phases);
+    const hotspotLines = formatDiff(
+        `Hotspots whose CPU self time ${grew} most`,
+        diff.functions,
+    );
+    const lines = [
+        `Commit: ${commit}`,
+        `Parent: ${parent}`,
+        `Workload: ${config.workload.command}`,
+        `Traces: ${explainDir}`,
+        ...phaseLines,
+        ...hotspotLines,
+        ...formatDiff(`Trace events whose time ${grew} most`, diff.events),
+        ...formatDiff(`Files whose check time ${grew} most`, diff.check),
+        ...formatDiff(
+            `Files whose transform time ${grew} most`,
+            diff.transform,
+        ),
+    ];
+    const reportPath = path.join(config.out, `explain-${shortHash}.txt`);
+    fs.writeFileSync(reportPath, `${lines.join('\n')}\n`);
+    const resultPath = path.join(config.out, `explain-${shortHash}.json`);
+    fs.writeFileSync(
+        resultPath,
+        `${JSON.stringify({ commit, parent, aggregates: { parent: before, commit: after }, diff }, null, 2)}\n`,
+    );
+
+    logWithTime([...phaseLines, ...hotspotLines].join('\n'));
+    logWithTime(`Explanation saved to: ${reportPath} and ${resultPath}`);
+    return { reportPath, resultPath };
+}
+
+module.exports = {
+    explainCommit,
+};
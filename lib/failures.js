@@ -0,0 +1,210 @@
+// Classification of the failures of the steps of a commit (build, install,
+// version, prepare, workload) and the policy deciding what happens next.
+//
+// A step killed by the watchdog after its timeout or over memoryLimitMb is a
+// timeout or out-of-memory failure. Otherwise the output of a failed step is
+// matched against the patterns of each class, the first match winning. The
+// action of the class comes from failurePolicy:
+// - retry: runs the step again, up to failureRetries times, then skips
+// - fallback: runs the fallback of the class (only hunk-conflict has one: the
+//   next version whose compat patch applies), then skips once none is left.
+//   The failures met until then are recorded as fallback, the last one as
+//   skip with fallbacksExhausted
+// - skip: gives up on the commit, bisect marks it skip and time moves on
+// - abort: stops the run
+// Every failure met is recorded with its class and action: in the JSON result
+// of a measured commit, the report of a skipped one and the run state.
+
+const { logWithTime } = require('./command');
+
+// Classes of failures, with what they mean
+const FAILURE_CLASSES = {
+    'ts-build': 'the TypeScript build or npm pack failed',
+    'hunk-conflict':
+        'yarn could not apply a hunk of its TypeScript compat patch',
+    'pnp-resolution': 'yarn PnP could not resolve a package',
+    'missing-tsconfig': 'a tsconfig file of the workload is missing',
+    'out-of-memory':
+        'node ran out of memory or the step exceeded its memory limit',
+    'type-errors': 'tsc reported type errors',
+    timeout: 'the step timed out',
+    unknown: 'any other failure',
+};
+const FAILURE_ACTIONS = ['retry', 'fallback', 'skip', 'abort'];
+// Classes whose fallback exists
+const FALLBACK_CLASSES = ['hunk-conflict'];
+
+// Patterns of the classes read from the output, checked in order
+const FAILURE_PATTERNS = [
+    {
+        failureClass: 'out-of-memory',
+        pattern:
+            /JavaScript heap out of memory|Reached heap limit|FATAL ERROR: .*Allocation failed/,
+    },
+    { failureClass: 'hunk-conflict', pattern: /Cannot apply hunk #\d+/ },
+    {
+        failureClass: 'pnp-resolution',
+        pattern:
+            /tried to access .*, but it isn't declared in its dependencies|Qualified path resolution failed|isn't part of the dependency tree/,
+    },
+    {
+        failureClass: 'missing-tsconfig',
+        pattern: /File '[^']*tsconfig[^']*\.json' not found|error TS5057:/,
+    },
+    { failureClass: 'type-errors', pattern: /error TS\d+:/ },
+];
+
+/**
+ * @typedef {object} Failure
+ * @property {string} class - Key of FAILURE_CLASSES
+ * @property {string} step - build, install, version, prepare or workload
+ * @property {number|null} exitCode - Exit code of the step, null if unknown or killed
+ * @property {string} message - Line of the output identifying the failure
+ * @property {string} [action] - Action taken: retry, fallback, skip or abort
+ * @property {boolean} [fallbacksExhausted] - True when the commit is skipped because no fallback is left
+ */
+
+/**
+ * Classifies the failure of a step from its output
+ * @param {string} step - Failed step
+ * @param {object} outcome - Outcome of the step
+ * @param {number|null} [outcome.exitCode] - Exit code
+ * @param {string} [outcome.output] - Output of the step
+ * @param {boolean} [outcome.timedOut] - True when the step was killed after its timeout
+ * @param {boolean} [outcome.memoryExceeded] - True when the step was killed over the memory limit
+ * @returns {Failure} Failure, without action
+ */
+function classifyFailure(
+    step,
+    { exitCode = null, output = '', timedOut = false, memoryExceeded = false },
+) {
+    const lines = output.trim().split('\n');
+    const lastLine = lines[lines.length - 1] || `exit code ${exitCode}`;
+    if (timedOut) {
+        return { class: 'timeout', step, exitCode, message: lastLine };
+    }
+    if (memoryExceeded) {
+        return {
+            class: 'out-of-memory',
+            step,
+            exitCode,
+            message: 'killed over the memory limit',
+        };
+    }
+    // Whatever hereby or npm pack printed, the commit could not be built
+    if (step === 'build') {
+        return { class: 'ts-build', step, exitCode, message: lastLine };
+    }
+    for (const { failureClass, pattern } of FAILURE_PATTERNS) {
+        const line = lines.find((outputLine) => pattern.test(outputLine));
+        if (line) {
+            return {
+                class: failureClass,
+                step,
+                exitCode,
+                message: line.trim(),
+            };
+        }
+    }
+    return { class: 'unknown', step, exitCode, message: lastLine };
+}
+
+/**
+ * Returns the action of the policy for a failure
+ * @param {object} config - Bisector config
+ * @param {Failure} failure - Classified failure
+ * @param {number} retries - Number of times the step was already retried
+ * @returns {string} retry, fallback, skip or abort
+ */
+function getFailureAction(config, failure, retries) {
+    const action = (config.failurePolicy || {})[failure.class] || 'abort';
+    if (action === 'retry' && retries >= (config.failureRetries || 0)) {
+        return 'skip';
+    }
+    return action;
+}
+
+/**
+ * Logs a failure and the action taken
+ * @param {Failure} failure - Failure, with its action
+ */
+function logFailure(failure) {
+    logWithTime(
+        `${failure.step} failed (${failure.class}: ${FAILURE_CLASSES[failure.class]}): ${failure.message}, action: ${failure.action}`,
+    );
+}
+
+/**
+ * Creates the error thrown when the policy skips the commit or aborts
+ * @param {Failure} failure - Failure, with its action
+ * @param {Failure[]} failures - Every failure met for the commit, this one included
+ * @param {string} [output] - Output of the failed step
+ * @returns {Error & {failure: Failure, failures: Failure[], output?: string}} Error
+ */
+function createFailureError(failure, failures, output = undefined) {
+    const error = new Error(
+        `${failure.step} failed (${failure.class}): ${failure.message}`,
+    );
+    error.failure = failure;
+    error.failures = failures;
+    error.output = output;
+    return error;
+}
+
+/**
+ * Returns the failure of an error thrown by a step if the policy skipped the
+ * commit, so callers can move on to the next one
+ * @param {Error & {failure?: Failure}} error - Error thrown by a step
+ * @returns {Failure|null} Failure of the skipped commit, null if the run must stop
+ */
+function getSkippedFailure(error) {
+    return error.failure && error.failure.action === 'skip'
+        ? error.failure
+        : null;
+}
+
+/**
+ * Runs a step until it succeeds or the policy gives up on it
+ * @param {object} config - Bisector config
+ * @param {string} step - Step name, see Failure
+ * @param {() => {exitCode: number|null, output: string, timedOut?: boolean, memoryExceeded?: boolean, failed?: boolean}} attempt - Runs the step once, failed defaulting to a non-zero exit code
+ * @param {Failure[]} failures - Failures of the commit so far, the ones met here are appended
+ * @returns {{exitCode: number|null, output: string}} Outcome of the successful attempt
+ * @throws {Error & {failure: Failure, failures: Failure[]}} When the commit is skipped or the run aborted
+ */
+function runStep(config, step, attempt, failures) {
+    for (let retries = 0; ; retries++) {
+        const outcome = attempt();
+        const failed =
+            outcome.failed === undefined
+                ? outcome.exitCode !== 0
+                : outcome.failed;
+        if (!failed) {
+            return outcome;
+        }
+        const failure = classifyFailure(step, outcome);
+        failure.action = getFailureAction(config, failure, retries);
+        // The fallbacks, if any, were tried by the step itself
+        if (failure.action === 'fallback') {
+            failure.action = 'skip';
+            failure.fallbacksExhausted = true;
+        }
+        failures.push(failure);
+        logFailure(failure);
+        if (failure.action !== 'retry') {
+            throw createFailureError(failure, failures, outcome.output);
+        }
+    }
+}
+
+module.exports = {
+    FAILURE_ACTIONS,
+    FAILURE_CLASSES,
+    FALLBACK_CLASSES,
+    classifyFailure,
+    createFailureError,
+    getFailureAction,
+    getSkippedFailure,
+    logFailure,
+    runStep,
+};
@@ -0,0 +1,440 @@
+// Installs TypeScript commits in the dd repo: the tarball of the commit is
+// taken from the tarball cache or built in a worktree (lib/typescript-build.js),
+// then installed with the configured package manager, the workspace manifests
+// pointing at it for the install only (lib/workspace-manifests.js).
+// With yarn, the version override letting yarn apply its TypeScript compat
+// patch is chosen too, see lib/compat-patch.js: a commit is built with the
+// override chosen for the last one, and only rebuilt when the patch needs
+// another. Failures of the build, the install and tsc -v go through the
+// failure policy, see lib/failures.js.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { logWithTime, tryCommand } = require('./command');
+const {
+    findFailedHunk,
+    loadCompatPatch,
+    resolveCompatPatch,
+} = require('./compat-patch');
+const {
+    createFailureError,
+    getFailureAction,
+    logFailure,
+    runStep,
+} = require('./failures');
+const { getCommand, getPackageManager } = require('./package-managers');
+const { recoverPatchSets } = require('./patch-set');
+const { getCachedTarball, storeTarball } = require('./tarball-cache');
+const { buildTypeScript } = require('./typescript-build');
+const { getStepLimits } = require('./watchdog');
+const { git, pruneWorktrees } = require('./worktree');
+const { linkTarball } = require('./workspace-manifests');
+
+// Version override the compat patch chose for the last dry-applied commit,
+// and the version it replaced, see getExpectedVersionOverride
+let lastCompatChoice = null;
+
+/**
+ * Restores the files left edited by interrupted runs, from their journals,
+ * and removes the worktrees they left behind
+ * @param {object} config - Bisector config
+ */
+function recoverInterruptedRuns(config) {
+    for (const { name, files } of recoverPatchSets(config.journalDir)) {
+        logWithTime(
+            `Restored ${files.length} files edited by an interrupted ${name}: ${files.join(', ')}`,
+        );
+    }
+    for (const name of pruneWorktrees(config.tsRepoPath, config.worktreesDir)) {
+        logWithTime(`Removed stale worktree ${name}`);
+    }
+}
+
+/**
+ * Build TypeScript and create a tarball, or reuse the one cached for the
+ * commit and version. The commit is built in a disposable worktree, so the
+ * ts repo itself is never checked out or modified.
+ * @param {object} config - Bisector config
+ * @param {string} commit - TypeScript commit to build
+ * @param {string} [version] - Version to write in the TypeScript package before building
+ * @returns {{renamedTarballPath: string, previousVersion: string|undefined}} Path to the created TypeScript tarball and version before the override
+ */
+function buildTypeScriptTarball(config, commit, version = undefined) {
+    const renamedTarballPath = config.tarballPath;
+    fs.mkdirSync(path.dirname(renamedTarballPath), { recursive: true });
+
+    // cacheDir can be set to null to always build
+    const cachedEntry =
+        config.cacheDir && getCachedTarball(config.cacheDir, commit, version);
+    if (cachedEntry) {
+        logWithTime(`Using cached TypeScript tarball ${cachedEntry.key}`);
+        fs.copyFileSync(cachedEntry.tarballPath, renamedTarballPath);
+        return {
+            renamedTarballPath,
+            previousVersion: cachedEntry.previousVersion || undefined,
+        };
+    }
+
+    logWithTime(`Building TypeScript tarball for ${commit}...`);
+
+    const previousVersion = buildTypeScript({
+        tsRepoPath: config.tsRepoPath,
+        worktreesDir: config.worktreesDir,
+        commit,
+        versionOverride: version,
+        tarballPath: renamedTarballPath,
+        journalDir: config.journalDir,
+        log: logWithTime,
+        limits: getStepLimits(config, 'build'),
+    });
+
+    if (config.cacheDir) {
+        const entry = storeTarball(config.cacheDir, {
+            commit,
+            versionOverride: version,
+            previousVersion,
+            tarballPath: renamedTarballPath,
+        });
+        logWithTime(`Cached TypeScript tarball as ${entry.key}`);
+    }
+
+    return {
+        renamedTarballPath,
+        previousVersion,
+    };
+}
+
+/**
+ * Builds the tarball of a commit as buildTypeScriptTarball does, retrying or
+ * giving up on a failed build as the failure policy says
+ * @param {object} config - Bisector config
+ * @param {string} commit - TypeScript commit to build
+ * @param {string} [versionOverride] - Version to write in the TypeScript package before building
+ * @param {import('./failures').Failure[]} [failures] - Failures of the commit, the ones met here are appended
+ * @returns {{previousVersion: string|undefined}} Version of the package before the override
+ * @throws {Error & {failure: import('./failures').Failure}} When the policy skips the commit or aborts
+ */
+function buildCommit(
+    config,
+    commit,
+    versionOverride = undefined,
+    failures = [],
+) {
+    let previousVersion;
+    runStep(
+        config,
+        'build',
+        () => {
+            try {
+                ({ previousVersion } = buildTypeScriptTarball(
+                    config,
+                    commit,
+                    versionOverride,
+                ));
+                return { exitCode: 0, output: '' };
+            } catch (error) {
+                return {
+                    exitCode:
+                        error.exitCode === undefined ? null : error.exitCode,
+                    output: error.output || error.message,
+                    timedOut: Boolean(error.timedOut),
+                    memoryExceeded: Boolean(error.memoryExceeded),
+                };
+            }
+        },
+        failures,
+    );
+    return { previousVersion };
+}
+
+/**
+ * Returns the version override the compat patch is expected to need for a
+ * commit, so the commit is built once with it: the one the patch chose for
+ * the last commit of the same package version, as bisect neighbours mostly
+ * share their lib/
+ * @param {object} config - Bisector config
+ * @param {string} commit - TypeScript commit
+ * @returns {string|undefined} Version to build with, undefined for none
+ */
+function getExpectedVersionOverride(config, commit) {
+    if (
+        !lastCompatChoice ||
+        !getPackageManager(config.packageManager, config.ddRepoPath).compatPatch
+    ) {
+        return undefined;
+    }
+    const { version } = JSON.parse(
+        git(config.tsRepoPath, ['show', `${commit}:package.json`]),
+    );
+    return version === lastCompatChoice.builtVersion
+        ? lastCompatChoice.versionOverride
+        : undefined;
+}
+
+/**
+ * Returns a command to run in the dd repo with the configured package manager
+ * @param {object} config - Bisector config
+ * @param {string} command - Command, "tsc ..." runs the tsc of the workspace
+ * @returns {string} Command to execute
+ */
+function getDdRepoCommand(config, command) {
+    return getCommand(
+        getPackageManager(config.packageManager, config.ddRepoPath),
+        command,
+    );
+}
+
+/**
+ * Installs the built tarball in the dd repo with the configured package manager
+ * @param {object} config - Bisector config
+ * @returns {{exitCode: number|null, output: string}} Exit code and output of the install
+ */
+function installTypeScript(config) {
+    const packageManager = getPackageManager(
+        config.packageManager,
+        config.ddRepoPath,
+    );
+    const restoreManifest = linkTarball(
+        packageManager,
+        config.ddRepoPath,
+        config.tarballPath,
+        { journalDir: config.journalDir, log: logWithTime },
+    );
+    try {
+        return tryCommand(
+            getCommand(packageManager, packageManager.install),
+            config.ddRepoPath,
+            { limits: getStepLimits(config, 'install') },
+        );
+    } finally {
+        restoreManifest();
+    }
+}
+
+/**
+ * Installs the built tarball with yarn, choosing the version override that
+ * lets yarn apply its TypeScript compat patch (see lib/compat-patch.js).
+ * The tarball is rebuilt when the chosen override is not the one it was
+ * built with. When yarn reports "Cannot apply hunk #N", the hunk-conflict
+ * policy applies: its fallback rebuilds with the next candidates, and the
+ * commit is skipped once none is left, as for a skip of the policy.
+ * @param {object} config - Bisector config
+ * @param {string} commit - TypeScript commit
+ * @param {import('./failures').Failure[]} failures - Failures of the commit, the ones met here are appended
+ * @param {{versionOverride: string|undefined, previousVersion: string|undefined}} built - Override the tarball was built with, and the version it replaced
+ * @returns {{compatPatch: import('./results').CompatPatchChoice, versionOverride: string|undefined, previousVersion: string|undefined, install: {exitCode: number|null, output: string}}} Chosen range, override, version before the override and last install
+ * @throws {Error & {failure: import('./failures').Failure}} When no compat patch version applies, or the policy skips the commit or aborts
+ */
+function installWithCompatPatch(config, commit, failures, built) {
+    const patch = loadCompatPatch(config.ddRepoPath);
+    const resolution = resolveCompatPatch(
+        patch,
+        config.tarballPath,
+        built.previousVersion,
+    );
+    logWithTime(
+        `Compat patch from ${resolution.source}: ${resolution.range || 'none'}, ${resolution.reason}`,
+    );
+    if (patch.sections) {
+        lastCompatChoice = {
+            builtVersion: resolution.builtVersion,
+            versionOverride: resolution.versionOverride || undefined,
+        };
+    }
+
+    let versionOverride = resolution.versionOverride || undefined;
+    let { previousVersion } = built;
+    let compatPatch = {
+        range: resolution.range,
+        versionOverride: resolution.versionOverride,
+        reason: resolution.reason,
+    };
+    if (versionOverride !== built.versionOverride) {
+        logWithTime(
+            `Rebuilding with version ${versionOverride || resolution.builtVersion}...`,
+        );
+        ({ previousVersion } = buildCommit(
+            config,
+            commit,
+            versionOverride,
+            failures,
+        ));
+    }
+
+    let install = installTypeScript(config);
+    let failedHunk = findFailedHunk(install.output);
+    const candidates = [...resolution.candidates];
+    let retries = 0;
+    while (failedHunk !== null) {
+        const failure = {
+            class: 'hunk-conflict',
+            step: 'install',
+            exitCode: install.exitCode,
+            message: `Cannot apply hunk #${failedHunk}`,
+        };
+        failure.action = getFailureAction(config, failure, retries);
+        failures.push(failure);
+        logFailure(failure);
+        if (failure.action === 'retry') {
+            retries++;
+            install = installTypeScript(config);
+            failedHunk = findFailedHunk(install.output);
+            continue;
+        }
+        if (failure.action !== 'fallback') {
+            throw createFailureError(failure, failures, install.output);
+        }
+        if (candidates.length === 0) {
+            failure.action = 'skip';
+            failure.fallbacksExhausted = true;
+            logWithTime(
+                `yarn could not apply hunk #${failedHunk} of the compat patch with any version, no fallback is left`,
+            );
+            throw createFailureError(failure, failures, install.output);
+        }
+        const candidate = candidates.shift();
+        logWithTime(
+            `yarn could not apply hunk #${failedHunk} of the compat patch, trying version ${candidate.version} (${candidate.range})...`,
+        );
+        versionOverride = candidate.version;
+        ({ previousVersion } = buildCommit(
+            config,
+            commit,
+            versionOverride,
+            failures,
+        ));
+        compatPatch = {
+            range: candidate.range,
+            versionOverride,
+            reason: `yarn could not apply hunk #${failedHunk} of the previous choice (${compatPatch.versionOverride || 'no override'})`,
+        };
+        install = installTypeScript(config);
+        failedHunk = findFailedHunk(install.output);
+    }
+    logWithTime(
+        `Compat patch: ${compatPatch.range || 'none'} with version ${versionOverride || 'as built'}`,
+    );
+    return { compatPatch, versionOverride, previousVersion, install };
+}
+
+/**
+ * Builds a commit and installs it in the dd repo, choosing the compat patch
+ * with yarn unless a version override is given. Failed steps are retried or
+ * given up on as the failure policy says.
+ * @param {object} config - Bisector config
+ * @param {string} commit - TypeScript commit to install
+ * @param {string} [versionOverride] - Version to build the commit with
+ * @param {import('./failures').Failure[]} [failures] - Failures of the commit, the ones met here are appended
+ * @returns {{tsVersion: string, compatPatch: import('./results').CompatPatchChoice|null, packageManager: object}} Installed version, compat patch choice and package manager
+ * @throws {Error & {failure: import('./failures').Failure}} When the policy skips the commit or aborts
+ */
+function installCommit(
+    config,
+    commit,
+    versionOverride = undefined,
+    failures = [],
+) {
+    const packageManager = getPackageManager(
+        config.packageManager,
+        config.ddRepoPath,
+    );
+
+    // Step 1: Build TypeScript and copy the tarball to tarballPath
+    const expectedVersionOverride = versionOverride
+        ? undefined
+        : getExpectedVersionOverride(config, commit);
+    if (expectedVersionOverride) {
+        logWithTime(
+            `Building with version ${expectedVersionOverride}, chosen for the compat patch of the last commit`,
+        );
+    }
+    const { previousVersion: builtPreviousVersion } = buildCommit(
+        config,
+        commit,
+        versionOverride || expectedVersionOverride,
+        failures,
+    );
+
+    // Step 2: Install in dd repo
+    logWithTime(
+        `Installing TypeScript in dd repo with ${packageManager.name} (${packageManager.linker})...`,
+    );
+    let compatPatch = null;
+    let selectedVersionOverride;
+    let previousVersion;
+    runStep(
+        config,
+        'install',
+        () => {
+            if (versionOverride) {
+                compatPatch = {
+                    range: null,
+                    versionOverride,
+                    reason: 'version override of the config',
+                };
+                return installTypeScript(config);
+            }
+            if (packageManager.compatPatch) {
+                let install;
+                ({
+                    compatPatch,
+                    previousVersion,
+                    versionOverride: selectedVersionOverride,
+                    install,
+                } = installWithCompatPatch(config, commit, failures, {
+                    versionOverride: expectedVersionOverride,
+                    previousVersion: builtPreviousVersion,
+                }));
+                return install;
+            }
+            return installTypeScript(config);
+        },
+        failures,
+    );
+
+    // Get the TypeScript version
+    let tsVersion;
+    if (versionOverride) {
+        tsVersion = `${versionOverride}-override`;
+    } else {
+        tsVersion = `${getInstalledVersion(config, failures)}${
+            selectedVersionOverride ? `<-${previousVersion}` : ''
+        }`;
+    }
+    logWithTime(`TypeScript version: ${tsVersion}`);
+
+    return { tsVersion, compatPatch, packageManager };
+}
+
+/**
+ * Returns the version printed by the tsc installed in the dd repo
+ * @param {object} config - Bisector config
+ * @param {import('./failures').Failure[]} [failures] - Failures of the commit, the ones met here are appended
+ * @returns {string} Version, e.g. 5.6.0-dev.20240612
+ */
+function getInstalledVersion(config, failures = []) {
+    logWithTime('Getting TypeScript version...');
+    return runStep(
+        config,
+        'version',
+        () =>
+            tryCommand(getDdRepoCommand(config, 'tsc -v'), config.ddRepoPath, {
+                limits: getStepLimits(config, 'version'),
+            }),
+        failures,
+    )
+        .output.split('\n')
+        .pop()
+        .replace('Version ', '');
+}
+
+module.exports = {
+    buildCommit,
+    buildTypeScriptTarball,
+    getDdRepoCommand,
+    getExpectedVersionOverride,
+    getInstalledVersion,
+    installCommit,
+    installTypeScript,
+    recoverInterruptedRuns,
+};
@@ -0,0 +1,442 @@
+// Timing of a TypeScript commit on the dd repo workload:
+// 1. Build TypeScript using npx hereby commands and npm pack (lib/install.js)
+// 2. Install the resulting .tgz file in dd repo with the configured package manager
+// 3. Run the prepare command of the workload (yarn typecheck:packages by
+//    default)
+// 4. Stabilize the machine as configured (lib/environment.js): wait for a low
+//    load average, then run the workload once untimed
+// 5. Run the workload command (tsc -b tsconfig.turbo.json --extendedDiagnostics)
+//    on a clean build, as many times as samples are needed
+// 6. Record the timings, the metric and the fingerprint of the machine in a
+//    text report, its JSON result (lib/results.js) and a row of the summary
+//    file
+// Every step runs under the watchdog of lib/watchdog.js, with the timeout of
+// the step and memoryLimitMb. The peak memory and CPU time it samples for each
+// timed run are recorded next to the "Memory used" of tsc.
+// A failed step goes through the failure policy (lib/failures.js): when the
+// commit is skipped or the run aborted, a failure report is written instead.
+
+/* eslint-disable no-console */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { getTimestamp, logWithTime, tryCommand } = require('./command');
+const { parseDiagnostics } = require('./diagnostics');
+const {
+    formatEnvironment,
+    getBenchmarkCommand,
+    getEnvironment,
+    getStabilization,
+    waitForLowLoad,
+} = require('./environment');
+const { FAILURE_CLASSES, runStep } = require('./failures');
+const { getDdRepoCommand, installCommit } = require('./install');
+const { DEFAULT_METRIC, evaluateMetric } = require('./metrics');
+const { createResult, writeResult } = require('./results');
+const { getStepLimits } = require('./watchdog');
+
+// Summary of the measured commits, in the out directory
+const SUMMARY_FILE_NAME = 'summary.txt';
+const SUMMARY_HEADER =
+    'timestamp,commit,ts_version,prepare_time_s,build_time_s,build_time_stddev_s,build_time_samples_s,metric,metric_mean,metric_stddev,package_manager,linker\n';
+
+// A single sample is too noisy to label a commit close to the threshold,
+// so every bisect step is timed at least MIN_SAMPLES times, and up to
+// MAX_SAMPLES times while the verdict is not significant
+const MIN_SAMPLES = 3;
+const MAX_SAMPLES = 6;
+
+/**
+ * Deletes the build outputs of the workload, so the next run is a clean build
+ * @param {object} config - Bisector config
+ */
+function cleanBuildFiles(config) {
+    // Delete tsbuildinfo files to ensure a clean build
+    for (const cleanFile of config.workload.cleanFiles || []) {
+        const cleanFilePath = path.join(config.ddRepoPath, cleanFile);
+        try {
+            if (fs.existsSync(cleanFilePath)) {
+                logWithTime(`Deleting ${cleanFilePath} for clean build...`);
+                fs.unlinkSync(cleanFilePath);
+            }
+        } catch (error) {
+            logWithTime(
+                `Warning: Could not delete ${cleanFilePath}: ${error.message}`,
+            );
+        }
+    }
+}
+
+/**
+ * Runs the prepare command of the workload, if any
+ * @param {object} config - Bisector config
+ * @param {import('./failures').Failure[]} failures - Failures of the commit, the ones met here are appended
+ * @returns {number|null} Duration in seconds, null without prepare command
+ */
+function runPrepare(config, failures) {
+    const prepareCommand = config.workload.prepare;
+    if (!prepareCommand) {
+        return null;
+    }
+    logWithTime(`Running ${prepareCommand} with timing...`);
+    const startTime = Date.now();
+    const { command, env } = getBenchmarkCommand(
+        config,
+        getDdRepoCommand(config, prepareCommand),
+    );
+    runStep(
+        config,
+        'prepare',
+        () =>
+            tryCommand(command, config.ddRepoPath, {
+                env,
+                limits: getStepLimits(config, 'prepare'),
+            }),
+        failures,
+    );
+    return (Date.now() - startTime) / 1000;
+}
+
+/**
+ * Runs the workload on a clean dd repo build and parses its diagnostics.
+ * The run fails when tsc prints no build time or the metric can not be
+ * computed from its diagnostics.
+ * @param {object} config - Bisector config
+ * @param {import('./failures').Failure[]} failures - Failures of the commit, the ones met here are appended
+ * @param {string} [extraArgs] - Arguments appended to the workload command, e.g. to trace it
+ * @returns {{diagnostics: import('./diagnostics').Diagnostics, value: number, tscOutput: string}} Parsed diagnostics, value of the metric and full tsc output
+ */
+function runTimedBuild(config, failures, extraArgs = '') {
+    const { command, env } = getBenchmarkCommand(
+        config,
+        getDdRepoCommand(config, `${config.workload.command}${extraArgs}`),
+    );
+    let diagnostics;
+    let value = null;
+    const { output: tscOutput } = runStep(
+        config,
+        'workload',
+        () => {
+            cleanBuildFiles(config);
+
+            // tsc exits with an error code on type errors, the diagnostics are still printed
+            const outcome = tryCommand(command, config.ddRepoPath, {
+                env,
+                limits: getStepLimits(config, 'workload'),
+            });
+
+            // Parse the diagnostics from the output (including lines like "Build time:                            601.60s")
+            diagnostics = parseDiagnostics(outcome.output);
+            diagnostics.usage = outcome.usage;
+
+            if (!diagnostics.buildTime) {
+                console.error('Could not determine build time from tsc output');
+                console.error('tsc output snippet:');
+                // Print the last few lines of output to help debug
+                const outputLines = outcome.output.split('\n');
+                const lastLines = outputLines.slice(-20); // Last 20 lines
+                console.error(lastLines.join('\n'));
+            }
+            value = evaluateMetric(config.metric, diagnostics);
+            if (diagnostics.buildTime && value === null) {
+                // The message of the failure is the last line of the output
+                return {
+                    ...outcome,
+                    output: `${outcome.output}\nCould not compute ${config.metric} from tsc output`,
+                    failed: true,
+                };
+            }
+            return {
+                ...outcome,
+                failed:
+                    !diagnostics.buildTime ||
+                    outcome.timedOut ||
+                    outcome.memoryExceeded,
+            };
+        },
+        failures,
+    );
+
+    return { diagnostics, value, tscOutput };
+}
+
+/**
+ * Formats a value of the usage of every run for the header of a report
+ * @param {import('./diagnostics').Diagnostics[]} runs - Parsed diagnostics of every run, with their usage
+ * @param {(usage: import('./watchdog').ResourceUsage) => string|false|null} format - Formats the value, falsy if it was not sampled
+ * @returns {string} Comma separated values, unknown where not sampled
+ */
+function formatUsageSamples(runs, format) {
+    return runs
+        .map((run) => (run.usage && format(run.usage)) || 'unknown')
+        .join(', ');
+}
+
+/**
+ * Formats failures for the header of a report
+ * @param {import('./failures').Failure[]} failures - Failures of the commit
+ * @returns {string} One "class (step, action): message" per failure, or none
+ */
+function formatFailures(failures) {
+    if (failures.length === 0) {
+        return 'none';
+    }
+    return failures
+        .map(
+            (failure) =>
+                `${failure.class} (${failure.step}, ${failure.action}): ${failure.message}`,
+        )
+        .join('; ');
+}
+
+/**
+ * Writes the report of a commit whose measurement failed
+ * @param {object} config - Bisector config
+ * @param {string} commit - Measured commit
+ * @param {string} tsVersion - Installed version, unknown if the install failed
+ * @param {import('./failures').Failure} failure - Failure that stopped the measurement
+ * @param {import('./failures').Failure[]} failures - Every failure met for the commit
+ * @returns {string} Report path
+ */
+function writeFailureReport(config, commit, tsVersion, failure, failures) {
+    if (!fs.existsSync(config.out)) {
+        fs.mkdirSync(config.out, { recursive: true });
+    }
+    const shortHash = commit.substring(0, 8);
+    const filePath = path.join(
+        config.out,
+        `${tsVersion}-${shortHash}-${failure.class}.txt`,
+    );
+    fs.writeFileSync(
+        filePath,
+        [
+            `Commit: ${commit}`,
+            `TypeScript Version: ${tsVersion}`,
+            `Failure Class: ${failure.class}`,
+            `Failure Step: ${failure.step}`,
+            `Failure Action: ${failure.action}`,
+            `Failure: ${failure.message}`,
+            `Failures: ${formatFailures(failures)}`,
+            '',
+            FAILURE_CLASSES[failure.class],
+        ].join('\n'),
+    );
+    logWithTime(`Failure saved to: ${filePath}`);
+    return filePath;
+}
+
+/**
+ * Measures TypeScript build timing and the bisected metric for a commit.
+ * The tsc run is repeated at least minSamples times, then until isConclusive
+ * returns true for the metric samples or maxSamples is reached.
+ * @param {object} config - Bisector config
+ * @param {object} options - Measurement options
+ * @param {string} options.commit - TypeScript commit to measure
+ * @param {object} [options.prebuilder] - Prebuilder to pause during the timed runs
+ * @returns {import('./results').CommitResult & {resultPath: string}} Result of the commit and the path of its JSON file
+ * @throws {Error & {failure: import('./failures').Failure, reportPath: string}} When the failure policy skips the commit or aborts, see getSkippedFailure
+ */
+function measureTSBuildTime(config, options) {
+    const failures = [];
+    const installed = { tsVersion: 'unknown' };
+    try {
+        return measureInstalledCommit(config, options, failures, installed);
+    } catch (error) {
+        if (error.failure) {
+            // The prebuilder may be paused by the failed timed run
+            if (options.prebuilder) {
+                options.prebuilder.resume();
+            }
+            error.reportPath = writeFailureReport(
+                config,
+                options.commit,
+                installed.tsVersion,
+                error.failure,
+                failures,
+            );
+        }
+        throw error;
+    }
+}
+
+/**
+ * Installs and measures a commit, see measureTSBuildTime
+ * @param {object} config - Bisector config
+ * @param {object} options - Measurement options of measureTSBuildTime
+ * @param {import('./failures').Failure[]} failures - Failures of the commit, appended as they happen
+ * @param {{tsVersion: string}} installed - Receives the installed version
+ * @returns {import('./results').CommitResult & {resultPath: string}} Result of the commit and the path of its JSON file
+ */
+function measureInstalledCommit(
+    config,
+    {
+        commit,
+        versionOverride = undefined,
+        minSamples = 1,
+        maxSamples = minSamples,
+        isConclusive = () => true,
+        prebuilder = null,
+    },
+    failures,
+    installed,
+) {
+    logWithTime(`Measuring build time for TypeScript commit ${commit}...`);
+
+    const { tsVersion, compatPatch, packageManager } = installCommit(
+        config,
+        commit,
+        versionOverride,
+        failures,
+    );
+    installed.tsVersion = tsVersion;
+
+    // Step 3: Run the prepare command with timing
+    let prepareTime = 'skipped';
+    const prepareSeconds = runPrepare(config, failures);
+    if (prepareSeconds !== null) {
+        prepareTime = prepareSeconds.toFixed(2);
+        logWithTime(`Prepare time: ${prepareTime}s`);
+    }
+
+    // Step 4: Stabilize the machine, then take its fingerprint
+    waitForLowLoad(config);
+    if (getStabilization(config).warmup) {
+        logWithTime('Running the workload once to warm up...');
+        if (prebuilder) {
+            prebuilder.pause();
+        }
+        runTimedBuild(config, failures);
+        if (prebuilder) {
+            prebuilder.resume();
+        }
+    }
+    const environment = getEnvironment(config);
+
+    // Step 5: Run tsc with extended diagnostics and capture timing samples
+    const samples = [];
+    const runs = [];
+    const tscOutputs = [];
+    while (
+        samples.length < minSamples ||
+        (samples.length < maxSamples && !isConclusive(samples))
+    ) {
+        logWithTime(
+            `Running tsc with extended diagnostics (sample ${
+                samples.length + 1
+            })...`,
+        );
+        if (prebuilder) {
+            prebuilder.pause();
+        }
+        const { diagnostics, value, tscOutput } = runTimedBuild(
+            config,
+            failures,
+        );
+        if (prebuilder) {
+            prebuilder.resume();
+        }
+        logWithTime(
+            `Sample ${samples.length + 1}: Build time ${diagnostics.buildTime}s${config.metric === DEFAULT_METRIC ? '' : `, ${config.metric} ${value}`}`,
+        );
+        samples.push(value);
+        runs.push(diagnostics);
+        tscOutputs.push(tscOutput);
+    }
+
+    // Step 6: Create the result of the commit
+    const result = createResult({
+        commit,
+        tsVersion,
+        packageManager: packageManager.name,
+        linker: packageManager.linker,
+        compatPatch,
+        failures,
+        typecheckPackagesTime:
+            prepareTime === 'skipped' ? null : parseFloat(prepareTime),
+        runs,
+        metric: config.metric,
+        environment,
+    });
+
+    // Create a unique filename with tsVersion
+    const shortHash = commit.substring(0, 8);
+    const fileName = `${tsVersion}-${shortHash}.txt`;
+    const filePath = path.join(config.out, fileName);
+
+    // Ensure timings directory exists
+    if (!fs.existsSync(config.out)) {
+        fs.mkdirSync(config.out, { recursive: true });
+    }
+
+    const meanTime = result.buildTime.mean.toFixed(2);
+    const stddevTime = result.buildTime.stddev.toFixed(2);
+    const meanMetric = result.metric.mean.toFixed(2);
+    const stddevMetric = result.metric.stddev.toFixed(2);
+
+    // Write timing details to a new file (including every tsc output for reference)
+    const tscOutputSections = tscOutputs
+        .map(
+            (tscOutput, index) =>
+                `--- TSC Output (sample ${index + 1}/${tscOutputs.length}) ---\n${tscOutput}`,
+        )
+        .join('\n\n');
+    const fullDetails = [
+        `Commit: ${commit}`,
+        `TypeScript Version: ${tsVersion}`,
+        `Package Manager: ${packageManager.name}`,
+        `Linker: ${packageManager.linker}`,
+        ...(compatPatch
+            ? [
+                  `Compat Patch: ${compatPatch.range || 'none'}`,
+                  `Compat Patch Override: ${compatPatch.versionOverride || 'none'}`,
+                  `Compat Patch Reason: ${compatPatch.reason}`,
+              ]
+            : []),
+        `Build Time: ${meanTime}s`,
+        `Build Time Stddev: ${stddevTime}s`,
+        `Build Time Samples: ${result.buildTime.samples.map((sample) => `${sample}s`).join(', ')}`,
+        `Metric: ${config.metric}`,
+        `Metric Mean: ${meanMetric}`,
+        `Metric Stddev: ${stddevMetric}`,
+        `Metric Samples: ${samples.join(', ')}`,
+        `Peak RSS Samples: ${formatUsageSamples(runs, (usage) => usage.peakRssKb && `${Math.round(usage.peakRssKb / 1024)} MB`)}`,
+        `CPU Time Samples: ${formatUsageSamples(runs, (usage) => usage.cpuTimeS !== null && `${usage.cpuTimeS.toFixed(2)}s`)}`,
+        `Prepare Time: ${prepareTime}s`,
+        ...formatEnvironment(environment),
+        `Failures: ${formatFailures(failures)}`,
+        '',
+        tscOutputSections,
+    ].join('\n');
+    fs.writeFileSync(filePath, fullDetails);
+    const resultPath = writeResult(filePath, result);
+
+    // Also append a summary entry to the summary file
+    const summaryFile = path.join(config.out, SUMMARY_FILE_NAME);
+    const summaryEntry = `${getTimestamp()},${result.commit},${result.tsVersion},${prepareTime},${meanTime},${stddevTime},${result.buildTime.samples.join(' ')},${config.metric},${meanMetric},${stddevMetric},${packageManager.name},${packageManager.linker}`;
+    fs.appendFileSync(summaryFile, `${summaryEntry}\n`);
+
+    logWithTime(
+        `Build time: ${meanTime}s ± ${stddevTime}s over ${samples.length} samples for commit ${commit}`,
+    );
+    if (config.metric !== DEFAULT_METRIC) {
+        logWithTime(`${config.metric}: ${meanMetric} ± ${stddevMetric}`);
+    }
+    logWithTime(
+        `Prepare time: ${prepareTime}${prepareTime === 'skipped' ? '' : 's'}`,
+    );
+    logWithTime(`TypeScript version: ${tsVersion}`);
+    logWithTime(`Details saved to: ${filePath} and ${resultPath}`);
+
+    return { ...result, resultPath };
+}
+
+module.exports = {
+    MAX_SAMPLES,
+    MIN_SAMPLES,
+    SUMMARY_FILE_NAME,
+    SUMMARY_HEADER,
+    cleanBuildFiles,
+    measureTSBuildTime,
+    runPrepare,
+    runTimedBuild,
+};
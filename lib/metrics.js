@@ -0,0 +1,257 @@
+// Metrics computed from parsed diagnostics, used to bisect on something else
+// than the Build time.
+//
+// A metric is a diagnostic label as printed by tsc ("Check time",
+// "Memory used", "Instantiations"...) or an arithmetic expression of labels
+// and numbers, such as "Build time - transformTime time".
+// Operators (+ - * /) must be surrounded by spaces, as labels can contain "-"
+// and "/" ("Up-to-date check time", "I/O Read time"). Labels can also be
+// written in double quotes. Timers ("* time" labels) must be ones tsc
+// prints, so a misspelled one fails instead of reading as a timer that did not
+// run.
+
+const DEFAULT_METRIC = 'Build time';
+
+// Build level labels, printed once per tsc -b run
+const BUILD_LABELS = {
+    'Projects in scope': (diagnostics) => diagnostics.projectsInScope,
+    'Projects built': (diagnostics) => diagnostics.projectsBuilt,
+    'Build time': (diagnostics) => diagnostics.buildTime,
+};
+
+// Timers printed by tsc --extendedDiagnostics, without " time". Only the ones
+// that ran are printed, e.g. no transformTime before it existed.
+const TIMER_NAMES = new Set([
+    'Config file parsing',
+    'Up-to-date check',
+    'Build',
+    'I/O Read',
+    'I/O Write',
+    'Parse',
+    'ResolveModule',
+    'ResolveTypeReference',
+    'ResolveLibrary',
+    'Program',
+    'Bind',
+    'Check',
+    'transformTime',
+    'commentTime',
+    'printTime',
+    'Source Map',
+    'Emit',
+    'Total',
+]);
+
+/**
+ * Returns whether a label is a timer tsc prints, with or without "Aggregate"
+ * @param {string} label - Label ending in " time"
+ * @returns {boolean} Whether the timer is known
+ */
+function isKnownTimer(label) {
+    return TIMER_NAMES.has(
+        label.replace(/^Aggregate /, '').slice(0, -' time'.length),
+    );
+}
+
+/**
+ * Splits a metric expression into tokens
+ * @param {string} expression - Metric expression
+ * @returns {{type: string, value: string|number}[]} Tokens
+ */
+function tokenize(expression) {
+    const tokens = [];
+    // Odd segments are the content of double quotes, always a label
+    const segments = expression.split('"');
+    if (segments.length % 2 === 0) {
+        throw new Error(`Unbalanced quotes in metric "${expression}"`);
+    }
+
+    segments.forEach((segment, index) => {
+        if (index % 2 === 1) {
+            tokens.push({ type: 'label', value: segment.trim() });
+            return;
+        }
+        // Padded so operators at the start or end are surrounded by spaces too
+        for (const part of ` ${segment} `.split(/(\s[-+*/]\s|[()])/)) {
+            const text = part.trim();
+            if (text === '') {
+                continue;
+            }
+            if (['+', '-', '*', '/', '(', ')'].includes(text)) {
+                tokens.push({ type: 'operator', value: text });
+            } else if (/^\d+(\.\d+)?$/.test(text)) {
+                tokens.push({ type: 'number', value: parseFloat(text) });
+            } else {
+                tokens.push({ type: 'label', value: text });
+            }
+        }
+    });
+    return tokens;
+}
+
+/**
+ * Parses a metric expression into a tree
+ * @param {string} expression - Metric expression
+ * @returns {object} Expression tree
+ */
+function parseMetric(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+        throw new Error('metric must be a non-empty string');
+    }
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOperator = (token, values) =>
+        token && token.type === 'operator' && values.includes(token.value);
+
+    // primary := number | label | '(' sum ')' | '-' primary
+    const parsePrimary = () => {
+        const token = tokens[position++];
+        if (!token) {
+            throw new Error(`Unexpected end of metric "${expression}"`);
+        }
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+        if (token.type === 'label') {
+            if (token.value.endsWith(' time') && !isKnownTimer(token.value)) {
+                throw new Error(
+                    `Unknown timer "${token.value}" in metric "${expression}"`,
+                );
+            }
+            return { type: 'label', label: token.value };
+        }
+        if (token.value === '(') {
+            const node = parseSum();
+            if (!isOperator(tokens[position++], [')'])) {
+                throw new Error(`Missing ")" in metric "${expression}"`);
+            }
+            return node;
+        }
+        if (token.value === '-') {
+            return { type: 'negate', operand: parsePrimary() };
+        }
+        throw new Error(
+            `Unexpected "${token.value}" in metric "${expression}"`,
+        );
+    };
+
+    // product := primary (('*' | '/') primary)*
+    const parseProduct = () => {
+        let node = parsePrimary();
+        while (isOperator(peek(), ['*', '/'])) {
+            const operator = tokens[position++].value;
+            node = { type: operator, left: node, right: parsePrimary() };
+        }
+        return node;
+    };
+
+    // sum := product (('+' | '-') product)*
+    const parseSum = () => {
+        let node = parseProduct();
+        while (isOperator(peek(), ['+', '-'])) {
+            const operator = tokens[position++].value;
+            node = { type: operator, left: node, right: parseProduct() };
+        }
+        return node;
+    };
+
+    const tree = parseSum();
+    if (position < tokens.length) {
+        throw new Error(
+            `Unexpected "${tokens[position].value}" in metric "${expression}"`,
+        );
+    }
+    return tree;
+}
+
+/**
+ * Returns the value of a diagnostic label: build level labels first, then
+ * the Aggregate section, then the sum over every project.
+ * A missing timer tsc prints counts as 0 when the output has diagnostics.
+ * @param {import('./diagnostics').Diagnostics} diagnostics - Parsed diagnostics
+ * @param {string} label - Label as printed by tsc, without "Aggregate"
+ * @returns {number|null} Value, null if tsc did not print it
+ */
+function getDiagnosticValue(diagnostics, label) {
+    if (label in BUILD_LABELS) {
+        return BUILD_LABELS[label](diagnostics);
+    }
+    if (label.endsWith(' time')) {
+        const buildTime =
+            diagnostics.buildTimes[label.slice(0, -' time'.length)];
+        if (buildTime !== undefined) {
+            return buildTime;
+        }
+    }
+
+    const sectionLabel = label.replace(/^Aggregate /, '');
+    if (diagnostics.aggregate && sectionLabel in diagnostics.aggregate.values) {
+        return diagnostics.aggregate.values[sectionLabel];
+    }
+
+    const projectValues = diagnostics.projects
+        .map((project) => project.values[sectionLabel])
+        .filter((value) => value !== undefined);
+    if (projectValues.length === 0) {
+        return label.endsWith(' time') &&
+            isKnownTimer(label) &&
+            diagnostics.projects.length > 0
+            ? 0
+            : null;
+    }
+    return projectValues.reduce((sum, value) => sum + value, 0);
+}
+
+/**
+ * Evaluates an expression tree
+ * @param {object} node - Expression tree
+ * @param {import('./diagnostics').Diagnostics} diagnostics - Parsed diagnostics
+ * @returns {number|null} Value, null if a label is missing
+ */
+function evaluateNode(node, diagnostics) {
+    if (node.type === 'number') {
+        return node.value;
+    }
+    if (node.type === 'label') {
+        return getDiagnosticValue(diagnostics, node.label);
+    }
+    if (node.type === 'negate') {
+        const operand = evaluateNode(node.operand, diagnostics);
+        return operand === null ? null : -operand;
+    }
+
+    const left = evaluateNode(node.left, diagnostics);
+    const right = evaluateNode(node.right, diagnostics);
+    if (left === null || right === null) {
+        return null;
+    }
+    switch (node.type) {
+        case '+':
+            return left + right;
+        case '-':
+            return left - right;
+        case '*':
+            return left * right;
+        default:
+            return right === 0 ? null : left / right;
+    }
+}
+
+/**
+ * Evaluates a metric on parsed diagnostics
+ * @param {string} expression - Metric expression
+ * @param {import('./diagnostics').Diagnostics} diagnostics - Parsed diagnostics
+ * @returns {number|null} Metric value, null if tsc did not print a label it uses
+ */
+function evaluateMetric(expression, diagnostics) {
+    return evaluateNode(parseMetric(expression), diagnostics);
+}
+
+module.exports = {
+    DEFAULT_METRIC,
+    evaluateMetric,
+    getDiagnosticValue,
+    parseMetric,
+};
@@ -0,0 +1,120 @@
+// Package manager adapters for the dd repo: how to force the version of a
+// dependency, install the workspace and invoke tsc. The workspace manifests
+// are pointed at the built typescript.tgz by lib/workspace-manifests.js.
+//
+// yarn-pnp and yarn-node-modules force the yarn nodeLinker through the
+// YARN_NODE_LINKER environment variable, so .yarnrc.yml is never edited and
+// the linker recorded in reports is the one that was actually used.
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * @typedef {object} PackageManager
+ * @property {string} name - Adapter name
+ * @property {string} linker - How dependencies are laid out (pnp, node-modules, isolated...)
+ * @property {string} env - Environment assignments prefixed to every command
+ * @property {string} install - Install command
+ * @property {string} tsc - Command running the tsc of the workspace
+ * @property {string} version - Command printing the version of the package manager
+ * @property {string[]} overridePath - Path of the root package.json field forcing a dependency version
+ * @property {string} lockfile - Lockfile written by the install, relative to the dd repo
+ * @property {boolean} compatPatch - True if TypeScript is patched at install, see lib/compat-patch.js
+ */
+
+/** @type {Object<string, PackageManager>} */
+const PACKAGE_MANAGERS = {
+    'yarn-pnp': {
+        name: 'yarn-pnp',
+        linker: 'pnp',
+        env: 'YARN_NODE_LINKER=pnp',
+        install: 'yarn install',
+        tsc: 'yarn tsc',
+        version: 'yarn --version',
+        overridePath: ['resolutions'],
+        lockfile: 'yarn.lock',
+        compatPatch: true,
+    },
+    'yarn-node-modules': {
+        name: 'yarn-node-modules',
+        linker: 'node-modules',
+        env: 'YARN_NODE_LINKER=node-modules',
+        install: 'yarn install',
+        tsc: 'yarn tsc',
+        version: 'yarn --version',
+        overridePath: ['resolutions'],
+        lockfile: 'yarn.lock',
+        compatPatch: true,
+    },
+    npm: {
+        name: 'npm',
+        linker: 'node-modules',
+        env: '',
+        install: 'npm install',
+        tsc: 'npx --no-install tsc',
+        version: 'npm --version',
+        overridePath: ['overrides'],
+        lockfile: 'package-lock.json',
+        compatPatch: false,
+    },
+    pnpm: {
+        name: 'pnpm',
+        linker: 'isolated',
+        env: '',
+        install: 'pnpm install',
+        tsc: 'pnpm exec tsc',
+        version: 'pnpm --version',
+        overridePath: ['pnpm', 'overrides'],
+        lockfile: 'pnpm-lock.yaml',
+        compatPatch: false,
+    },
+};
+
+const PACKAGE_MANAGER_NAMES = Object.keys(PACKAGE_MANAGERS);
+
+/**
+ * Returns a package manager adapter
+ * @param {string} name - Adapter name
+ * @param {string} ddRepoPath - dd repo path, to read the pnpm linker from .npmrc
+ * @returns {PackageManager} Adapter
+ */
+function getPackageManager(name, ddRepoPath) {
+    const packageManager = PACKAGE_MANAGERS[name];
+    if (!packageManager) {
+        throw new Error(
+            `Unknown package manager ${name}, expected one of ${PACKAGE_MANAGER_NAMES.join(', ')}`,
+        );
+    }
+    if (name !== 'pnpm') {
+        return packageManager;
+    }
+
+    // pnpm has no environment override for its linker, so report the configured one
+    const npmrcPath = path.join(ddRepoPath, '.npmrc');
+    const match =
+        fs.existsSync(npmrcPath) &&
+        fs
+            .readFileSync(npmrcPath, 'utf8')
+            .match(/^\s*node-linker\s*=\s*(\S+)/m);
+    return match ? { ...packageManager, linker: match[1] } : packageManager;
+}
+
+/**
+ * Prefixes a command with the environment of the package manager.
+ * Commands starting with "tsc " run the tsc of the workspace.
+ * @param {PackageManager} packageManager - Adapter
+ * @param {string} command - Command to run in the dd repo
+ * @returns {string} Command to execute
+ */
+function getCommand(packageManager, command) {
+    const resolved = /^tsc(\s|$)/.test(command)
+        ? `${packageManager.tsc}${command.slice('tsc'.length)}`
+        : command;
+    return packageManager.env ? `${packageManager.env} ${resolved}` : resolved;
+}
+
+module.exports = {
+    PACKAGE_MANAGER_NAMES,
+    getCommand,
+    getPackageManager,
+};
@@ -0,0 +1,192 @@
+// Transactional edits of files that must not stay modified: the version
+// override of a TypeScript worktree and the workspace manifests of the dd repo
+// pointed at the tarball.
+//
+// A patch set is a list of named edits. Every edit is computed in memory
+// first, and fails if its regex does not match, so nothing is written unless
+// the whole set applies. A snapshot edit changes nothing and only journals its
+// file, such as a lockfile the install rewrites, which is deleted on restore
+// if it did not exist. The original content of each file is then journaled
+// to <journalDir>/<name>-<pid>-<n>.json before the files are written, and put
+// back by restore(), on exit (uncaught errors and process.exit included), on
+// SIGINT and SIGTERM. Journals of processes that are no longer running are
+// restored by recoverPatchSets on the next startup.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { isRunning } = require('./worktree');
+
+const JOURNAL_NAME_REGEX = /^.+-(\d+)-\d+\.json$/;
+
+/** @type {Set<{restore: () => void}>} */
+const activePatchSets = new Set();
+let handlersInstalled = false;
+let journalCount = 0;
+
+/**
+ * @typedef {object} Edit
+ * @property {string} name - Edit name, used in errors
+ * @property {string} file - Absolute path of the edited file
+ * @property {RegExp} [pattern] - Regex to replace, must match
+ * @property {string} [replacement] - Replacement of the regex
+ * @property {(text: string) => string} [transform] - Replaces the whole content instead of a regex, must change it
+ * @property {boolean} [snapshot] - Only journals the file, which may not exist, so the changes made to it by others are undone too
+ */
+
+/**
+ * Restores every patch set still applied, before the process dies
+ */
+function restoreActivePatchSets() {
+    for (const patchSet of [...activePatchSets]) {
+        patchSet.restore();
+    }
+}
+
+/**
+ * Restores the patch sets on exit, SIGINT and SIGTERM, once per process
+ */
+function installHandlers() {
+    if (handlersInstalled) {
+        return;
+    }
+    handlersInstalled = true;
+    process.on('exit', restoreActivePatchSets);
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+            restoreActivePatchSets();
+            process.kill(process.pid, signal);
+        });
+    }
+}
+
+/**
+ * Writes back the original content of journaled files
+ * @param {Object<string, string|null>} originals - Original content by file path, null for files to delete
+ */
+function writeOriginals(originals) {
+    for (const [file, original] of Object.entries(originals)) {
+        // The worktree of a version override can already be gone
+        if (!fs.existsSync(path.dirname(file))) {
+            continue;
+        }
+        if (original === null) {
+            fs.rmSync(file, { force: true });
+        } else {
+            fs.writeFileSync(file, original);
+        }
+    }
+}
+
+/**
+ * Applies a set of edits, all or nothing, journaling the original files
+ * @param {string} name - Patch set name, used in the journal file name and errors
+ * @param {Edit[]} edits - Edits to apply, in order (several can target the same file)
+ * @param {object} [options] - Patch set options
+ * @param {string|null} [options.journalDir] - Directory of the journals, null to only restore in this process
+ * @returns {{restore: () => void}} Applied patch set
+ */
+function applyPatchSet(name, edits, { journalDir = null } = {}) {
+    const originals = {};
+    const contents = {};
+    for (const edit of edits) {
+        if (!(edit.file in contents)) {
+            originals[edit.file] =
+                edit.snapshot && !fs.existsSync(edit.file)
+                    ? null
+                    : fs.readFileSync(edit.file, 'utf8');
+            contents[edit.file] = originals[edit.file];
+        }
+        const text = contents[edit.file];
+        if (edit.snapshot) {
+            continue;
+        }
+        if (edit.transform) {
+            contents[edit.file] = edit.transform(text);
+            if (contents[edit.file] === text) {
+                throw new Error(
+                    `Patch ${name}: edit ${edit.name} does not change ${edit.file}`,
+                );
+            }
+        } else {
+            if (!edit.pattern.test(text)) {
+                throw new Error(
+                    `Patch ${name}: edit ${edit.name} does not match ${edit.pattern} in ${edit.file}`,
+                );
+            }
+            contents[edit.file] = text.replace(edit.pattern, edit.replacement);
+        }
+    }
+
+    let journalPath = null;
+    if (journalDir) {
+        fs.mkdirSync(journalDir, { recursive: true });
+        journalCount++;
+        journalPath = path.join(
+            journalDir,
+            `${name}-${process.pid}-${journalCount}.json`,
+        );
+        fs.writeFileSync(
+            journalPath,
+            JSON.stringify({ name, pid: process.pid, originals }, null, 4),
+        );
+    }
+
+    const patchSet = {
+        restore() {
+            if (!activePatchSets.has(patchSet)) {
+                return;
+            }
+            writeOriginals(originals);
+            if (journalPath) {
+                fs.rmSync(journalPath, { force: true });
+            }
+            activePatchSets.delete(patchSet);
+        },
+    };
+    installHandlers();
+    activePatchSets.add(patchSet);
+
+    try {
+        for (const [file, content] of Object.entries(contents)) {
+            if (content !== originals[file]) {
+                fs.writeFileSync(file, content);
+            }
+        }
+    } catch (error) {
+        patchSet.restore();
+        throw error;
+    }
+    return patchSet;
+}
+
+/**
+ * Restores the patch sets journaled by processes that are no longer running
+ * @param {string} journalDir - Directory of the journals
+ * @returns {{name: string, files: string[]}[]} Restored patch sets
+ */
+function recoverPatchSets(journalDir) {
+    if (!journalDir || !fs.existsSync(journalDir)) {
+        return [];
+    }
+    const recovered = [];
+    for (const journalName of fs.readdirSync(journalDir)) {
+        const match = journalName.match(JOURNAL_NAME_REGEX);
+        if (!match || isRunning(Number(match[1]))) {
+            continue;
+        }
+        const journalPath = path.join(journalDir, journalName);
+        const journal = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+        writeOriginals(journal.originals);
+        fs.rmSync(journalPath);
+        recovered.push({
+            name: journal.name,
+            files: Object.keys(journal.originals),
+        });
+    }
+    return recovered;
+}
+
+module.exports = {
+    applyPatchSet,
+    recoverPatchSets,
+};
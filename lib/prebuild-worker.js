@@ -0,0 +1,85 @@
+// Background process started by lib/prebuild.js: builds the tarballs of the
+// given commits into the tarball cache, at the lowest CPU priority.
+//
+// Usage: node lib/prebuild-worker.js <job JSON>
+// The job is {tsRepoPath, worktreesDir, cacheDir, journalDir, builds}, each
+// build being {commit, versionOverride?}. Progress is sent to the parent as
+// {type: 'started' | 'built' | 'failed', commit, error?}.
+
+/* eslint-disable no-console */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { getCachedTarball, storeTarball } = require('./tarball-cache');
+const { buildTypeScript } = require('./typescript-build');
+
+const job = JSON.parse(process.argv[2]);
+
+/**
+ * Logs a message with timestamp, to the prebuild log
+ * @param {string} message - Message to log
+ */
+function log(message) {
+    console.log(`[${new Date().toLocaleString()}] [prebuild] ${message}`);
+}
+
+/**
+ * Sends a progress message to the parent process, if it is still listening
+ * @param {object} message - Progress message
+ */
+function report(message) {
+    if (process.connected) {
+        process.send(message);
+    }
+}
+
+// The build commands inherit the priority, so they only use idle CPU
+os.setPriority(os.constants.priority.PRIORITY_LOW);
+
+for (const { commit, versionOverride } of job.builds) {
+    if (getCachedTarball(job.cacheDir, commit, versionOverride)) {
+        log(`${commit} is already cached`);
+        report({ type: 'built', commit });
+        continue;
+    }
+
+    report({ type: 'started', commit });
+    log(
+        `Prebuilding ${commit}${versionOverride ? ` with version ${versionOverride}` : ''}...`,
+    );
+    // Entries without entry.json are removed by cache prune if the worker is killed
+    const tarballPath = path.join(
+        job.cacheDir,
+        `${commit}.tmp-${process.pid}.tgz`,
+    );
+    try {
+        fs.mkdirSync(job.cacheDir, { recursive: true });
+        const previousVersion = buildTypeScript({
+            tsRepoPath: job.tsRepoPath,
+            worktreesDir: job.worktreesDir,
+            commit,
+            versionOverride,
+            tarballPath,
+            journalDir: job.journalDir,
+            log,
+        });
+        const entry = storeTarball(job.cacheDir, {
+            commit,
+            versionOverride,
+            previousVersion,
+            tarballPath,
+        });
+        log(`Cached TypeScript tarball as ${entry.key}`);
+        report({ type: 'built', commit });
+    } catch (error) {
+        log(`Could not prebuild ${commit}: ${error.message}`);
+        report({ type: 'failed', commit, error: error.message });
+    } finally {
+        fs.rmSync(tarballPath, { force: true });
+    }
+}
+
+if (process.connected) {
+    process.disconnect();
+}
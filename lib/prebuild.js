@@ -0,0 +1,222 @@
+// Speculative prebuilding of the next bisect candidates.
+//
+// While a commit is measured, both commits git bisect may ask for next (one
+// if the commit is good, one if it is bad) are built into the tarball cache
+// by lib/prebuild-worker.js, so the next step starts with a cache hit. They
+// are built with the compat patch override installCommit expects for them.
+// The worker runs at the lowest CPU priority ('nice' mode), and is also
+// stopped with SIGSTOP during the timed runs in 'pause' mode.
+// It is a process group leader, so signals reach its build commands too.
+
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+const { getExpectedVersionOverride } = require('./install');
+const { getCachedTarball } = require('./tarball-cache');
+const { pruneWorktrees } = require('./worktree');
+
+const PREBUILD_MODES = ['nice', 'pause', 'off'];
+const WORKER_PATH = path.join(__dirname, 'prebuild-worker.js');
+
+/**
+ * Sends a signal to a worker and its build commands
+ * @param {object} worker - Running worker
+ * @param {string} signal - Signal name
+ */
+function signalWorker(worker, signal) {
+    if (worker.exited) {
+        return;
+    }
+    try {
+        process.kill(-worker.child.pid, signal);
+    } catch {
+        // The group is already gone
+    }
+}
+
+/**
+ * Creates the prebuilder of a bisect run
+ * @param {object} config - Bisector config, prebuild is 'nice', 'pause' or 'off'
+ * @param {object} options - Prebuilder options
+ * @param {string} options.logFile - File receiving the output of the worker
+ * @param {(message: string) => void} options.log - Logger
+ * @returns {{enabled: boolean, start: Function, claim: Function, pause: Function, resume: Function, stop: Function}} Prebuilder
+ */
+function createPrebuilder(config, { logFile, log }) {
+    // Prebuilt tarballs are only handed over through the cache
+    const enabled = config.prebuild !== 'off' && Boolean(config.cacheDir);
+    let worker = null;
+
+    const killOnExit = () => {
+        if (worker) {
+            signalWorker(worker, 'SIGTERM');
+            signalWorker(worker, 'SIGCONT');
+        }
+    };
+    if (enabled) {
+        process.on('exit', killOnExit);
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+            process.once(signal, () => {
+                killOnExit();
+                process.kill(process.pid, signal);
+            });
+        }
+    }
+
+    /**
+     * Starts building the commits that are not cached yet in the background
+     * @param {(string|null)[]} commits - Commits to build, null ones are ignored
+     */
+    function start(commits) {
+        if (!enabled || worker) {
+            return;
+        }
+        // Built with the override the compat patch is expected to need, the
+        // cache key installCommit looks up
+        const builds = [...new Set(commits)]
+            .filter(Boolean)
+            .map((commit) => ({
+                commit,
+                versionOverride: getExpectedVersionOverride(config, commit),
+            }))
+            .filter(
+                ({ commit, versionOverride }) =>
+                    !getCachedTarball(config.cacheDir, commit, versionOverride),
+            );
+        const pending = builds.map(({ commit }) => commit);
+        if (pending.length === 0) {
+            return;
+        }
+
+        const job = {
+            tsRepoPath: config.tsRepoPath,
+            worktreesDir: config.worktreesDir,
+            cacheDir: config.cacheDir,
+            journalDir: config.journalDir,
+            builds,
+        };
+        const logFd = fs.openSync(logFile, 'a');
+        const child = spawn(
+            process.execPath,
+            [WORKER_PATH, JSON.stringify(job)],
+            { detached: true, stdio: ['ignore', logFd, logFd, 'ipc'] },
+        );
+        fs.closeSync(logFd);
+
+        const current = {
+            child,
+            commits: pending,
+            building: null,
+            paused: false,
+            exited: false,
+        };
+        current.exit = new Promise((resolve) => {
+            child.once('exit', () => {
+                current.exited = true;
+                resolve();
+            });
+        });
+        child.on('message', (message) => {
+            if (message.type === 'started') {
+                current.building = message.commit;
+                return;
+            }
+            current.building = null;
+            if (message.type === 'failed') {
+                log(`Could not prebuild ${message.commit}, see ${logFile}`);
+            }
+        });
+        worker = current;
+        log(
+            `Prebuilding ${pending.join(', ')} in the background (${config.prebuild} mode), see ${logFile}`,
+        );
+    }
+
+    /**
+     * Stops the worker and removes what it left behind
+     */
+    async function stop() {
+        if (!worker) {
+            return;
+        }
+        const current = worker;
+        worker = null;
+        if (!current.exited) {
+            signalWorker(current, 'SIGTERM');
+            signalWorker(current, 'SIGCONT');
+            await current.exit;
+        }
+        for (const commit of current.commits) {
+            fs.rmSync(
+                path.join(
+                    config.cacheDir,
+                    `${commit}.tmp-${current.child.pid}.tgz`,
+                ),
+                { force: true },
+            );
+        }
+        pruneWorktrees(config.tsRepoPath, config.worktreesDir);
+    }
+
+    /**
+     * Waits for the prebuild of a commit if it is in progress, then stops
+     * the worker: the other candidate is not needed anymore
+     * @param {string} commit - Commit about to be measured
+     */
+    async function claim(commit) {
+        if (!worker) {
+            return;
+        }
+        // Handle the progress messages received while measuring
+        await new Promise((resolve) => setImmediate(resolve));
+
+        const current = worker;
+        if (current.building === commit && !current.exited) {
+            log(`Waiting for the prebuild of ${commit}...`);
+            resume();
+            await Promise.race([
+                current.exit,
+                new Promise((resolve) => {
+                    const onMessage = (message) => {
+                        if (
+                            message.commit === commit &&
+                            message.type !== 'started'
+                        ) {
+                            current.child.off('message', onMessage);
+                            resolve();
+                        }
+                    };
+                    current.child.on('message', onMessage);
+                }),
+            ]);
+        }
+        await stop();
+    }
+
+    /**
+     * Stops the worker during a timed run, in pause mode
+     */
+    function pause() {
+        if (worker && config.prebuild === 'pause' && !worker.paused) {
+            signalWorker(worker, 'SIGSTOP');
+            worker.paused = true;
+        }
+    }
+
+    /**
+     * Resumes the worker after a timed run
+     */
+    function resume() {
+        if (worker && worker.paused) {
+            signalWorker(worker, 'SIGCONT');
+            worker.paused = false;
+        }
+    }
+
+    return { enabled, start, claim, pause, resume, stop };
+}
+
+module.exports = {
+    PREBUILD_MODES,
+    createPrebuilder,
+};
@@ -0,0 +1,660 @@
+// Built-in predicates of the bisect command, see lib/bisect-engine.js for the
+// interface. Each one is a bisect subcommand, telling broken commits from
+// working ones:
+// - metric: times the commit and compares the metric with the calibrated
+//   endpoints, slow when closer to the higher one (the default). Its culprit
+//   is confirmed by lib/confirmation.js
+// - install: the install of the commit in the dd repo fails
+// - tsc-errors: tsc reports errors on the workload
+// - script: exit code of a custom script run in the dd repo, with the
+//   conventions of git bisect run
+//
+// The metric predicate writes the reports of lib/measure.js. The others write
+// a text report per commit and a row of bisect-results.txt. Failed steps go
+// through the failure policy (lib/failures.js), and commits it skips are
+// marked skip with their failure class.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { getTimestamp, logWithTime, tryCommand } = require('./command');
+const { confirmCulprit, formatConfirmation } = require('./confirmation');
+const { classifyFailure, getSkippedFailure, runStep } = require('./failures');
+const { getDdRepoCommand, installCommit } = require('./install');
+const {
+    MAX_SAMPLES,
+    MIN_SAMPLES,
+    SUMMARY_FILE_NAME,
+    SUMMARY_HEADER,
+    cleanBuildFiles,
+    measureTSBuildTime,
+} = require('./measure');
+const { DEFAULT_METRIC } = require('./metrics');
+const { getPackageManager } = require('./package-managers');
+const { SIGNIFICANCE_LEVEL, summarize, welchTTest } = require('./stats');
+const { getStepLimits } = require('./watchdog');
+const { resolveCommit } = require('./worktree');
+
+const PREDICATE_NAMES = ['metric', 'install', 'tsc-errors', 'script'];
+
+// Summary of the commits tested by the predicates other than metric
+const RESULTS_FILE_NAME = 'bisect-results.txt';
+const RESULTS_HEADER =
+    'timestamp,commit,ts_version,result,verdict,failure_class,package_manager,linker\n';
+
+// Reference metrics for good and bad versions are measured on the endpoints
+// before bisecting, CALIBRATION_SAMPLES times each
+const CALIBRATION_SAMPLES = 5;
+
+// Exit code of a script asking to skip the commit, as with git bisect run
+const SCRIPT_SKIP_EXIT_CODE = 125;
+
+/**
+ * Measures the metric samples of a ref of the ts repo
+ * @param {object} config - Bisector config
+ * @param {string} ref - Git ref to measure
+ * @param {object} prebuilder - Prebuilder of the run, paused during timed runs
+ * @returns {{ref: string, commit: string, samples: number[], n: number, mean: number, stddev: number}} Calibrated distribution
+ */
+function calibrateRef(config, ref, prebuilder) {
+    logWithTime(`Calibrating ${ref} with ${CALIBRATION_SAMPLES} samples...`);
+    const commit = resolveCommit(config.tsRepoPath, ref);
+
+    let result;
+    try {
+        result = measureTSBuildTime(config, {
+            commit,
+            minSamples: CALIBRATION_SAMPLES,
+            prebuilder,
+        });
+    } catch (error) {
+        throw new Error(
+            `Could not measure ${ref} for calibration: ${error.message}`,
+        );
+    }
+    const { samples } = result.metric;
+    return { ref, commit, samples, ...summarize(samples) };
+}
+
+/**
+ * Measures the good (old) and bad (new) endpoints and checks their metrics
+ * differ in the direction of the find mode: the old endpoint must be lower
+ * to find the first slow commit, higher to find the first fast one.
+ * The bad endpoint is prebuilt while the good one is measured.
+ * @param {object} config - Bisector config
+ * @param {object} prebuilder - Prebuilder of the run
+ * @returns {Promise<{good: object, bad: object}>} Calibrated good and bad distributions
+ */
+async function calibrateEndpoints(config, prebuilder) {
+    logWithTime(`\n=== Calibrating good and bad ${config.metric} ===`);
+    const badCommit = resolveCommit(config.tsRepoPath, config.bad);
+    prebuilder.start([badCommit]);
+    const good = calibrateRef(config, config.good, prebuilder);
+    await prebuilder.claim(badCommit);
+    const bad = calibrateRef(config, config.bad, prebuilder);
+    const calibration = { metric: config.metric, good, bad };
+
+    const test = welchTTest(good, bad);
+    logWithTime(
+        `Calibrated ${config.good}: ${good.mean.toFixed(2)} ± ${good.stddev.toFixed(2)}`,
+    );
+    logWithTime(
+        `Calibrated ${config.bad}: ${bad.mean.toFixed(2)} ± ${bad.stddev.toFixed(2)}`,
+    );
+    const findsSlow = config.find === 'first-broken';
+    const direction = findsSlow ? 'lower' : 'higher';
+    const pValue = findsSlow ? test.pLess : test.pGreater;
+    logWithTime(
+        `${config.good} ${direction} than ${config.bad}: p=${pValue.toPrecision(3)}`,
+    );
+    if (pValue >= SIGNIFICANCE_LEVEL) {
+        throw new Error(
+            `${config.metric} of ${config.good} is not significantly ${direction} than ${config.bad}, refusing to find the first ${findsSlow ? 'slow' : 'fast'} commit: check the endpoints or --find`,
+        );
+    }
+    return calibration;
+}
+
+/**
+ * Tests metric samples against the midpoint between good and bad metrics
+ * @param {number[]} samples - Metric samples
+ * @param {{good: object, bad: object}} calibration - Calibrated good and bad distributions
+ * @returns {{verdict: string, summary: {n: number, mean: number, stddev: number}, test: object}}
+ *   verdict is 'lower', 'higher' or 'ambiguous' when the difference is not significant
+ */
+function classifyTimings(samples, calibration) {
+    const { good, bad } = calibration;
+    const summary = summarize(samples);
+    // The midpoint inherits the uncertainty of both calibrated means
+    const midpoint = {
+        n: 1,
+        mean: (good.mean + bad.mean) / 2,
+        stddev:
+            Math.sqrt(
+                (good.stddev * good.stddev) / good.n +
+                    (bad.stddev * bad.stddev) / bad.n,
+            ) / 2,
+    };
+    const test = welchTTest(summary, midpoint);
+
+    let verdict = 'ambiguous';
+    // A single sample has no spread, so it can never be significant on its own
+    if (summary.n >= 2 && test.pLess < SIGNIFICANCE_LEVEL) {
+        verdict = 'lower';
+    } else if (summary.n >= 2 && test.pGreater < SIGNIFICANCE_LEVEL) {
+        verdict = 'higher';
+    }
+
+    return { verdict, summary, test };
+}
+
+/**
+ * Decides if the current version is fast (working) or slow (broken) based on
+ * metric comparison
+ * @param {number[]} samples - Metric samples
+ * @param {{good: object, bad: object}} calibration - Calibrated good and bad distributions
+ * @returns {string} 'working', 'broken' or 'skip'
+ */
+function determineMetricState(samples, calibration) {
+    const { verdict, summary, test } = classifyTimings(samples, calibration);
+    const metric = calibration.metric || DEFAULT_METRIC;
+    const currentValue = `${summary.mean.toFixed(2)} ± ${summary.stddev.toFixed(2)}, n=${summary.n}`;
+    const endpointMeans = [calibration.good.mean, calibration.bad.mean];
+    const fastValue = Math.min(...endpointMeans).toFixed(2);
+    const slowValue = Math.max(...endpointMeans).toFixed(2);
+
+    if (verdict === 'lower') {
+        logWithTime(
+            `Current ${metric} (${currentValue}) is significantly closer to fast version (${fastValue}, p=${test.pLess.toPrecision(3)})`,
+        );
+        return 'working';
+    }
+    if (verdict === 'higher') {
+        logWithTime(
+            `Current ${metric} (${currentValue}) is significantly closer to slow version (${slowValue}, p=${test.pGreater.toPrecision(3)})`,
+        );
+        return 'broken';
+    }
+    logWithTime(
+        `Current ${metric} (${currentValue}) is not significantly closer to fast (${fastValue}) or slow (${slowValue}) version, skipping`,
+    );
+    return 'skip';
+}
+
+/**
+ * Slow when the metric is significantly closer to the higher calibrated
+ * endpoint, fast when closer to the lower one. The calibration checks the
+ * direction of the endpoints.
+ * @param {object} config - Bisector config
+ * @returns {import('./bisect-engine').Predicate} Predicate
+ */
+function createMetricPredicate(config) {
+    return {
+        name: 'metric',
+        terms: { broken: 'slow', working: 'fast' },
+        description: `slow when ${config.metric} is closer to the higher endpoint`,
+        checksEndpoints: true,
+        summaryFile: SUMMARY_FILE_NAME,
+        summaryHeader: SUMMARY_HEADER,
+        settings: {
+            metric: config.metric,
+            workload: config.workload,
+            packageManager: config.packageManager,
+        },
+        async prepare(run) {
+            // Calibrate good and bad timings, reusing the saved ones when continuing
+            const { state, legacyCalibration } = run;
+            if (
+                !state.calibration &&
+                run.bisectInProgress &&
+                legacyCalibration &&
+                (legacyCalibration.metric || DEFAULT_METRIC) === config.metric
+            ) {
+                state.calibration = legacyCalibration;
+            }
+            if (state.calibration) {
+                logWithTime(`Using calibration saved in ${run.statePath}`);
+            } else {
+                state.calibration = await calibrateEndpoints(
+                    config,
+                    run.prebuilder,
+                );
+                run.saveState();
+                logWithTime(`Calibration saved to: ${run.statePath}`);
+            }
+        },
+        test(commit, run) {
+            const { calibration } = run.state;
+            // Measure current commit, adding samples until the verdict is significant
+            let result;
+            try {
+                result = measureTSBuildTime(config, {
+                    commit,
+                    prebuilder: run.prebuilder,
+                    minSamples: MIN_SAMPLES,
+                    maxSamples: MAX_SAMPLES,
+                    isConclusive: (currentSamples) =>
+                        classifyTimings(currentSamples, calibration).verdict !==
+                        'ambiguous',
+                });
+            } catch (error) {
+                const failure = getSkippedFailure(error);
+                if (!failure) {
+                    throw error;
+                }
+                logWithTime(`Skipping ${commit}: ${failure.class}`);
+                return { state: 'skip', resultPath: null, failure };
+            }
+            return {
+                state: determineMetricState(result.metric.samples, calibration),
+                resultPath: result.resultPath,
+            };
+        },
+        async confirm(culprit, run) {
+            const confirmation = await confirmCulprit(config, culprit, run);
+            return { confirmation, lines: formatConfirmation(confirmation) };
+        },
+    };
+}
+
+/**
+ * Writes the text report of a tested commit and its row of the results file
+ * @param {object} config - Bisector config
+ * @param {object} report - Test of the commit
+ * @param {string} report.commit - Tested commit
+ * @param {string} report.tsVersion - Installed TypeScript version
+ * @param {string} report.result - Outcome of the test, e.g. success or failure
+ * @param {string} report.verdict - State of the commit: broken, working or skip
+ * @param {import('./failures').Failure|null} [report.failure] - Classified failure of the test, see lib/failures.js
+ * @param {string[]} report.details - Lines describing the test
+ * @returns {string} Report path
+ */
+function writeCommitReport(
+    config,
+    { commit, tsVersion, result, verdict, failure = null, details },
+) {
+    const packageManager = getPackageManager(
+        config.packageManager,
+        config.ddRepoPath,
+    );
+
+    // Ensure logs directory exists
+    if (!fs.existsSync(config.out)) {
+        fs.mkdirSync(config.out, { recursive: true });
+    }
+
+    const shortHash = commit.substring(0, 8);
+    const filePath = path.join(
+        config.out,
+        `${tsVersion}-${shortHash}-${result}.txt`,
+    );
+    fs.writeFileSync(
+        filePath,
+        [
+            `Commit: ${commit}`,
+            `TypeScript Version: ${tsVersion}`,
+            `Package Manager: ${packageManager.name}`,
+            `Linker: ${packageManager.linker}`,
+            `Result: ${result}`,
+            `Verdict: ${verdict}`,
+            `Failure Class: ${failure ? `${failure.class} (${failure.step})` : 'none'}`,
+            ...(failure ? [`Failure: ${failure.message}`] : []),
+            ...details,
+        ].join('\n'),
+    );
+
+    // Also append a summary entry to the results file
+    const summaryEntry = `${getTimestamp()},${commit},${tsVersion},${result},${verdict},${failure ? failure.class : ''},${packageManager.name},${packageManager.linker}`;
+    fs.appendFileSync(
+        path.join(config.out, RESULTS_FILE_NAME),
+        `${summaryEntry}\n`,
+    );
+
+    logWithTime(`Test result: ${result}`);
+    logWithTime(`Details saved to: ${filePath}`);
+    return filePath;
+}
+
+/**
+ * Builds a commit and installs it, for the predicates testing the installed
+ * TypeScript. The commit is skipped if the failure policy gives up on its
+ * build or install.
+ * @param {object} config - Bisector config
+ * @param {string} commit - Commit to install
+ * @returns {{tsVersion: string, skipped: {state: string, resultPath: string, failure: import('./failures').Failure}|null}} Installed version, and the outcome of the test if it was skipped
+ */
+function installForTest(config, commit) {
+    try {
+        const { tsVersion } = installCommit(config, commit);
+        return { tsVersion, skipped: null };
+    } catch (error) {
+        const failure = getSkippedFailure(error);
+        if (!failure) {
+            throw error;
+        }
+        logWithTime(`Could not install ${commit}, skipping it`);
+        return {
+            tsVersion: 'unknown',
+            skipped: {
+                state: 'skip',
+                failure,
+                resultPath: writeCommitReport(config, {
+                    commit,
+                    tsVersion: 'unknown',
+                    result: 'not-installed',
+                    verdict: 'skip',
+                    failure,
+                    details: [],
+                }),
+            },
+        };
+    }
+}
+
+/**
+ * Broken when the install of the commit in the dd repo, or tsc -v after it,
+ * fails. The install goes through the failure policy like in the other
+ * predicates, compat patch fallback included: the commits it skips are marked
+ * skip, while an install the policy would abort on, or that no compat patch
+ * version lets yarn patch, is the failure looked for.
+ * @param {object} config - Bisector config
+ * @returns {import('./bisect-engine').Predicate} Predicate
+ */
+function createInstallPredicate(config) {
+    return {
+        name: 'install',
+        terms: { broken: 'broken', working: 'working' },
+        description: `broken when the install with ${config.packageManager} fails`,
+        summaryFile: RESULTS_FILE_NAME,
+        summaryHeader: RESULTS_HEADER,
+        settings: { packageManager: config.packageManager },
+        test(commit) {
+            logWithTime('Testing TypeScript installation...');
+            let tsVersion;
+            try {
+                ({ tsVersion } = installCommit(config, commit));
+            } catch (error) {
+                const { failure } = error;
+                if (!failure) {
+                    throw error;
+                }
+                const broken =
+                    failure.step !== 'build' &&
+                    (failure.action === 'abort' || failure.fallbacksExhausted);
+                if (!broken && failure.action !== 'skip') {
+                    throw error;
+                }
+                logWithTime(
+                    `TypeScript installation failed (${failure.class}): ${failure.message}`,
+                );
+                if (broken) {
+                    return {
+                        state: 'broken',
+                        resultPath: writeCommitReport(config, {
+                            commit,
+                            tsVersion: 'unknown',
+                            result: 'failure',
+                            verdict: 'broken',
+                            failure,
+                            details: [
+                                `Error: ${error.output || error.message}`,
+                            ],
+                        }),
+                    };
+                }
+                return {
+                    state: 'skip',
+                    failure,
+                    resultPath: writeCommitReport(config, {
+                        commit,
+                        tsVersion: 'unknown',
+                        result:
+                            failure.step === 'build'
+                                ? 'not-built'
+                                : 'not-installed',
+                        verdict: 'skip',
+                        failure,
+                        details: [],
+                    }),
+                };
+            }
+
+            logWithTime(
+                `TypeScript version ${tsVersion} installed successfully`,
+            );
+            return {
+                state: 'working',
+                resultPath: writeCommitReport(config, {
+                    commit,
+                    tsVersion,
+                    result: 'success',
+                    verdict: 'working',
+                    failure: null,
+                    details: [],
+                }),
+            };
+        },
+    };
+}
+
+/**
+ * Broken when tsc reports errors on the workload of the dd repo. When the
+ * install or the workload fails without any tsc error, the failure policy
+ * decides whether the commit is skipped.
+ * @param {object} config - Bisector config
+ * @returns {import('./bisect-engine').Predicate} Predicate
+ */
+function createTscErrorsPredicate(config) {
+    return {
+        name: 'tsc-errors',
+        terms: { broken: 'broken', working: 'working' },
+        description: 'broken when tsc reports errors',
+        summaryFile: RESULTS_FILE_NAME,
+        summaryHeader: RESULTS_HEADER,
+        settings: {
+            workload: config.workload,
+            packageManager: config.packageManager,
+        },
+        test(commit) {
+            const { tsVersion, skipped } = installForTest(config, commit);
+            if (skipped) {
+                return skipped;
+            }
+
+            cleanBuildFiles(config);
+            const outputs = [];
+            const failures = [];
+            try {
+                for (const [step, command] of [
+                    ['prepare', config.workload.prepare],
+                    ['workload', config.workload.command],
+                ].filter(([, command]) => command)) {
+                    // Type errors are what is tested, any other failure goes through the policy
+                    runStep(
+                        config,
+                        step,
+                        () => {
+                            const outcome = tryCommand(
+                                getDdRepoCommand(config, command),
+                                config.ddRepoPath,
+                                { limits: getStepLimits(config, step) },
+                            );
+                            outputs.push(
+                                `--- ${command} (exit code ${outcome.exitCode}) ---`,
+                            );
+                            outputs.push(outcome.output);
+                            return {
+                                ...outcome,
+                                failed:
+                                    outcome.exitCode !== 0 &&
+                                    classifyFailure(step, outcome).class !==
+                                        'type-errors',
+                            };
+                        },
+                        failures,
+                    );
+                }
+            } catch (error) {
+                const failure = getSkippedFailure(error);
+                if (!failure) {
+                    throw error;
+                }
+                logWithTime('The workload failed without any tsc error');
+                return {
+                    state: 'skip',
+                    failure,
+                    resultPath: writeCommitReport(config, {
+                        commit,
+                        tsVersion,
+                        result: 'failed',
+                        verdict: 'skip',
+                        failure,
+                        details: outputs,
+                    }),
+                };
+            }
+
+            const errors = outputs.join('\n').match(/error TS\d+:.*/g) || [];
+            const state = errors.length > 0 ? 'broken' : 'working';
+            logWithTime(`tsc reported ${errors.length} errors`);
+            return {
+                state,
+                resultPath: writeCommitReport(config, {
+                    commit,
+                    tsVersion,
+                    result: errors.length > 0 ? 'errors' : 'clean',
+                    verdict: state,
+                    details: [`Errors: ${errors.length}`, '', ...outputs],
+                }),
+            };
+        },
+    };
+}
+
+/**
+ * Runs config.script in the dd repo once the commit is installed, with the
+ * commit in TS_BISECT_COMMIT and the tarball path in TS_BISECT_TARBALL. As
+ * with git bisect run, exit code 0 is working, 125 skips the commit, other
+ * codes up to 127 are broken and higher ones abort the bisection. The script
+ * has the limits of the workload step: when they kill it, the failure policy
+ * applies.
+ * @param {object} config - Bisector config
+ * @returns {import('./bisect-engine').Predicate} Predicate
+ */
+function createScriptPredicate(config) {
+    if (!config.script) {
+        throw new Error(
+            'script is not set: pass --script or set script in the config file',
+        );
+    }
+    return {
+        name: 'script',
+        terms: { broken: 'broken', working: 'working' },
+        description: `broken when ${config.script} exits with a code between 1 and 127 but ${SCRIPT_SKIP_EXIT_CODE}`,
+        summaryFile: RESULTS_FILE_NAME,
+        summaryHeader: RESULTS_HEADER,
+        settings: {
+            script: config.script,
+            packageManager: config.packageManager,
+        },
+        test(commit) {
+            const { tsVersion, skipped } = installForTest(config, commit);
+            if (skipped) {
+                return skipped;
+            }
+
+            let exitCode;
+            let output;
+            try {
+                ({ exitCode, output } = runStep(
+                    config,
+                    'workload',
+                    () => {
+                        const outcome = tryCommand(
+                            config.script,
+                            config.ddRepoPath,
+                            {
+                                env: {
+                                    TS_BISECT_COMMIT: commit,
+                                    TS_BISECT_TARBALL: config.tarballPath,
+                                },
+                                limits: getStepLimits(config, 'workload'),
+                            },
+                        );
+                        return {
+                            ...outcome,
+                            failed: outcome.timedOut || outcome.memoryExceeded,
+                        };
+                    },
+                    [],
+                ));
+            } catch (error) {
+                const failure = getSkippedFailure(error);
+                if (!failure) {
+                    throw error;
+                }
+                return {
+                    state: 'skip',
+                    failure,
+                    resultPath: writeCommitReport(config, {
+                        commit,
+                        tsVersion,
+                        result: 'failed',
+                        verdict: 'skip',
+                        failure,
+                        details: [`Script: ${config.script}`],
+                    }),
+                };
+            }
+            if (exitCode === null || exitCode > 127) {
+                throw new Error(
+                    `${config.script} exited with ${exitCode === null ? 'a signal' : `code ${exitCode}`} on ${commit}, aborting the bisection`,
+                );
+            }
+            let state = 'broken';
+            if (exitCode === 0) {
+                state = 'working';
+            } else if (exitCode === SCRIPT_SKIP_EXIT_CODE) {
+                state = 'skip';
+            }
+            return {
+                state,
+                resultPath: writeCommitReport(config, {
+                    commit,
+                    tsVersion,
+                    result: `exit-${exitCode}`,
+                    verdict: state,
+                    details: [`Script: ${config.script}`, '', output],
+                }),
+            };
+        },
+    };
+}
+
+/**
+ * Creates a built-in predicate
+ * @param {string} name - One of PREDICATE_NAMES
+ * @param {object} config - Bisector config
+ * @returns {import('./bisect-engine').Predicate} Predicate
+ */
+function createPredicate(name, config) {
+    if (name === 'metric') {
+        return createMetricPredicate(config);
+    }
+    if (name === 'install') {
+        return createInstallPredicate(config);
+    }
+    if (name === 'tsc-errors') {
+        return createTscErrorsPredicate(config);
+    }
+    if (name === 'script') {
+        return createScriptPredicate(config);
+    }
+    throw new Error(
+        `Unknown bisect predicate: ${name}, expected one of ${PREDICATE_NAMES.join(', ')}`,
+    );
+}
+
+module.exports = {
+    PREDICATE_NAMES,
+    createPredicate,
+};
@@ -0,0 +1,173 @@
+// Per-commit JSON results, written next to each text report.
+// Summaries, charts and comparisons should read these files instead of
+// parsing the text reports again.
+
+const fs = require('node:fs');
+const { parseDiagnostics } = require('./diagnostics');
+const { parseEnvironment } = require('./environment');
+const { DEFAULT_METRIC, evaluateMetric } = require('./metrics');
+const { summarize } = require('./stats');
+
+// "yarn nodeLinker" header added by hand to the reports of cleaned-timings/
+const LEGACY_LINKERS = {
+    default: { packageManager: 'yarn-pnp', linker: 'pnp' },
+    'node-modules': {
+        packageManager: 'yarn-node-modules',
+        linker: 'node-modules',
+    },
+};
+
+/**
+ * @typedef {object} CompatPatchChoice
+ * @property {string|null} range - Range of the patch yarn applied, null if none
+ * @property {string|null} versionOverride - Version written in the TypeScript package to select it, null if none
+ * @property {string} reason - Why the range was chosen
+ */
+
+/**
+ * @typedef {object} CommitResult
+ * @property {string} commit - TypeScript commit hash
+ * @property {string} tsVersion - TypeScript version reported by tsc -v
+ * @property {string|null} packageManager - Package manager adapter that installed TypeScript, null if unknown
+ * @property {string|null} linker - Dependency layout of the package manager (pnp, node-modules...), null if unknown
+ * @property {CompatPatchChoice|null} compatPatch - yarn compat patch range used for the install, null if unknown or not patched
+ * @property {import('./failures').Failure[]} failures - Failures retried or worked around while measuring the commit, see lib/failures.js
+ * @property {number|null} typecheckPackagesTime - Duration of the prepare step in seconds, null if skipped
+ * @property {{n: number, mean: number, stddev: number, samples: number[]}} buildTime - Build time over every run
+ * @property {{expression: string, n: number, mean: number, stddev: number, samples: number[]}} metric - Bisected metric over every run
+ * @property {import('./diagnostics').Diagnostics[]} runs - Parsed diagnostics of every run
+ * @property {import('./environment').Environment|null} environment - Fingerprint of the machine, null if unknown
+ */
+
+/**
+ * Creates the result of a commit from its parsed runs
+ * @param {object} result - Result fields
+ * @param {string} result.commit - TypeScript commit hash
+ * @param {string} result.tsVersion - TypeScript version
+ * @param {string|null} [result.packageManager] - Package manager adapter
+ * @param {string|null} [result.linker] - Dependency layout of the package manager
+ * @param {CompatPatchChoice|null} [result.compatPatch] - yarn compat patch range used for the install
+ * @param {import('./failures').Failure[]} [result.failures] - Failures retried or worked around
+ * @param {number|null} result.typecheckPackagesTime - Duration of the prepare step in seconds
+ * @param {import('./diagnostics').Diagnostics[]} result.runs - Parsed diagnostics of every run
+ * @param {string} [result.metric] - Bisected metric expression
+ * @param {import('./environment').Environment|null} [result.environment] - Fingerprint of the machine
+ * @returns {CommitResult} Commit result
+ */
+function createResult({
+    commit,
+    tsVersion,
+    packageManager = null,
+    linker = null,
+    compatPatch = null,
+    failures = [],
+    typecheckPackagesTime,
+    runs,
+    metric = DEFAULT_METRIC,
+    environment = null,
+}) {
+    const samples = runs.map((run) => run.buildTime);
+    const metricSamples = runs.map((run) => evaluateMetric(metric, run));
+    return {
+        commit,
+        tsVersion,
+        packageManager,
+        linker,
+        compatPatch,
+        failures,
+        typecheckPackagesTime,
+        buildTime: { ...summarize(samples), samples },
+        metric: {
+            expression: metric,
+            ...summarize(metricSamples),
+            samples: metricSamples,
+        },
+        runs,
+        environment,
+    };
+}
+
+/**
+ * Returns the JSON result path of a text report
+ * @param {string} reportPath - Text report path
+ * @returns {string} JSON result path
+ */
+function getResultPath(reportPath) {
+    return reportPath.replace(/\.txt$/, '') + '.json';
+}
+
+/**
+ * Writes a result next to its text report
+ * @param {string} reportPath - Text report path
+ * @param {CommitResult} result - Commit result
+ * @returns {string} JSON result path
+ */
+function writeResult(reportPath, result) {
+    const resultPath = getResultPath(reportPath);
+    fs.writeFileSync(resultPath, JSON.stringify(result, null, 4));
+    return resultPath;
+}
+
+/**
+ * Reads a JSON result
+ * @param {string} resultPath - JSON result path
+ * @returns {CommitResult} Commit result
+ */
+function readResult(resultPath) {
+    return JSON.parse(fs.readFileSync(resultPath, 'utf8'));
+}
+
+/**
+ * Parses a text report written by the bisector, including the hand-cleaned
+ * ones of cleaned-timings/ that have no "--- TSC Output" separators
+ * @param {string} text - Report content
+ * @returns {CommitResult} Commit result
+ */
+function parseReport(text) {
+    const header = (label) => {
+        const match = text.match(new RegExp(`^${label}: (.+)$`, 'm'));
+        return match ? match[1].trim() : null;
+    };
+    // Reports written before the prepare command was configurable name it
+    const typecheckPackagesTime = parseFloat(
+        header('Prepare Time') || header('typecheck:packages Time'),
+    );
+    const legacyLinker = LEGACY_LINKERS[header('yarn nodeLinker')] || {};
+    const compatPatchReason = header('Compat Patch Reason');
+    const compatPatchOverride = header('Compat Patch Override');
+    const packageManager =
+        header('Package Manager') || legacyLinker.packageManager || null;
+
+    const outputs = text.split(/^--- TSC Output.*---$/m);
+    // The header comes before the first separator, if there is one
+    const runOutputs = outputs.length > 1 ? outputs.slice(1) : outputs;
+
+    return createResult({
+        commit: header('Commit'),
+        tsVersion: header('TypeScript Version'),
+        packageManager,
+        linker: header('Linker') || legacyLinker.linker || null,
+        compatPatch: compatPatchReason && {
+            range:
+                header('Compat Patch') === 'none'
+                    ? null
+                    : header('Compat Patch'),
+            versionOverride:
+                compatPatchOverride === 'none' ? null : compatPatchOverride,
+            reason: compatPatchReason,
+        },
+        typecheckPackagesTime: Number.isNaN(typecheckPackagesTime)
+            ? null
+            : typecheckPackagesTime,
+        runs: runOutputs.map(parseDiagnostics),
+        environment: parseEnvironment(header, packageManager),
+    });
+}
+
+module.exports = {
+    createResult,
+    getResultPath,
+    parseReport,
+    readResult,
+    writeResult,
+};
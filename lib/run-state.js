@@ -0,0 +1,211 @@
+// Persistent state of a bisect or time run, so an interrupted run resumes
+// where it stopped instead of measuring everything again.
+//
+// The state is a JSON file in the out directory (bisect-state.json,
+// time-state.json) holding the run id, the settings the run depends on, the
+// commits measured with the path of their result (and their verdict, for
+// bisect), the bisect verdicts in order and the pending work. It is
+// rewritten after every step, through a temporary file so a crash never
+// leaves it truncated.
+// A time run started after a completed one with the same settings keeps its
+// measurements, so a commit list can be extended without timing again.
+// bisect-state.json files written before it only hold {calibration}.
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const { readResult } = require('./results');
+
+const RUN_STATE_VERSION = 1;
+
+/**
+ * @typedef {object} Measurement
+ * @property {string|null} resultPath - JSON result of the commit, null if it was skipped
+ * @property {string} measuredAt - ISO date of the measurement
+ * @property {string} [verdict] - Verdict of the predicate (bisect)
+ * @property {import('./failures').Failure} [failure] - Failure that made the commit skipped, see lib/failures.js
+ */
+
+/**
+ * @typedef {object} RunState
+ * @property {number} version - Format version
+ * @property {string} runId - Identifier of the run, kept across resumes
+ * @property {string} command - bisect or time
+ * @property {object} settings - Config values the measurements depend on
+ * @property {string} startedAt - ISO date of the start of the run
+ * @property {string} updatedAt - ISO date of the last write
+ * @property {'running'|'done'} status - done once the run completed
+ * @property {import('./environment').Environment} [environment] - Fingerprint of the machine the run was started on
+ * @property {object|null} calibration - Calibrated good and bad distributions (bisect)
+ * @property {Object<string, Measurement>} measured - Measurements by commit hash
+ * @property {{commit: string, verdict: string}[]} verdicts - Bisect verdicts, in order
+ * @property {string[]} pending - Commits left to measure
+ * @property {string|null} culprit - First commit of the new term, once found (bisect)
+ * @property {string[]} [culpritCandidates] - Commits the culprit can be when only skipped commits are left (bisect)
+ * @property {object} [confirmation] - Confirmation of the culprit, see lib/confirmation.js (bisect)
+ * @property {boolean} [endpointsChecked] - True once the endpoints were tested in the states of the find mode (bisect)
+ * @property {object[]} [steps] - Steps of the metric pinned by adaptive sampling, see lib/adaptive-sampling.js (time)
+ */
+
+/**
+ * Creates the state of a new run
+ * @param {string} command - bisect or time
+ * @param {object} settings - Config values the measurements depend on
+ * @returns {RunState} New state
+ */
+function createRunState(command, settings) {
+    const now = new Date().toISOString();
+    return {
+        version: RUN_STATE_VERSION,
+        runId: `${now.replace(/[-:]|\.\d+Z$/g, '')}-${crypto.randomBytes(3).toString('hex')}`,
+        command,
+        settings,
+        startedAt: now,
+        updatedAt: now,
+        status: 'running',
+        calibration: null,
+        measured: {},
+        verdicts: [],
+        pending: [],
+        culprit: null,
+    };
+}
+
+/**
+ * Lists the settings that differ between two runs
+ * @param {object} savedSettings - Settings of the saved run
+ * @param {object} settings - Settings of the current run
+ * @returns {string[]} Keys of the different settings
+ */
+function getChangedSettings(savedSettings, settings) {
+    return Object.keys({ ...savedSettings, ...settings }).filter(
+        (key) =>
+            JSON.stringify(savedSettings[key]) !==
+            JSON.stringify(settings[key]),
+    );
+}
+
+/**
+ * Loads the state to resume, or creates the state of a new run when there
+ * is none, when it is complete or when restart is set
+ * @param {string} statePath - State file path
+ * @param {string} command - bisect or time
+ * @param {object} settings - Config values the measurements depend on
+ * @param {object} [options] - Load options
+ * @param {boolean} [options.restart] - True to start a new run even if one can be resumed
+ * @param {boolean} [options.keepMeasurements] - True to keep the measurements of a completed run with the same settings
+ * @returns {{state: RunState, resumed: boolean, legacyCalibration: object|null}} State, and the calibration of a state file of the previous format
+ */
+function loadRunState(
+    statePath,
+    command,
+    settings,
+    { restart = false, keepMeasurements = false } = {},
+) {
+    if (restart || !fs.existsSync(statePath)) {
+        return {
+            state: createRunState(command, settings),
+            resumed: false,
+            legacyCalibration: null,
+        };
+    }
+
+    const saved = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    if (!saved.runId) {
+        return {
+            state: createRunState(command, settings),
+            resumed: false,
+            legacyCalibration: saved.calibration || null,
+        };
+    }
+    const changed = getChangedSettings(saved.settings, settings);
+    if (saved.status === 'done') {
+        const state = createRunState(command, settings);
+        if (keepMeasurements && changed.length === 0) {
+            state.measured = saved.measured;
+        }
+        return { state, resumed: false, legacyCalibration: null };
+    }
+    if (changed.length > 0) {
+        throw new Error(
+            `Run ${saved.runId} in ${statePath} was started with a different ${changed.join(', ')}, use --restart to start a new run`,
+        );
+    }
+    return { state: saved, resumed: true, legacyCalibration: null };
+}
+
+/**
+ * Writes the state, replacing the previous file atomically
+ * @param {string} statePath - State file path
+ * @param {RunState} state - State to write
+ */
+function saveRunState(statePath, state) {
+    state.updatedAt = new Date().toISOString();
+    const temporaryPath = `${statePath}.tmp-${process.pid}`;
+    fs.writeFileSync(temporaryPath, JSON.stringify(state, null, 4));
+    fs.renameSync(temporaryPath, statePath);
+}
+
+/**
+ * Records the measurement of a commit
+ * @param {RunState} state - State of the run
+ * @param {string} commit - Commit hash
+ * @param {string|null} resultPath - Result of the commit, null if it was skipped
+ * @param {string} [verdict] - Verdict of the commit, reused when a bisect is resumed
+ * @param {import('./failures').Failure|null} [failure] - Failure that made the commit skipped
+ */
+function recordMeasurement(
+    state,
+    commit,
+    resultPath,
+    verdict = undefined,
+    failure = null,
+) {
+    state.measured[commit] = {
+        resultPath,
+        measuredAt: new Date().toISOString(),
+        verdict,
+        failure: failure || undefined,
+    };
+    state.pending = state.pending.filter((pending) => pending !== commit);
+}
+
+/**
+ * Returns the recorded measurement of a commit if it can be reused: its
+ * result file still exists and holds at least minSamples samples of the
+ * metric. Results of a run that needed fewer samples, such as a time run
+ * without adaptive sampling, are measured again.
+ * @param {RunState} state - State of the run
+ * @param {string} commit - Commit hash
+ * @param {string} metric - Metric expression of the run
+ * @param {number} [minSamples] - Samples of the metric the run needs
+ * @returns {{skipped: boolean, result: import('./results').CommitResult|null}|null} Reusable measurement, null if the commit must be measured
+ */
+function getRecordedMeasurement(state, commit, metric, minSamples = 1) {
+    const measurement = state.measured[commit];
+    if (!measurement) {
+        return null;
+    }
+    if (measurement.resultPath === null) {
+        return { skipped: true, result: null };
+    }
+    if (!fs.existsSync(measurement.resultPath)) {
+        return null;
+    }
+    try {
+        const result = readResult(measurement.resultPath);
+        const isValid =
+            result.commit === commit &&
+            result.metric.expression === metric &&
+            result.metric.samples.length >= Math.max(minSamples, 1);
+        return isValid ? { skipped: false, result } : null;
+    } catch {
+        return null;
+    }
+}
+
+module.exports = {
+    getRecordedMeasurement,
+    loadRunState,
+    recordMeasurement,
+    saveRunState,
+};
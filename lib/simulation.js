@@ -0,0 +1,995 @@
+// Simulation of the commands of the bisector from a recorded dataset, so a
+// whole bisect or time run can be dry-run in seconds, e.g. to try a new
+// verdict strategy against past data. Enabled by the simulation section of
+// the config (--simulate <dataset dir>), it replaces the shell executor of
+// lib/executor.js.
+//
+// The dataset is a directory of text reports, such as cleaned-timings/ or
+// the out directory of a run, keyed by their Commit header. The commits form
+// a linear history, ordered by the number the file names start with
+// (000-..., 001-...) or else by the commits.json of the dataset, newest first
+// as in commitsFile. When a commit has reports of several package managers,
+// the one of packageManager is replayed, else the first one.
+//
+// The simulation answers:
+// - git in the ts repo: rev-parse, rev-list, merge-base, for-each-ref,
+//   worktree and bisect, whose state is kept in the git directory of a
+//   scratch ts repo so it survives the process as with git. git revert always
+//   conflicts, so the confirmation skips its revert test
+// - the TypeScript build in a worktree: npm pack writes a tarball holding the
+//   package.json of the commit, with its version and gitHead, which tar
+//   reads for real, e.g. for the compat patch
+// - the dd repo: the install records the commit of the tarball, then tsc -v
+//   prints its version and the workload the runs of its report in turn, each
+//   time of the diagnostics scaled by a seeded random noise. A failure report
+//   replays its failure at its step, so the failure policy sees it again
+// Any other command fails as not recorded. The scratch ts and dd repos are
+// kept in os.tmpdir(), one pair per dataset. The prebuilds, the tarball cache
+// and explainCulprit are disabled, as they need real builds.
+
+const crypto = require('node:crypto');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { getCommand, getPackageManager } = require('./package-managers');
+const { parseReport } = require('./results');
+
+// Scratch repos of the simulations, one directory per dataset
+const SCRATCH_DIR = path.join(os.tmpdir(), 'ts-bisector-simulation');
+// Commits of a dataset whose reports are not numbered, newest first
+const COMMITS_FILE_NAME = 'commits.json';
+// State of the simulated git bisect, in the git directory of the ts repo
+const BISECT_STATE_FILE_NAME = 'BISECT_SIMULATION.json';
+const REPORT_NUMBER_REGEX = /^(\d+)-/;
+const RUN_SEPARATOR_REGEX = /^--- TSC Output.*---$/m;
+// "Check time:   223.57s", with the label and spacing kept
+const TIME_LINE_REGEX = /^(.* time:\s+)(\d+(?:\.\d+)?)s$/gm;
+// Exit code of a shell for a command it can not find
+const NOT_FOUND_EXIT_CODE = 127;
+
+// Settings of the simulation section of the config, and their defaults
+const SIMULATION_DEFAULTS = {
+    dataset: null,
+    noise: 0,
+    seed: 1,
+};
+const SIMULATION_KEYS = Object.keys(SIMULATION_DEFAULTS);
+
+/**
+ * @typedef {object} SimulatedCommit
+ * @property {string} hash - Commit hash
+ * @property {string} file - Report replayed for the commit
+ * @property {string} version - Version of the TypeScript package of the commit
+ * @property {string[]} outputs - Recorded tsc outputs, replayed in turn
+ * @property {{class: string, step: string, message: string}|null} failure - Recorded failure, replayed at its step
+ */
+
+/**
+ * @typedef {object} SimulatedBisect
+ * @property {{old: string, new: string}} terms - Terms of the bisection
+ * @property {string[]} olds - Commits marked with the old term
+ * @property {string|null} new - Commit marked with the new term
+ * @property {string[]} skips - Skipped commits
+ * @property {string|null} current - Commit to test, BISECT_HEAD
+ * @property {string[]} log - Lines of git bisect log
+ */
+
+/**
+ * Returns the settings of the simulation, with their defaults
+ * @param {object} simulation - simulation section of the config
+ * @returns {{dataset: string|null, noise: number, seed: number}} Settings
+ */
+function getSimulationSettings(simulation) {
+    return { ...SIMULATION_DEFAULTS, ...simulation };
+}
+
+/**
+ * Creates the scratch repos of a simulation, and returns the config values
+ * they replace
+ * @param {object} simulation - simulation section of the config
+ * @returns {object} tsRepoPath, ddRepoPath, worktreesDir, and the features needing real builds turned off
+ */
+function prepareSimulation(simulation) {
+    const dataset = path.resolve(simulation.dataset);
+    const scratchPath = path.join(
+        SCRATCH_DIR,
+        crypto.createHash('sha256').update(dataset).digest('hex').slice(0, 8),
+    );
+    const tsRepoPath = path.join(scratchPath, 'ts');
+    const ddRepoPath = path.join(scratchPath, 'dd');
+    fs.mkdirSync(path.join(tsRepoPath, '.git'), { recursive: true });
+    fs.mkdirSync(ddRepoPath, { recursive: true });
+    const manifestPath = path.join(ddRepoPath, 'package.json');
+    if (!fs.existsSync(manifestPath)) {
+        fs.writeFileSync(
+            manifestPath,
+            `${JSON.stringify(
+                {
+                    name: 'simulated-dd-repo',
+                    private: true,
+                    devDependencies: { typescript: '*' },
+                },
+                null,
+                4,
+            )}\n`,
+        );
+    }
+    return {
+        simulation: { ...simulation, dataset },
+        tsRepoPath,
+        ddRepoPath,
+        worktreesDir: path.join(scratchPath, 'worktrees'),
+        prebuild: 'off',
+        cacheDir: null,
+        explainCulprit: false,
+    };
+}
+
+/**
+ * Reads a header line of a report
+ * @param {string} text - Report content
+ * @param {string} label - Header label
+ * @returns {string|null} Value, null if the report has no such header
+ */
+function readHeader(text, label) {
+    const match = text.match(new RegExp(`^${label}: (.+)$`, 'm'));
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Orders the reports of a dataset, oldest commit first
+ * @param {string} dataset - Dataset directory
+ * @param {{file: string, commit: string}[]} reports - Reports, in file name order
+ * @returns {{file: string, commit: string}[]} Ordered reports
+ */
+function orderReports(dataset, reports) {
+    if (reports.every(({ file }) => REPORT_NUMBER_REGEX.test(file))) {
+        const number = ({ file }) => Number(file.match(REPORT_NUMBER_REGEX)[1]);
+        // Array#sort is stable, reports of the same number keep their order
+        return [...reports].sort((a, b) => number(a) - number(b));
+    }
+    const commitsPath = path.join(dataset, COMMITS_FILE_NAME);
+    if (!fs.existsSync(commitsPath)) {
+        throw new Error(
+            `Can not order the reports of ${dataset}: number their file names oldest first (000-...), or list their commits newest first in ${COMMITS_FILE_NAME}`,
+        );
+    }
+    const commits = JSON.parse(fs.readFileSync(commitsPath, 'utf8')).reverse();
+    const position = ({ commit }) =>
+        commits.findIndex((listed) => commit.startsWith(listed));
+    return reports
+        .filter((report) => position(report) !== -1)
+        .sort((a, b) => position(a) - position(b));
+}
+
+/**
+ * Reads the reports of a dataset into a linear history
+ * @param {string} dataset - Dataset directory
+ * @param {string} packageManager - Package manager adapter whose reports are preferred
+ * @returns {SimulatedCommit[]} Commits, oldest first
+ */
+function loadDataset(dataset, packageManager) {
+    const reports = [];
+    for (const file of fs.readdirSync(dataset).sort()) {
+        if (!file.endsWith('.txt')) {
+            continue;
+        }
+        const text = fs.readFileSync(path.join(dataset, file), 'utf8');
+        const commit = readHeader(text, 'Commit');
+        if (commit && /^[0-9a-f]{40}$/.test(commit)) {
+            reports.push({ file, commit, text });
+        }
+    }
+    if (reports.length === 0) {
+        throw new Error(`No report with a Commit header in ${dataset}`);
+    }
+
+    const reportsByCommit = new Map();
+    for (const report of orderReports(dataset, reports)) {
+        if (!reportsByCommit.has(report.commit)) {
+            reportsByCommit.set(report.commit, []);
+        }
+        reportsByCommit.get(report.commit).push(report);
+    }
+
+    let previousVersion = '0.0.0';
+    return [...reportsByCommit].map(([hash, commitReports]) => {
+        const { file, text } =
+            commitReports.find(
+                (report) =>
+                    parseReport(report.text).packageManager === packageManager,
+            ) || commitReports[0];
+
+        // "<override><-<version>" when yarn needed a version override
+        const recordedVersion = (readHeader(text, 'TypeScript Version') || '')
+            .split('<-')
+            .pop()
+            .replace(/-override$/, '');
+        const version =
+            recordedVersion && recordedVersion !== 'unknown'
+                ? recordedVersion
+                : previousVersion;
+        previousVersion = version;
+
+        const failureClass = readHeader(text, 'Failure Class');
+        const runOutputs = text.split(RUN_SEPARATOR_REGEX);
+        let outputs = [];
+        if (runOutputs.length > 1) {
+            outputs = runOutputs.slice(1).map((output) => output.trim());
+        } else if (!failureClass) {
+            // The reports of cleaned-timings/ have their output after the header
+            outputs = [text.slice(text.search(/\n\s*\n/)).trim()];
+        }
+        return {
+            hash,
+            file,
+            version,
+            outputs,
+            failure: failureClass && {
+                class: failureClass,
+                step: readHeader(text, 'Failure Step'),
+                message: readHeader(text, 'Failure') || '',
+            },
+        };
+    });
+}
+
+/**
+ * Creates the error of a failed command, as execSync throws it
+ * @param {string} command - Command
+ * @param {number} status - Exit code
+ * @param {string} output - Output of the command
+ * @param {'timeout'|'memory'|null} [killedBy] - Limit of the watchdog that killed the command
+ * @returns {Error & {status: number, signal: null, stdout: string, stderr: string, usage: object|null}} Error
+ */
+function createCommandError(command, status, output, killedBy = null) {
+    const error = new Error(`Command failed: ${command}\n${output}`);
+    error.status = status;
+    error.signal = null;
+    error.stdout = '';
+    error.stderr = output;
+    error.usage = killedBy && {
+        peakRssKb: null,
+        cpuTimeS: null,
+        wallTimeS: 0,
+        killedBy,
+    };
+    return error;
+}
+
+/**
+ * Returns a seeded random number generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {() => number} Generator of numbers between 0 and 1
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Scales every time of a tsc output by a normal noise
+ * @param {string} output - tsc output
+ * @param {() => number} random - Random number generator
+ * @param {number} noise - Standard deviation of the noise, relative to the times
+ * @returns {string} Output with noisy times
+ */
+function addNoise(output, random, noise) {
+    if (noise === 0) {
+        return output;
+    }
+    return output.replace(TIME_LINE_REGEX, (line, label, value) => {
+        // Box-Muller transform
+        const gaussian =
+            Math.sqrt(-2 * Math.log(1 - random())) *
+            Math.cos(2 * Math.PI * random());
+        const time = Math.max(0, Number(value) * (1 + noise * gaussian));
+        return `${label}${time.toFixed(2)}s`;
+    });
+}
+
+/**
+ * Creates a simulation of the commands of a config, see the top of this file
+ * @param {object} config - Bisector config, with the settings of prepareSimulation
+ * @returns {import('./executor').Executor} Executor answering the commands from the dataset
+ */
+function createSimulationExecutor(config) {
+    const { dataset, noise, seed } = getSimulationSettings(config.simulation);
+    const history = loadDataset(dataset, config.packageManager);
+    const simulation = {
+        config,
+        history,
+        positions: new Map(
+            history.map((commit, index) => [commit.hash, index]),
+        ),
+        worktrees: new Map(),
+        installed: null,
+        replays: new Map(),
+        random: createRandom(seed),
+        noise,
+    };
+    return {
+        name: `simulation of ${history.length} commits from ${dataset}`,
+        exec(command, { cwd }) {
+            return {
+                stdout: runSimulatedCommand(simulation, command, cwd),
+                usage: null,
+            };
+        },
+        execFile(file, args, options) {
+            // The simulated tarballs are real files
+            if (file === 'tar') {
+                return execFileSync(file, args, options);
+            }
+            if (file !== 'git') {
+                throw createCommandError(
+                    `${file} ${args.join(' ')}`,
+                    NOT_FOUND_EXIT_CODE,
+                    `${file}: not recorded in the simulation`,
+                );
+            }
+            return runGit(simulation, args, options.cwd);
+        },
+    };
+}
+
+/**
+ * Runs a shell command of the bisector in the simulation
+ * @param {object} simulation - Simulation
+ * @param {string} command - Command, as given to execSync
+ * @param {string} cwd - Working directory
+ * @returns {string} Output
+ */
+function runSimulatedCommand(simulation, command, cwd) {
+    const tokens = normalizeCommand(command).split(/\s+/);
+    const [program, ...args] = tokens;
+    const directory = path.resolve(cwd);
+
+    if (program === 'git') {
+        return runGit(simulation, args, directory);
+    }
+    if (simulation.worktrees.has(directory)) {
+        return runWorktreeCommand(simulation, command, tokens, directory);
+    }
+    if (tokens.includes('tsc')) {
+        return runTsc(simulation, command, args);
+    }
+    if (args.length === 1 && args[0] === 'install') {
+        return runInstall(simulation, command);
+    }
+    if (args.length === 1 && args[0] === '--version') {
+        return program === 'node' ? process.version : 'simulated';
+    }
+    const { prepare } = simulation.config.workload;
+    if (
+        prepare &&
+        normalizeCommand(command) ===
+            normalizeCommand(getDdRepoCommand(simulation.config, prepare))
+    ) {
+        replayFailure(simulation, getInstalledCommit(simulation, command), {
+            command,
+            step: 'prepare',
+        });
+        return '';
+    }
+    throw createCommandError(
+        command,
+        NOT_FOUND_EXIT_CODE,
+        `${command}: not recorded in the simulation`,
+    );
+}
+
+/**
+ * Removes what the bisector prefixes to commands: the CPU pinning of
+ * lib/environment.js and the environment assignments of the package manager
+ * @param {string} command - Command
+ * @returns {string} Command
+ */
+function normalizeCommand(command) {
+    return command
+        .trim()
+        .replace(/^taskset -cp \S+ \$\$ > \/dev\/null && /, '')
+        .replace(/^(\w+=\S*\s+)+/, '');
+}
+
+/**
+ * Returns a command of the dd repo, as lib/install.js builds it
+ * @param {object} config - Bisector config
+ * @param {string} command - Command
+ * @returns {string} Command to execute
+ */
+function getDdRepoCommand(config, command) {
+    return getCommand(
+        getPackageManager(config.packageManager, config.ddRepoPath),
+        command,
+    );
+}
+
+/**
+ * Throws the recorded failure of a commit when it happened at this step
+ * @param {object} simulation - Simulation
+ * @param {SimulatedCommit} commit - Commit
+ * @param {{command: string, step: string}} run - Command being run and its step
+ */
+function replayFailure(simulation, commit, { command, step }) {
+    const { failure } = commit;
+    if (!failure || failure.step !== step) {
+        return;
+    }
+    let killedBy = null;
+    if (failure.class === 'timeout') {
+        killedBy = 'timeout';
+    } else if (failure.message === 'killed over the memory limit') {
+        killedBy = 'memory';
+    }
+    throw createCommandError(command, 1, failure.message, killedBy);
+}
+
+/**
+ * Returns the commit installed in the dd repo
+ * @param {object} simulation - Simulation
+ * @param {string} command - Command needing it, for the error
+ * @returns {SimulatedCommit} Installed commit
+ */
+function getInstalledCommit(simulation, command) {
+    if (!simulation.installed) {
+        throw createCommandError(
+            command,
+            NOT_FOUND_EXIT_CODE,
+            'typescript is not installed in the simulated dd repo',
+        );
+    }
+    return simulation.installed;
+}
+
+/**
+ * Runs a command of the TypeScript build in a worktree
+ * @param {object} simulation - Simulation
+ * @param {string} command - Command
+ * @param {string[]} tokens - Words of the normalized command
+ * @param {string} worktreePath - Worktree path
+ * @returns {string} Output
+ */
+function runWorktreeCommand(simulation, command, tokens, worktreePath) {
+    const commit = simulation.worktrees.get(worktreePath);
+    const packageJsonPath = path.join(worktreePath, 'package.json');
+    const words = tokens.join(' ');
+    if (words === 'npx hereby LKG') {
+        replayFailure(simulation, commit, { command, step: 'build' });
+    }
+    if (['npm ci', 'npx hereby LKG', 'npx hereby clean'].includes(words)) {
+        return '';
+    }
+    if (words === 'node ./scripts/addPackageJsonGitHead.mjs package.json') {
+        const packageJson = JSON.parse(
+            fs.readFileSync(packageJsonPath, 'utf8'),
+        );
+        packageJson.gitHead = commit.hash;
+        fs.writeFileSync(
+            packageJsonPath,
+            `${JSON.stringify(packageJson, null, 4)}\n`,
+        );
+        return '';
+    }
+    if (words === 'npm pack') {
+        const { version } = JSON.parse(
+            fs.readFileSync(packageJsonPath, 'utf8'),
+        );
+        const tarballName = `typescript-${version}.tgz`;
+        const packDir = fs.mkdtempSync(
+            path.join(os.tmpdir(), 'ts-bisector-pack-'),
+        );
+        try {
+            fs.mkdirSync(path.join(packDir, 'package'));
+            fs.copyFileSync(
+                packageJsonPath,
+                path.join(packDir, 'package', 'package.json'),
+            );
+            execFileSync('tar', [
+                '-czf',
+                path.join(worktreePath, tarballName),
+                '-C',
+                packDir,
+                'package',
+            ]);
+        } finally {
+            fs.rmSync(packDir, { recursive: true, force: true });
+        }
+        return tarballName;
+    }
+    throw createCommandError(
+        command,
+        NOT_FOUND_EXIT_CODE,
+        `${command}: not recorded in the simulation`,
+    );
+}
+
+/**
+ * Installs the tarball the workspace manifests point at: the commit of its
+ * gitHead becomes the installed one
+ * @param {object} simulation - Simulation
+ * @param {string} command - Install command
+ * @returns {string} Output
+ */
+function runInstall(simulation, command) {
+    const { tarballPath } = simulation.config;
+    let packageJson;
+    try {
+        packageJson = JSON.parse(
+            execFileSync(
+                'tar',
+                ['-xzOf', tarballPath, 'package/package.json'],
+                { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] },
+            ),
+        );
+    } catch {
+        throw createCommandError(
+            command,
+            1,
+            `Could not read the TypeScript package of ${tarballPath}`,
+        );
+    }
+    const commit = simulation.history[
+        simulation.positions.get(packageJson.gitHead)
+    ] || { hash: packageJson.gitHead, failure: null, outputs: [] };
+    simulation.installed = { ...commit, version: packageJson.version };
+    replayFailure(simulation, commit, { command, step: 'install' });
+    return `Installed typescript@${packageJson.version} from ${commit.hash}`;
+}
+
+/**
+ * Runs the tsc of the dd repo: tsc -v prints the installed version, any
+ * other tsc command the next recorded run of the installed commit
+ * @param {object} simulation - Simulation
+ * @param {string} command - Command
+ * @param {string[]} args - Arguments of the command
+ * @returns {string} Output
+ */
+function runTsc(simulation, command, args) {
+    const installed = getInstalledCommit(simulation, command);
+    if (args.includes('-v')) {
+        replayFailure(simulation, installed, { command, step: 'version' });
+        return `Version ${installed.version}`;
+    }
+    replayFailure(simulation, installed, { command, step: 'workload' });
+    if (installed.outputs.length === 0) {
+        throw createCommandError(
+            command,
+            1,
+            `No tsc output recorded for ${installed.hash}`,
+        );
+    }
+    const replays = simulation.replays.get(installed.hash) || 0;
+    simulation.replays.set(installed.hash, replays + 1);
+    return addNoise(
+        installed.outputs[replays % installed.outputs.length],
+        simulation.random,
+        simulation.noise,
+    );
+}
+
+/**
+ * Runs a git command in the simulated history
+ * @param {object} simulation - Simulation
+ * @param {string[]} args - git arguments
+ * @param {string} cwd - Working directory, the ts repo or a worktree
+ * @returns {string} Output
+ */
+function runGit(simulation, args, cwd) {
+    // -c name=value options, such as the identity of a revert
+    let start = 0;
+    while (args[start] === '-c') {
+        start += 2;
+    }
+    const [subcommand, ...rest] = args.slice(start);
+    const fail = (message, status = 1) => {
+        throw createCommandError(`git ${args.join(' ')}`, status, message);
+    };
+
+    if (subcommand === 'rev-parse') {
+        if (rest[0] === '--git-path') {
+            return path.join('.git', rest[1]);
+        }
+        const ref = rest.filter((arg) => arg !== '--verify')[0];
+        return (
+            resolveRef(simulation, ref, path.resolve(cwd)) ||
+            fail('fatal: Needed a single revision', 128)
+        );
+    }
+    if (subcommand === 'rev-list') {
+        return listRevisions(simulation, rest, fail);
+    }
+    if (subcommand === 'merge-base') {
+        // On a linear history, the oldest of the commits
+        const positions = rest
+            .filter((arg) => !arg.startsWith('--'))
+            .map(
+                (ref) =>
+                    simulation.positions.get(resolveRef(simulation, ref, '')) ??
+                    fail(`fatal: Not a valid object name ${ref}`, 128),
+            );
+        return simulation.history[Math.min(...positions)].hash;
+    }
+    if (subcommand === 'for-each-ref') {
+        // Only the old commits of git bisect are listed by the bisector
+        const state = readBisectState(simulation);
+        const pattern = rest.find((arg) => arg.startsWith('refs/'));
+        if (!state || pattern !== `refs/bisect/${state.terms.old}-*`) {
+            return '';
+        }
+        return state.olds.join('\n');
+    }
+    if (subcommand === 'worktree') {
+        return runWorktree(simulation, rest, fail);
+    }
+    if (subcommand === 'bisect') {
+        return runGitBisect(simulation, rest, fail);
+    }
+    if (subcommand === 'revert') {
+        return fail(
+            `error: could not revert ${rest.at(-1)}: the simulation has no changes to revert`,
+        );
+    }
+    return fail(
+        `git ${subcommand}: not recorded in the simulation`,
+        NOT_FOUND_EXIT_CODE,
+    );
+}
+
+/**
+ * Resolves a ref of the simulated history
+ * @param {object} simulation - Simulation
+ * @param {string} ref - Commit prefix, HEAD, BISECT_HEAD or refs/bisect/..., with optional ^ and ~n suffixes
+ * @param {string} cwd - Working directory, HEAD of a worktree being its commit
+ * @returns {string|null} Commit hash, null if it does not exist
+ */
+function resolveRef(simulation, ref, cwd) {
+    const [, base, suffixes] = ref
+        .replace(/\^\{commit\}$/, '')
+        .match(/^(.*?)((?:[~^]\d*)*)$/);
+    const { history, positions } = simulation;
+    let hash = null;
+    if (base === 'HEAD') {
+        const worktreeCommit = simulation.worktrees.get(cwd);
+        hash = worktreeCommit ? worktreeCommit.hash : history.at(-1).hash;
+    } else if (base === 'BISECT_HEAD' || base.startsWith('refs/bisect/')) {
+        const state = readBisectState(simulation);
+        if (!state) {
+            return null;
+        }
+        if (base === 'BISECT_HEAD') {
+            hash = state.current;
+        } else if (base === `refs/bisect/${state.terms.new}`) {
+            hash = state.new;
+        } else {
+            hash =
+                state.olds.find(
+                    (old) => base === `refs/bisect/${state.terms.old}-${old}`,
+                ) || null;
+        }
+    } else if (/^[0-9a-f]{4,40}$/.test(base)) {
+        const matches = history.filter((commit) =>
+            commit.hash.startsWith(base),
+        );
+        hash = matches.length === 1 ? matches[0].hash : null;
+    }
+
+    for (const [, operator, count] of suffixes.matchAll(/([~^])(\d*)/g)) {
+        // The history is linear, commits have no second parent
+        if (operator === '^' && Number(count) > 1) {
+            return null;
+        }
+        const generations =
+            operator === '~' ? Number(count || 1) : Number(count !== '0');
+        for (let i = 0; i < generations && hash; i++) {
+            const position = positions.get(hash);
+            hash = position > 0 ? history[position - 1].hash : null;
+        }
+    }
+    return hash;
+}
+
+/**
+ * Lists the commits of revisions, as git rev-list does on a linear history
+ * @param {object} simulation - Simulation
+ * @param {string[]} args - rev-list arguments: --reverse, --topo-order, --first-parent, --parents, --count, -n <n>, revisions (a..b, ^a, b) and paths after --, which every commit is taken to change
+ * @param {(message: string, status?: number) => never} fail - Fails the command
+ * @returns {string} Output
+ */
+function listRevisions(simulation, args, fail) {
+    const { history, positions } = simulation;
+    const included = [];
+    const excluded = [];
+    const flags = new Set();
+    let limit = Infinity;
+    const resolve = (ref) =>
+        positions.get(resolveRef(simulation, ref, '')) ??
+        fail(`fatal: bad revision '${ref}'`, 128);
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--') {
+            break;
+        }
+        if (arg === '-n') {
+            limit = Number(args[++i]);
+        } else if (arg.startsWith('--')) {
+            flags.add(arg);
+        } else if (arg.includes('..')) {
+            const [from, to] = arg.split('..');
+            excluded.push(resolve(from));
+            included.push(resolve(to));
+        } else if (arg.startsWith('^')) {
+            excluded.push(resolve(arg.slice(1)));
+        } else {
+            included.push(resolve(arg));
+        }
+    }
+
+    // Newest first, from the newest included commit to the newest excluded one
+    const commits = history
+        .slice(Math.max(-1, ...excluded) + 1, Math.max(-1, ...included) + 1)
+        .reverse()
+        .slice(0, limit);
+    if (flags.has('--count')) {
+        return String(commits.length);
+    }
+    if (flags.has('--reverse')) {
+        commits.reverse();
+    }
+    return commits
+        .map((commit) => {
+            const position = positions.get(commit.hash);
+            return flags.has('--parents') && position > 0
+                ? `${commit.hash} ${history[position - 1].hash}`
+                : commit.hash;
+        })
+        .join('\n');
+}
+
+/**
+ * Runs git worktree: add checks out the package.json and the version files
+ * of a commit, prune forgets the removed worktrees
+ * @param {object} simulation - Simulation
+ * @param {string[]} args - worktree arguments
+ * @param {(message: string, status?: number) => never} fail - Fails the command
+ * @returns {string} Output
+ */
+function runWorktree(simulation, args, fail) {
+    const [action, ...rest] = args;
+    if (action === 'prune') {
+        for (const worktreePath of simulation.worktrees.keys()) {
+            if (!fs.existsSync(worktreePath)) {
+                simulation.worktrees.delete(worktreePath);
+            }
+        }
+        return '';
+    }
+    if (action !== 'add') {
+        return fail(`git worktree ${action}: not recorded in the simulation`);
+    }
+    const [worktreePath, ref] = rest.filter((arg) => arg !== '--detach');
+    const hash = resolveRef(simulation, ref, '');
+    if (!hash) {
+        return fail(`fatal: invalid reference: ${ref}`, 128);
+    }
+    const commit = simulation.history[simulation.positions.get(hash)];
+    const [major, minor] = commit.version.split('.');
+    const files = {
+        'package.json': `${JSON.stringify({ name: 'typescript', version: commit.version }, null, 4)}\n`,
+        'src/compiler/corePublic.ts': `export const versionMajorMinor = "${major}.${minor}";\n`,
+        'tests/baselines/reference/api/typescript.d.ts': `    const versionMajorMinor = "${major}.${minor}";\n`,
+    };
+    for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(worktreePath, file)), {
+            recursive: true,
+        });
+        fs.writeFileSync(path.join(worktreePath, file), content);
+    }
+    simulation.worktrees.set(path.resolve(worktreePath), commit);
+    return `HEAD is now at ${hash.substring(0, 7)} ${getSubject(commit)}`;
+}
+
+/**
+ * Returns the subject of a simulated commit
+ * @param {SimulatedCommit} commit - Commit
+ * @returns {string} Subject, naming its report
+ */
+function getSubject(commit) {
+    return `Simulated from ${commit.file}`;
+}
+
+/**
+ * Reads the state of the simulated git bisect
+ * @param {object} simulation - Simulation
+ * @returns {SimulatedBisect|null} State, null when no bisection is in progress
+ */
+function readBisectState(simulation) {
+    const statePath = path.join(
+        simulation.config.tsRepoPath,
+        '.git',
+        BISECT_STATE_FILE_NAME,
+    );
+    return fs.existsSync(statePath)
+        ? JSON.parse(fs.readFileSync(statePath, 'utf8'))
+        : null;
+}
+
+/**
+ * Writes the state of the simulated git bisect, and the BISECT_START and
+ * BISECT_TERMS files lib/worktree.js reads, or removes them
+ * @param {object} simulation - Simulation
+ * @param {SimulatedBisect|null} state - State, null to end the bisection
+ */
+function writeBisectState(simulation, state) {
+    const gitDir = path.join(simulation.config.tsRepoPath, '.git');
+    const files = {
+        [BISECT_STATE_FILE_NAME]: state && JSON.stringify(state, null, 4),
+        BISECT_START: state && simulation.history.at(-1).hash,
+        // Written as the new term, then the old one
+        BISECT_TERMS: state && `${state.terms.new}\n${state.terms.old}\n`,
+    };
+    for (const [name, content] of Object.entries(files)) {
+        if (content) {
+            fs.writeFileSync(path.join(gitDir, name), content);
+        } else {
+            fs.rmSync(path.join(gitDir, name), { force: true });
+        }
+    }
+}
+
+/**
+ * Estimates the remaining steps of a bisection, as git does
+ * @param {number} count - Commits left to test
+ * @returns {number} Steps
+ */
+function estimateBisectSteps(count) {
+    if (count < 3) {
+        return 0;
+    }
+    const steps = Math.floor(Math.log2(count));
+    const power = 2 ** steps;
+    return power < 3 * (count - power) ? steps : steps - 1;
+}
+
+/**
+ * Runs git bisect: start, reset, log, and the terms or skip marking commits
+ * @param {object} simulation - Simulation
+ * @param {string[]} args - bisect arguments
+ * @param {(message: string, status?: number) => never} fail - Fails the command
+ * @returns {string} Output
+ */
+function runGitBisect(simulation, args, fail) {
+    const [action, ...rest] = args;
+    const state = readBisectState(simulation);
+
+    if (action === 'start') {
+        const term = (name, fallback) => {
+            const option = rest.find((arg) => arg.startsWith(`--${name}=`));
+            return option ? option.split('=')[1] : fallback;
+        };
+        writeBisectState(simulation, {
+            terms: {
+                old: term('term-old', 'good'),
+                new: term('term-new', 'bad'),
+            },
+            olds: [],
+            new: null,
+            skips: [],
+            current: null,
+            log: [
+                `git bisect start ${rest.map((arg) => `'${arg}'`).join(' ')}`,
+            ],
+        });
+        return 'status: waiting for both good and bad commits';
+    }
+    if (action === 'reset') {
+        writeBisectState(simulation, null);
+        return state ? '' : 'We are not bisecting.';
+    }
+    if (!state) {
+        return fail('You need to start by "git bisect start"');
+    }
+    if (action === 'log') {
+        return state.log.join('\n');
+    }
+
+    const { terms } = state;
+    if (![terms.old, terms.new, 'skip'].includes(action)) {
+        return fail(`error: unknown command: '${action}'`);
+    }
+    const hash = rest[0] ? resolveRef(simulation, rest[0], '') : state.current;
+    if (!hash) {
+        return fail(`fatal: Needed a single revision`, 128);
+    }
+    const commit = simulation.history[simulation.positions.get(hash)];
+    if (action === terms.old) {
+        state.olds.push(hash);
+    } else if (action === terms.new) {
+        state.new = hash;
+    } else {
+        state.skips.push(hash);
+    }
+    state.log.push(
+        `# ${action}: [${hash}] ${getSubject(commit)}`,
+        `git bisect ${action} ${hash}`,
+    );
+
+    if (!state.new || state.olds.length === 0) {
+        writeBisectState(simulation, state);
+        return `status: waiting for ${state.new ? terms.old : terms.new} commit(s)`;
+    }
+
+    const { history, positions } = simulation;
+    const newPosition = positions.get(state.new);
+    const oldPosition = Math.max(
+        ...state.olds.map((old) => positions.get(old)),
+    );
+    if (oldPosition >= newPosition) {
+        writeBisectState(simulation, state);
+        return fail(
+            `Some ${terms.old} revs are not ancestors of the ${terms.new} rev.\ngit bisect cannot work properly in this case.\nMaybe you mistook ${terms.old} and ${terms.new} revs?`,
+        );
+    }
+
+    // Commits that can be the first new one, oldest first, ending with it
+    const range = history.slice(oldPosition + 1, newPosition + 1);
+    const skips = new Set(state.skips);
+    const untested = range
+        .slice(0, -1)
+        .filter((candidate) => !skips.has(candidate.hash));
+
+    if (range.length === 1) {
+        const culprit = range[0];
+        state.log.push(
+            `# first ${terms.new} commit: [${culprit.hash}] ${getSubject(culprit)}`,
+        );
+        writeBisectState(simulation, state);
+        return `${culprit.hash} is the first ${terms.new} commit\ncommit ${culprit.hash}\n\n    ${getSubject(culprit)}`;
+    }
+    if (untested.length === 0) {
+        state.log.push(
+            '# only skipped commits left to test',
+            ...range.map(
+                (candidate) =>
+                    `# possible first ${terms.new} commit: [${candidate.hash}] ${getSubject(candidate)}`,
+            ),
+        );
+        writeBisectState(simulation, state);
+        return fail(
+            [
+                "There are only 'skip'ped commits left to test.",
+                `The first ${terms.new} commit could be any of:`,
+                ...range.map((candidate) => candidate.hash),
+                'We cannot bisect more!',
+            ].join('\n'),
+            2,
+        );
+    }
+
+    // The halfway commit, or the untested commit closest to it
+    const halfway = Math.floor(range.length / 2) - 1;
+    const distance = (candidate) =>
+        Math.abs(range.indexOf(candidate) - halfway);
+    const next = untested.reduce((best, candidate) =>
+        distance(candidate) < distance(best) ? candidate : best,
+    );
+    state.current = next.hash;
+    writeBisectState(simulation, state);
+    const count = untested.length + 1;
+    const left = Math.max(0, count - range.indexOf(next) - 2);
+    return `Bisecting: ${left} revisions left to test after this (roughly ${estimateBisectSteps(count)} steps)\n[${next.hash}] ${getSubject(next)}`;
+}
+
+module.exports = {
+    SIMULATION_KEYS,
+    createSimulationExecutor,
+    getSimulationSettings,
+    prepareSimulation,
+};
@@ -0,0 +1,245 @@
+// Small statistics helpers used to compare build timings between commits.
+// Everything works on plain arrays of numbers or on { n, mean, stddev }
+// summaries, so a reference distribution can be passed around without its
+// raw samples.
+
+// Maximum p-value of a significant difference: bisect verdicts, calibration,
+// adaptive sampling steps and analyze changes
+const SIGNIFICANCE_LEVEL = 0.05;
+
+/**
+ * Arithmetic mean of a list of samples
+ * @param {number[]} samples - Samples
+ * @returns {number} Mean, or NaN for an empty list
+ */
+function mean(samples) {
+    if (samples.length === 0) {
+        return NaN;
+    }
+    return samples.reduce((sum, value) => sum + value, 0) / samples.length;
+}
+
+/**
+ * Sample standard deviation (n - 1 denominator)
+ * @param {number[]} samples - Samples
+ * @returns {number} Standard deviation, 0 when there are fewer than 2 samples
+ */
+function stddev(samples) {
+    if (samples.length < 2) {
+        return 0;
+    }
+    const m = mean(samples);
+    const squares = samples.reduce(
+        (sum, value) => sum + (value - m) * (value - m),
+        0,
+    );
+    return Math.sqrt(squares / (samples.length - 1));
+}
+
+/**
+ * Summarizes samples as { n, mean, stddev }
+ * @param {number[]} samples - Samples
+ * @returns {{n: number, mean: number, stddev: number}} Summary
+ */
+function summarize(samples) {
+    return {
+        n: samples.length,
+        mean: mean(samples),
+        stddev: stddev(samples),
+    };
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive number
+ * @returns {number} ln(Γ(x))
+ */
+function logGamma(x) {
+    const coefficients = [
+        76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+    ];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    for (const coefficient of coefficients) {
+        y += 1;
+        series += coefficient / y;
+    }
+    return -tmp + Math.log((2.5066282746310005 * series) / x);
+}
+
+/**
+ * Continued fraction used by the regularized incomplete beta function
+ * @param {number} a - Shape parameter a
+ * @param {number} b - Shape parameter b
+ * @param {number} x - Point in [0, 1]
+ * @returns {number} Continued fraction value
+ */
+function betaContinuedFraction(a, b, x) {
+    const maxIterations = 200;
+    const epsilon = 3e-14;
+    const tiny = 1e-300;
+
+    let c = 1;
+    let d = 1 - ((a + b) * x) / (a + 1);
+    if (Math.abs(d) < tiny) {
+        d = tiny;
+    }
+    d = 1 / d;
+    let h = d;
+
+    for (let m = 1; m <= maxIterations; m++) {
+        const m2 = 2 * m;
+
+        let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+        d = 1 + aa * d;
+        d = Math.abs(d) < tiny ? tiny : d;
+        c = 1 + aa / c;
+        c = Math.abs(c) < tiny ? tiny : c;
+        d = 1 / d;
+        h *= d * c;
+
+        aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+        d = 1 + aa * d;
+        d = Math.abs(d) < tiny ? tiny : d;
+        c = 1 + aa / c;
+        c = Math.abs(c) < tiny ? tiny : c;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+
+        if (Math.abs(delta - 1) < epsilon) {
+            break;
+        }
+    }
+    return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - Shape parameter a
+ * @param {number} b - Shape parameter b
+ * @returns {number} I_x(a, b)
+ */
+function incompleteBeta(x, a, b) {
+    if (x <= 0) {
+        return 0;
+    }
+    if (x >= 1) {
+        return 1;
+    }
+    const front = Math.exp(
+        logGamma(a + b) -
+            logGamma(a) -
+            logGamma(b) +
+            a * Math.log(x) +
+            b * Math.log(1 - x),
+    );
+    if (x < (a + 1) / (a + b + 2)) {
+        return (front * betaContinuedFraction(a, b, x)) / a;
+    }
+    return 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+/**
+ * Cumulative distribution function of Student's t distribution
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} P(T <= t)
+ */
+function studentTCdf(t, df) {
+    if (!Number.isFinite(df)) {
+        // Normal approximation for infinite degrees of freedom
+        return 0.5 * (1 + erf(t / Math.SQRT2));
+    }
+    const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+    return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Error function (Abramowitz and Stegun 7.1.26)
+ * @param {number} x - Input
+ * @returns {number} erf(x)
+ */
+function erf(x) {
+    const sign = x < 0 ? -1 : 1;
+    const absX = Math.abs(x);
+    const t = 1 / (1 + 0.3275911 * absX);
+    const y =
+        1 -
+        ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t -
+            0.284496736) *
+            t +
+            0.254829592) *
+            t *
+            Math.exp(-absX * absX);
+    return sign * y;
+}
+
+/**
+ * Welch's t-test between two distributions.
+ * Each side can be an array of samples or a { n, mean, stddev } summary.
+ * A side with a stddev of 0 is treated as a known reference value.
+ * @param {number[]|{n: number, mean: number, stddev: number}} a - First side
+ * @param {number[]|{n: number, mean: number, stddev: number}} b - Second side
+ * @returns {{t: number, df: number, pGreater: number, pLess: number, pTwoSided: number}}
+ *   pGreater is the one-sided p-value for mean(a) > mean(b), pLess for mean(a) < mean(b)
+ */
+function welchTTest(a, b) {
+    const left = Array.isArray(a) ? summarize(a) : a;
+    const right = Array.isArray(b) ? summarize(b) : b;
+
+    const leftVariance = left.n > 0 ? (left.stddev * left.stddev) / left.n : 0;
+    const rightVariance =
+        right.n > 0 ? (right.stddev * right.stddev) / right.n : 0;
+    const standardError = Math.sqrt(leftVariance + rightVariance);
+    const difference = left.mean - right.mean;
+
+    if (standardError === 0) {
+        // No spread at all: the difference is either exactly 0 or certain
+        let pGreater = difference > 0 ? 0 : 1;
+        let pLess = difference < 0 ? 0 : 1;
+        if (difference === 0) {
+            pGreater = 1;
+            pLess = 1;
+        }
+        return {
+            t: difference === 0 ? 0 : Math.sign(difference) * Infinity,
+            df: Infinity,
+            pGreater,
+            pLess,
+            pTwoSided: difference === 0 ? 1 : 0,
+        };
+    }
+
+    const dfTerm = (variance, n) =>
+        variance > 0 && n > 1 ? (variance * variance) / (n - 1) : 0;
+    const dfDenominator =
+        dfTerm(leftVariance, left.n) + dfTerm(rightVariance, right.n);
+    const df =
+        dfDenominator > 0
+            ? Math.pow(leftVariance + rightVariance, 2) / dfDenominator
+            : Infinity;
+
+    const t = difference / standardError;
+    const pLess = studentTCdf(t, df);
+    const pGreater = 1 - pLess;
+    return {
+        t,
+        df,
+        pGreater,
+        pLess,
+        pTwoSided: 2 * Math.min(pLess, pGreater),
+    };
+}
+
+module.exports = {
+    SIGNIFICANCE_LEVEL,
+    mean,
+    stddev,
+    summarize,
+    studentTCdf,
+    welchTTest,
+};
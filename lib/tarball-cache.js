@@ -0,0 +1,212 @@
+// Cache of built TypeScript tarballs, keyed by commit and version override.
+//
+// Each entry is a directory named after its key, holding the tarball and an
+// entry.json with the checksum of the tarball:
+// <cacheDir>/<commit>[-v<versionOverride>]/typescript.tgz
+// <cacheDir>/<commit>[-v<versionOverride>]/entry.json
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const TARBALL_FILE_NAME = 'typescript.tgz';
+const ENTRY_FILE_NAME = 'entry.json';
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {string} key - Entry key, also its directory name
+ * @property {string} commit - TypeScript commit hash
+ * @property {string|null} versionOverride - Version written in the package before building
+ * @property {string|null} previousVersion - Version of the package before the override
+ * @property {string} sha256 - Checksum of the tarball
+ * @property {number} size - Size of the tarball in bytes
+ * @property {string} createdAt - ISO date of the build
+ * @property {string} tarballPath - Path of the cached tarball
+ */
+
+/**
+ * Returns the key of a cache entry
+ * @param {string} commit - TypeScript commit hash
+ * @param {string|null} [versionOverride] - Version override
+ * @returns {string} Entry key
+ */
+function getCacheKey(commit, versionOverride) {
+    return versionOverride ? `${commit}-v${versionOverride}` : commit;
+}
+
+/**
+ * Computes the sha256 of a file
+ * @param {string} filePath - File path
+ * @returns {string} Hex checksum
+ */
+function hashFile(filePath) {
+    return crypto
+        .createHash('sha256')
+        .update(fs.readFileSync(filePath))
+        .digest('hex');
+}
+
+/**
+ * Reads a cache entry without checking its tarball
+ * @param {string} cacheDir - Cache directory
+ * @param {string} key - Entry key
+ * @returns {CacheEntry|null} Entry, null if it does not exist or has no entry.json
+ */
+function readEntry(cacheDir, key) {
+    const entryPath = path.join(cacheDir, key, ENTRY_FILE_NAME);
+    if (!fs.existsSync(entryPath)) {
+        return null;
+    }
+    try {
+        return {
+            ...JSON.parse(fs.readFileSync(entryPath, 'utf8')),
+            key,
+            tarballPath: path.join(cacheDir, key, TARBALL_FILE_NAME),
+        };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Checks the tarball of an entry still matches its checksum
+ * @param {CacheEntry} entry - Cache entry
+ * @returns {string|null} Problem with the entry, null if it is valid
+ */
+function checkEntry(entry) {
+    if (!fs.existsSync(entry.tarballPath)) {
+        return 'tarball is missing';
+    }
+    const sha256 = hashFile(entry.tarballPath);
+    if (sha256 !== entry.sha256) {
+        return `checksum mismatch (expected ${entry.sha256}, got ${sha256})`;
+    }
+    return null;
+}
+
+/**
+ * Returns a valid cached tarball. Corrupt entries are removed.
+ * @param {string} cacheDir - Cache directory
+ * @param {string} commit - TypeScript commit hash
+ * @param {string|null} [versionOverride] - Version override
+ * @returns {CacheEntry|null} Entry, null on cache miss
+ */
+function getCachedTarball(cacheDir, commit, versionOverride) {
+    const key = getCacheKey(commit, versionOverride);
+    const entry = readEntry(cacheDir, key);
+    if (!entry) {
+        return null;
+    }
+    if (checkEntry(entry)) {
+        fs.rmSync(path.join(cacheDir, key), { recursive: true, force: true });
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Copies a built tarball into the cache
+ * @param {string} cacheDir - Cache directory
+ * @param {object} build - Build to cache
+ * @param {string} build.commit - TypeScript commit hash
+ * @param {string|null} [build.versionOverride] - Version override
+ * @param {string|null} [build.previousVersion] - Version before the override
+ * @param {string} build.tarballPath - Built tarball
+ * @returns {CacheEntry} New entry
+ */
+function storeTarball(
+    cacheDir,
+    { commit, versionOverride = null, previousVersion = null, tarballPath },
+) {
+    const key = getCacheKey(commit, versionOverride);
+    const entryDir = path.join(cacheDir, key);
+    // Written in a temporary directory first so a crash never leaves a half entry
+    const tmpDir = `${entryDir}.tmp-${process.pid}`;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    fs.mkdirSync(tmpDir, { recursive: true });
+
+    fs.copyFileSync(tarballPath, path.join(tmpDir, TARBALL_FILE_NAME));
+    const entry = {
+        commit,
+        versionOverride,
+        previousVersion,
+        sha256: hashFile(tarballPath),
+        size: fs.statSync(tarballPath).size,
+        createdAt: new Date().toISOString(),
+    };
+    fs.writeFileSync(
+        path.join(tmpDir, ENTRY_FILE_NAME),
+        JSON.stringify(entry, null, 4),
+    );
+
+    fs.rmSync(entryDir, { recursive: true, force: true });
+    fs.renameSync(tmpDir, entryDir);
+    return readEntry(cacheDir, key);
+}
+
+/**
+ * Lists the cache entries, oldest first
+ * @param {string} cacheDir - Cache directory
+ * @returns {CacheEntry[]} Entries
+ */
+function listCache(cacheDir) {
+    if (!fs.existsSync(cacheDir)) {
+        return [];
+    }
+    return fs
+        .readdirSync(cacheDir)
+        .map((key) => readEntry(cacheDir, key))
+        .filter(Boolean)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Checks every cache entry
+ * @param {string} cacheDir - Cache directory
+ * @returns {{entry: CacheEntry, problem: string|null}[]} Every entry with its problem, if any
+ */
+function verifyCache(cacheDir) {
+    return listCache(cacheDir).map((entry) => ({
+        entry,
+        problem: checkEntry(entry),
+    }));
+}
+
+/**
+ * Removes corrupt entries, leftovers of interrupted writes and entries older
+ * than maxAgeDays
+ * @param {string} cacheDir - Cache directory
+ * @param {number} maxAgeDays - Maximum age of the kept entries, in days
+ * @returns {string[]} Removed directory names
+ */
+function pruneCache(cacheDir, maxAgeDays) {
+    if (!fs.existsSync(cacheDir)) {
+        return [];
+    }
+    const oldestKept = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const removed = [];
+    for (const name of fs.readdirSync(cacheDir)) {
+        const entry = readEntry(cacheDir, name);
+        const isExpired =
+            !entry ||
+            checkEntry(entry) !== null ||
+            Date.parse(entry.createdAt) < oldestKept;
+        if (isExpired) {
+            fs.rmSync(path.join(cacheDir, name), {
+                recursive: true,
+                force: true,
+            });
+            removed.push(name);
+        }
+    }
+    return removed;
+}
+
+module.exports = {
+    getCacheKey,
+    getCachedTarball,
+    listCache,
+    pruneCache,
+    storeTarball,
+    verifyCache,
+};
@@ -0,0 +1,196 @@
+// Builds the npm package of a TypeScript commit, with the steps of
+// azure-pipelines.release.yml, in a disposable worktree of the ts repo.
+// Shared by lib/install.js and the prebuild worker.
+// The builds of lib/install.js run under the watchdog of lib/watchdog.js, the
+// timeout of the build step covering every command of the build.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { getExecutor } = require('./executor');
+const { applyPatchSet } = require('./patch-set');
+const { withWorktree } = require('./worktree');
+
+/**
+ * Executes a build command, throwing with the end of its output on failure
+ * @param {string} command - Command to execute
+ * @param {string} cwd - Working directory
+ * @param {(message: string) => void} log - Logger
+ * @param {{deadline?: number, memoryLimitMb?: number}|null} limits - Time at which the build is killed and memory limit, runs the command under the watchdog
+ * @throws {Error & {timedOut: boolean, memoryExceeded: boolean}} When the command fails
+ */
+function runBuildCommand(command, cwd, log, limits) {
+    log(`Running: ${command} (in ${cwd})`);
+    const startTime = Date.now();
+    const execOptions = {
+        cwd,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        encoding: 'utf-8',
+        maxBuffer: 64 * 1024 * 1024,
+    };
+    try {
+        getExecutor().exec(command, {
+            ...execOptions,
+            limits: limits && {
+                timeout:
+                    limits.deadline && Math.max(limits.deadline - startTime, 1),
+                memoryLimitMb: limits.memoryLimitMb,
+            },
+        });
+    } catch (error) {
+        const output = `${error.stdout || ''}${error.stderr || ''}`;
+        const lastLines = output.trim().split('\n').slice(-20).join('\n');
+        const killedBy = error.usage ? error.usage.killedBy : null;
+        const failure = new Error(`${command} failed in ${cwd}:\n${lastLines}`);
+        failure.timedOut = killedBy === 'timeout';
+        failure.memoryExceeded = killedBy === 'memory';
+        throw failure;
+    }
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    log(`Command completed in ${duration}s`);
+}
+
+/**
+ * Writes a version in the TypeScript package of a worktree, so yarn applies
+ * the compat patch of that version
+ * @param {string} worktreePath - TypeScript worktree path
+ * @param {string} version - Version to write
+ * @param {string|null} journalDir - Directory of the patch journals
+ * @param {(message: string) => void} log - Logger
+ * @returns {{previousVersion: string, patchSet: {restore: () => void}}} Version of the package before the override, and the applied edits
+ */
+function overrideTypeScriptVersion(worktreePath, version, journalDir, log) {
+    const packageJsonPath = path.join(worktreePath, 'package.json');
+    const previousVersion = JSON.parse(
+        fs.readFileSync(packageJsonPath, 'utf8'),
+    ).version;
+    log(
+        `-1. Downgrade typescript version from ${previousVersion} to ${version}`,
+    );
+
+    const [major, minor] = version.split('.');
+    const patchSet = applyPatchSet(
+        'version-override',
+        [
+            {
+                // Only the version field, to keep the formatting of package.json
+                name: 'package.json version',
+                file: packageJsonPath,
+                pattern: /("version"\s*:\s*")[^"]*(")/,
+                replacement: `$1${version}$2`,
+            },
+            {
+                name: 'corePublic.ts versionMajorMinor',
+                file: path.join(worktreePath, 'src/compiler/corePublic.ts'),
+                pattern: /export const versionMajorMinor = ".*";/,
+                replacement: `export const versionMajorMinor = "${major}.${minor}";`,
+            },
+            {
+                name: 'API baseline versionMajorMinor',
+                file: path.join(
+                    worktreePath,
+                    'tests/baselines/reference/api/typescript.d.ts',
+                ),
+                pattern: /const versionMajorMinor = ".*";/,
+                replacement: `const versionMajorMinor = "${major}.${minor}";`,
+            },
+        ],
+        { journalDir },
+    );
+    return { previousVersion, patchSet };
+}
+
+/**
+ * Builds TypeScript in a worktree and copies the npm package to tarballPath
+ * @param {string} worktreePath - TypeScript worktree path
+ * @param {string} tarballPath - Destination of the tarball
+ * @param {(message: string) => void} log - Logger
+ * @param {import('./watchdog').StepLimits|null} limits - Limits of the whole build, null to run the commands unwatched
+ */
+function packTypeScript(worktreePath, tarballPath, log, limits) {
+    const buildLimits = limits && {
+        deadline: limits.timeout && Date.now() + limits.timeout,
+        memoryLimitMb: limits.memoryLimitMb,
+    };
+
+    log('0. Running npm ci...');
+    runBuildCommand('npm ci', worktreePath, log, buildLimits);
+
+    log('1. Running npx hereby LKG...');
+    runBuildCommand('npx hereby LKG', worktreePath, log, buildLimits);
+
+    log('2. Running npx hereby clean...');
+    runBuildCommand('npx hereby clean', worktreePath, log, buildLimits);
+
+    log('3. Adding Git head to package.json...');
+    runBuildCommand(
+        'node ./scripts/addPackageJsonGitHead.mjs package.json',
+        worktreePath,
+        log,
+        buildLimits,
+    );
+
+    log('4. Creating npm package...');
+    runBuildCommand('npm pack', worktreePath, log, buildLimits);
+
+    // The worktree is fresh, so npm pack created the only tarball
+    const tarballName = fs
+        .readdirSync(worktreePath)
+        .find(
+            (file) => file.startsWith('typescript-') && file.endsWith('.tgz'),
+        );
+    if (!tarballName) {
+        throw new Error('Could not find TypeScript tarball after npm pack');
+    }
+
+    // Copied rather than renamed, the worktree can be on another file system
+    fs.copyFileSync(path.join(worktreePath, tarballName), tarballPath);
+    log(`Copied tarball to: ${tarballPath}`);
+}
+
+/**
+ * Builds the npm package of a TypeScript commit in a disposable worktree
+ * @param {object} build - Build to run
+ * @param {string} build.tsRepoPath - TypeScript repo path
+ * @param {string} build.worktreesDir - Directory of the worktrees
+ * @param {string} build.commit - TypeScript commit to build
+ * @param {string} [build.versionOverride] - Version to write in the TypeScript package before building
+ * @param {string} build.tarballPath - Destination of the tarball
+ * @param {string|null} [build.journalDir] - Directory of the patch journals of the version override
+ * @param {(message: string) => void} [build.log] - Logger
+ * @param {import('./watchdog').StepLimits|null} [build.limits] - Limits of the build, null to run it unwatched
+ * @returns {string|undefined} Version of the package before the override, if any
+ */
+function buildTypeScript({
+    tsRepoPath,
+    worktreesDir,
+    commit,
+    versionOverride = undefined,
+    tarballPath,
+    journalDir = null,
+    log = () => {},
+    limits = null,
+}) {
+    return withWorktree(tsRepoPath, worktreesDir, commit, (worktreePath) => {
+        log(`Checked out ${commit} in ${worktreePath}`);
+        if (!versionOverride) {
+            packTypeScript(worktreePath, tarballPath, log, limits);
+            return undefined;
+        }
+        const { previousVersion, patchSet } = overrideTypeScriptVersion(
+            worktreePath,
+            versionOverride,
+            journalDir,
+            log,
+        );
+        try {
+            packTypeScript(worktreePath, tarballPath, log, limits);
+        } finally {
+            patchSet.restore();
+        }
+        return previousVersion;
+    });
+}
+
+module.exports = {
+    buildTypeScript,
+};
@@ -0,0 +1,194 @@
+// Process started by lib/watchdog.js around a command: runs it in its own
+// process group, samples the memory of its process tree from /proc, and kills
+// the whole tree when it exceeds its timeout or memory limit.
+//
+// Usage: node lib/watchdog-worker.js <job JSON>
+// The job is {command, timeoutMs, memoryLimitMb, usagePath, intervalMs}. The
+// command inherits the stdio, cwd and environment of the worker. Once it
+// exits, its usage is written to usagePath as {peakRssKb, cpuTimeS,
+// wallTimeS, killedBy}, and the worker exits with its exit code.
+
+const { execFileSync, spawn } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+
+const job = JSON.parse(process.argv[2]);
+
+// Delay between the SIGTERM of a timeout and the SIGKILL of what is left
+const KILL_GRACE_MS = 5000;
+// Exit codes of a killed command, as with coreutils timeout
+const TIMEOUT_EXIT_CODE = 124;
+const MEMORY_EXIT_CODE = 137;
+
+/**
+ * Returns the clock ticks per second of the CPU times of /proc
+ * @returns {number} Ticks per second
+ */
+function getClockTicks() {
+    try {
+        return Number(
+            execFileSync('getconf', ['CLK_TCK'], { encoding: 'utf8' }),
+        );
+    } catch {
+        return 100;
+    }
+}
+
+/**
+ * Reads the parent and CPU times of a process from /proc/<pid>/stat
+ * @param {string} pid - Process id
+ * @returns {{ppid: number, ticks: number, childTicks: number}|null} Parent, own and reaped children CPU ticks, null if it exited
+ */
+function readStat(pid) {
+    try {
+        const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+        // The command name is in parentheses and may contain spaces
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        return {
+            ppid: Number(fields[1]),
+            ticks: Number(fields[11]) + Number(fields[12]),
+            childTicks: Number(fields[13]) + Number(fields[14]),
+        };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Reads the resident memory of a process from /proc/<pid>/status
+ * @param {number} pid - Process id
+ * @returns {number} VmRSS in kilobytes, 0 if it exited
+ */
+function readRssKb(pid) {
+    try {
+        const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+        const match = status.match(/^VmRSS:\s+(\d+) kB/m);
+        return match ? Number(match[1]) : 0;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Lists a process and its descendants
+ * @param {number} rootPid - Root of the tree
+ * @returns {number[]} Process ids, empty without /proc
+ */
+function listProcessTree(rootPid) {
+    let entries;
+    try {
+        entries = fs.readdirSync('/proc').filter((name) => /^\d+$/.test(name));
+    } catch {
+        return [];
+    }
+    const children = new Map();
+    for (const pid of entries) {
+        const stat = readStat(pid);
+        if (stat) {
+            const siblings = children.get(stat.ppid) || [];
+            siblings.push(Number(pid));
+            children.set(stat.ppid, siblings);
+        }
+    }
+    const tree = [];
+    const queue = [rootPid];
+    while (queue.length > 0) {
+        const pid = queue.shift();
+        tree.push(pid);
+        queue.push(...(children.get(pid) || []));
+    }
+    return tree;
+}
+
+/**
+ * Sends a signal to the process group of the command and to every process of
+ * its tree, including the ones that left the group
+ * @param {number} rootPid - Command process id, also its process group id
+ * @param {string} signal - Signal name
+ */
+function killTree(rootPid, signal) {
+    for (const pid of listProcessTree(rootPid)) {
+        try {
+            process.kill(pid, signal);
+        } catch {
+            // Already exited
+        }
+    }
+    try {
+        process.kill(-rootPid, signal);
+    } catch {
+        // Already exited
+    }
+}
+
+const startTime = Date.now();
+const child = spawn('/bin/sh', ['-c', job.command], {
+    detached: true,
+    stdio: 'inherit',
+});
+let killedBy = null;
+let peakRssKb = 0;
+
+const sampler = setInterval(() => {
+    const rssKb = listProcessTree(child.pid).reduce(
+        (total, pid) => total + readRssKb(pid),
+        0,
+    );
+    peakRssKb = Math.max(peakRssKb, rssKb);
+    if (job.memoryLimitMb && rssKb > job.memoryLimitMb * 1024 && !killedBy) {
+        killedBy = 'memory';
+        console.error(
+            `[watchdog] ${job.command} uses ${Math.round(rssKb / 1024)} MB, over the limit of ${job.memoryLimitMb} MB: killing it`,
+        );
+        killTree(child.pid, 'SIGKILL');
+    }
+}, job.intervalMs);
+
+const timer =
+    job.timeoutMs &&
+    setTimeout(() => {
+        killedBy = 'timeout';
+        console.error(
+            `[watchdog] ${job.command} did not complete in ${job.timeoutMs / 1000}s: killing it`,
+        );
+        killTree(child.pid, 'SIGTERM');
+        setTimeout(() => killTree(child.pid, 'SIGKILL'), KILL_GRACE_MS).unref();
+    }, job.timeoutMs);
+
+// Ctrl-C only reaches the foreground process group, which the command left
+let interruptedBy = null;
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        interruptedBy = signal;
+        killTree(child.pid, signal);
+    });
+}
+
+child.on('exit', (code, signal) => {
+    clearInterval(sampler);
+    clearTimeout(timer);
+    // The reaped command and its waited descendants are accounted to the worker
+    const self = readStat(String(process.pid));
+    const usage = {
+        peakRssKb: peakRssKb || null,
+        cpuTimeS: self ? self.childTicks / getClockTicks() : null,
+        wallTimeS: (Date.now() - startTime) / 1000,
+        killedBy,
+    };
+    fs.writeFileSync(job.usagePath, JSON.stringify(usage));
+    // What is left of the tree, e.g. daemons, must not outlive the command
+    killTree(child.pid, 'SIGKILL');
+
+    if (interruptedBy) {
+        process.removeAllListeners(interruptedBy);
+        process.kill(process.pid, interruptedBy);
+        return;
+    }
+    if (killedBy === 'timeout') {
+        process.exit(TIMEOUT_EXIT_CODE);
+    }
+    if (killedBy === 'memory') {
+        process.exit(MEMORY_EXIT_CODE);
+    }
+    process.exit(code === null ? 128 + os.constants.signals[signal] : code);
+});
@@ -0,0 +1,105 @@
+// Runs commands under a watchdog process (lib/watchdog-worker.js) that kills
+// their whole process tree after a timeout or over a memory limit, and
+// samples their peak resident memory and CPU time from /proc.
+//
+// execSync can only kill the shell of a command, leaving hereby, yarn or tsc
+// running, and can not measure anything while it blocks. The limits of each
+// step of a commit come from stepTimeouts (minutes) and memoryLimitMb.
+
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const WORKER_PATH = path.join(__dirname, 'watchdog-worker.js');
+// Delay between two samples of the process tree
+const SAMPLE_INTERVAL_MS = 250;
+const STEPS = ['build', 'install', 'version', 'prepare', 'workload'];
+
+let usageFileCount = 0;
+
+/**
+ * @typedef {object} StepLimits
+ * @property {number} [timeout] - Milliseconds after which the process tree is killed
+ * @property {number} [memoryLimitMb] - Resident memory of the process tree over which it is killed
+ */
+
+/**
+ * @typedef {object} ResourceUsage
+ * @property {number|null} peakRssKb - Peak resident memory of the process tree, sampled, null without /proc
+ * @property {number|null} cpuTimeS - User and system CPU time of the process tree
+ * @property {number} wallTimeS - Elapsed time
+ * @property {'timeout'|'memory'|null} killedBy - Limit that killed the process tree, null if it exited
+ */
+
+/**
+ * Returns the limits of a step of a commit
+ * @param {object} config - Bisector config, with stepTimeouts and memoryLimitMb
+ * @param {string} step - One of STEPS
+ * @returns {StepLimits} Limits
+ */
+function getStepLimits(config, step) {
+    const minutes = (config.stepTimeouts || {})[step];
+    return {
+        timeout: minutes ? Math.round(minutes * 60 * 1000) : undefined,
+        memoryLimitMb: config.memoryLimitMb || undefined,
+    };
+}
+
+/**
+ * Executes a command under the watchdog, as execSync does
+ * @param {string} command - Command to execute
+ * @param {object} options - Options of execSync (cwd, env, stdio, encoding, maxBuffer), plus the limits
+ * @param {number} [options.timeout] - Milliseconds after which the process tree is killed
+ * @param {number} [options.memoryLimitMb] - Resident memory over which the process tree is killed
+ * @returns {{stdout: string, usage: ResourceUsage}} Output and usage of the command
+ * @throws {Error & {status: number|null, stdout: string, stderr: string, usage: ResourceUsage|null}} Error of execSync, with the usage
+ */
+function execWatched(
+    command,
+    { timeout = undefined, memoryLimitMb = undefined, ...options },
+) {
+    usageFileCount++;
+    const usagePath = path.join(
+        os.tmpdir(),
+        `ts-bisector-usage-${process.pid}-${usageFileCount}.json`,
+    );
+    const job = {
+        command,
+        timeoutMs: timeout || null,
+        memoryLimitMb: memoryLimitMb || null,
+        usagePath,
+        intervalMs: SAMPLE_INTERVAL_MS,
+    };
+    const readUsage = () => {
+        try {
+            return JSON.parse(fs.readFileSync(usagePath, 'utf8'));
+        } catch {
+            return null;
+        } finally {
+            fs.rmSync(usagePath, { force: true });
+        }
+    };
+    try {
+        const stdout = execFileSync(
+            process.execPath,
+            [WORKER_PATH, JSON.stringify(job)],
+            options,
+        );
+        return { stdout, usage: readUsage() };
+    } catch (error) {
+        // As execSync would, name the command rather than the worker
+        error.message = error.message.replace(
+            /^Command failed: .*/,
+            `Command failed: ${command}`,
+        );
+        error.usage = readUsage();
+        throw error;
+    }
+}
+
+module.exports = {
+    STEPS,
+    execWatched,
+    getStepLimits,
+};
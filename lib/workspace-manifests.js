@@ -0,0 +1,363 @@
+// Points every typescript dependency of the dd repo workspace at the built
+// typescript.tgz for the duration of an install, instead of replacing
+// "typescript": "5.8.2" by hand in each package.json.
+//
+// The workspace is the root package.json and the packages matched by its
+// "workspaces" field (yarn, npm) or by pnpm-workspace.yaml. In each manifest,
+// the typescript dependencies and the resolutions/overrides entries targeting
+// typescript are rewritten to file:<tarball>, and the override field of the
+// package manager is added to the root one. The rewrite is a patch set of
+// lib/patch-set.js, with a snapshot of the lockfile of the package manager,
+// so every manifest and the lockfile the install rewrites are restored byte
+// for byte afterwards, even if the install is interrupted.
+//
+// Pins that are not rewritten and may shadow the TypeScript under test are
+// reported: npm: aliases of typescript and package.json files declaring
+// typescript outside of the workspace.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { applyPatchSet } = require('./patch-set');
+
+const DEPENDENCY_FIELDS = [
+    'dependencies',
+    'devDependencies',
+    'optionalDependencies',
+];
+// Peer ranges install nothing, they are only read for the shadowing report
+const PIN_FIELDS = [...DEPENDENCY_FIELDS, 'peerDependencies'];
+const OVERRIDE_PATHS = [['resolutions'], ['overrides'], ['pnpm', 'overrides']];
+// typescript, typescript@5.8.2, **/typescript, some-package/typescript, a>typescript
+const TYPESCRIPT_OVERRIDE_KEY_REGEX = /(^|[/>])typescript(@[^/>]*)?$/;
+const TYPESCRIPT_ALIAS_REGEX = /^npm:typescript@/;
+const IGNORED_DIRECTORIES = new Set(['node_modules']);
+
+/**
+ * @typedef {object} ManifestChange
+ * @property {string} manifest - package.json path, relative to the dd repo
+ * @property {string} field - Dotted path of the entry, e.g. devDependencies.typescript
+ * @property {string} specifier - Specifier before the change
+ */
+
+/**
+ * Converts a workspace glob to a regex matching directories relative to the repo
+ * @param {string} pattern - Glob, e.g. packages/* or apps/**
+ * @returns {RegExp} Matching regex
+ */
+function globToRegExp(pattern) {
+    const normalized = pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+    let source = '';
+    for (let i = 0; i < normalized.length; i++) {
+        const char = normalized[i];
+        if (normalized.startsWith('**/', i)) {
+            source += '(?:.*/)?';
+            i += 2;
+        } else if (normalized.startsWith('**', i)) {
+            source += '.*';
+            i += 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Reads the workspace globs of the dd repo
+ * @param {string} ddRepoPath - dd repo path
+ * @returns {string[]} Globs, negated ones start with !
+ */
+function readWorkspacePatterns(ddRepoPath) {
+    const rootManifest = JSON.parse(
+        fs.readFileSync(path.join(ddRepoPath, 'package.json'), 'utf8'),
+    );
+    const workspaces = rootManifest.workspaces || [];
+    const patterns = Array.isArray(workspaces)
+        ? [...workspaces]
+        : [...(workspaces.packages || [])];
+
+    // Only the packages list of pnpm-workspace.yaml is needed, no YAML parser
+    const pnpmWorkspacePath = path.join(ddRepoPath, 'pnpm-workspace.yaml');
+    if (fs.existsSync(pnpmWorkspacePath)) {
+        let inPackages = false;
+        for (const line of fs
+            .readFileSync(pnpmWorkspacePath, 'utf8')
+            .split('\n')) {
+            if (/^\S/.test(line)) {
+                inPackages = /^packages\s*:/.test(line);
+                continue;
+            }
+            const item = line.match(/^\s+-\s*(['"]?)(.+?)\1\s*$/);
+            if (inPackages && item) {
+                patterns.push(item[2]);
+            }
+        }
+    }
+    return patterns;
+}
+
+/**
+ * Lists the package.json files of the dd repo, outside of node_modules and
+ * hidden directories
+ * @param {string} ddRepoPath - dd repo path
+ * @returns {string[]} Directories containing a package.json, relative to the dd repo ('' for the root)
+ */
+function listPackageDirectories(ddRepoPath) {
+    const directories = [];
+    const visit = (relativeDir) => {
+        const entries = fs.readdirSync(path.join(ddRepoPath, relativeDir), {
+            withFileTypes: true,
+        });
+        if (entries.some((entry) => entry.name === 'package.json')) {
+            directories.push(relativeDir);
+        }
+        for (const entry of entries) {
+            if (
+                entry.isDirectory() &&
+                !entry.name.startsWith('.') &&
+                !IGNORED_DIRECTORIES.has(entry.name)
+            ) {
+                visit(path.posix.join(relativeDir, entry.name));
+            }
+        }
+    };
+    visit('');
+    return directories;
+}
+
+/**
+ * Finds the manifests of the dd repo workspace, and the other package.json
+ * files of the repo
+ * @param {string} ddRepoPath - dd repo path
+ * @returns {{workspace: string[], outside: string[]}} package.json paths, relative to the dd repo
+ */
+function findWorkspaceManifests(ddRepoPath) {
+    const patterns = readWorkspacePatterns(ddRepoPath);
+    const included = patterns
+        .filter((pattern) => !pattern.startsWith('!'))
+        .map(globToRegExp);
+    const excluded = patterns
+        .filter((pattern) => pattern.startsWith('!'))
+        .map((pattern) => globToRegExp(pattern.slice(1)));
+
+    const workspace = [];
+    const outside = [];
+    for (const directory of listPackageDirectories(ddRepoPath)) {
+        const manifest = path.posix.join(directory, 'package.json');
+        const isMember =
+            directory === '' ||
+            (included.some((regex) => regex.test(directory)) &&
+                !excluded.some((regex) => regex.test(directory)));
+        (isMember ? workspace : outside).push(manifest);
+    }
+    return { workspace, outside };
+}
+
+/**
+ * Rewrites the override entries targeting typescript, nested ones included
+ * (npm overrides can be scoped to a dependency)
+ * @param {object} overrides - Override field
+ * @param {string} field - Dotted path of the field
+ * @param {string} specifier - New specifier
+ * @param {boolean} targetsTypeScript - True inside an entry targeting typescript
+ * @returns {{field: string, specifier: string}[]} Rewritten entries
+ */
+function rewriteOverrides(overrides, field, specifier, targetsTypeScript) {
+    const rewritten = [];
+    for (const [key, value] of Object.entries(overrides)) {
+        const targetsKey =
+            TYPESCRIPT_OVERRIDE_KEY_REGEX.test(key) ||
+            (targetsTypeScript && key === '.');
+        if (value && typeof value === 'object') {
+            rewritten.push(
+                ...rewriteOverrides(
+                    value,
+                    `${field}.${key}`,
+                    specifier,
+                    targetsKey,
+                ),
+            );
+        } else if (targetsKey && value !== specifier) {
+            rewritten.push({ field: `${field}.${key}`, specifier: value });
+            overrides[key] = specifier;
+        }
+    }
+    return rewritten;
+}
+
+/**
+ * Rewrites the typescript entries of a manifest
+ * @param {object} manifest - Parsed package.json, modified in place
+ * @param {string} specifier - New specifier
+ * @returns {{field: string, specifier: string}[]} Rewritten entries
+ */
+function rewriteManifest(manifest, specifier) {
+    const rewritten = [];
+    for (const field of DEPENDENCY_FIELDS) {
+        const dependencies = manifest[field];
+        if (
+            dependencies &&
+            dependencies.typescript &&
+            dependencies.typescript !== specifier
+        ) {
+            rewritten.push({
+                field: `${field}.typescript`,
+                specifier: dependencies.typescript,
+            });
+            dependencies.typescript = specifier;
+        }
+    }
+    for (const overridePath of OVERRIDE_PATHS) {
+        const overrides = overridePath.reduce(
+            (value, key) => value && value[key],
+            manifest,
+        );
+        if (overrides && typeof overrides === 'object') {
+            rewritten.push(
+                ...rewriteOverrides(
+                    overrides,
+                    overridePath.join('.'),
+                    specifier,
+                    false,
+                ),
+            );
+        }
+    }
+    return rewritten;
+}
+
+/**
+ * Lists the typescript pins of a manifest that can shadow the tarball
+ * @param {object} manifest - Parsed package.json
+ * @param {string} specifier - Specifier of the tarball
+ * @param {boolean} isMember - True for the manifests of the workspace
+ * @returns {{field: string, specifier: string}[]} Shadowing pins
+ */
+function findShadowingPins(manifest, specifier, isMember) {
+    const pins = [];
+    for (const field of PIN_FIELDS) {
+        for (const [name, value] of Object.entries(manifest[field] || {})) {
+            const isPin = isMember
+                ? TYPESCRIPT_ALIAS_REGEX.test(value)
+                : name === 'typescript' && value !== specifier;
+            if (isPin) {
+                pins.push({ field: `${field}.${name}`, specifier: value });
+            }
+        }
+    }
+    return pins;
+}
+
+/**
+ * Points the typescript dependencies of every workspace manifest at the
+ * tarball, with the override field of the package manager in the root one
+ * @param {import('./package-managers').PackageManager} packageManager - Adapter
+ * @param {string} ddRepoPath - dd repo path
+ * @param {string} tarballPath - TypeScript tarball
+ * @param {object} [options] - Link options
+ * @param {string|null} [options.journalDir] - Directory of the patch journals, see lib/patch-set.js
+ * @param {(message: string) => void} [options.log] - Logger, receives the rewritten entries and the shadowing pins
+ * @returns {() => void} Restores the original manifests and lockfile, byte for byte
+ */
+function linkTarball(
+    packageManager,
+    ddRepoPath,
+    tarballPath,
+    { journalDir = null, log = () => {} } = {},
+) {
+    const specifier = `file:${tarballPath}`;
+    const { workspace, outside } = findWorkspaceManifests(ddRepoPath);
+    const edits = [];
+    const rewritten = [];
+    const shadowing = [];
+
+    for (const manifest of workspace) {
+        const manifestPath = path.join(ddRepoPath, manifest);
+        const original = fs.readFileSync(manifestPath, 'utf8');
+        const parsed = JSON.parse(original);
+
+        const changes = rewriteManifest(parsed, specifier);
+        if (manifest === 'package.json') {
+            let overrides = parsed;
+            for (const key of packageManager.overridePath) {
+                overrides[key] = overrides[key] || {};
+                overrides = overrides[key];
+            }
+            if (overrides.typescript !== specifier) {
+                changes.push({
+                    field: `${packageManager.overridePath.join('.')}.typescript`,
+                    specifier: overrides.typescript,
+                });
+                overrides.typescript = specifier;
+            }
+        }
+        for (const pin of findShadowingPins(parsed, specifier, true)) {
+            shadowing.push({ manifest, ...pin });
+        }
+        if (changes.length === 0) {
+            continue;
+        }
+
+        const indent = (original.match(/^[ \t]+(?=")/m) || ['  '])[0];
+        const newline = original.endsWith('\n') ? '\n' : '';
+        edits.push({
+            name: manifest,
+            file: manifestPath,
+            transform: () => JSON.stringify(parsed, null, indent) + newline,
+        });
+        for (const change of changes) {
+            rewritten.push({ manifest, ...change });
+        }
+    }
+
+    for (const manifest of outside) {
+        let parsed;
+        try {
+            parsed = JSON.parse(
+                fs.readFileSync(path.join(ddRepoPath, manifest), 'utf8'),
+            );
+        } catch {
+            // Fixtures and templates are not always valid JSON
+            continue;
+        }
+        for (const pin of findShadowingPins(parsed, specifier, false)) {
+            shadowing.push({ manifest, ...pin });
+        }
+    }
+
+    edits.push({
+        name: packageManager.lockfile,
+        file: path.join(ddRepoPath, packageManager.lockfile),
+        snapshot: true,
+    });
+    const patchSet = applyPatchSet('workspace-manifests', edits, {
+        journalDir,
+    });
+
+    const rewrittenManifests = new Set(
+        rewritten.map((change) => change.manifest),
+    );
+    log(
+        `Pointed ${rewritten.length} typescript entries of ${rewrittenManifests.size} manifests at ${tarballPath}`,
+    );
+    for (const change of rewritten) {
+        log(
+            `  ${change.manifest} ${change.field}: ${change.specifier || '(added)'}`,
+        );
+    }
+    for (const pin of shadowing) {
+        log(
+            `Warning: ${pin.manifest} pins ${pin.field} to ${pin.specifier}, which may shadow the TypeScript under test`,
+        );
+    }
+    return () => patchSet.restore();
+}
+
+module.exports = {
+    findWorkspaceManifests,
+    linkTarball,
+};
@@ -0,0 +1,353 @@
+// Disposable git worktrees of the ts repo, so TypeScript commits are built
+// without checking out or modifying the developer's clone.
+//
+// Each worktree is a detached checkout named after its commit and the pid of
+// the process that created it:
+// <worktreesDir>/<short commit>-<pid>/
+// Worktrees left behind by a crashed run are removed by pruneWorktrees.
+// Also reads the state of git bisect, which runs with --no-checkout.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { getExecutor } = require('./executor');
+
+const WORKTREE_NAME_REGEX = /^[0-9a-f]+-(\d+)$/;
+
+/**
+ * Runs a git command in the ts repo
+ * @param {string} tsRepoPath - TypeScript repo path
+ * @param {string[]} args - git arguments
+ * @returns {string} Trimmed output
+ */
+function git(tsRepoPath, args) {
+    try {
+        return getExecutor()
+            .execFile('git', args, {
+                cwd: tsRepoPath,
+                stdio: ['ignore', 'pipe', 'pipe'],
+                encoding: 'utf-8',
+                // Listings of a long history exceed the default of 1 MiB
+                maxBuffer: 64 * 1024 * 1024,
+            })
+            .trim();
+    } catch (error) {
+        const stderr = error.stderr ? error.stderr.trim() : error.message;
+        throw new Error(`git ${args.join(' ')} failed: ${stderr}`);
+    }
+}
+
+/**
+ * Resolves a ref of the ts repo to a commit hash
+ * @param {string} tsRepoPath - TypeScript repo path
+ * @param {string} ref - Branch, tag or commit
+ * @returns {string} Full commit hash
+ */
+function resolveCommit(tsRepoPath, ref) {
+    return git(tsRepoPath, ['rev-parse', '--verify', `${ref}^{commit}`]);
+}
+
+/**
+ * Returns the commit git bisect wants tested. Bisects started with
+ * --no-checkout point BISECT_HEAD at it, older ones checked it out.
+ * @param {string} tsRepoPath - TypeScript repo path
+ * @returns {string} Full commit hash
+ */
+function getBisectCommit(tsRepoPath) {
+    try {
+        return resolveCommit(tsRepoPath, 'BISECT_HEAD');
+    } catch {
+        return resolveCommit(tsRepoPath, 'HEAD');
+    }
+}
+
+/**
+ * Checks if git bisect is in progress in the ts repo
+ * @param {string} tsRepoPath - TypeScript repo path
+ * @returns {boolean} True between git bisect start and git bisect reset
+ */
+function isBisectInProgress(tsRepoPath) {
+    const bisectStartPath = git(tsRepoPath, [
+        'rev-parse',
+        '--git-path',
+        'BISECT_START',
+    ]);
+    return fs.existsSync(path.resolve(tsRepoPath, bisectStartPath));
+}
+
+/**
+ * Finds the commit git bisect tests in a range, following do_find_bisection
+ * of git: the first "halfway" commit found while computing how many commits
+ * of the range each one reaches, else the first one closest to halfway.
+ * rev-list --bisect can not be used for this, as it always adds
+ * refs/bisect/bad to the range.
+ * @param {string} tsRepoPath - TypeScript repo path
+ * @param {string} tip - Bad end of the range
+ * @param {string[]} excluded - Good commits, prefixed with ^
+ * @returns {string|null} Midpoint, null if the tip is the only commit left
+ */
+function findBisectMidpoint(tsRepoPath, tip, excluded) {
+    const listCommits = (order) =>
+        git(tsRepoPath, ['rev-list', ...order, '--parents', tip, ...excluded])
+            .split('\n')
+            .filter(Boolean)
+            .map((line) => line.split(' '));
+
+    // --topo-order lists every commit before its parents
+    const topoOrder = listCommits(['--topo-order']);
+    const parents = new Map(
+        topoOrder.map(([commit, ...commitParents]) => [commit, commitParents]),
+    );
+    const total = topoOrder.length;
+    const weights = new Map();
+    const reached = new Map();
+    for (const [commit, ...commitParents] of [...topoOrder].reverse()) {
+        let bits = 1n << BigInt(reached.size);
+        for (const parent of commitParents) {
+            bits |= reached.get(parent) || 0n;
+        }
+        reached.set(commit, bits);
+    }
+    const countReached = (commit) =>
+        reached.get(commit).toString(2).replaceAll('0', '').length;
+    const isHalfway = (commit) =>
+        Math.abs(2 * weights.get(commit) - total) <= 1;
+    const rangeParents = (commit) =>
+        parents.get(commit).filter((parent) => parents.has(parent));
+
+    // git walks the range oldest first
+    const walkOrder = listCommits([])
+        .map(([commit]) => commit)
+        .reverse();
+
+    const found = (commit) => (commit === tip ? null : commit);
+    for (const commit of walkOrder) {
+        if (rangeParents(commit).length === 0) {
+            weights.set(commit, 1);
+        }
+    }
+    // Merges are counted first
+    for (const commit of walkOrder) {
+        if (rangeParents(commit).length >= 2) {
+            weights.set(commit, countReached(commit));
+            if (isHalfway(commit)) {
+                return found(commit);
+            }
+        }
+    }
+    // Then a commit with one parent reaches one more commit than its parent
+    while (weights.size < total) {
+        for (const commit of walkOrder) {
+            const [parent] = rangeParents(commit);
+            if (weights.has(commit) || !weights.has(parent)) {
+                continue;
+            }
+            weights.set(commit, weights.get(parent) + 1);
+            if (isHalfway(commit)) {
+                return found(commit);
+            }
+        }
+    }
+
+    let midpoint = null;
+    let bestDistance = 0;
+    for (const commit of walkOrder) {
+        const weight = weights.get(commit);
+        const distance = Math.min(weight, total - weight);
+        if (distance > bestDistance) {
+            midpoint = commit;
+            bestDistance = distance;
+        }
+    }
+    return found(midpoint);
+}
+
+/**
+ * Returns the terms of the bisection in progress, set by git bisect start
+ * with --term-old and --term-new
+ * @param {string} tsRepoPath - TypeScript repo path
+ * @returns {{old: string, new: string}} Terms, good and bad unless set
+ */
+function getBisectTerms(tsRepoPath) {
+    const termsPath = path.resolve(
+        tsRepoPath,
+        git(tsRepoPath, ['rev-parse', '--git-path', 'BISECT_TERMS']),
+    );
+    if (!fs.existsSync(termsPath)) {
+        return { old: 'good', new: 'bad' };
+    }
+    // Written as the new term, then the old one
+    const [newTerm, oldTerm] = fs.readFileSync(termsPath, 'utf8').split('\n');
+    return { old: oldTerm, new: newTerm };
+}
+
+/**
+ * Returns the commits git bisect would ask for next, once the commit being
+ * tested is marked with the old or the new term. Skipped commits are not
+ * taken into account, so the guess can be wrong after a skip.
+ * @param {string} tsRepoPath - TypeScript repo path
+ * @param {string} commit - Commit being tested
+ * @returns {{ifOld: string|null, ifNew: string|null}} Next commits, null when the bisect would be over
+ */
+function getNextBisectCommits(tsRepoPath, commit) {
+    const terms = getBisectTerms(tsRepoPath);
+    const newCommit = resolveCommit(tsRepoPath, `refs/bisect/${terms.new}`);
+    const olds = git(tsRepoPath, [
+        'for-each-ref',
+        '--format=%(objectname)',
+        `refs/bisect/${terms.old}-*`,
+    ])
+        .split('\n')
+        .filter(Boolean)
+        .map((old) => `^${old}`);
+
+    return {
+        ifOld: findBisectMidpoint(tsRepoPath, newCommit, [
+            ...olds,
+            `^${commit}`,
+        ]),
+        ifNew: findBisectMidpoint(tsRepoPath, commit, olds),
+    };
+}
+
+/**
+ * Checks out a commit in a new detached worktree
+ * @param {string} tsRepoPath - TypeScript repo path
+ * @param {string} worktreesDir - Directory of the worktrees
+ * @param {string} commit - Commit to check out
+ * @returns {string} Worktree path
+ */
+function createWorktree(tsRepoPath, worktreesDir, commit) {
+    const worktreePath = path.join(
+        worktreesDir,
+        `${commit.substring(0, 8)}-${process.pid}`,
+    );
+    fs.mkdirSync(worktreesDir, { recursive: true });
+    if (fs.existsSync(worktreePath)) {
+        removeWorktree(tsRepoPath, worktreePath);
+    }
+    git(tsRepoPath, ['worktree', 'add', '--detach', worktreePath, commit]);
+    return worktreePath;
+}
+
+/**
+ * Removes a worktree and its files, including untracked ones
+ * @param {string} tsRepoPath - TypeScript repo path
+ * @param {string} worktreePath - Worktree path
+ */
+function removeWorktree(tsRepoPath, worktreePath) {
+    fs.rmSync(worktreePath, { recursive: true, force: true });
+    // Forget the worktrees whose directory is gone
+    git(tsRepoPath, ['worktree', 'prune']);
+}
+
+/**
+ * Checks out a commit in a worktree for the duration of a callback
+ * @template T
+ * @param {string} tsRepoPath - TypeScript repo path
+ * @param {string} worktreesDir - Directory of the worktrees
+ * @param {string} commit - Commit to check out
+ * @param {(worktreePath: string) => T} callback - Called with the worktree path
+ * @returns {T} Return value of the callback
+ */
+function withWorktree(tsRepoPath, worktreesDir, commit, callback) {
+    const worktreePath = createWorktree(tsRepoPath, worktreesDir, commit);
+    try {
+        return callback(worktreePath);
+    } finally {
+        removeWorktree(tsRepoPath, worktreePath);
+    }
+}
+
+/**
+ * Reverts a commit on top of another one, in a disposable worktree. The
+ * revert commit is only referenced by its hash, no branch of the ts repo
+ * moves.
+ * @param {string} tsRepoPath - TypeScript repo path
+ * @param {string} worktreesDir - Directory of the worktrees
+ * @param {string} base - Commit to revert on, e.g. the bad endpoint
+ * @param {string} commit - Commit to revert, the mainline of a merge being its first parent
+ * @returns {string|null} Revert commit, null when the revert does not apply cleanly
+ */
+function createRevertCommit(tsRepoPath, worktreesDir, base, commit) {
+    const parents = git(tsRepoPath, [
+        'rev-list',
+        '--parents',
+        '-n',
+        '1',
+        commit,
+    ])
+        .split(' ')
+        .slice(1);
+    return withWorktree(tsRepoPath, worktreesDir, base, (worktreePath) => {
+        try {
+            git(worktreePath, [
+                // The user of the clone may have no identity configured
+                '-c',
+                'user.name=ts-bisector',
+                '-c',
+                'user.email=ts-bisector@localhost',
+                'revert',
+                '--no-edit',
+                ...(parents.length > 1 ? ['-m', '1'] : []),
+                commit,
+            ]);
+        } catch {
+            return null;
+        }
+        return resolveCommit(worktreePath, 'HEAD');
+    });
+}
+
+/**
+ * Checks if a process is still running
+ * @param {number} pid - Process id
+ * @returns {boolean} True if the process exists
+ */
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: the process exists but belongs to another user
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Removes the worktrees of processes that are no longer running
+ * @param {string} tsRepoPath - TypeScript repo path
+ * @param {string} worktreesDir - Directory of the worktrees
+ * @returns {string[]} Removed worktree names
+ */
+function pruneWorktrees(tsRepoPath, worktreesDir) {
+    const removed = [];
+    if (fs.existsSync(worktreesDir)) {
+        for (const name of fs.readdirSync(worktreesDir)) {
+            const match = name.match(WORKTREE_NAME_REGEX);
+            if (match && !isRunning(Number(match[1]))) {
+                fs.rmSync(path.join(worktreesDir, name), {
+                    recursive: true,
+                    force: true,
+                });
+                removed.push(name);
+            }
+        }
+    }
+    git(tsRepoPath, ['worktree', 'prune']);
+    return removed;
+}
+
+module.exports = {
+    createRevertCommit,
+    createWorktree,
+    getBisectCommit,
+    getBisectTerms,
+    getNextBisectCommits,
+    git,
+    isBisectInProgress,
+    isRunning,
+    pruneWorktrees,
+    removeWorktree,
+    resolveCommit,
+    withWorktree,
+};
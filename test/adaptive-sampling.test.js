@@ -0,0 +1,64 @@
+// Tests of the steps adaptive sampling refines, lib/adaptive-sampling.js.
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { findSteps, pickSplitCommit } = require('../lib/adaptive-sampling');
+
+const OPTIONS = { significanceLevel: 0.05, minStep: 0.05 };
+
+test('findSteps keeps the significant steps, largest first', () => {
+    const samplesByCommit = new Map([
+        ['a', [100, 101, 99]],
+        ['c', [100.5, 99.5, 100]],
+        ['f', [150, 151, 149]],
+        ['h', [120, 121, 119]],
+    ]);
+
+    const steps = findSteps(
+        ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'],
+        samplesByCommit,
+        OPTIONS,
+    );
+
+    assert.deepEqual(
+        steps.map(({ before, after, between }) => [before, after, between]),
+        [
+            ['c', 'f', ['d', 'e']],
+            ['f', 'h', ['g']],
+        ],
+    );
+    assert.ok(steps[0].pValue < OPTIONS.significanceLevel);
+    assert.deepEqual(pickSplitCommit(steps), { step: steps[0], commit: 'd' });
+});
+
+test('findSteps goes over the commits that could not be measured', () => {
+    const samplesByCommit = new Map([
+        ['a', [100, 101, 99]],
+        ['b', null],
+        ['c', [150, 151, 149]],
+    ]);
+
+    const steps = findSteps(['a', 'b', 'c'], samplesByCommit, OPTIONS);
+
+    assert.equal(steps.length, 1);
+    assert.deepEqual(steps[0].between, []);
+    assert.equal(pickSplitCommit(steps), null);
+});
+
+test('findSteps keeps no step next to a single sample', () => {
+    // Without spread, Welch's t-test would call any difference certain
+    const samplesByCommit = new Map([
+        ['a', [100]],
+        ['c', [106]],
+        ['e', [100, 101, 99]],
+        ['g', [112]],
+    ]);
+
+    const steps = findSteps(
+        ['a', 'b', 'c', 'd', 'e', 'f', 'g'],
+        samplesByCommit,
+        OPTIONS,
+    );
+
+    assert.deepEqual(steps, []);
+});
@@ -0,0 +1,322 @@
+// End-to-end tests of bisect on the default metric, the Build time printed by
+// the fake tsc of test/fixtures/toolchain.js: the planted commit raises the
+// Check time of every later commit.
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+const { createFixture, getTimedCommits } = require('./harness');
+
+const OUT_DIR = 'ts-bisector/tsc-timings';
+// Calibration, bisect steps and confirmation of a run on the fake toolchain
+const TEST_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Reads the JSON result of a commit in an out directory of the dd repo
+ * @param {import('./harness').Fixture} fixture - Fixture
+ * @param {string} outDir - Out directory, relative to the dd repo
+ * @param {string} commit - Measured commit
+ * @returns {object} JSON result
+ */
+function readResultOf(fixture, outDir, commit) {
+    const dir = path.join(fixture.ddRepoPath, outDir);
+    const name = fs
+        .readdirSync(dir)
+        .find(
+            (file) =>
+                file.includes(commit.substring(0, 8)) && file.endsWith('.json'),
+        );
+    assert.ok(name, `no result of ${commit} in ${dir}`);
+    return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+}
+
+test(
+    'bisect finds the planted regression and confirms it',
+    { timeout: TEST_TIMEOUT_MS },
+    (t) => {
+        const fixture = createFixture();
+        t.after(fixture.cleanup);
+        fixture.commitMany(4);
+        const culprit = fixture.commit({ checkTime: 160 }, 'Slow checker');
+        fixture.commitMany(4);
+
+        const { status, output } = fixture.run([
+            'bisect',
+            '--good',
+            'base',
+            '--bad',
+            'main',
+        ]);
+
+        assert.equal(status, 0, output);
+        const state = fixture.readState(OUT_DIR);
+        assert.equal(state.status, 'done');
+        assert.equal(state.culprit, culprit);
+        assert.ok(state.calibration.bad.mean > state.calibration.good.mean);
+        assert.equal(state.confirmation.verdict, 'confirmed');
+        assert.equal(state.confirmation.revert.status, 'removed');
+        const summary = fs.readFileSync(
+            path.join(fixture.ddRepoPath, OUT_DIR, 'summary.txt'),
+            'utf8',
+        );
+        assert.match(summary, new RegExp(`First slow commit: ${culprit}`));
+        assert.match(summary, /Confirmation: confirmed/);
+
+        // The Check time of the diagnostics drives the Build time of the result
+        const result = readResultOf(fixture, OUT_DIR, culprit);
+        assert.equal(result.tsVersion, '5.6.0-dev');
+        assert.equal(result.runs.length, result.buildTime.n);
+        for (const run of result.runs) {
+            assert.equal(run.projectsBuilt, 1);
+            assert.ok(Math.abs(run.aggregate.times.Check - 160) < 1);
+        }
+        assert.ok(
+            !fs.existsSync(
+                path.join(fixture.tsRepoPath, '.git', 'BISECT_START'),
+            ),
+        );
+    },
+);
+
+test(
+    'bisect --find first-fixed finds the planted fix',
+    { timeout: TEST_TIMEOUT_MS },
+    (t) => {
+        const fixture = createFixture();
+        t.after(fixture.cleanup);
+        const slow = fixture.commit({ checkTime: 160 });
+        fixture.commitMany(3);
+        const fix = fixture.commit({ checkTime: 100 }, 'Fast checker');
+        fixture.commitMany(3);
+
+        const { status, output } = fixture.run([
+            'bisect',
+            '--good',
+            slow,
+            '--bad',
+            'main',
+            '--find',
+            'first-fixed',
+        ]);
+
+        assert.equal(status, 0, output);
+        const state = fixture.readState(OUT_DIR);
+        assert.equal(state.culprit, fix);
+        assert.equal(state.confirmation.verdict, 'confirmed');
+        assert.match(output, new RegExp(`${fix} is the first fast commit`));
+    },
+);
+
+test(
+    'bisect falls back to another version when yarn can not apply its compat patch',
+    { timeout: TEST_TIMEOUT_MS },
+    (t) => {
+        const fixture = createFixture({ confirmCulprit: false });
+        t.after(fixture.cleanup);
+        // Only the patch of the 5.5.0 range applies from there on
+        const unpatchable = fixture.commit({
+            compatPatchVersions: ['5.5.0'],
+        });
+        fixture.commitMany(2);
+        const culprit = fixture.commit({ checkTime: 160 });
+        fixture.commitMany(2);
+
+        const { status, output } = fixture.run([
+            'bisect',
+            '--good',
+            unpatchable,
+            '--bad',
+            'main',
+        ]);
+
+        assert.equal(status, 0, output);
+        assert.equal(fixture.readState(OUT_DIR).culprit, culprit);
+        const result = readResultOf(fixture, OUT_DIR, culprit);
+        assert.equal(result.tsVersion, '5.5.0<-5.6.0-dev');
+        assert.deepEqual(result.compatPatch, {
+            range: '>=5.5.0-beta <5.5.2',
+            versionOverride: '5.5.0',
+            reason: 'yarn could not apply hunk #2 of the previous choice (5.5.2)',
+        });
+        // The built version, then 5.5.2, were refused before 5.5.0
+        assert.deepEqual(
+            result.failures.map((failure) => [
+                failure.class,
+                failure.action,
+                failure.message,
+            ]),
+            [
+                ['hunk-conflict', 'fallback', 'Cannot apply hunk #2'],
+                ['hunk-conflict', 'fallback', 'Cannot apply hunk #2'],
+            ],
+        );
+    },
+);
+
+test(
+    'bisect builds each commit once with the override the compat patch needs',
+    { timeout: TEST_TIMEOUT_MS },
+    (t) => {
+        const fixture = createFixture({ confirmCulprit: false });
+        t.after(fixture.cleanup);
+        // The patch of 5.6 expects the default compatPatchVersions knob in
+        // lib/, the patch of 5.5.0 applies to any lib/
+        fixture.vendorYarnRelease(
+            [
+                'Compat patch of lib/typescript.js, the lib/tsc.js of the fake toolchain',
+                'diff --git a/lib/typescript.js b/lib/typescript.js',
+                'semver exclusivity >=5.6.0-beta',
+                '--- a/lib/typescript.js',
+                '+++ b/lib/typescript.js',
+                '@@ -7,1 +7,1 @@',
+                '-    "compatPatchVersions": null,',
+                '+    "compatPatchVersions": [],',
+                'diff --git a/lib/typescript.js b/lib/typescript.js',
+                'semver exclusivity >=5.5.0-beta <5.5.2',
+                '--- a/lib/typescript.js',
+                '+++ b/lib/typescript.js',
+                '@@ -1,1 +1,2 @@',
+                ' // Built by the fake hereby of test/fixtures/toolchain.js',
+                '+// Patched',
+                '',
+            ].join('\n'),
+        );
+        const unpatchable = fixture.commit({
+            compatPatchVersions: ['5.5.0'],
+        });
+        fixture.commitMany(2);
+        const culprit = fixture.commit({ checkTime: 160 });
+        fixture.commitMany(2);
+
+        const { status, output } = fixture.run([
+            'bisect',
+            '--good',
+            unpatchable,
+            '--bad',
+            'main',
+        ]);
+
+        assert.equal(status, 0, output);
+        assert.equal(fixture.readState(OUT_DIR).culprit, culprit);
+        const result = readResultOf(fixture, OUT_DIR, culprit);
+        assert.equal(result.tsVersion, '5.5.0<-5.6.0-dev');
+        assert.equal(result.compatPatch.range, '>=5.5.0-beta <5.5.2');
+        assert.equal(result.compatPatch.versionOverride, '5.5.0');
+        assert.deepEqual(result.failures, []);
+        // Only the first commit was built as is before the override was known
+        const packs = new Map();
+        for (const { tool, args, commit } of fixture.readCalls()) {
+            if (tool === 'npm' && args[0] === 'pack') {
+                packs.set(commit, (packs.get(commit) || 0) + 1);
+            }
+        }
+        assert.deepEqual([...packs.values()].sort(), [
+            ...Array(packs.size - 1).fill(1),
+            2,
+        ]);
+    },
+);
+
+test(
+    'bisect skips a commit that does not build and lists the candidates',
+    { timeout: TEST_TIMEOUT_MS },
+    (t) => {
+        const fixture = createFixture({ confirmCulprit: false });
+        t.after(fixture.cleanup);
+        fixture.commitMany(3);
+        const unbuildable = fixture.commit({ buildError: true });
+        const culprit = fixture.commit({ buildError: false, checkTime: 160 });
+        fixture.commitMany(3);
+
+        const { status, output } = fixture.run([
+            'bisect',
+            '--good',
+            'base',
+            '--bad',
+            'main',
+        ]);
+
+        assert.equal(status, 0, output);
+        const state = fixture.readState(OUT_DIR);
+        assert.equal(state.culprit, null);
+        assert.deepEqual(
+            [...state.culpritCandidates].sort(),
+            [unbuildable, culprit].sort(),
+        );
+        assert.equal(state.measured[unbuildable].verdict, 'skip');
+        assert.equal(state.measured[unbuildable].failure.class, 'ts-build');
+        assert.match(
+            state.measured[unbuildable].failure.message,
+            /Completed LKG with errors/,
+        );
+        assert.ok(
+            fs
+                .readdirSync(path.join(fixture.ddRepoPath, OUT_DIR))
+                .includes(
+                    `unknown-${unbuildable.substring(0, 8)}-ts-build.txt`,
+                ),
+        );
+        assert.match(output, /Only skipped commits are left/);
+    },
+);
+
+test(
+    'bisect aborts when tsc runs out of memory, then resumes the run',
+    { timeout: TEST_TIMEOUT_MS },
+    (t) => {
+        const fixture = createFixture({ confirmCulprit: false });
+        t.after(fixture.cleanup);
+        fixture.commitMany(4);
+        const culprit = fixture.commit({ checkTime: 160 });
+        fixture.commitMany(4);
+        // The first commit git bisect asks for
+        const firstStep = fixture.git('rev-list', '--bisect', 'main', '^base');
+
+        const aborted = fixture.run(
+            ['bisect', '--good', 'base', '--bad', 'main'],
+            {
+                env: { FAKE_TSC_OUT_OF_MEMORY: firstStep },
+            },
+        );
+
+        assert.equal(aborted.status, 1, aborted.output);
+        assert.match(aborted.output, /workload failed \(out-of-memory/);
+        const abortedState = fixture.readState(OUT_DIR);
+        assert.equal(abortedState.status, 'running');
+        assert.deepEqual(abortedState.verdicts, []);
+        assert.deepEqual(abortedState.pending, [firstStep]);
+        assert.ok(
+            !fs.existsSync(
+                path.join(fixture.tsRepoPath, '.git', 'BISECT_START'),
+            ),
+            'the bisection is reset after an error',
+        );
+        const callsBefore = fixture.readCalls().length;
+
+        const resumed = fixture.run([
+            'bisect',
+            '--good',
+            'base',
+            '--bad',
+            'main',
+        ]);
+
+        assert.equal(resumed.status, 0, resumed.output);
+        const state = fixture.readState(OUT_DIR);
+        assert.equal(state.runId, abortedState.runId);
+        assert.equal(state.culprit, culprit);
+        assert.match(
+            resumed.output,
+            new RegExp(`Resuming bisect run ${state.runId}`),
+        );
+        assert.match(resumed.output, /Using calibration saved in/);
+        // The endpoints are not timed again, the aborted commit is
+        const timedCommits = getTimedCommits(
+            fixture.readCalls().slice(callsBefore),
+        );
+        assert.equal(timedCommits[0], firstStep);
+        assert.ok(!timedCommits.includes(state.settings.good));
+        assert.ok(!timedCommits.includes(state.settings.bad));
+    },
+);
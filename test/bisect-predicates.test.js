@@ -0,0 +1,200 @@
+// End-to-end tests of the bisect predicates other than metric, see
+// lib/predicates.js, and of the skips of the bisect engine.
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+const { createFixture } = require('./harness');
+
+// Builds and installs of every bisect step on the fake toolchain
+const TEST_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Reads the reports of an out directory of the dd repo
+ * @param {import('./harness').Fixture} fixture - Fixture
+ * @param {string} outDir - Out directory, relative to the dd repo
+ * @returns {string[]} Contents of the reports
+ */
+function readReports(fixture, outDir) {
+    const dir = path.join(fixture.ddRepoPath, outDir);
+    return fs
+        .readdirSync(dir)
+        .filter((file) => file.endsWith('.txt'))
+        .map((file) => fs.readFileSync(path.join(dir, file), 'utf8'));
+}
+
+test(
+    'bisect install finds the commit yarn can not patch',
+    { timeout: TEST_TIMEOUT_MS },
+    (t) => {
+        const outDir = 'ts-bisector/install-logs';
+        const fixture = createFixture();
+        t.after(fixture.cleanup);
+        fixture.commitMany(3);
+        // No compat patch version applies, even through the fallback
+        const culprit = fixture.commit({ compatPatchVersions: [] });
+        fixture.commitMany(3);
+
+        const { status, output } = fixture.run([
+            'bisect',
+            'install',
+            '--find',
+            'first-broken',
+            '--good',
+            'base',
+            '--bad',
+            'main',
+        ]);
+
+        assert.equal(status, 0, output);
+        const state = fixture.readState(outDir);
+        assert.equal(state.culprit, culprit);
+        assert.equal(state.measured[culprit].verdict, 'broken');
+        assert.ok(
+            readReports(fixture, outDir).some(
+                (report) =>
+                    report.includes(`Commit: ${culprit}`) &&
+                    report.includes('Failure Class: hunk-conflict (install)'),
+            ),
+        );
+    },
+);
+
+test(
+    'bisect tsc-errors finds the planted type error and skips unresolved commits',
+    { timeout: TEST_TIMEOUT_MS },
+    (t) => {
+        const outDir = 'ts-bisector/tsc-errors-logs';
+        const fixture = createFixture();
+        t.after(fixture.cleanup);
+        fixture.commitMany(2);
+        // tsc can not resolve its dependencies under Plug'n'Play there
+        const unresolved = [
+            fixture.commit({ pnpError: true }),
+            ...fixture.commitMany(2),
+        ];
+        fixture.commit({ pnpError: false });
+        const culprit = fixture.commit({ typeErrors: 1 });
+        fixture.commitMany(1);
+
+        const { status, output } = fixture.run([
+            'bisect',
+            'tsc-errors',
+            '--good',
+            'base',
+            '--bad',
+            'main',
+        ]);
+
+        assert.equal(status, 0, output);
+        const state = fixture.readState(outDir);
+        assert.equal(state.culprit, culprit);
+        const skipped = unresolved.filter((commit) => state.measured[commit]);
+        assert.ok(skipped.length > 0, output);
+        for (const commit of skipped) {
+            assert.equal(state.measured[commit].verdict, 'skip');
+            assert.equal(
+                state.measured[commit].failure.class,
+                'pnp-resolution',
+            );
+        }
+    },
+);
+
+test(
+    'bisect script finds the commit breaking the script and skips on exit code 125',
+    { timeout: TEST_TIMEOUT_MS },
+    (t) => {
+        const outDir = 'ts-bisector/script-logs';
+        const fixture = createFixture();
+        t.after(fixture.cleanup);
+        fs.writeFileSync(
+            path.join(fixture.ddRepoPath, 'check.js'),
+            [
+                'if (process.env.TS_BISECT_COMMIT === process.env.SKIP_COMMIT) {',
+                '    process.exit(125);',
+                '}',
+                "process.exit(require('typescript').apiBroken ? 1 : 0);",
+                '',
+            ].join('\n'),
+        );
+        fixture.commitMany(1);
+        const culprit = fixture.commit({ apiBroken: true });
+        fixture.commitMany(6);
+        // The first commit git bisect asks for
+        const firstStep = fixture.git('rev-list', '--bisect', 'main', '^base');
+
+        const { status, output } = fixture.run(
+            [
+                'bisect',
+                'script',
+                '--script',
+                'node check.js',
+                '--good',
+                'base',
+                '--bad',
+                'main',
+            ],
+            { env: { SKIP_COMMIT: firstStep } },
+        );
+
+        assert.equal(status, 0, output);
+        const state = fixture.readState(outDir);
+        assert.equal(state.culprit, culprit);
+        assert.equal(state.measured[firstStep].verdict, 'skip');
+        assert.ok(
+            fs.existsSync(
+                path.join(
+                    fixture.ddRepoPath,
+                    outDir,
+                    `5.6.0-dev-${culprit.substring(0, 8)}-exit-1.txt`,
+                ),
+            ),
+        );
+    },
+);
+
+test(
+    'bisect skips the merge base git bisect asks for',
+    { timeout: TEST_TIMEOUT_MS },
+    (t) => {
+        const outDir = 'ts-bisector/tsc-errors-logs';
+        const fixture = createFixture();
+        t.after(fixture.cleanup);
+        // Criss-cross merges: the merge base of the good commit and main is
+        // not an ancestor of the good commit
+        fixture.git('checkout', '-q', '-b', 'side');
+        const sideBase = fixture.commit();
+        fixture.git('checkout', '-q', 'main');
+        const mainBase = fixture.commit();
+        fixture.git('merge', '-q', '--no-edit', 'side');
+        fixture.git('checkout', '-q', 'side');
+        fixture.git('merge', '-q', '--no-edit', mainBase);
+        const good = fixture.commit();
+        fixture.git('checkout', '-q', 'main');
+        fixture.commitMany(2);
+        const culprit = fixture.commit({ typeErrors: 1 });
+        fixture.commitMany(2);
+
+        const { status, output } = fixture.run([
+            'bisect',
+            'tsc-errors',
+            '--good',
+            good,
+            '--bad',
+            'main',
+        ]);
+
+        assert.equal(status, 0, output);
+        assert.match(output, /a merge base must be tested/);
+        const state = fixture.readState(outDir);
+        assert.equal(state.culprit, culprit);
+        assert.deepEqual(state.verdicts.slice(0, 2), [
+            { commit: mainBase, verdict: 'working' },
+            { commit: sideBase, verdict: 'skip' },
+        ]);
+        // Skipped without being tested
+        assert.ok(!state.measured[sideBase]);
+    },
+);
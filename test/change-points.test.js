@@ -0,0 +1,63 @@
+// Tests of the change points analyze reports, lib/change-points.js.
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { detectChangePoints } = require('../lib/change-points');
+
+const OPTIONS = { significanceLevel: 0.05, minStep: 0.05 };
+
+test('detectChangePoints finds every step of a series', () => {
+    const points = [
+        [100, 101, 99],
+        [100.5, 99.5, 100],
+        [101, 100, 99.5],
+        [150, 151, 149],
+        [150.5, 149.5, 150],
+        [120, 121, 119],
+        [120.5, 119.5, 120],
+    ];
+
+    const changes = detectChangePoints(points, OPTIONS);
+
+    assert.deepEqual(
+        changes.map(({ index }) => index),
+        [3, 5],
+    );
+    // Each change is reported against its neighbouring segments
+    assert.equal(changes[0].before.n, 9);
+    assert.equal(changes[0].after.n, 6);
+    assert.ok(Math.abs(changes[0].relativeDelta - 0.5) < 0.01);
+    assert.ok(changes[1].delta < 0);
+    assert.ok(
+        changes.every(({ pValue }) => pValue < OPTIONS.significanceLevel),
+    );
+});
+
+test('detectChangePoints ignores differences below minStep', () => {
+    const points = [
+        [100, 101, 99],
+        [100.5, 99.5, 100],
+        [103, 104, 102],
+        [103.5, 102.5, 103],
+    ];
+
+    assert.deepEqual(detectChangePoints(points, OPTIONS), []);
+});
+
+test('detectChangePoints reports no change next to a single sample', () => {
+    // Noise of one sample per commit: a split leaving a single sample on a
+    // side would have no spread, and a p-value of 0
+    const points = [[100], [93], [101], [99], [100], [107]];
+
+    assert.deepEqual(detectChangePoints(points, OPTIONS), []);
+    assert.deepEqual(detectChangePoints([[100], [150]], OPTIONS), []);
+});
+
+test('detectChangePoints finds a step over single samples with a spread', () => {
+    const points = [[100], [101], [99], [100], [150], [151], [149], [150]];
+
+    assert.deepEqual(
+        detectChangePoints(points, OPTIONS).map(({ index }) => index),
+        [4],
+    );
+});
@@ -0,0 +1,112 @@
+// Tests of the commits listed by the time command and sorted by analyze,
+// lib/commit-list.js, on scratch git repos.
+
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+const {
+    getCommitsToTime,
+    parseRange,
+    sortCommits,
+} = require('../lib/commit-list');
+
+// More commits than the 1 MiB default maxBuffer of child_process can list
+const LONG_HISTORY_LENGTH = 30000;
+
+/**
+ * Creates a git repo with a linear history of empty commits, written by git
+ * fast-import so long histories take seconds
+ * @param {import('node:test').TestContext} t - Test, removing the repo after it
+ * @param {number} length - Commits of the history
+ * @returns {{repoPath: string, git: (...args: string[]) => string, commits: string[]}} Repo and its commits, oldest first
+ */
+function createLinearRepo(t, length) {
+    const repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-bisector-git-'));
+    t.after(() => fs.rmSync(repoPath, { recursive: true, force: true }));
+    const git = (...args) =>
+        execFileSync('git', args, {
+            cwd: repoPath,
+            encoding: 'utf-8',
+            maxBuffer: 64 * 1024 * 1024,
+        }).trim();
+    git('init', '-q', '-b', 'main');
+    const stream = [];
+    for (let i = 1; i <= length; i++) {
+        const message = `Commit ${i}`;
+        stream.push(
+            'commit refs/heads/main',
+            `committer Fixture <fixture@localhost> ${1700000000 + i} +0000`,
+            `data ${message.length}`,
+            message,
+            '',
+        );
+    }
+    execFileSync('git', ['fast-import', '--quiet'], {
+        cwd: repoPath,
+        input: stream.join('\n'),
+    });
+    const commits = git('rev-list', '--reverse', 'main').split('\n');
+    return { repoPath, git, commits };
+}
+
+test('parseRange splits a range and rejects other revisions', () => {
+    assert.deepEqual(parseRange('v5.5.4..v5.6.2'), {
+        from: 'v5.5.4',
+        to: 'v5.6.2',
+    });
+    assert.throws(() => parseRange('v5.6.2'), /range must look like/);
+    assert.throws(() => parseRange('v5.5.4...v5.6.2'), /range must look like/);
+});
+
+test('getCommitsToTime applies the stride, include and exclude', (t) => {
+    const { repoPath, commits } = createLinearRepo(t, 10);
+
+    const { commits: toTime, candidates } = getCommitsToTime({
+        tsRepoPath: repoPath,
+        range: `${commits[0]}..${commits[9]}`,
+        stride: 4,
+        include: [commits[0], commits[2]],
+        exclude: [commits[5]],
+    });
+
+    // The stride counts from the oldest commit of the range, the newest is
+    // always kept, and the included commit before the range comes first
+    assert.deepEqual(toTime, [commits[0], commits[1], commits[2], commits[9]]);
+    assert.equal(candidates.length, 9);
+    assert.ok(!candidates.includes(commits[5]));
+});
+
+test('sortCommits sorts the commits of a range on top of a long history', (t) => {
+    const { repoPath, commits } = createLinearRepo(t, LONG_HISTORY_LENGTH);
+    const measured = commits.slice(-50).filter((commit, i) => i % 3 === 0);
+
+    const sorted = sortCommits(repoPath, [...measured].reverse());
+
+    assert.deepEqual(sorted, measured);
+});
+
+test('sortCommits keeps the merge base of commits on diverging branches', (t) => {
+    const { repoPath, git, commits } = createLinearRepo(t, 3);
+    git('checkout', '-q', '-b', 'side', commits[1]);
+    git(
+        '-c',
+        'user.name=Fixture',
+        '-c',
+        'user.email=fixture@localhost',
+        'commit',
+        '-q',
+        '--allow-empty',
+        '-m',
+        'Side',
+    );
+    const side = git('rev-parse', 'HEAD');
+
+    assert.deepEqual(sortCommits(repoPath, [side, commits[2], commits[1]]), [
+        commits[1],
+        ...sortCommits(repoPath, [side, commits[2]]),
+    ]);
+    assert.deepEqual(sortCommits(repoPath, []), []);
+});
@@ -0,0 +1,135 @@
+// Tests of the version ranges and the dry-run of the yarn compat patch,
+// lib/compat-patch.js.
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+const {
+    compareVersions,
+    dryApplyPatch,
+    findHunk,
+    parsePatch,
+    satisfies,
+} = require('../lib/compat-patch');
+
+// Three sections on lib/tsc.js: one always applied, then one per range
+const PATCH = [
+    'diff --git a/lib/tsc.js b/lib/tsc.js',
+    '--- a/lib/tsc.js',
+    '+++ b/lib/tsc.js',
+    '@@ -1,1 +1,1 @@',
+    '-// tsc',
+    '+// tsc, patched',
+    'diff --git a/lib/tsc.js b/lib/tsc.js',
+    'semver exclusivity >=5.5.0-beta <5.6.0-beta',
+    '--- a/lib/tsc.js',
+    '+++ b/lib/tsc.js',
+    '@@ -2,2 +2,2 @@',
+    ' const a = 1;',
+    '-const b = 2;',
+    '+const b = 3;',
+    'diff --git a/lib/tsc.js b/lib/tsc.js',
+    'semver exclusivity >=5.6.0-beta <5.7.0-beta',
+    '--- a/lib/tsc.js',
+    '+++ b/lib/tsc.js',
+    '@@ -2,2 +2,2 @@',
+    ' const a = 1;',
+    '-const c = 2;',
+    '+const c = 3;',
+    '',
+].join('\n');
+
+/**
+ * Writes an extracted package with a lib/tsc.js
+ * @param {import('node:test').TestContext} t - Test, removing the package after it
+ * @param {string} content - Content of lib/tsc.js
+ * @returns {string} Package directory
+ */
+function createPackage(t, content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-bisector-package-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(dir, 'lib'));
+    fs.writeFileSync(path.join(dir, 'lib', 'tsc.js'), content);
+    return dir;
+}
+
+test('compareVersions orders releases after their prereleases, like semver', () => {
+    const ordered = [
+        '5.5.0-beta',
+        '5.5.0',
+        '5.5.2',
+        '5.6.0-beta',
+        '5.6.0-dev.20240612',
+        '5.6.0-dev.20240701',
+        '5.6.0-rc',
+        '5.6.0',
+        '5.6.1-rc',
+    ];
+
+    assert.deepEqual([...ordered].reverse().sort(compareVersions), ordered);
+    assert.equal(compareVersions('5.6', '5.6.0'), 0);
+    // Numeric identifiers are compared as numbers
+    assert.ok(compareVersions('5.6.0-dev.9', '5.6.0-dev.10') < 0);
+});
+
+test('satisfies checks every comparator of one of the alternatives', () => {
+    const range = '>=5.6.0-beta <5.6.1-rc';
+
+    assert.ok(satisfies('5.6.0-dev.20240612', range));
+    assert.ok(satisfies('5.6.0', range));
+    assert.ok(!satisfies('5.6.1-rc', range));
+    assert.ok(!satisfies('5.5.2', '>=5.5.0-beta <5.5.2'));
+    assert.ok(satisfies('5.5.2', '<5.5.0 || >=5.5.2'));
+    assert.ok(satisfies('5.5.0', '5.5.0'));
+    assert.ok(!satisfies('5.5.1', '=5.5.0'));
+});
+
+test('findHunk finds the closest position of the hunk', () => {
+    const lines = ['x', 'y', 'x', 'y  ', 'z'];
+    const hunk = { start: 0, before: ['x', 'y'], after: [] };
+
+    assert.equal(findHunk(lines, hunk, 0), 0);
+    // Trailing whitespace is ignored, and the hunk can move either way
+    assert.equal(findHunk(lines, hunk, 3), 2);
+    assert.equal(findHunk(lines, { ...hunk, before: ['y', 'z'] }, 0), 3);
+    assert.equal(findHunk(lines, { ...hunk, before: ['q'] }, 0), -1);
+});
+
+test('dryApplyPatch applies the sections of the version and numbers hunks like yarn', (t) => {
+    const sections = parsePatch(PATCH);
+    assert.deepEqual(
+        sections.map(({ range, hunks }) => [range, hunks.length]),
+        [
+            [null, 1],
+            ['>=5.5.0-beta <5.6.0-beta', 1],
+            ['>=5.6.0-beta <5.7.0-beta', 1],
+        ],
+    );
+    const packageDir = createPackage(t, '// tsc\nconst a = 1;\nconst b = 2;\n');
+
+    assert.deepEqual(dryApplyPatch(sections, '5.5.2', packageDir), {
+        applies: true,
+        range: '>=5.5.0-beta <5.6.0-beta',
+        failure: null,
+    });
+    // The section without range applies first, so the failing hunk is #2
+    assert.deepEqual(dryApplyPatch(sections, '5.6.0-dev', packageDir), {
+        applies: false,
+        range: '>=5.6.0-beta <5.7.0-beta',
+        failure: 'Cannot apply hunk #2 (lib/tsc.js)',
+    });
+    // Dry-run only: the package is left as is
+    assert.equal(
+        fs.readFileSync(path.join(packageDir, 'lib', 'tsc.js'), 'utf8'),
+        '// tsc\nconst a = 1;\nconst b = 2;\n',
+    );
+
+    const missing = parsePatch(PATCH.replaceAll('lib/tsc.js', 'lib/_tsc.js'));
+    assert.deepEqual(dryApplyPatch(missing, '5.5.2', packageDir), {
+        applies: false,
+        range: '>=5.5.0-beta <5.6.0-beta',
+        failure: 'lib/_tsc.js is not in the package',
+    });
+});
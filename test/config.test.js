@@ -0,0 +1,109 @@
+// Tests of the config layers of lib/config.js: defaults, config file and its
+// command section, then the CLI flags.
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+const { loadConfig } = require('../lib/config');
+
+// Defaults of the tests, in the shape of DEFAULT_CONFIG of bisector.js
+const DEFAULTS = {
+    good: 'v5.5.4',
+    bad: 'main',
+    out: 'ts-bisector/tsc-timings',
+    failurePolicy: { unknown: 'abort', 'ts-build': 'skip' },
+    time: { stride: 1 },
+};
+
+/**
+ * Creates a TS repo, a dd repo and a config file pointing at them
+ * @param {import('node:test').TestContext} t - Test, removing the files after it
+ * @param {object} [values] - Other values of the config file
+ * @returns {{tsRepoPath: string, ddRepoPath: string, configPath: string}} Paths
+ */
+function createConfigFile(t, values = {}) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-bisector-config-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const tsRepoPath = path.join(root, 'typescript');
+    const ddRepoPath = path.join(root, 'dd');
+    fs.mkdirSync(tsRepoPath);
+    fs.mkdirSync(ddRepoPath);
+    const configPath = path.join(root, 'bisector.config.json');
+    fs.writeFileSync(
+        configPath,
+        JSON.stringify({ tsRepoPath, ddRepoPath, ...values }),
+    );
+    return { tsRepoPath, ddRepoPath, configPath };
+}
+
+test('loadConfig applies the defaults, the config file and its section, then the flags', (t) => {
+    const { tsRepoPath, ddRepoPath, configPath } = createConfigFile(t, {
+        good: 'v5.6.2',
+        failurePolicy: { timeout: 'skip' },
+        time: { stride: 5, out: 'timings' },
+        bisect: { stride: 10 },
+    });
+
+    const config = loadConfig('time', DEFAULTS, [
+        '--config',
+        configPath,
+        '--bad',
+        'v5.7.2',
+        '--on-failure',
+        'unknown=skip',
+        'v5.5.4..v5.6.2',
+    ]);
+
+    assert.equal(config.tsRepoPath, tsRepoPath);
+    assert.equal(config.good, 'v5.6.2');
+    assert.equal(config.bad, 'v5.7.2');
+    assert.equal(config.range, 'v5.5.4..v5.6.2');
+    assert.equal(config.stride, 5);
+    // The policies of every layer are merged
+    assert.deepEqual(config.failurePolicy, {
+        unknown: 'skip',
+        'ts-build': 'skip',
+        timeout: 'skip',
+    });
+    // Paths of the config file are relative to the dd repo
+    assert.equal(config.out, path.join(ddRepoPath, 'timings'));
+    assert.equal(
+        config.tarballPath,
+        path.join(ddRepoPath, 'timings', 'typescript.tgz'),
+    );
+});
+
+test('loadConfig rejects invalid flags and values', (t) => {
+    const { configPath } = createConfigFile(t);
+    const load = (...args) =>
+        loadConfig('bisect', DEFAULTS, ['--config', configPath, ...args]);
+
+    assert.throws(
+        () => load('--on-failure', 'unknown'),
+        /--on-failure must be <class>=<action>, got unknown/,
+    );
+    assert.throws(
+        () => load('--on-failure', 'unknown=fallback'),
+        /unknown has no fallback/,
+    );
+    assert.throws(
+        () => load('--on-failure', 'flaky=skip'),
+        /Unknown failure class flaky/,
+    );
+    assert.throws(
+        () => load('--timeout', 'build=0'),
+        /stepTimeouts of build must be a positive number/,
+    );
+    assert.throws(
+        () => load('--prebuild', 'sometimes'),
+        /prebuild must be one of nice, pause, off/,
+    );
+    assert.throws(
+        () => load('--good', 'main'),
+        /good and bad refs are the same: main/,
+    );
+    assert.throws(() => load('v5.5.4..v5.6.2'), /Unexpected argument/);
+    assert.throws(() => load('--unknown-flag'), /Unknown option/);
+});
@@ -0,0 +1,63 @@
+// Tests of the parser of tsc --extendedDiagnostics, lib/diagnostics.js, on a
+// report of cleaned-timings and on the output of tsc without -b.
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+const { parseDiagnostics } = require('../lib/diagnostics');
+
+const REPORT_PATH = path.join(
+    __dirname,
+    '..',
+    'cleaned-timings',
+    '079-5.6.0-dev-node-modules-6c68fdd4.txt',
+);
+
+test('parseDiagnostics reads the sections of a tsc -b report', () => {
+    const diagnostics = parseDiagnostics(fs.readFileSync(REPORT_PATH, 'utf8'));
+
+    // The Build Time header of the report is not a diagnostics line
+    assert.equal(diagnostics.buildTime, 895.3);
+    assert.equal(diagnostics.projectsInScope, 4990);
+    assert.equal(diagnostics.projectsBuilt, 1);
+    assert.deepEqual(diagnostics.buildTimes, {
+        'Config file parsing': 9.58,
+        'Up-to-date check': 26.08,
+        Build: 895.3,
+    });
+    assert.equal(diagnostics.projects.length, 1);
+    const [project] = diagnostics.projects;
+    assert.equal(project.files, 57268);
+    assert.equal(project.lines.typeScript, 2971374);
+    assert.equal(project.memoryUsedKb, 17345173);
+    assert.equal(project.cacheSizes.strictSubtype, 1072490);
+    assert.equal(project.times.Check, 240.17);
+    assert.equal(project.times['I/O Read'], 9.81);
+    assert.equal(diagnostics.aggregate.times.Check, 240.17);
+    assert.equal(diagnostics.aggregate.times.transformTime, 350.19);
+    assert.equal(diagnostics.aggregate.instantiations, 22935812);
+});
+
+test('parseDiagnostics falls back on the Total time without -b', () => {
+    const output = [
+        '➤ YN0000: · Yarn 4.5.1',
+        "src/index.ts(1,7): error TS2322: Type 'string' is not assignable to type 'number'.",
+        'Files:                         12',
+        'Check time:                  1.50s',
+        'Total time:                  2.25s',
+        'Files:                          3',
+        'Check time:                  0.50s',
+        'Total time:                  0.75s',
+        '',
+    ].join('\n');
+
+    const diagnostics = parseDiagnostics(output);
+
+    assert.equal(diagnostics.projects.length, 2);
+    assert.equal(diagnostics.projects[0].times.Check, 1.5);
+    assert.equal(diagnostics.buildTime, 0.75);
+    assert.equal(diagnostics.aggregate, null);
+    assert.equal(diagnostics.projectsInScope, null);
+    assert.deepEqual(diagnostics.buildTimes, {});
+});
@@ -0,0 +1,152 @@
+// Tests of the failure classes and of the policy applied by runStep,
+// lib/failures.js.
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const {
+    classifyFailure,
+    getSkippedFailure,
+    runStep,
+} = require('../lib/failures');
+
+/**
+ * Runs a step failing with the same outcome every time, until the policy
+ * gives up on it
+ * @param {object} config - Config with a failurePolicy and failureRetries
+ * @param {object} outcome - Outcome of every attempt
+ * @returns {{error: Error & {failure: object, output?: string}, failures: object[], attempts: number}} Thrown error, recorded failures and number of attempts
+ */
+function runFailingStep(config, outcome) {
+    const failures = [];
+    let attempts = 0;
+    let error = null;
+    try {
+        runStep(
+            config,
+            'install',
+            () => {
+                attempts++;
+                return outcome;
+            },
+            failures,
+        );
+    } catch (thrown) {
+        error = thrown;
+    }
+    return { error, failures, attempts };
+}
+
+test('classifyFailure checks the patterns in order, the first match winning', () => {
+    const classOf = (output, options = {}) =>
+        classifyFailure('workload', { exitCode: 1, output, ...options }).class;
+
+    assert.equal(
+        classOf(
+            'error TS2322: nope\nFATAL ERROR: Reached heap limit Allocation failed',
+        ),
+        'out-of-memory',
+    );
+    assert.equal(
+        classOf('error TS2322: nope\nError: Cannot apply hunk #2'),
+        'hunk-conflict',
+    );
+    assert.equal(
+        classOf(
+            'error TS2322: nope\nerror TS5057: Cannot find a tsconfig.json',
+        ),
+        'missing-tsconfig',
+    );
+    assert.equal(classOf('src/a.ts(1,1): error TS2322: nope'), 'type-errors');
+    // The watchdog kills come before the output
+    assert.equal(classOf('error TS2322: nope', { timedOut: true }), 'timeout');
+    assert.equal(
+        classOf('error TS2322: nope', { memoryExceeded: true }),
+        'out-of-memory',
+    );
+});
+
+test('classifyFailure keeps the matching line, or the last one', () => {
+    assert.deepEqual(
+        classifyFailure('install', {
+            exitCode: 1,
+            output: 'Resolution step\nError: Cannot apply hunk #2\nDone\n',
+        }),
+        {
+            class: 'hunk-conflict',
+            step: 'install',
+            exitCode: 1,
+            message: 'Error: Cannot apply hunk #2',
+        },
+    );
+    // Whatever the output, a failed build is a ts-build failure
+    assert.equal(
+        classifyFailure('build', { exitCode: 2, output: 'error TS2322: nope' })
+            .class,
+        'ts-build',
+    );
+    assert.deepEqual(classifyFailure('version', { exitCode: 127 }), {
+        class: 'unknown',
+        step: 'version',
+        exitCode: 127,
+        message: 'exit code 127',
+    });
+});
+
+test('runStep retries up to failureRetries times, then skips the commit', () => {
+    const config = { failurePolicy: { timeout: 'retry' }, failureRetries: 2 };
+    const { error, failures, attempts } = runFailingStep(config, {
+        exitCode: null,
+        output: 'still running',
+        timedOut: true,
+    });
+
+    assert.equal(attempts, 3);
+    assert.deepEqual(
+        failures.map((failure) => failure.action),
+        ['retry', 'retry', 'skip'],
+    );
+    assert.equal(getSkippedFailure(error), failures[2]);
+    assert.equal(error.output, 'still running');
+});
+
+test('runStep returns the first successful attempt', () => {
+    const config = { failurePolicy: { timeout: 'retry' }, failureRetries: 1 };
+    const failures = [];
+    const outcomes = [
+        { exitCode: null, output: '', timedOut: true },
+        { exitCode: 0, output: 'done' },
+    ];
+
+    const outcome = runStep(
+        config,
+        'install',
+        () => outcomes.shift(),
+        failures,
+    );
+
+    assert.equal(outcome.output, 'done');
+    assert.deepEqual(
+        failures.map((failure) => [failure.class, failure.action]),
+        [['timeout', 'retry']],
+    );
+});
+
+test('runStep skips once no fallback is left, and aborts by default', () => {
+    const hunkConflict = runFailingStep(
+        { failurePolicy: { 'hunk-conflict': 'fallback' } },
+        { exitCode: 1, output: 'Cannot apply hunk #2' },
+    );
+    assert.equal(hunkConflict.attempts, 1);
+    assert.deepEqual(getSkippedFailure(hunkConflict.error), {
+        class: 'hunk-conflict',
+        step: 'install',
+        exitCode: 1,
+        message: 'Cannot apply hunk #2',
+        action: 'skip',
+        fallbacksExhausted: true,
+    });
+
+    const unknown = runFailingStep({}, { exitCode: 1, output: 'oops' });
+    assert.equal(unknown.failures[0].action, 'abort');
+    assert.equal(getSkippedFailure(unknown.error), null);
+});
@@ -0,0 +1,492 @@
+// Fake toolchain of the end-to-end tests: hereby, npm, npx, yarn and tsc,
+// put first on the PATH of the bisector by test/harness.js through the
+// executables of test/fixtures/bin.
+//
+// The fake TypeScript repo holds knobs instead of a compiler, one JSON file
+// per knob in src/knobs/ so commits changing different knobs never conflict,
+// e.g. when the culprit is reverted on the bad endpoint:
+// - checkTime, transformTime: seconds printed by tsc --extendedDiagnostics,
+//   no transformTime line when null, as before TypeScript measured it
+// - typeErrors: number of errors tsc reports on the workload
+// - buildError: hereby LKG fails with a type error of the compiler
+// - compatPatchVersions: versions whose yarn compat patch applies to lib/,
+//   null when every version does; yarn install fails on "Cannot apply hunk"
+//   otherwise
+// - pnpError: the PnP runtime of yarn refuses to run tsc
+// - apiBroken: the API read by the script of bisect script is broken
+//
+// hereby LKG writes the knobs to lib/typescript.js, one per line so compat
+// patches of test/harness.js can match them, npm pack puts lib/ in
+// the tarball, yarn install extracts it to node_modules/typescript of the dd
+// repo, and tsc prints the diagnostics of the installed knobs. Every call is
+// appended to the file of FAKE_TOOLCHAIN_LOG, with the commit of the
+// installed TypeScript, so tests can tell which commits were measured.
+// FAKE_TSC_OUT_OF_MEMORY=<commit prefix> makes the tsc runs printing the
+// diagnostics crash like node out of heap on that commit.
+
+/* eslint-disable no-console */
+
+const { execFileSync, spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const YARN_VERSION = '4.5.1';
+const NPM_VERSION = '10.8.2';
+// Defaults of the knobs, the knobs of the initial commit of test/harness.js
+const DEFAULT_KNOBS = {
+    checkTime: 100,
+    transformTime: 50,
+    typeErrors: 0,
+    buildError: false,
+    compatPatchVersions: null,
+    pnpError: false,
+    apiBroken: false,
+};
+// File counting the tsc runs of the dd repo, seeding the jitter of the times
+const RUN_COUNTER_FILE_NAME = '.fake-tsc-runs';
+// Relative jitter of the printed times, so the samples have a spread
+const JITTER = 0.005;
+
+/**
+ * Appends a call to the log of FAKE_TOOLCHAIN_LOG
+ * @param {string} tool - Called tool
+ * @param {string[]} args - Arguments
+ * @param {string|null} [commit] - Commit of the TypeScript the call works on
+ */
+function logCall(tool, args, commit = null) {
+    if (process.env.FAKE_TOOLCHAIN_LOG) {
+        fs.appendFileSync(
+            process.env.FAKE_TOOLCHAIN_LOG,
+            `${JSON.stringify({ tool, args, commit, cwd: process.cwd() })}\n`,
+        );
+    }
+}
+
+/**
+ * Reads the knobs of a TypeScript checkout
+ * @param {string} repoPath - Checkout of the fake TypeScript repo
+ * @returns {object} Knobs, with their defaults
+ */
+function readKnobs(repoPath) {
+    const knobsDir = path.join(repoPath, 'src', 'knobs');
+    const knobs = { ...DEFAULT_KNOBS };
+    for (const name of fs.readdirSync(knobsDir)) {
+        knobs[path.basename(name, '.json')] = JSON.parse(
+            fs.readFileSync(path.join(knobsDir, name), 'utf8'),
+        );
+    }
+    return knobs;
+}
+
+/**
+ * Reads the TypeScript installed in the dd repo
+ * @param {string} ddRepoPath - dd repo path
+ * @returns {{version: string, commit: string|null, knobs: object}|null} Installed package, null if none
+ */
+function readInstalled(ddRepoPath) {
+    const packageDir = path.join(ddRepoPath, 'node_modules', 'typescript');
+    if (!fs.existsSync(path.join(packageDir, 'lib', 'typescript.js'))) {
+        return null;
+    }
+    const manifest = JSON.parse(
+        fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'),
+    );
+    const knobs = JSON.parse(
+        fs
+            .readFileSync(path.join(packageDir, 'lib', 'typescript.js'), 'utf8')
+            .match(/^module\.exports = ([\s\S]*);$/m)[1],
+    );
+    return {
+        version: manifest.version,
+        commit: manifest.gitHead || null,
+        knobs,
+    };
+}
+
+/**
+ * hereby: LKG builds lib/ from the knobs, clean does nothing
+ * @param {string[]} args - Arguments
+ * @returns {number} Exit code
+ */
+function hereby(args) {
+    logCall('hereby', args);
+    const [task] = args;
+    console.log(
+        `Using ${path.join(process.cwd(), 'Herebyfile.mjs')} to run ${task}`,
+    );
+    if (task === 'clean') {
+        fs.rmSync('built', { recursive: true, force: true });
+        console.log('Finished clean in 12ms');
+        return 0;
+    }
+    if (task !== 'LKG') {
+        console.error(`Error: Task "${task}" not found.`);
+        return 1;
+    }
+    const knobs = readKnobs(process.cwd());
+    console.log('Starting lib');
+    if (knobs.buildError) {
+        console.log(
+            "src/compiler/checker.ts(1742,13): error TS2322: Type 'string' is not assignable to type 'number'.",
+        );
+        console.log('Error in lib in 1.4s');
+        console.log('Error: tsc -b ./src/tsc exited with code 2');
+        console.log('Completed LKG with errors in 1.5s');
+        return 1;
+    }
+    fs.mkdirSync('lib', { recursive: true });
+    fs.writeFileSync(
+        path.join('lib', 'typescript.js'),
+        `// Built by the fake hereby of test/fixtures/toolchain.js\nmodule.exports = ${JSON.stringify(knobs, null, 4)};\n`,
+    );
+    console.log('Finished lib in 1.2s');
+    console.log('Finished LKG in 1.3s');
+    return 0;
+}
+
+/**
+ * npm: ci does nothing, pack writes the tarball of the package, install
+ * installs the override like yarn install
+ * @param {string[]} args - Arguments
+ * @returns {number} Exit code
+ */
+function npm(args) {
+    const [command] = args;
+    if (command === '--version') {
+        console.log(NPM_VERSION);
+        return 0;
+    }
+    if (command === 'ci') {
+        logCall('npm', args);
+        console.log('added 217 packages in 2s');
+        return 0;
+    }
+    if (command === 'install') {
+        return installTarball(args, 'overrides', 'npm');
+    }
+    if (command !== 'pack') {
+        console.error(`Unknown command: "${command}"`);
+        return 1;
+    }
+
+    const manifest = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+    logCall('npm', args, manifest.gitHead || null);
+    const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-npm-pack-'));
+    try {
+        const packageDir = path.join(stagingDir, 'package');
+        fs.mkdirSync(packageDir);
+        fs.copyFileSync('package.json', path.join(packageDir, 'package.json'));
+        fs.cpSync('lib', path.join(packageDir, 'lib'), { recursive: true });
+        const tarballName = `${manifest.name}-${manifest.version}.tgz`;
+        execFileSync('tar', [
+            '-czf',
+            path.resolve(tarballName),
+            '-C',
+            stagingDir,
+            'package',
+        ]);
+        console.log(`npm notice 📦  ${manifest.name}@${manifest.version}`);
+        console.log(`npm notice filename: ${tarballName}`);
+        console.log(tarballName);
+    } finally {
+        fs.rmSync(stagingDir, { recursive: true, force: true });
+    }
+    return 0;
+}
+
+/**
+ * Installs the TypeScript tarball the root package.json of the dd repo
+ * points at, failing like yarn when the compat patch does not apply
+ * @param {string[]} args - Arguments of the install
+ * @param {string} overrideField - Root field pointing at the tarball
+ * @param {string} tool - yarn or npm
+ * @returns {number} Exit code
+ */
+function installTarball(args, overrideField, tool) {
+    const manifest = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+    const specifier = (manifest[overrideField] || {}).typescript || '';
+    if (!specifier.startsWith('file:')) {
+        logCall(tool, args);
+        console.log('➤ YN0000: · Done in 0s 21ms');
+        return 0;
+    }
+    const tarballPath = specifier.slice('file:'.length);
+    const extractDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-install-'));
+    try {
+        execFileSync('tar', ['-xzf', tarballPath, '-C', extractDir]);
+        const packageDir = path.join(extractDir, 'package');
+        const packageManifest = JSON.parse(
+            fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'),
+        );
+        logCall(tool, args, packageManifest.gitHead || null);
+        const knobs = JSON.parse(
+            fs
+                .readFileSync(
+                    path.join(packageDir, 'lib', 'typescript.js'),
+                    'utf8',
+                )
+                .match(/^module\.exports = ([\s\S]*);$/m)[1],
+        );
+
+        console.log(`➤ YN0000: · Yarn ${YARN_VERSION}`);
+        console.log('➤ YN0000: ┌ Resolution step');
+        console.log('➤ YN0000: └ Completed');
+        console.log('➤ YN0000: ┌ Fetch step');
+        if (
+            tool === 'yarn' &&
+            knobs.compatPatchVersions &&
+            !knobs.compatPatchVersions.includes(packageManifest.version)
+        ) {
+            console.log(
+                `➤ YN0001: │ Error: typescript@patch:typescript@${encodeURIComponent(specifier)}#optional!builtin<compat/typescript>::version=${packageManifest.version}: Cannot apply hunk #2`,
+            );
+            console.log('➤ YN0000: └ Completed in 0s 184ms');
+            console.log('➤ YN0000: · Failed with errors in 0s 201ms');
+            return 1;
+        }
+        console.log('➤ YN0000: └ Completed in 0s 150ms');
+        console.log('➤ YN0000: ┌ Link step');
+        const installDir = path.join('node_modules', 'typescript');
+        fs.rmSync(installDir, { recursive: true, force: true });
+        fs.mkdirSync(path.dirname(installDir), { recursive: true });
+        fs.cpSync(packageDir, installDir, { recursive: true });
+        console.log('➤ YN0000: └ Completed in 0s 96ms');
+        console.log('➤ YN0000: · Done in 0s 412ms');
+        return 0;
+    } finally {
+        fs.rmSync(extractDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Runs another executable of the fake toolchain, found on the PATH
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments
+ * @returns {number} Exit code
+ */
+function runTool(command, args) {
+    const { status } = spawnSync(command, args, { stdio: 'inherit' });
+    return status === null ? 1 : status;
+}
+
+/**
+ * npx: runs hereby or tsc
+ * @param {string[]} args - Arguments, npx options first
+ * @returns {number} Exit code
+ */
+function npx(args) {
+    const [command, ...rest] = args.filter((arg) => !arg.startsWith('--no-'));
+    return runTool(command, rest);
+}
+
+/**
+ * yarn: install, tsc under the PnP runtime and the scripts of package.json
+ * @param {string[]} args - Arguments
+ * @returns {number} Exit code
+ */
+function yarn(args) {
+    const [command, ...rest] = args;
+    if (command === '--version') {
+        console.log(YARN_VERSION);
+        return 0;
+    }
+    if (command === 'install') {
+        return installTarball(args, 'resolutions', 'yarn');
+    }
+    if (command === 'tsc') {
+        const installed = readInstalled(process.cwd());
+        if (
+            installed &&
+            installed.knobs.pnpError &&
+            process.env.YARN_NODE_LINKER === 'pnp'
+        ) {
+            logCall('yarn', args, installed.commit);
+            console.error(
+                "Error: typescript tried to access @types/node, but it isn't declared in its dependencies; this makes the require call ambiguous and unsound.",
+            );
+            return 1;
+        }
+        return runTool('tsc', rest);
+    }
+    const { scripts = {} } = JSON.parse(
+        fs.readFileSync('package.json', 'utf8'),
+    );
+    if (!scripts[command]) {
+        console.error(
+            `Usage Error: Couldn't find a script named "${command}".`,
+        );
+        return 1;
+    }
+    logCall('yarn', args);
+    return spawnSync('sh', ['-c', scripts[command]], { stdio: 'inherit' })
+        .status;
+}
+
+/**
+ * Formats a line of --extendedDiagnostics
+ * @param {string} label - Label
+ * @param {string} value - Value with its unit
+ * @returns {string} Aligned line
+ */
+function formatDiagnostic(label, value) {
+    return `${label}:`.padEnd(40 - value.length) + value;
+}
+
+/**
+ * Counts a tsc run of the dd repo, and returns the jitter of its times
+ * @returns {number} Relative jitter, within JITTER
+ */
+function nextJitter() {
+    let runs = 0;
+    try {
+        runs = Number(fs.readFileSync(RUN_COUNTER_FILE_NAME, 'utf8'));
+    } catch {
+        // First run
+    }
+    fs.writeFileSync(RUN_COUNTER_FILE_NAME, String(runs + 1));
+    // Deterministic, with a spread over any few consecutive runs
+    return ((((runs * 7919) % 11) - 5) / 5) * JITTER;
+}
+
+/**
+ * tsc: -v prints the installed version, -b builds the workload, printing
+ * the errors and diagnostics of the installed knobs
+ * @param {string[]} args - Arguments
+ * @returns {number} Exit code
+ */
+function tsc(args) {
+    const installed = readInstalled(process.cwd());
+    logCall('tsc', args, installed && installed.commit);
+    if (!installed) {
+        console.error('error: command not found: tsc');
+        return 127;
+    }
+    if (args.includes('-v')) {
+        console.log(`Version ${installed.version}`);
+        return 0;
+    }
+
+    const { knobs } = installed;
+    const outOfMemory = process.env.FAKE_TSC_OUT_OF_MEMORY;
+    if (
+        outOfMemory &&
+        args.includes('--extendedDiagnostics') &&
+        (installed.commit || '').startsWith(outOfMemory)
+    ) {
+        console.error('<--- Last few GCs --->');
+        console.error(
+            '[4120:0x6a3c000]   612034 ms: Mark-Compact 8079.4 (8243.5) -> 8066.7 (8245.2) MB, 4213.55 / 0.00 ms  (average mu = 0.124, current mu = 0.041) allocation failure;',
+        );
+        console.error(
+            'FATAL ERROR: Reached heap limit Allocation failed - JavaScript heap out of memory',
+        );
+        return 134;
+    }
+
+    const project = args.includes('-b') ? args[args.indexOf('-b') + 1] : null;
+    if (project && !fs.existsSync(project)) {
+        console.log(
+            `error TS5057: Cannot find a tsconfig.json file at the specified directory: '${project}'.`,
+        );
+        return 1;
+    }
+    const errors = Array.from(
+        { length: knobs.typeErrors },
+        (_, index) =>
+            `packages/app/src/index.ts(${index + 3},7): error TS2322: Type 'string' is not assignable to type 'number'.`,
+    );
+    for (const error of errors) {
+        console.log(error);
+    }
+    if (!args.includes('--extendedDiagnostics')) {
+        return errors.length > 0 ? 2 : 0;
+    }
+
+    // tsc -b skips the projects whose tsbuildinfo is up to date
+    const buildInfoPath =
+        project && project.endsWith('.json')
+            ? project.replace(/\.json$/, '.tsbuildinfo')
+            : null;
+    const upToDate = buildInfoPath && fs.existsSync(buildInfoPath);
+    const scale = upToDate ? 0.01 : 1 + nextJitter();
+    const times = {
+        'I/O Read': 2.1 * scale,
+        Parse: 3.4 * scale,
+        ResolveModule: 6.2 * scale,
+        Program: 14.8 * scale,
+        Bind: 2.9 * scale,
+        Check: knobs.checkTime * scale,
+        transformTime: knobs.transformTime * scale,
+        'I/O Write': 0.01,
+        printTime: 0.4 * scale,
+        Emit: 0.4 * scale,
+    };
+    if (knobs.transformTime === null) {
+        delete times.transformTime;
+    }
+    times.Total = times.Program + times.Bind + times.Check + times.Emit;
+    const configTime = 1.2;
+    const upToDateTime = 3.5;
+    const buildTime =
+        times.Total + (times.transformTime || 0) + configTime + upToDateTime;
+    const counts = [
+        ['Files', '12408'],
+        ['Lines of Library', '41147'],
+        ['Lines of Definitions', '402551'],
+        ['Lines of TypeScript', '688120'],
+        ['Lines of JavaScript', '0'],
+        ['Lines of JSON', '1204'],
+        ['Lines of Other', '0'],
+        ['Identifiers', '1140226'],
+        ['Symbols', '2761043'],
+        ['Types', '1002118'],
+        ['Instantiations', '5120337'],
+        ['Memory used', '3981337K'],
+        ['Assignability cache size', '604118'],
+        ['Identity cache size', '70216'],
+        ['Subtype cache size', '66012'],
+        ['Strict subtype cache size', '230477'],
+    ];
+    const section = [
+        ...counts,
+        ...Object.entries(times).map(([name, seconds]) => [
+            `${name} time`,
+            `${seconds.toFixed(2)}s`,
+        ]),
+    ];
+    const lines = [
+        ...section.map(([label, value]) => formatDiagnostic(label, value)),
+        formatDiagnostic('Projects in scope', '312'),
+        formatDiagnostic('Projects built', upToDate ? '0' : '1'),
+        ...section.map(([label, value]) =>
+            formatDiagnostic(`Aggregate ${label}`, value),
+        ),
+        formatDiagnostic(
+            'Config file parsing time',
+            `${configTime.toFixed(2)}s`,
+        ),
+        formatDiagnostic(
+            'Up-to-date check time',
+            `${upToDateTime.toFixed(2)}s`,
+        ),
+        formatDiagnostic('Build time', `${buildTime.toFixed(2)}s`),
+    ];
+    console.log(lines.join('\n'));
+    if (buildInfoPath) {
+        fs.writeFileSync(
+            buildInfoPath,
+            JSON.stringify({ version: installed.version }),
+        );
+    }
+    return errors.length > 0 ? 2 : 0;
+}
+
+module.exports = {
+    DEFAULT_KNOBS,
+    hereby,
+    npm,
+    npx,
+    tsc,
+    yarn,
+};
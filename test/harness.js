@@ -0,0 +1,270 @@
+// Harness of the end-to-end tests: a throwaway TypeScript repo whose commits
+// set the knobs of the fake toolchain (test/fixtures/toolchain.js), a dd repo
+// workspace depending on typescript, and a runner of bisector.js with the
+// fake hereby, npm, npx, yarn and tsc first on its PATH.
+//
+// Each test builds its history with commit(), planting the regression (or
+// the broken install, the type errors...) in one of its commits, then checks
+// the bisector names it from the bisect state and reports of the out
+// directory.
+
+const { execFileSync, spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+
+const BISECTOR_PATH = path.join(__dirname, '..', 'bisector.js');
+const FAKE_BIN_DIR = path.join(__dirname, 'fixtures', 'bin');
+// A run of the bisector never takes that long on the fake toolchain
+const RUN_TIMEOUT_MS = 5 * 60 * 1000;
+// yarnPath of the dd repo once a yarn release is vendored, only read for its
+// compat patch: the fake yarn of the PATH still runs the installs
+const YARN_RELEASE_PATH = '.yarn/releases/yarn-4.5.1.cjs';
+// Identity of the commits of the fake TypeScript repo
+const GIT_ENV = {
+    GIT_AUTHOR_NAME: 'Fixture',
+    GIT_AUTHOR_EMAIL: 'fixture@localhost',
+    GIT_COMMITTER_NAME: 'Fixture',
+    GIT_COMMITTER_EMAIL: 'fixture@localhost',
+};
+
+// Files of the fake TypeScript repo the version override of
+// lib/typescript-build.js rewrites, and the script it runs
+const TS_REPO_FILES = {
+    'package.json': `${JSON.stringify(
+        {
+            name: 'typescript',
+            version: '5.6.0-dev',
+            main: './lib/typescript.js',
+        },
+        null,
+        4,
+    )}\n`,
+    'src/compiler/corePublic.ts':
+        'export const versionMajorMinor = "5.6";\nexport const version: string = `${versionMajorMinor}.0-dev`;\n',
+    'tests/baselines/reference/api/typescript.d.ts':
+        'declare namespace ts {\n    const versionMajorMinor = "5.6";\n}\n',
+    'scripts/addPackageJsonGitHead.mjs': [
+        "import { execFileSync } from 'node:child_process';",
+        "import fs from 'node:fs';",
+        '',
+        'const packageJsonPath = process.argv[2];',
+        "const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));",
+        "packageJson.gitHead = execFileSync('git', ['rev-parse', 'HEAD'], { encoding: 'utf8' }).trim();",
+        'fs.writeFileSync(packageJsonPath, `${JSON.stringify(packageJson, null, 4)}\\n`);',
+        '',
+    ].join('\n'),
+    '.gitignore': 'lib/\n*.tgz\n',
+};
+
+// Workspace of the dd repo: the workload builds tsconfig.turbo.json, the
+// prepare command is the typecheck:packages script
+const DD_REPO_FILES = {
+    'package.json': `${JSON.stringify(
+        {
+            name: 'dd',
+            private: true,
+            workspaces: ['packages/*'],
+            scripts: { 'typecheck:packages': 'tsc -b packages' },
+            devDependencies: { typescript: '5.5.4' },
+        },
+        null,
+        2,
+    )}\n`,
+    'packages/app/package.json': `${JSON.stringify(
+        {
+            name: '@dd/app',
+            private: true,
+            devDependencies: { typescript: '5.5.4' },
+        },
+        null,
+        2,
+    )}\n`,
+    'packages/app/src/index.ts': 'export const answer: number = 42;\n',
+    'tsconfig.turbo.json': `${JSON.stringify({ files: [], references: [{ path: 'packages/app' }] }, null, 2)}\n`,
+};
+
+/**
+ * Writes files relative to a directory
+ * @param {string} dir - Directory
+ * @param {Object<string, string>} files - Contents by relative path
+ */
+function writeFiles(dir, files) {
+    for (const [relativePath, content] of Object.entries(files)) {
+        const filePath = path.join(dir, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+    }
+}
+
+/**
+ * @typedef {object} Fixture
+ * @property {string} root - Directory of the fixture, removed by cleanup
+ * @property {string} tsRepoPath - Fake TypeScript repo
+ * @property {string} ddRepoPath - dd repo
+ * @property {string} logPath - Calls of the fake toolchain, one JSON object per line
+ * @property {(...args: string[]) => string} git - Runs git in the TypeScript repo, returning its trimmed output
+ * @property {(knobs?: object, message?: string) => string} commit - Commits knobs of the fake toolchain on HEAD, returning the commit hash
+ * @property {(count: number) => string[]} commitMany - Commits changes leaving the knobs as they are, returning their hashes
+ * @property {(args: string[], options?: {env?: object}) => {status: number|null, output: string}} run - Runs bisector.js in the fixture
+ * @property {(outDir: string, fileName?: string) => object} readState - Reads the bisect state file of an out directory of the dd repo
+ * @property {() => object[]} readCalls - Reads the calls of the fake toolchain
+ * @property {(patch: string) => void} vendorYarnRelease - Vendors a yarn release embedding a TypeScript compat patch in the dd repo
+ * @property {() => void} cleanup - Removes the fixture
+ */
+
+/**
+ * Creates the repos of a test. The TypeScript repo has one commit with the
+ * default knobs, tagged base, and the config file of the fixture keeps the
+ * worktrees and every output in the fixture.
+ * @param {object} [config] - Values of the bisector.config.json of the fixture
+ * @returns {Fixture} Fixture
+ */
+function createFixture(config = {}) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-bisector-test-'));
+    const tsRepoPath = path.join(root, 'typescript');
+    const ddRepoPath = path.join(root, 'dd');
+    const logPath = path.join(root, 'toolchain.log');
+    let fillerCount = 0;
+
+    const git = (...args) =>
+        execFileSync('git', args, {
+            cwd: tsRepoPath,
+            env: { ...process.env, ...GIT_ENV },
+            encoding: 'utf-8',
+            stdio: ['ignore', 'pipe', 'pipe'],
+        }).trim();
+
+    const commit = (knobs = {}, message = undefined) => {
+        for (const [name, value] of Object.entries(knobs)) {
+            writeFiles(tsRepoPath, {
+                [`src/knobs/${name}.json`]: `${JSON.stringify(value)}\n`,
+            });
+        }
+        // Other changes land in their own file, away from the knobs
+        fillerCount++;
+        writeFiles(tsRepoPath, {
+            [`src/compiler/utilities/${fillerCount}.ts`]: `export const change${fillerCount} = ${fillerCount};\n`,
+        });
+        git('add', '-A');
+        git(
+            'commit',
+            '-q',
+            '-m',
+            message || `Change ${fillerCount}: ${JSON.stringify(knobs)}`,
+        );
+        return git('rev-parse', 'HEAD');
+    };
+
+    fs.mkdirSync(tsRepoPath);
+    git('init', '-q', '-b', 'main');
+    writeFiles(tsRepoPath, TS_REPO_FILES);
+    writeFiles(tsRepoPath, {
+        'src/knobs/checkTime.json': '100\n',
+        'src/knobs/transformTime.json': '50\n',
+    });
+    git('add', '-A');
+    git('commit', '-q', '-m', 'Base');
+    git('tag', 'base');
+
+    writeFiles(ddRepoPath, DD_REPO_FILES);
+    writeFiles(root, {
+        'bisector.config.json': `${JSON.stringify(
+            {
+                tsRepoPath,
+                ddRepoPath,
+                worktreesDir: path.join(root, 'worktrees'),
+                // Builds are quick, and a background worker would make the
+                // calls of the fake toolchain depend on timing
+                prebuild: 'off',
+                explainCulprit: false,
+                ...config,
+            },
+            null,
+            4,
+        )}\n`,
+    });
+
+    return {
+        root,
+        tsRepoPath,
+        ddRepoPath,
+        logPath,
+        git,
+        commit,
+        commitMany: (count) => Array.from({ length: count }, () => commit()),
+        run(args, { env = {} } = {}) {
+            const { status, stdout, stderr, error } = spawnSync(
+                process.execPath,
+                [BISECTOR_PATH, ...args],
+                {
+                    cwd: root,
+                    env: {
+                        ...process.env,
+                        PATH: `${FAKE_BIN_DIR}${path.delimiter}${process.env.PATH}`,
+                        FAKE_TOOLCHAIN_LOG: logPath,
+                        TS_REPO_PATH: '',
+                        DD_REPO_PATH: '',
+                        ...env,
+                    },
+                    encoding: 'utf-8',
+                    maxBuffer: 64 * 1024 * 1024,
+                    timeout: RUN_TIMEOUT_MS,
+                },
+            );
+            if (error) {
+                throw error;
+            }
+            return { status, output: `${stdout}${stderr}` };
+        },
+        readState(outDir, fileName = 'bisect-state.json') {
+            return JSON.parse(
+                fs.readFileSync(
+                    path.join(ddRepoPath, outDir, fileName),
+                    'utf8',
+                ),
+            );
+        },
+        readCalls() {
+            if (!fs.existsSync(logPath)) {
+                return [];
+            }
+            return fs
+                .readFileSync(logPath, 'utf8')
+                .split('\n')
+                .filter(Boolean)
+                .map((line) => JSON.parse(line));
+        },
+        vendorYarnRelease(patch) {
+            const base64 = zlib.brotliCompressSync(patch).toString('base64');
+            writeFiles(ddRepoPath, {
+                '.yarnrc.yml': `yarnPath: ${YARN_RELEASE_PATH}\n`,
+                [YARN_RELEASE_PATH]: `const patch = require('zlib').brotliDecompressSync(Buffer.from("${base64}", "base64"));\n`,
+            });
+        },
+        cleanup() {
+            fs.rmSync(root, { recursive: true, force: true });
+        },
+    };
+}
+
+/**
+ * Returns the commits the workload was timed on, in order, from the calls of
+ * the fake toolchain
+ * @param {object[]} calls - Calls of the fake toolchain
+ * @returns {string[]} Commit of each timed tsc run
+ */
+function getTimedCommits(calls) {
+    return calls
+        .filter(
+            ({ tool, args }) =>
+                tool === 'tsc' && args.includes('--extendedDiagnostics'),
+        )
+        .map(({ commit }) => commit);
+}
+
+module.exports = {
+    createFixture,
+    getTimedCommits,
+};
@@ -0,0 +1,77 @@
+// Tests of the metric expressions of lib/metrics.js, evaluated on a report of
+// cleaned-timings.
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+const { parseDiagnostics } = require('../lib/diagnostics');
+const {
+    evaluateMetric,
+    getDiagnosticValue,
+    parseMetric,
+} = require('../lib/metrics');
+
+const REPORT_PATH = path.join(
+    __dirname,
+    '..',
+    'cleaned-timings',
+    '079-5.6.0-dev-node-modules-6c68fdd4.txt',
+);
+
+const diagnostics = parseDiagnostics(fs.readFileSync(REPORT_PATH, 'utf8'));
+
+test('evaluateMetric reads build level, aggregate and project labels', () => {
+    assert.equal(evaluateMetric('Build time', diagnostics), 895.3);
+    assert.equal(evaluateMetric('Up-to-date check time', diagnostics), 26.08);
+    assert.equal(evaluateMetric('Projects built', diagnostics), 1);
+    assert.equal(evaluateMetric('Check time', diagnostics), 240.17);
+    assert.equal(evaluateMetric('Aggregate Check time', diagnostics), 240.17);
+    assert.equal(evaluateMetric('Instantiations', diagnostics), 22935812);
+});
+
+test('evaluateMetric computes expressions with precedence and quoted labels', () => {
+    assert.equal(
+        evaluateMetric('Build time - transformTime time', diagnostics),
+        895.3 - 350.19,
+    );
+    assert.equal(evaluateMetric('"I/O Read time" * 2', diagnostics), 19.62);
+    assert.equal(
+        evaluateMetric('-(Check time + 1) / 2', diagnostics),
+        -120.585,
+    );
+    assert.equal(evaluateMetric('1 + 2 * 3', diagnostics), 7);
+});
+
+test('evaluateMetric counts a missing timer as 0 and fails on other labels', () => {
+    // tsc only prints the timers that ran
+    assert.equal(evaluateMetric('commentTime time', diagnostics), 0);
+    assert.equal(evaluateMetric('Aggregate Source Map time', diagnostics), 0);
+    assert.equal(evaluateMetric('Nonexistent', diagnostics), null);
+    assert.equal(
+        evaluateMetric('Check time / commentTime time', diagnostics),
+        null,
+    );
+    // Without diagnostics, no timer ran either
+    assert.equal(evaluateMetric('Check time', parseDiagnostics('')), null);
+});
+
+test('a misspelled timer fails instead of reading 0', () => {
+    assert.throws(
+        () => evaluateMetric('Chek time', diagnostics),
+        /Unknown timer "Chek time" in metric "Chek time"/,
+    );
+    assert.throws(
+        () => parseMetric('Build time - "Aggregate transformtime time"'),
+        /Unknown timer "Aggregate transformtime time"/,
+    );
+    assert.equal(getDiagnosticValue(diagnostics, 'Chek time'), null);
+});
+
+test('parseMetric rejects malformed expressions', () => {
+    assert.throws(() => parseMetric(''), /non-empty string/);
+    assert.throws(() => parseMetric('"Check time'), /Unbalanced quotes/);
+    assert.throws(() => parseMetric('(Check time + 1'), /Missing "\)"/);
+    assert.throws(() => parseMetric('Check time +'), /Unexpected end/);
+    assert.throws(() => parseMetric('Check time )'), /Unexpected "\)"/);
+});
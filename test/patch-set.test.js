@@ -0,0 +1,126 @@
+// Tests of the journaled edits of lib/patch-set.js, restored by the process
+// applying them or, once it is gone, on the next startup.
+
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+const { applyPatchSet, recoverPatchSets } = require('../lib/patch-set');
+
+const ORIGINAL = '{\n    "version": "5.6.0-dev"\n}\n';
+
+/**
+ * Creates a directory with a package.json, removed after the test
+ * @param {import('node:test').TestContext} t - Test
+ * @returns {{dir: string, file: string, journalDir: string}} Directory, its package.json and a journal directory
+ */
+function createPackage(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-bisector-patch-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'package.json');
+    fs.writeFileSync(file, ORIGINAL);
+    return { dir, file, journalDir: path.join(dir, 'journal') };
+}
+
+/**
+ * Returns an edit replacing the version of a package.json
+ * @param {string} file - package.json path
+ * @param {string} version - New version
+ * @returns {import('../lib/patch-set').Edit} Edit
+ */
+function versionEdit(file, version) {
+    return {
+        name: 'version',
+        file,
+        pattern: /"version": "[^"]*"/,
+        replacement: `"version": "${version}"`,
+    };
+}
+
+test('applyPatchSet applies every edit, or none, and restores the files', (t) => {
+    const { file } = createPackage(t);
+
+    assert.throws(
+        () =>
+            applyPatchSet('override', [
+                versionEdit(file, '5.5.0'),
+                { name: 'missing', file, pattern: /"main"/, replacement: '' },
+            ]),
+        /Patch override: edit missing does not match/,
+    );
+    assert.equal(fs.readFileSync(file, 'utf8'), ORIGINAL);
+
+    const patchSet = applyPatchSet('override', [versionEdit(file, '5.5.0')]);
+    assert.equal(
+        fs.readFileSync(file, 'utf8'),
+        '{\n    "version": "5.5.0"\n}\n',
+    );
+    patchSet.restore();
+    assert.equal(fs.readFileSync(file, 'utf8'), ORIGINAL);
+});
+
+test('a snapshot edit restores the changes of others, deleting new files', (t) => {
+    const { dir, file } = createPackage(t);
+    const lockfile = path.join(dir, 'yarn.lock');
+    const newLockfile = path.join(dir, 'pnpm-lock.yaml');
+    fs.writeFileSync(lockfile, 'typescript@5.6.0-dev\n');
+
+    const patchSet = applyPatchSet('workspace-manifests', [
+        versionEdit(file, '5.5.0'),
+        { name: 'yarn.lock', file: lockfile, snapshot: true },
+        { name: 'pnpm-lock.yaml', file: newLockfile, snapshot: true },
+    ]);
+    // Written by the install
+    fs.writeFileSync(lockfile, 'typescript@file:typescript.tgz\n');
+    fs.writeFileSync(newLockfile, 'lockfileVersion: 9.0\n');
+    patchSet.restore();
+
+    assert.equal(fs.readFileSync(file, 'utf8'), ORIGINAL);
+    assert.equal(fs.readFileSync(lockfile, 'utf8'), 'typescript@5.6.0-dev\n');
+    assert.ok(!fs.existsSync(newLockfile));
+});
+
+test('recoverPatchSets restores the journals of killed processes only', (t) => {
+    const { file, journalDir } = createPackage(t);
+
+    // A process killed before it could restore its patch set
+    const killed = spawnSync(
+        process.execPath,
+        [
+            '-e',
+            `const { applyPatchSet } = require(${JSON.stringify(require.resolve('../lib/patch-set'))});
+            applyPatchSet('override', [{
+                name: 'version',
+                file: ${JSON.stringify(file)},
+                pattern: /"version": "[^"]*"/,
+                replacement: '"version": "5.5.0"',
+            }], { journalDir: ${JSON.stringify(journalDir)} });
+            process.kill(process.pid, 'SIGKILL');`,
+        ],
+        { encoding: 'utf8' },
+    );
+    assert.equal(killed.signal, 'SIGKILL', killed.stderr);
+    assert.equal(
+        fs.readFileSync(file, 'utf8'),
+        '{\n    "version": "5.5.0"\n}\n',
+    );
+    assert.equal(fs.readdirSync(journalDir).length, 1);
+
+    assert.deepEqual(recoverPatchSets(journalDir), [
+        { name: 'override', files: [file] },
+    ]);
+    assert.equal(fs.readFileSync(file, 'utf8'), ORIGINAL);
+    assert.deepEqual(fs.readdirSync(journalDir), []);
+
+    // The patch sets of running processes are left to them
+    const patchSet = applyPatchSet('override', [versionEdit(file, '5.5.2')], {
+        journalDir,
+    });
+    assert.deepEqual(recoverPatchSets(journalDir), []);
+    patchSet.restore();
+    assert.equal(fs.readFileSync(file, 'utf8'), ORIGINAL);
+    assert.deepEqual(fs.readdirSync(journalDir), []);
+    assert.deepEqual(recoverPatchSets(path.join(journalDir, 'missing')), []);
+});
@@ -0,0 +1,62 @@
+// Tests of the measurements a resumed run reuses, lib/run-state.js.
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+const {
+    getRecordedMeasurement,
+    recordMeasurement,
+} = require('../lib/run-state');
+
+const METRIC = 'Build time';
+
+/**
+ * Writes the JSON result of a commit and records it in a new state
+ * @param {import('node:test').TestContext} t - Test, removing the result after it
+ * @param {string} commit - Commit hash
+ * @param {number[]} samples - Metric samples
+ * @returns {import('../lib/run-state').RunState} State
+ */
+function createStateWithResult(t, commit, samples) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-bisector-state-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const resultPath = path.join(dir, `${commit}.json`);
+    fs.writeFileSync(
+        resultPath,
+        JSON.stringify({ commit, metric: { expression: METRIC, samples } }),
+    );
+    const state = { measured: {}, pending: [commit] };
+    recordMeasurement(state, commit, resultPath);
+    return state;
+}
+
+test('getRecordedMeasurement reuses a result of the same metric', (t) => {
+    const state = createStateWithResult(t, 'abc', [10, 11, 12]);
+
+    assert.deepEqual(state.pending, []);
+    const recorded = getRecordedMeasurement(state, 'abc', METRIC, 3);
+    assert.equal(recorded.skipped, false);
+    assert.deepEqual(recorded.result.metric.samples, [10, 11, 12]);
+    assert.equal(getRecordedMeasurement(state, 'abc', 'Check time'), null);
+    assert.equal(getRecordedMeasurement(state, 'def', METRIC), null);
+});
+
+test('getRecordedMeasurement measures again a result with too few samples', (t) => {
+    // Left by a time run without adaptive sampling
+    const state = createStateWithResult(t, 'abc', [10]);
+
+    assert.ok(getRecordedMeasurement(state, 'abc', METRIC));
+    assert.equal(getRecordedMeasurement(state, 'abc', METRIC, 3), null);
+});
+
+test('getRecordedMeasurement reuses skipped commits', () => {
+    const state = { measured: {}, pending: [] };
+    recordMeasurement(state, 'abc', null, undefined, { class: 'ts-build' });
+
+    assert.deepEqual(getRecordedMeasurement(state, 'abc', METRIC, 3), {
+        skipped: true,
+        result: null,
+    });
+});
@@ -0,0 +1,109 @@
+// Tests of the statistics helpers of lib/stats.js, against closed forms of
+// Student's t distribution.
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const {
+    mean,
+    stddev,
+    studentTCdf,
+    summarize,
+    welchTTest,
+} = require('../lib/stats');
+
+// Agreement expected with the closed forms
+const TOLERANCE = 1e-6;
+
+/**
+ * Asserts two numbers are within TOLERANCE of each other
+ * @param {number} actual - Computed value
+ * @param {number} expected - Expected value
+ */
+function assertClose(actual, expected) {
+    assert.ok(
+        Math.abs(actual - expected) < TOLERANCE,
+        `expected ${expected}, got ${actual}`,
+    );
+}
+
+/**
+ * Cumulative distribution function of Student's t with 2 degrees of freedom
+ * @param {number} t - t statistic
+ * @returns {number} P(T <= t)
+ */
+function tCdf2(t) {
+    return 0.5 + t / (2 * Math.sqrt(2 + t * t));
+}
+
+/**
+ * Cumulative distribution function of Student's t with 4 degrees of freedom
+ * @param {number} t - t statistic
+ * @returns {number} P(T <= t)
+ */
+function tCdf4(t) {
+    const x = 1 + (t * t) / 4;
+    return 0.5 + (3 / 8) * (t / Math.sqrt(x)) * (1 - (t * t) / (12 * x));
+}
+
+test('mean, stddev and summarize use the sample standard deviation', () => {
+    const samples = [2, 4, 4, 4, 5, 5, 7, 9];
+
+    assert.equal(mean(samples), 5);
+    assertClose(stddev(samples), Math.sqrt(32 / 7));
+    assert.deepEqual(summarize(samples), {
+        n: 8,
+        mean: 5,
+        stddev: stddev(samples),
+    });
+    assert.ok(Number.isNaN(mean([])));
+    assert.equal(stddev([3]), 0);
+});
+
+test('studentTCdf matches the closed forms for 1, 2 and 4 degrees of freedom', () => {
+    for (const t of [-4, -1.5, -0.3, 0, 0.3, 1.5, 4]) {
+        assertClose(studentTCdf(t, 1), 0.5 + Math.atan(t) / Math.PI);
+        assertClose(studentTCdf(t, 2), tCdf2(t));
+        assertClose(studentTCdf(t, 4), tCdf4(t));
+    }
+    // The normal distribution for infinite degrees of freedom
+    assert.ok(Math.abs(studentTCdf(1.96, Infinity) - 0.975) < 1e-3);
+});
+
+test('welchTTest computes t, df and the p-values of both sides', () => {
+    const result = welchTTest([10, 11, 12], [7, 8, 9]);
+
+    // Both variances are 1/3, so df is 2 * 2 and t is 3 / sqrt(2/3)
+    const t = 3 / Math.sqrt(2 / 3);
+    assertClose(result.t, t);
+    assertClose(result.df, 4);
+    assertClose(result.pGreater, 1 - tCdf4(t));
+    assertClose(result.pLess, tCdf4(t));
+    assertClose(result.pTwoSided, 2 * result.pGreater);
+    assert.deepEqual(
+        welchTTest(summarize([10, 11, 12]), summarize([7, 8, 9])),
+        result,
+    );
+});
+
+test('welchTTest treats a side without spread as a known reference value', () => {
+    const result = welchTTest([10, 11, 12], { n: 1, mean: 8, stddev: 0 });
+
+    // Only the samples vary, so df is n - 1 = 2
+    const t = 3 / Math.sqrt(1 / 3);
+    assertClose(result.t, t);
+    assertClose(result.df, 2);
+    assertClose(result.pGreater, 1 - tCdf2(t));
+});
+
+test('welchTTest finds any difference certain when nothing varies', () => {
+    const differs = welchTTest([3, 3], [2, 2]);
+    assert.equal(differs.t, Infinity);
+    assert.deepEqual(
+        [differs.pGreater, differs.pLess, differs.pTwoSided],
+        [0, 1, 0],
+    );
+
+    const equal = welchTTest([3, 3], [3, 3]);
+    assert.equal(equal.t, 0);
+    assert.deepEqual([equal.pGreater, equal.pLess, equal.pTwoSided], [1, 1, 1]);
+});
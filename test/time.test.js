@@ -0,0 +1,102 @@
+// End-to-end tests of the time command on the fake toolchain of
+// test/fixtures/toolchain.js.
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+const { createFixture } = require('./harness');
+
+const OUT_DIR = 'ts-bisector/tsc-timings';
+const STATE_FILE_NAME = 'time-state.json';
+// Builds, installs and timed runs of every commit of the range
+const TEST_TIMEOUT_MS = 10 * 60 * 1000;
+
+test(
+    'time goes through the failure policy when the metric can not be computed',
+    { timeout: TEST_TIMEOUT_MS },
+    (t) => {
+        const fixture = createFixture();
+        t.after(fixture.cleanup);
+        const first = fixture.commit();
+        // tsc prints no transformTime line there, which counts as 0
+        const unmeasurable = fixture.commit({ transformTime: null });
+        const last = fixture.commit({ transformTime: 60 });
+
+        const { status, output } = fixture.run([
+            'time',
+            'base..main',
+            '--metric',
+            'Check time / transformTime time',
+            '--on-failure',
+            'unknown=skip',
+        ]);
+
+        assert.equal(status, 0, output);
+        const state = fixture.readState(OUT_DIR, STATE_FILE_NAME);
+        assert.equal(state.status, 'done');
+        assert.ok(state.measured[first].resultPath);
+        assert.ok(state.measured[last].resultPath);
+        const { resultPath, failure } = state.measured[unmeasurable];
+        assert.equal(resultPath, null);
+        assert.deepEqual(
+            [failure.class, failure.step, failure.action, failure.message],
+            [
+                'unknown',
+                'workload',
+                'skip',
+                'Could not compute Check time / transformTime time from tsc output',
+            ],
+        );
+    },
+);
+
+test(
+    'analyze finds the planted step in the results of time',
+    { timeout: TEST_TIMEOUT_MS },
+    (t) => {
+        const fixture = createFixture();
+        t.after(fixture.cleanup);
+        const [, , before] = fixture.commitMany(3);
+        const culprit = fixture.commit({ checkTime: 160 });
+        fixture.commitMany(2);
+
+        // --adaptive takes several samples of each commit, for the t-tests
+        const timed = fixture.run(['time', 'base..main', '--adaptive']);
+        assert.equal(timed.status, 0, timed.output);
+        // The tarball is installed from the out directory, not the TS clone
+        assert.ok(
+            fs.existsSync(
+                path.join(fixture.ddRepoPath, OUT_DIR, 'typescript.tgz'),
+            ),
+        );
+        assert.ok(
+            !fs.existsSync(path.join(fixture.tsRepoPath, 'typescript.tgz')),
+        );
+        const analyzed = fixture.run(['analyze']);
+        assert.equal(analyzed.status, 0, analyzed.output);
+
+        const analysis = JSON.parse(
+            fs.readFileSync(
+                path.join(fixture.ddRepoPath, OUT_DIR, 'analysis.json'),
+                'utf8',
+            ),
+        );
+        assert.equal(analysis.series.length, 1);
+        const [series] = analysis.series;
+        assert.equal(series.commits, 6);
+        assert.deepEqual(
+            series.changes.map((change) => [
+                change.before,
+                change.after,
+                change.commitsBetween,
+            ]),
+            [[before, culprit, 0]],
+        );
+        // transformTime did not move
+        assert.deepEqual(
+            series.changes[0].metrics.map(({ metric }) => metric),
+            ['Build time', 'Check time', 'Build time - transformTime time'],
+        );
+    },
+);
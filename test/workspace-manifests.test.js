@@ -0,0 +1,163 @@
+// Tests of the workspace manifests pointed at the tarball during an install,
+// lib/workspace-manifests.js.
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+const { getPackageManager } = require('../lib/package-managers');
+const {
+    findWorkspaceManifests,
+    linkTarball,
+} = require('../lib/workspace-manifests');
+
+const TARBALL_PATH = '/tmp/out/typescript.tgz';
+const SPECIFIER = `file:${TARBALL_PATH}`;
+
+/**
+ * Creates a dd repo workspace, removed after the test: a root manifest
+ * indented with 4 spaces, two members, an excluded package with its own
+ * typescript and a dependency in node_modules
+ * @param {import('node:test').TestContext} t - Test
+ * @returns {string} dd repo path
+ */
+function createWorkspace(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ts-bisector-dd-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const manifests = {
+        'package.json': {
+            workspaces: ['packages/*', '!packages/legacy'],
+            devDependencies: { typescript: '5.8.2' },
+            resolutions: { '**/typescript': '5.8.2' },
+        },
+        'packages/app/package.json': {
+            dependencies: { react: '^18.0.0', typescript: '^5.8.0' },
+        },
+        'packages/tools/package.json': {
+            devDependencies: { 'ts-old': 'npm:typescript@5.4.5' },
+        },
+        'packages/legacy/package.json': {
+            devDependencies: { typescript: '4.9.5' },
+        },
+        'node_modules/react/package.json': {
+            devDependencies: { typescript: '5.0.0' },
+        },
+    };
+    for (const [manifest, content] of Object.entries(manifests)) {
+        const manifestPath = path.join(dir, manifest);
+        fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+        fs.writeFileSync(
+            manifestPath,
+            `${JSON.stringify(content, null, manifest === 'package.json' ? 4 : 2)}\n`,
+        );
+    }
+    return dir;
+}
+
+/**
+ * Reads the content of every file of a directory, outside of node_modules
+ * @param {string} dir - Directory
+ * @returns {Object<string, string>} Content by relative path
+ */
+function readFiles(dir) {
+    const files = {};
+    for (const file of fs.readdirSync(dir, { recursive: true })) {
+        const filePath = path.join(dir, file);
+        if (
+            !file.startsWith('node_modules') &&
+            fs.statSync(filePath).isFile()
+        ) {
+            files[file] = fs.readFileSync(filePath, 'utf8');
+        }
+    }
+    return files;
+}
+
+test('findWorkspaceManifests applies the workspace globs and their exclusions', (t) => {
+    const ddRepoPath = createWorkspace(t);
+    fs.writeFileSync(
+        path.join(ddRepoPath, 'pnpm-workspace.yaml'),
+        "packages:\n  - 'packages/legacy'\ncatalog:\n  - nope\n",
+    );
+
+    const { workspace, outside } = findWorkspaceManifests(ddRepoPath);
+
+    assert.deepEqual(workspace.sort(), [
+        'package.json',
+        'packages/app/package.json',
+        'packages/tools/package.json',
+    ]);
+    // Listed by pnpm-workspace.yaml, but excluded by the workspaces field
+    assert.deepEqual(outside, ['packages/legacy/package.json']);
+});
+
+test('linkTarball points the workspace at the tarball and reports the pins', (t) => {
+    const ddRepoPath = createWorkspace(t);
+    const logs = [];
+
+    const restore = linkTarball(
+        getPackageManager('yarn-pnp', ddRepoPath),
+        ddRepoPath,
+        TARBALL_PATH,
+        { log: (message) => logs.push(message) },
+    );
+    t.after(restore);
+
+    const read = (manifest) =>
+        fs.readFileSync(path.join(ddRepoPath, manifest), 'utf8');
+    const root = read('package.json');
+    assert.deepEqual(JSON.parse(root), {
+        workspaces: ['packages/*', '!packages/legacy'],
+        devDependencies: { typescript: SPECIFIER },
+        resolutions: { '**/typescript': SPECIFIER, typescript: SPECIFIER },
+    });
+    // The indentation of each manifest is kept
+    assert.ok(root.startsWith('{\n    "workspaces"'));
+    assert.deepEqual(JSON.parse(read('packages/app/package.json')), {
+        dependencies: { react: '^18.0.0', typescript: SPECIFIER },
+    });
+    assert.equal(
+        JSON.parse(read('packages/legacy/package.json')).devDependencies
+            .typescript,
+        '4.9.5',
+    );
+
+    assert.equal(
+        logs[0],
+        `Pointed 4 typescript entries of 2 manifests at ${TARBALL_PATH}`,
+    );
+    assert.deepEqual(
+        logs.filter((message) => message.startsWith('Warning')),
+        [
+            'Warning: packages/tools/package.json pins devDependencies.ts-old to npm:typescript@5.4.5, which may shadow the TypeScript under test',
+            'Warning: packages/legacy/package.json pins devDependencies.typescript to 4.9.5, which may shadow the TypeScript under test',
+        ],
+    );
+});
+
+test('linkTarball restores the manifests and the lockfile byte for byte', (t) => {
+    for (const [name, lockfile] of [
+        ['yarn-node-modules', 'yarn.lock'],
+        ['npm', 'package-lock.json'],
+        ['pnpm', 'pnpm-lock.yaml'],
+    ]) {
+        const ddRepoPath = createWorkspace(t);
+        const lockfilePath = path.join(ddRepoPath, lockfile);
+        const packageManager = getPackageManager(name, ddRepoPath);
+
+        // Without a lockfile, the one the install writes is removed
+        let restore = linkTarball(packageManager, ddRepoPath, TARBALL_PATH);
+        fs.writeFileSync(lockfilePath, `typescript ${SPECIFIER}\n`);
+        restore();
+        assert.ok(!fs.existsSync(lockfilePath), name);
+
+        fs.writeFileSync(lockfilePath, 'typescript 5.8.2\n');
+        const before = readFiles(ddRepoPath);
+        restore = linkTarball(packageManager, ddRepoPath, TARBALL_PATH);
+        assert.notDeepEqual(readFiles(ddRepoPath), before);
+        fs.writeFileSync(lockfilePath, `typescript ${SPECIFIER}\n`);
+        restore();
+        assert.deepEqual(readFiles(ddRepoPath), before, name);
+    }
+});